@@ -0,0 +1,219 @@
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { registryEntry } from "../scripts/deployments.js";
+import { loadSigner } from "./wallet.js";
+import * as commands from "./commands.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ABI_PATH = path.join(__dirname, "../frontend/src/contract-abi.json");
+
+export const USAGE = `Usage: streampay <command> [options]
+
+Streams
+  streams list [--address 0x..]                      Streams you send or receive
+  streams show <id>                                  One stream with its current balances
+  streams create --to 0x.. --amount 1.5 --duration 30d [--token 0x..]
+  streams withdraw <id> [--amount 0.1] [--to 0x..]   Everything unlocked unless --amount is given
+  streams cancel <id>
+
+Subscriptions
+  subs list [--address 0x..]
+  subs show <id>
+  subs create --provider 0x.. --rate 0.1 --deposit 0.3   Rate in ETH per 30 days
+  subs top-up <id> --amount 0.1
+  subs cancel <id>
+  subs settle <id> [<id>...]                         Pay providers what is due
+
+Balances
+  balance [--address 0x..] [--token 0x..]            Withdrawable credit (refunds, failed payouts)
+  claim [--token 0x..]
+
+  watch [<id>...] [--interval 1] [--refresh 30] [--count N]
+                                                     Print accrual as it ticks (default: all your streams)
+
+Options
+  --rpc <url>          RPC endpoint (RPC_URL, default http://127.0.0.1:8545)
+  --contract <0x..>    StreamPay address (CONTRACT_ADDRESS, default: the registry entry for the RPC's chain)
+  --keystore <file>    Encrypted JSON keystore (password from STREAMPAY_KEYSTORE_PASSWORD or a prompt)
+                       Without a keystore, PRIVATE_KEY is used if set
+  --json               Machine-readable output (one JSON document, or one line per tick for watch)
+  -h, --help
+`;
+
+const OPTIONS = {
+  rpc: { type: "string" },
+  contract: { type: "string" },
+  keystore: { type: "string" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+  address: { type: "string" },
+  to: { type: "string" },
+  amount: { type: "string" },
+  duration: { type: "string" },
+  token: { type: "string" },
+  provider: { type: "string" },
+  rate: { type: "string" },
+  deposit: { type: "string" },
+  interval: { type: "string" },
+  refresh: { type: "string" },
+  count: { type: "string" }
+};
+
+// Fields printed as token amounts and as dates in human-readable output
+const AMOUNT_FIELDS = new Set([
+  "deposit", "ratePerSecond", "ratePerMonth", "remainingBalance", "recipientBalance", "senderBalance",
+  "withdrawable", "net", "amount", "recipientAmount", "senderAmount", "pendingPayment", "balance",
+  "withdrawn", "refunded"
+]);
+const TIME_FIELDS = new Set(["startTime", "cliffTime", "stopTime", "lastPaymentTime", "time"]);
+
+/**
+ * Run one CLI invocation. `provider` and `signer` can be injected (tests); otherwise they
+ * come from --rpc / --keystore / the environment. Resolves to the process exit code.
+ */
+export async function runCli(argv, { env = process.env, out = process.stdout, err = process.stderr, provider, signer, signal } = {}) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    err.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  const { values: options, positionals } = parsed;
+  if (options.help || positionals.length === 0) {
+    out.write(USAGE);
+    return options.help ? 0 : 2;
+  }
+
+  const print = (data) => out.write(options.json ? toJson(data, 2) + "\n" : render(data) + "\n");
+
+  try {
+    const ctx = await createContext(options, { env, provider, signer });
+    const [group, action, ...args] = positionals;
+
+    if (group === "watch") {
+      const ids = positionals.slice(1);
+      await commands.watchStreams(ctx, ids, {
+        address: options.address,
+        interval: numberOption(options.interval, 1),
+        refresh: numberOption(options.refresh, 30),
+        count: numberOption(options.count, Infinity),
+        signal,
+        onTick: (rows) => {
+          for (const row of rows) out.write((options.json ? toJson(row) : renderTick(row)) + "\n");
+        }
+      });
+      return 0;
+    }
+
+    print(await dispatch(ctx, group, action, args, options));
+    return 0;
+  } catch (error) {
+    const message = error instanceof commands.CliError ? error.message : error.reason || error.shortMessage || error.message;
+    if (options.json) {
+      err.write(toJson({ error: message }) + "\n");
+    } else {
+      err.write(`Error: ${message}\n`);
+    }
+    return 1;
+  }
+}
+
+async function dispatch(ctx, group, action, args, options) {
+  const [id] = args;
+  switch (`${group} ${action ?? ""}`.trim()) {
+    case "streams list": return commands.listStreams(ctx, options);
+    case "streams show": return commands.showStream(ctx, id);
+    case "streams create": return commands.createStream(ctx, { ...options, token: options.token ?? ethers.ZeroAddress });
+    case "streams withdraw": return commands.withdrawFromStream(ctx, id, options);
+    case "streams cancel": return commands.cancelStream(ctx, id);
+    case "subs list": return commands.listSubscriptions(ctx, options);
+    case "subs show": return commands.showSubscription(ctx, id);
+    case "subs create": return commands.createSubscription(ctx, options);
+    case "subs top-up": return commands.topUpSubscription(ctx, id, options);
+    case "subs cancel": return commands.cancelSubscription(ctx, id);
+    case "subs settle": return commands.settleSubscriptions(ctx, args);
+    default:
+      break;
+  }
+  // balance and claim take no action word
+  if (group === "balance" && action === undefined) return commands.getBalance(ctx, withToken(options));
+  if (group === "claim" && action === undefined) return commands.claimBalance(ctx, withToken(options));
+  throw new commands.CliError(`Unknown command "${[group, action].filter(Boolean).join(" ")}" (see --help)`);
+}
+
+async function createContext(options, { env, provider, signer }) {
+  const rpcProvider = provider || new ethers.JsonRpcProvider(options.rpc || env.RPC_URL || "http://127.0.0.1:8545");
+  const { chainId } = await rpcProvider.getNetwork();
+  const address = options.contract || env.CONTRACT_ADDRESS || registryEntry(chainId).address;
+  const abi = JSON.parse(fs.readFileSync(ABI_PATH, "utf8"));
+
+  const wallet = signer || await loadSigner({
+    keystore: options.keystore,
+    privateKey: env.PRIVATE_KEY,
+    password: env.STREAMPAY_KEYSTORE_PASSWORD,
+    provider: rpcProvider
+  });
+
+  return {
+    provider: rpcProvider,
+    signer: wallet,
+    chainId: Number(chainId),
+    contract: new ethers.Contract(address, abi, rpcProvider)
+  };
+}
+
+function withToken(options) {
+  return { ...options, token: options.token ?? ethers.ZeroAddress };
+}
+
+function numberOption(value, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!(number >= 0)) throw new commands.CliError(`Invalid number "${value}"`);
+  return number;
+}
+
+export function toJson(data, space) {
+  return JSON.stringify(data, (key, value) => (typeof value === "bigint" ? value.toString() : value), space);
+}
+
+function formatField(key, value, row) {
+  if (typeof value === "bigint" && AMOUNT_FIELDS.has(key)) {
+    return `${ethers.formatUnits(value, row.decimals ?? 18)} ${row.symbol ?? "ETH"}`;
+  }
+  if (TIME_FIELDS.has(key) && typeof value === "number") {
+    return value === 0 ? "-" : new Date(value * 1000).toISOString();
+  }
+  if (key === "tx") return `${value.hash} (block ${value.blockNumber})`;
+  if (Array.isArray(value)) return value.length > 0 ? value.join(", ") : "-";
+  return String(value);
+}
+
+function renderObject(row) {
+  const entries = Object.entries(row).filter(([key]) => key !== "symbol" && key !== "decimals");
+  const width = Math.max(...entries.map(([key]) => key.length));
+  return entries.map(([key, value]) => `${key.padEnd(width)}  ${formatField(key, value, row)}`).join("\n");
+}
+
+function render(data) {
+  if (!Array.isArray(data)) return renderObject(data);
+  if (data.length === 0) return "Nothing found";
+  return data.map(renderObject).join("\n\n");
+}
+
+function renderTick(row) {
+  const state = row.status === "Active" ? "" : ` (${row.status.toLowerCase()})`;
+  return [
+    new Date(row.time * 1000).toISOString(),
+    `#${row.id}${state}`,
+    `accrued ${formatField("recipientBalance", row.recipientBalance, row)}`,
+    `net ${formatField("net", row.net, row)}`,
+    `left ${formatField("senderBalance", row.senderBalance, row)}`
+  ].join("  ");
+}
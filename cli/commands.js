@@ -0,0 +1,389 @@
+import { setTimeout as delay } from "timers/promises";
+import { ethers } from "ethers";
+import { toAccrualStream, balanceOf, accrualAt, chainNowMs, streamStatus } from "../frontend/src/accrual.js";
+
+// Same month length the frontend uses for subscription rates
+export const SECONDS_PER_MONTH = 2592000n;
+
+const DURATION_UNITS = { s: 1n, m: 60n, h: 3600n, d: 86400n, w: 604800n };
+
+const ERC20_ABI = [
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)"
+];
+
+const NATIVE_TOKEN = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 };
+
+export class CliError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CliError";
+  }
+}
+
+/**
+ * Seconds in "90", "45m", "12h", "30d" or "2w"
+ */
+export function parseDuration(value) {
+  const match = /^(\d+)([smhdw]?)$/.exec(String(value ?? "").trim());
+  if (!match) throw new CliError(`Invalid duration "${value}" (use e.g. 3600, 45m, 12h, 30d)`);
+  const seconds = BigInt(match[1]) * DURATION_UNITS[match[2] || "s"];
+  if (seconds === 0n) throw new CliError("Duration must be > 0");
+  return seconds;
+}
+
+export function parseId(value, what = "id") {
+  if (!/^\d+$/.test(String(value ?? ""))) throw new CliError(`Invalid ${what} "${value ?? ""}"`);
+  return BigInt(value);
+}
+
+function parseAddress(value, what) {
+  if (!value || !ethers.isAddress(value)) throw new CliError(`Invalid ${what} address "${value ?? ""}"`);
+  return ethers.getAddress(value);
+}
+
+function parseAmount(value, decimals, what = "amount") {
+  try {
+    const amount = ethers.parseUnits(String(value), decimals);
+    if (amount > 0n) return amount;
+  } catch {
+    // fall through to the error below
+  }
+  throw new CliError(`Invalid ${what} "${value ?? ""}"`);
+}
+
+function requireSigner(ctx) {
+  if (!ctx.signer) throw new CliError("This command sends a transaction: pass --keystore or set PRIVATE_KEY");
+  return ctx.signer;
+}
+
+// --address, or the signer's own account
+async function selfAddress(ctx, address) {
+  if (address) return parseAddress(address, "account");
+  if (!ctx.signer) throw new CliError("Pass --address, or --keystore / PRIVATE_KEY to use your own account");
+  return ctx.signer.getAddress();
+}
+
+export async function getTokenInfo(ctx, address) {
+  const key = ethers.getAddress(address);
+  if (key === ethers.ZeroAddress) return NATIVE_TOKEN;
+  ctx.tokens ||= {};
+  if (!ctx.tokens[key]) {
+    const token = new ethers.Contract(key, ERC20_ABI, ctx.provider);
+    const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+    ctx.tokens[key] = { address: key, symbol, decimals: Number(decimals) };
+  }
+  return ctx.tokens[key];
+}
+
+// Send a transaction and return its hash, block and parsed StreamPay events
+async function send(ctx, txPromise) {
+  const receipt = await (await txPromise).wait();
+  const events = receipt.logs
+    .map((log) => {
+      try {
+        return ctx.contract.interface.parseLog(log);
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return { receipt, events, tx: { hash: receipt.hash, blockNumber: receipt.blockNumber } };
+}
+
+async function loadStream(ctx, id) {
+  const stream = await ctx.contract.getStream(id);
+  if (stream.sender === ethers.ZeroAddress) throw new CliError(`Stream #${id} doesn't exist`);
+
+  const [schedule, [recipientBalance, senderBalance], token, feeBps, block] = await Promise.all([
+    ctx.contract.getStreamSchedule(id),
+    ctx.contract.balanceOf(id),
+    getTokenInfo(ctx, stream.token),
+    ctx.contract.feeFor(stream.sender, stream.recipient),
+    ctx.provider.getBlock("latest")
+  ]);
+  return {
+    id: Number(id),
+    sender: stream.sender,
+    recipient: stream.recipient,
+    token: token.address,
+    symbol: token.symbol,
+    decimals: token.decimals,
+    deposit: stream.deposit,
+    ratePerSecond: stream.ratePerSecond,
+    startTime: Number(stream.startTime),
+    cliffTime: Number(schedule.cliffTime),
+    stepDuration: Number(schedule.stepDuration),
+    stopTime: Number(stream.stopTime),
+    remainingBalance: stream.remainingBalance,
+    active: stream.active,
+    paused: stream.pausedAt !== 0n,
+    status: streamStatus(stream, block.timestamp),
+    withdrawn: stream.withdrawn,
+    refunded: stream.refunded,
+    recipientBalance,
+    senderBalance,
+    feeBps: Number(feeBps),
+    raw: toAccrualStream(stream, schedule)
+  };
+}
+
+async function loadSubscription(ctx, id) {
+  const sub = await ctx.contract.getSubscription(id);
+  if (sub.subscriber === ethers.ZeroAddress) throw new CliError(`Subscription #${id} doesn't exist`);
+  return {
+    id: Number(id),
+    subscriber: sub.subscriber,
+    provider: sub.provider,
+    symbol: NATIVE_TOKEN.symbol,
+    decimals: NATIVE_TOKEN.decimals,
+    ratePerSecond: sub.ratePerSecond,
+    ratePerMonth: sub.ratePerSecond * SECONDS_PER_MONTH,
+    lastPaymentTime: Number(sub.lastPaymentTime),
+    active: sub.active,
+    lapsed: sub.lapsed,
+    pendingPayment: sub.pendingPayment,
+    balance: sub.balance
+  };
+}
+
+// Drop the accrual working copy from what gets printed
+function streamView({ raw, ...stream }) {
+  return stream;
+}
+
+export async function listStreams(ctx, { address } = {}) {
+  const account = await selfAddress(ctx, address);
+  const [outgoing, incoming] = await Promise.all([
+    ctx.contract.getUserStreams(account),
+    ctx.contract.getRecipientStreams(account)
+  ]);
+  const rows = [
+    ...outgoing.map((id) => ({ id, role: "sender" })),
+    ...incoming.map((id) => ({ id, role: "recipient" }))
+  ];
+  return Promise.all(rows.map(async ({ id, role }) => ({ role, ...streamView(await loadStream(ctx, id)) })));
+}
+
+export async function showStream(ctx, id) {
+  return streamView(await loadStream(ctx, parseId(id, "stream id")));
+}
+
+/**
+ * Stream `amount` to `to` over `duration`. The rate is rounded down, so the deposit is
+ * rate * duration, as in the web app.
+ */
+export async function createStream(ctx, { to, amount, duration, token = ethers.ZeroAddress }) {
+  const signer = requireSigner(ctx);
+  const recipient = parseAddress(to, "recipient");
+  const seconds = parseDuration(duration);
+  const tokenInfo = await getTokenInfo(ctx, parseAddress(token, "token"));
+  const ratePerSecond = parseAmount(amount, tokenInfo.decimals) / seconds;
+  if (ratePerSecond === 0n) throw new CliError("Amount is too small for this duration");
+  const deposit = ratePerSecond * seconds;
+
+  let result;
+  if (tokenInfo.address === ethers.ZeroAddress) {
+    result = await send(ctx, ctx.contract.connect(signer).createStream(recipient, seconds, ratePerSecond, { value: deposit }));
+  } else {
+    const erc20 = new ethers.Contract(tokenInfo.address, ERC20_ABI, signer);
+    const spender = await ctx.contract.getAddress();
+    if ((await erc20.allowance(await signer.getAddress(), spender)) < deposit) {
+      await (await erc20.approve(spender, deposit)).wait();
+    }
+    result = await send(
+      ctx,
+      ctx.contract.connect(signer).createTokenStream(tokenInfo.address, recipient, seconds, ratePerSecond)
+    );
+  }
+
+  const created = result.events.find((event) => event.name === "StreamCreated");
+  return { ...(await showStream(ctx, created.args.streamId)), tx: result.tx };
+}
+
+export async function withdrawFromStream(ctx, id, { amount, to } = {}) {
+  const signer = requireSigner(ctx);
+  const streamId = parseId(id, "stream id");
+  const stream = await loadStream(ctx, streamId);
+  const contract = ctx.contract.connect(signer);
+
+  let result;
+  if (amount === undefined && to === undefined) {
+    result = await send(ctx, contract["withdrawFromStream(uint256)"](streamId));
+  } else {
+    const gross = amount === undefined ? stream.recipientBalance : parseAmount(amount, stream.decimals);
+    const destination = to === undefined ? stream.recipient : parseAddress(to, "destination");
+    result = await send(ctx, contract["withdrawFromStream(uint256,uint256,address)"](streamId, gross, destination));
+  }
+
+  const withdrawn = result.events.find((event) => event.name === "StreamWithdrawn");
+  return {
+    id: stream.id,
+    symbol: stream.symbol,
+    decimals: stream.decimals,
+    amount: withdrawn ? withdrawn.args.amount : 0n,
+    tx: result.tx
+  };
+}
+
+export async function cancelStream(ctx, id) {
+  const streamId = parseId(id, "stream id");
+  const result = await send(ctx, ctx.contract.connect(requireSigner(ctx)).cancelStream(streamId));
+  const cancelled = result.events.find((event) => event.name === "StreamCancelled");
+  const stream = await loadStream(ctx, streamId);
+  return {
+    id: stream.id,
+    symbol: stream.symbol,
+    decimals: stream.decimals,
+    recipientAmount: cancelled.args.recipientBalance,
+    senderAmount: cancelled.args.senderBalance,
+    tx: result.tx
+  };
+}
+
+export async function listSubscriptions(ctx, { address } = {}) {
+  const account = await selfAddress(ctx, address);
+  const [paying, receiving] = await Promise.all([
+    ctx.contract.getUserSubscriptions(account),
+    ctx.contract.getProviderSubscriptions(account)
+  ]);
+  const rows = [
+    ...paying.map((id) => ({ id, role: "subscriber" })),
+    ...receiving.map((id) => ({ id, role: "provider" }))
+  ];
+  return Promise.all(rows.map(async ({ id, role }) => ({ role, ...(await loadSubscription(ctx, id)) })));
+}
+
+export async function showSubscription(ctx, id) {
+  return loadSubscription(ctx, parseId(id, "subscription id"));
+}
+
+/**
+ * Subscribe to `provider` at `rate` ETH per 30-day month, escrowing `deposit` ETH
+ */
+export async function createSubscription(ctx, { provider, rate, deposit }) {
+  const signer = requireSigner(ctx);
+  const ratePerSecond = parseAmount(rate, 18, "rate") / SECONDS_PER_MONTH;
+  if (ratePerSecond === 0n) throw new CliError("Rate is too small");
+  const value = parseAmount(deposit, 18, "deposit");
+
+  const result = await send(
+    ctx,
+    ctx.contract.connect(signer).createSubscription(parseAddress(provider, "provider"), ratePerSecond, { value })
+  );
+  const created = result.events.find((event) => event.name === "SubscriptionCreated");
+  return { ...(await loadSubscription(ctx, created.args.subscriptionId)), tx: result.tx };
+}
+
+export async function topUpSubscription(ctx, id, { amount }) {
+  const subscriptionId = parseId(id, "subscription id");
+  const value = parseAmount(amount, 18);
+  const result = await send(ctx, ctx.contract.connect(requireSigner(ctx)).topUpSubscription(subscriptionId, { value }));
+  return { ...(await loadSubscription(ctx, subscriptionId)), tx: result.tx };
+}
+
+export async function cancelSubscription(ctx, id) {
+  const subscriptionId = parseId(id, "subscription id");
+  const result = await send(ctx, ctx.contract.connect(requireSigner(ctx)).cancelSubscription(subscriptionId));
+  return { ...(await loadSubscription(ctx, subscriptionId)), tx: result.tx };
+}
+
+/**
+ * Pay providers what is due on each subscription, in one transaction
+ */
+export async function settleSubscriptions(ctx, ids) {
+  if (ids.length === 0) throw new CliError("Pass at least one subscription id");
+  const subscriptionIds = ids.map((id) => parseId(id, "subscription id"));
+  const result = await send(ctx, ctx.contract.connect(requireSigner(ctx)).processSubscriptionPayments(subscriptionIds));
+  const byName = (name) =>
+    result.events.filter((event) => event.name === name).map((event) => Number(event.args.subscriptionId));
+  return {
+    paid: byName("SubscriptionPayment"),
+    failed: byName("SubscriptionPaymentFailed"),
+    lapsed: byName("SubscriptionLapsed"),
+    tx: result.tx
+  };
+}
+
+export async function getBalance(ctx, { address, token = ethers.ZeroAddress } = {}) {
+  const account = await selfAddress(ctx, address);
+  const tokenInfo = await getTokenInfo(ctx, parseAddress(token, "token"));
+  const withdrawable = tokenInfo.address === ethers.ZeroAddress
+    ? await ctx.contract.balances(account)
+    : await ctx.contract.tokenBalances(tokenInfo.address, account);
+  return { account, token: tokenInfo.address, symbol: tokenInfo.symbol, decimals: tokenInfo.decimals, withdrawable };
+}
+
+/**
+ * Withdraw the account's credited balance (cancellations, failed payouts, subscription refunds)
+ */
+export async function claimBalance(ctx, { token = ethers.ZeroAddress } = {}) {
+  const before = await getBalance(ctx, { token });
+  if (before.withdrawable === 0n) throw new CliError(`No ${before.symbol} balance to withdraw`);
+  const contract = ctx.contract.connect(requireSigner(ctx));
+  const result = await send(ctx, before.token === ethers.ZeroAddress ? contract.withdraw() : contract.withdrawToken(before.token));
+  return { ...before, withdrawable: 0n, amount: before.withdrawable, tx: result.tx };
+}
+
+/**
+ * Print accrual for `ids` (default: every stream of the account) every `interval` seconds.
+ * Balances tick locally from chain time, as in the web app, and are re-read every `refresh` seconds.
+ * Stops after `count` ticks, or when `signal` aborts.
+ */
+export async function watchStreams(ctx, ids, { address, interval = 1, refresh = 30, count = Infinity, onTick, signal } = {}) {
+  let streamIds = ids.map((id) => parseId(id, "stream id"));
+  if (streamIds.length === 0) {
+    streamIds = (await listStreams(ctx, { address })).map((stream) => BigInt(stream.id));
+    if (streamIds.length === 0) throw new CliError("No streams to watch");
+  }
+
+  let streams = [];
+  let offset = 0;
+  let loadedAt = -Infinity;
+  const reload = async () => {
+    const [loaded, block] = await Promise.all([
+      Promise.all(streamIds.map((id) => loadStream(ctx, id))),
+      ctx.provider.getBlock("latest")
+    ]);
+    streams = loaded;
+    offset = block.timestamp - Date.now() / 1000;
+    loadedAt = Date.now();
+  };
+
+  for (let tick = 0; tick < count && !signal?.aborted; tick++) {
+    if (Date.now() - loadedAt >= refresh * 1000) await reload();
+    const nowMs = chainNowMs(offset);
+    onTick(
+      streams.map((stream) => {
+        const { recipientBalance, senderBalance, net } = accrualAt(stream.raw, nowMs, stream.feeBps);
+        // Whole seconds match what balanceOf would return in a block at this time
+        const [onChainRecipient] = balanceOf(stream.raw, BigInt(Math.floor(nowMs / 1000)));
+        return {
+          id: stream.id,
+          time: Math.floor(nowMs / 1000),
+          symbol: stream.symbol,
+          decimals: stream.decimals,
+          recipientBalance,
+          net,
+          senderBalance,
+          withdrawable: onChainRecipient,
+          active: stream.active,
+          paused: stream.paused,
+          status: stream.status
+        };
+      })
+    );
+    if (tick + 1 < count) await sleep(interval * 1000, signal);
+  }
+}
+
+// Resolves early when signal aborts; the timer drops its abort listener either way
+async function sleep(ms, signal) {
+  try {
+    await delay(ms, undefined, { signal });
+  } catch (error) {
+    if (error.name !== "AbortError") throw error;
+  }
+}
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+import { runCli } from "./cli.js";
+
+// Ctrl-C ends `watch` cleanly instead of mid-write
+const controller = new AbortController();
+process.once("SIGINT", () => controller.abort());
+
+runCli(process.argv.slice(2), { signal: controller.signal })
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,45 @@
+import fs from "fs";
+import readline from "readline";
+import { ethers } from "ethers";
+import { CliError } from "./commands.js";
+
+/**
+ * Signer from an encrypted JSON keystore, or from PRIVATE_KEY. Returns null when
+ * neither is given, so read-only commands work without a key.
+ */
+export async function loadSigner({ keystore, privateKey, password, provider, promptPassword = askPassword }) {
+  if (keystore) {
+    if (!fs.existsSync(keystore)) throw new CliError(`Keystore not found: ${keystore}`);
+    const json = fs.readFileSync(keystore, "utf8");
+    const secret = password ?? (await promptPassword(`Password for ${keystore}: `));
+    try {
+      return (await ethers.Wallet.fromEncryptedJson(json, secret)).connect(provider);
+    } catch (error) {
+      throw new CliError(`Couldn't decrypt keystore: ${error.message}`);
+    }
+  }
+  if (privateKey) {
+    try {
+      return new ethers.Wallet(privateKey, provider);
+    } catch {
+      throw new CliError("PRIVATE_KEY is not a valid private key");
+    }
+  }
+  return null;
+}
+
+// Read a password from the terminal without echoing it
+function askPassword(question) {
+  if (!process.stdin.isTTY) throw new CliError("Set STREAMPAY_KEYSTORE_PASSWORD to use a keystore non-interactively");
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: true });
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stderr.write("\n");
+      resolve(answer);
+    });
+  });
+}
@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @dev Lifecycle of a stream. Active streams stay withdrawable past stopTime until everything
+ * is paid out (Completed) or a party cancels (Cancelled).
+ */
+enum StreamStatus {
+    Active,
+    Paused,
+    Completed,
+    Cancelled
+}
+
+/**
+ * @dev The parts of StreamPay used by its companion contracts
+ */
+interface IStreamPay {
+    function getStream(uint256 streamId) external view returns (
+        address sender,
+        address recipient,
+        uint256 deposit,
+        uint256 ratePerSecond,
+        uint256 startTime,
+        uint256 stopTime,
+        uint256 remainingBalance,
+        bool active,
+        address token,
+        uint256 pausedAt,
+        uint256 pausedDuration,
+        StreamStatus status,
+        uint256 withdrawn,
+        uint256 refunded
+    );
+
+    function balanceOf(uint256 streamId) external view returns (uint256 recipientBalance, uint256 senderBalance);
+
+    function onStreamTransfer(uint256 streamId, address from, address to) external;
+
+    function getRecipientStreams(address recipient) external view returns (uint256[] memory);
+
+    function feeFor(address sender, address recipient) external view returns (uint256);
+
+    function withdrawFromStream(uint256 streamId) external;
+
+    function balances(address account) external view returns (uint256);
+
+    function tokenBalances(address token, address account) external view returns (uint256);
+
+    function withdraw() external;
+
+    function withdrawToken(address token) external;
+}
@@ -1,15 +1,33 @@
 // SPDX-License-Identifier: MIT
-pragma solidity ^0.8.20;
+pragma solidity ^0.8.22;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
-import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/NoncesUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/cryptography/EIP712Upgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./StreamPayNFT.sol";
 
 /**
  * @title StreamPay
  * @dev Streaming micropayments protocol on MegaETH
  * Real-time payment streaming with per-second precision
+ * Deployed behind a UUPS proxy: only append new state variables, never reorder or remove them.
  */
-contract StreamPay is Ownable, ReentrancyGuard {
+contract StreamPay is
+    Initializable,
+    OwnableUpgradeable,
+    ReentrancyGuardUpgradeable,
+    UUPSUpgradeable,
+    EIP712Upgradeable,
+    NoncesUpgradeable
+{
+    using SafeERC20 for IERC20;
+
     struct Stream {
         uint256 id;
         address sender;
@@ -20,6 +38,34 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 stopTime;
         uint256 remainingBalance;
         bool active;
+        address token; // address(0) for native ETH
+        StreamStatus status; // active stays true while Active or Paused
+        uint256 pausedAt; // 0 unless paused
+        uint256 pausedDuration; // total time spent paused so far
+        uint256 cliffTime; // nothing unlocks before this, startTime for no cliff
+        uint256 stepDuration; // unlock in tranches of this length, 0 for linear
+        uint256 withdrawn; // paid to the recipient so far, before fees
+        uint256 refunded; // returned to the sender so far
+    }
+
+    struct Schedule {
+        uint256 startTime;
+        uint256 cliffTime;
+        uint256 stepDuration;
+    }
+
+    // Fields of a CreateStream intent, in EIP-712 type order
+    struct StreamIntent {
+        address token;
+        address recipient;
+        uint256 duration;
+        uint256 ratePerSecond;
+        Schedule schedule;
+    }
+
+    struct FeeTier {
+        bool enabled;
+        uint256 fee; // basis points, overrides platformFee for this sender
     }
 
     struct Subscription {
@@ -29,18 +75,50 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 ratePerSecond;
         uint256 lastPaymentTime;
         bool active;
+        uint256 balance; // escrowed funds for this subscription only
+        bool lapsed; // ran out of funds, reactivated by a top-up
     }
 
     mapping(uint256 => Stream) public streams;
     mapping(uint256 => Subscription) public subscriptions;
     mapping(address => uint256[]) public userStreams; // sender's streams
     mapping(address => uint256[]) public recipientStreams; // recipient's streams
+    mapping(uint256 => uint256) private recipientStreamIndex; // position in recipientStreams
+    mapping(uint256 => address) public streamOperators; // may withdraw to the recipient
     mapping(address => uint256[]) public userSubscriptions;
+    mapping(address => uint256[]) public providerSubscriptions;
     mapping(address => uint256) public balances; // withdrawable balances
+    mapping(address => mapping(address => uint256)) public tokenBalances; // token => withdrawable balances
+
+    uint256 public nextStreamId;
+    uint256 public nextSubscriptionId;
+    uint256 public platformFee; // basis points, 10 = 0.1%
+    uint256 public constant MAX_FEE = 1000; // 10%
+
+    address public treasury; // receives swept fees, independent of the owner
+    mapping(address => uint256) public accruedFees; // token => fees not yet swept, address(0) for ETH
+    mapping(address => FeeTier) public senderFeeTiers; // negotiated fees per stream sender / subscriber
+    mapping(address => bool) public feeExempt; // no fee when either party is listed
+
+    // Gas forwarded with ETH payouts: enough for Safe-style wallets, too little to grief the caller
+    uint256 public constant PAYOUT_GAS = 50_000;
 
-    uint256 public nextStreamId = 1;
-    uint256 public nextSubscriptionId = 1;
-    uint256 public platformFee = 10; // 0.1% (10/10000)
+    StreamPayNFT public streamNFT; // ownerOf(streamId) is the stream's recipient
+
+    // Streams from before status was stored that backfillStreams hasn't reached: ids from
+    // statusBackfillNext up to statusBackfillEnd. Both zero until initialize or initializeV2.
+    uint256 public statusBackfillNext;
+    uint256 public statusBackfillEnd;
+
+    // EIP-712 intents a relayer can submit on the signer's behalf; nonces() is per signer
+    bytes32 public constant WITHDRAW_TYPEHASH =
+        keccak256("Withdraw(uint256 streamId,uint256 amount,address to,uint256 nonce,uint256 deadline)");
+    bytes32 public constant CANCEL_TYPEHASH = keccak256("Cancel(uint256 streamId,uint256 nonce,uint256 deadline)");
+    bytes32 public constant CREATE_STREAM_TYPEHASH = keccak256(
+        "CreateStream(address token,address recipient,uint256 duration,uint256 ratePerSecond,uint256 startTime,uint256 cliffTime,uint256 stepDuration,uint256 nonce,uint256 deadline)"
+    );
+
+    event StreamNFTSet(address indexed streamNFT);
 
     event StreamCreated(
         uint256 indexed streamId,
@@ -51,6 +129,11 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 startTime,
         uint256 stopTime
     );
+
+    event TokenStreamCreated(
+        uint256 indexed streamId,
+        address indexed token
+    );
     
     event StreamWithdrawn(
         uint256 indexed streamId,
@@ -58,6 +141,52 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 amount
     );
     
+    event StreamScheduleSet(
+        uint256 indexed streamId,
+        uint256 cliffTime,
+        uint256 stepDuration
+    );
+
+    event StreamOperatorSet(
+        uint256 indexed streamId,
+        address indexed recipient,
+        address indexed operator
+    );
+
+    event StreamTransferred(
+        uint256 indexed streamId,
+        address indexed from,
+        address indexed to
+    );
+
+    event StreamPaused(
+        uint256 indexed streamId,
+        address indexed sender,
+        uint256 pausedAt
+    );
+
+    event StreamResumed(
+        uint256 indexed streamId,
+        address indexed sender,
+        uint256 pausedDuration,
+        uint256 stopTime
+    );
+
+    event StreamToppedUp(
+        uint256 indexed streamId,
+        address indexed sender,
+        uint256 amount,
+        uint256 stopTime
+    );
+
+    event StreamRateUpdated(
+        uint256 indexed streamId,
+        address indexed sender,
+        uint256 oldRate,
+        uint256 newRate,
+        uint256 stopTime
+    );
+
     event StreamCancelled(
         uint256 indexed streamId,
         address indexed sender,
@@ -66,6 +195,24 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 recipientBalance
     );
 
+    event PayoutCredited(
+        address indexed to,
+        address indexed token,
+        uint256 amount
+    );
+
+    event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
+
+    event SenderFeeTierSet(address indexed sender, uint256 fee);
+
+    event SenderFeeTierCleared(address indexed sender);
+
+    event FeeExemptionSet(address indexed account, bool exempt);
+
+    event TreasuryUpdated(address indexed oldTreasury, address indexed newTreasury);
+
+    event FeesSwept(address indexed token, address indexed treasury, uint256 amount);
+
     event SubscriptionCreated(
         uint256 indexed subscriptionId,
         address indexed subscriber,
@@ -80,12 +227,119 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 amount
     );
 
+    event SubscriptionPaymentFailed(
+        uint256 indexed subscriptionId,
+        address indexed subscriber,
+        address indexed provider,
+        uint256 shortfall
+    );
+
+    event SubscriptionLapsed(
+        uint256 indexed subscriptionId,
+        address indexed subscriber
+    );
+
+    event SubscriptionToppedUp(
+        uint256 indexed subscriptionId,
+        address indexed subscriber,
+        uint256 amount,
+        uint256 balance
+    );
+
     event SubscriptionCancelled(
         uint256 indexed subscriptionId,
         address indexed subscriber
     );
 
-    constructor() Ownable(msg.sender) {}
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set up the proxy's storage; runs once, in place of a constructor. Fresh proxies
+     * have no streams to backfill, so initializeV2 only ever runs on proxies from before it.
+     * @param initialOwner Owner and initial treasury
+     */
+    function initialize(address initialOwner) external initializer {
+        __Ownable_init(initialOwner);
+        __ReentrancyGuard_init();
+        __UUPSUpgradeable_init();
+        __EIP712_init("StreamPay", "1");
+        __Nonces_init();
+
+        nextStreamId = 1;
+        nextSubscriptionId = 1;
+        platformFee = 10; // 0.1% (10/10000)
+        treasury = initialOwner;
+        statusBackfillNext = 1;
+        statusBackfillEnd = 1;
+    }
+
+    /**
+     * @dev Upgrade call for proxies initialized before stream status was stored (owner).
+     * Marks the streams created so far for backfillStreams; later streams store their own.
+     */
+    function initializeV2() external onlyOwner reinitializer(2) {
+        require(statusBackfillNext == 0, "Status already stored");
+        statusBackfillNext = 1;
+        statusBackfillEnd = nextStreamId;
+    }
+
+    /**
+     * @dev Fill in status, withdrawn and refunded for the streams from statusBackfillNext
+     * up to toId (owner), after initializeV2; split across calls to stay within the gas limit.
+     * Drained and paused streams follow from the old flags, but a cancel left nothing in
+     * storage, so cancelledIds in the range and their refunds (senderBalance) come from
+     * StreamCancelled logs. withdrawn is whatever left remainingBalance and wasn't refunded;
+     * for streams re-rated before the upgrade it only counts what was withdrawn since.
+     */
+    function backfillStreams(
+        uint256 toId,
+        uint256[] calldata cancelledIds,
+        uint256[] calldata refunds
+    ) external onlyOwner {
+        uint256 fromId = statusBackfillNext;
+        require(fromId < toId && toId <= statusBackfillEnd, "Invalid backfill range");
+        require(cancelledIds.length == refunds.length, "Length mismatch");
+
+        for (uint256 i = 0; i < cancelledIds.length; i++) {
+            require(cancelledIds[i] >= fromId && cancelledIds[i] < toId, "Invalid backfill range");
+            Stream storage stream = streams[cancelledIds[i]];
+            require(!stream.active, "Stream not cancelled");
+            stream.status = StreamStatus.Cancelled;
+            stream.refunded = refunds[i];
+        }
+
+        for (uint256 id = fromId; id < toId; id++) {
+            Stream storage stream = streams[id];
+            if (stream.status != StreamStatus.Cancelled) {
+                if (!stream.active) {
+                    stream.status = StreamStatus.Completed;
+                } else if (stream.pausedAt != 0) {
+                    stream.status = StreamStatus.Paused;
+                }
+            }
+            stream.withdrawn = stream.deposit - stream.remainingBalance - stream.refunded;
+        }
+        statusBackfillNext = toId;
+    }
+
+    /**
+     * @dev Connect the stream NFT, deployed separately against the proxy address
+     * to keep its bytecode out of StreamPay's (only owner, once)
+     */
+    function setStreamNFT(StreamPayNFT nft) external onlyOwner {
+        require(address(streamNFT) == address(0), "Stream NFT already set");
+        require(address(nft.streamPay()) == address(this), "NFT bound to another contract");
+        streamNFT = nft;
+        emit StreamNFTSet(address(nft));
+    }
+
+    /**
+     * @dev Only the owner can upgrade the implementation
+     */
+    function _authorizeUpgrade(address) internal override onlyOwner {}
 
     /**
      * @dev Create a payment stream
@@ -98,42 +352,243 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 duration,
         uint256 ratePerSecond
     ) external payable nonReentrant returns (uint256) {
+        return _createNativeStream(recipient, duration, ratePerSecond, Schedule(block.timestamp, 0, 0));
+    }
+
+    /**
+     * @dev Create a payment stream with a vesting schedule
+     * @param recipient Address to stream to
+     * @param duration Duration in seconds, counted from startTime
+     * @param ratePerSecond Payment rate per second in wei
+     * @param startTime When accrual begins, 0 for now
+     * @param cliffTime Nothing unlocks before this timestamp, 0 for no cliff
+     * @param stepDuration Unlock in tranches of this many seconds, 0 for linear
+     */
+    function createVestingStream(
+        address recipient,
+        uint256 duration,
+        uint256 ratePerSecond,
+        uint256 startTime,
+        uint256 cliffTime,
+        uint256 stepDuration
+    ) external payable nonReentrant returns (uint256) {
+        return _createNativeStream(recipient, duration, ratePerSecond, Schedule(startTime, cliffTime, stepDuration));
+    }
+
+    /**
+     * @dev Create several payment streams in one transaction, e.g. for payroll.
+     * msg.value must cover the summed deposits; any excess is refunded once.
+     * @param recipients Addresses to stream to
+     * @param durations Duration in seconds for each stream
+     * @param ratesPerSecond Payment rate per second in wei for each stream
+     */
+    function createStreams(
+        address[] calldata recipients,
+        uint256[] calldata durations,
+        uint256[] calldata ratesPerSecond
+    ) external payable nonReentrant returns (uint256[] memory streamIds) {
+        require(recipients.length > 0, "No streams");
+        require(
+            recipients.length == durations.length && recipients.length == ratesPerSecond.length,
+            "Length mismatch"
+        );
+
+        uint256 totalDeposit;
+        streamIds = new uint256[](recipients.length);
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            _validateStream(msg.sender, recipients[i], durations[i], ratesPerSecond[i]);
+
+            uint256 deposit = ratesPerSecond[i] * durations[i];
+            totalDeposit += deposit;
+            require(msg.value >= totalDeposit, "Insufficient deposit");
+
+            streamIds[i] = _createStream(
+                msg.sender,
+                address(0),
+                recipients[i],
+                durations[i],
+                ratesPerSecond[i],
+                deposit,
+                Schedule(block.timestamp, 0, 0)
+            );
+        }
+
+        // Refund excess
+        if (msg.value > totalDeposit) {
+            _payout(address(0), msg.sender, msg.value - totalDeposit);
+        }
+    }
+
+    /**
+     * @dev Create an ERC-20 payment stream. The sender must approve the deposit first.
+     * For fee-on-transfer tokens the stream is funded with the amount actually received,
+     * so accrual stops once that amount is reached.
+     * @param token ERC-20 token to stream
+     * @param recipient Address to stream to
+     * @param duration Duration in seconds
+     * @param ratePerSecond Payment rate per second in token base units
+     */
+    function createTokenStream(
+        address token,
+        address recipient,
+        uint256 duration,
+        uint256 ratePerSecond
+    ) external nonReentrant returns (uint256) {
+        return _createTokenStream(msg.sender, token, recipient, duration, ratePerSecond, Schedule(block.timestamp, 0, 0));
+    }
+
+    /**
+     * @dev Create an ERC-20 payment stream with a vesting schedule.
+     * See createVestingStream for the schedule parameters.
+     */
+    function createTokenVestingStream(
+        address token,
+        address recipient,
+        uint256 duration,
+        uint256 ratePerSecond,
+        uint256 startTime,
+        uint256 cliffTime,
+        uint256 stepDuration
+    ) external nonReentrant returns (uint256) {
+        return _createTokenStream(
+            msg.sender,
+            token,
+            recipient,
+            duration,
+            ratePerSecond,
+            Schedule(startTime, cliffTime, stepDuration)
+        );
+    }
+
+    function _createNativeStream(
+        address recipient,
+        uint256 duration,
+        uint256 ratePerSecond,
+        Schedule memory schedule
+    ) internal returns (uint256) {
+        _validateStream(msg.sender, recipient, duration, ratePerSecond);
+
+        uint256 deposit = ratePerSecond * duration;
+        require(msg.value >= deposit, "Insufficient deposit");
+
+        uint256 streamId = _createStream(msg.sender, address(0), recipient, duration, ratePerSecond, deposit, schedule);
+
+        // Refund excess
+        if (msg.value > deposit) {
+            _payout(address(0), msg.sender, msg.value - deposit);
+        }
+
+        return streamId;
+    }
+
+    function _createTokenStream(
+        address sender,
+        address token,
+        address recipient,
+        uint256 duration,
+        uint256 ratePerSecond,
+        Schedule memory schedule
+    ) internal returns (uint256) {
+        require(token != address(0), "Invalid token");
+        _validateStream(sender, recipient, duration, ratePerSecond);
+
+        uint256 amount = ratePerSecond * duration;
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(sender, address(this), amount);
+        uint256 deposit = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        require(deposit > 0, "Nothing deposited");
+
+        uint256 streamId = _createStream(sender, token, recipient, duration, ratePerSecond, deposit, schedule);
+        emit TokenStreamCreated(streamId, token);
+        return streamId;
+    }
+
+    function _validateStream(address sender, address recipient, uint256 duration, uint256 ratePerSecond) internal pure {
         require(recipient != address(0), "Invalid recipient");
-        require(recipient != msg.sender, "Cannot stream to yourself");
+        require(recipient != sender, "Cannot stream to yourself");
         require(duration > 0, "Duration must be > 0");
         require(ratePerSecond > 0, "Rate must be > 0");
+    }
 
-        uint256 deposit = ratePerSecond * duration;
-        require(msg.value >= deposit, "Insufficient deposit");
+    function _createStream(
+        address sender,
+        address token,
+        address recipient,
+        uint256 duration,
+        uint256 ratePerSecond,
+        uint256 deposit,
+        Schedule memory schedule
+    ) internal returns (uint256) {
+        if (schedule.startTime == 0) {
+            schedule.startTime = block.timestamp;
+        }
+        require(schedule.startTime >= block.timestamp, "Start time in the past");
+
+        uint256 stopTime = schedule.startTime + duration;
+        if (schedule.cliffTime == 0) {
+            schedule.cliffTime = schedule.startTime;
+        }
+        require(schedule.cliffTime >= schedule.startTime && schedule.cliffTime <= stopTime, "Invalid cliff");
+        require(schedule.stepDuration <= duration, "Step longer than stream");
 
         uint256 streamId = nextStreamId++;
-        uint256 startTime = block.timestamp;
-        uint256 stopTime = startTime + duration;
 
         streams[streamId] = Stream({
             id: streamId,
-            sender: msg.sender,
+            sender: sender,
             recipient: recipient,
             deposit: deposit,
             ratePerSecond: ratePerSecond,
-            startTime: startTime,
+            startTime: schedule.startTime,
             stopTime: stopTime,
             remainingBalance: deposit,
-            active: true
+            active: true,
+            token: token,
+            status: StreamStatus.Active,
+            pausedAt: 0,
+            pausedDuration: 0,
+            cliffTime: schedule.cliffTime,
+            stepDuration: schedule.stepDuration,
+            withdrawn: 0,
+            refunded: 0
         });
 
-        userStreams[msg.sender].push(streamId);
+        userStreams[sender].push(streamId);
+        recipientStreamIndex[streamId] = recipientStreams[recipient].length;
         recipientStreams[recipient].push(streamId);
+        require(address(streamNFT) != address(0), "Stream NFT not set");
+        streamNFT.mint(recipient, streamId);
 
-        // Refund excess
-        if (msg.value > deposit) {
-            payable(msg.sender).transfer(msg.value - deposit);
+        emit StreamCreated(streamId, sender, recipient, deposit, ratePerSecond, schedule.startTime, stopTime);
+        if (schedule.cliffTime > schedule.startTime || schedule.stepDuration > 0) {
+            emit StreamScheduleSet(streamId, schedule.cliffTime, schedule.stepDuration);
         }
-
-        emit StreamCreated(streamId, msg.sender, recipient, deposit, ratePerSecond, startTime, stopTime);
         return streamId;
     }
 
+    /**
+     * @dev Move a stream to the new owner of its NFT (StreamPayNFT only)
+     */
+    function onStreamTransfer(uint256 streamId, address from, address to) external {
+        require(msg.sender == address(streamNFT), "Only stream NFT");
+
+        // Swap-and-pop the stream out of the previous recipient's index
+        uint256[] storage fromStreams = recipientStreams[from];
+        uint256 index = recipientStreamIndex[streamId];
+        uint256 lastId = fromStreams[fromStreams.length - 1];
+        fromStreams[index] = lastId;
+        recipientStreamIndex[lastId] = index;
+        fromStreams.pop();
+
+        recipientStreamIndex[streamId] = recipientStreams[to].length;
+        recipientStreams[to].push(streamId);
+        streams[streamId].recipient = to;
+        delete streamOperators[streamId];
+
+        emit StreamTransferred(streamId, from, to);
+    }
+
     /**
      * @dev Calculate available balance for a stream
      */
@@ -145,20 +600,14 @@ contract StreamPay is Ownable, ReentrancyGuard {
             return (0, stream.remainingBalance);
         }
 
-        uint256 elapsedTime;
-        if (block.timestamp >= stream.stopTime) {
-            elapsedTime = stream.stopTime - stream.startTime;
-        } else {
-            elapsedTime = block.timestamp - stream.startTime;
-        }
-
-        uint256 earned = elapsedTime * stream.ratePerSecond;
+        uint256 earned = _streamedTime(stream) * stream.ratePerSecond;
         
         if (earned >= stream.deposit) {
             recipientBalance = stream.remainingBalance;
             senderBalance = 0;
         } else {
-            recipientBalance = earned;
+            // Exclude what the recipient has already withdrawn
+            recipientBalance = earned - (stream.deposit - stream.remainingBalance);
             senderBalance = stream.deposit - earned;
         }
 
@@ -166,38 +615,233 @@ contract StreamPay is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Withdraw from stream (recipient)
+     * @dev Seconds of accrual unlocked so far under the stream's schedule
+     */
+    function _streamedTime(Stream storage stream) internal view returns (uint256) {
+        // Accrual is frozen while paused; stopTime and cliffTime already include past pauses
+        uint256 currentTime = stream.pausedAt != 0 ? stream.pausedAt : block.timestamp;
+
+        if (currentTime <= stream.startTime || currentTime < stream.cliffTime) {
+            return 0;
+        }
+        if (currentTime >= stream.stopTime) {
+            return stream.stopTime - stream.startTime - stream.pausedDuration;
+        }
+
+        uint256 elapsedTime = currentTime - stream.startTime - stream.pausedDuration;
+        if (stream.stepDuration > 0) {
+            elapsedTime -= elapsedTime % stream.stepDuration;
+        }
+        return elapsedTime;
+    }
+
+    /**
+     * @dev Withdraw everything accrued from stream (recipient)
      */
     function withdrawFromStream(uint256 streamId) external nonReentrant {
+        require(streams[streamId].recipient == msg.sender, "Not stream recipient");
+
+        (uint256 recipientBalance, ) = balanceOf(streamId);
+        _withdrawFromStream(streamId, recipientBalance, msg.sender);
+    }
+
+    /**
+     * @dev Withdraw part of the accrued balance to any address (recipient), or
+     * to the recipient (approved operator)
+     * @param amount Gross amount to withdraw, before the platform fee
+     * @param to Address that receives the payout
+     */
+    function withdrawFromStream(uint256 streamId, uint256 amount, address to) external nonReentrant {
         Stream storage stream = streams[streamId];
-        require(stream.recipient == msg.sender, "Not stream recipient");
-        require(stream.active, "Stream not active");
+        if (msg.sender != stream.recipient) {
+            require(
+                stream.recipient != address(0) && streamOperators[streamId] == msg.sender,
+                "Not stream recipient"
+            );
+            require(to == stream.recipient, "Operator must pay recipient");
+        }
+        require(to != address(0), "Invalid destination");
 
         (uint256 recipientBalance, ) = balanceOf(streamId);
-        require(recipientBalance > 0, "Nothing to withdraw");
+        require(amount <= recipientBalance, "Amount exceeds balance");
+        _withdrawFromStream(streamId, amount, to);
+    }
 
-        uint256 fee = (recipientBalance * platformFee) / 10000;
-        uint256 netAmount = recipientBalance - fee;
+    /**
+     * @dev Approve an operator who can trigger withdrawals to the recipient (recipient).
+     * Pass address(0) to revoke. Cleared when the stream is transferred.
+     */
+    function setStreamOperator(uint256 streamId, address operator) external {
+        require(streams[streamId].recipient == msg.sender, "Not stream recipient");
+
+        streamOperators[streamId] = operator;
+
+        emit StreamOperatorSet(streamId, msg.sender, operator);
+    }
+
+    function _withdrawFromStream(uint256 streamId, uint256 amount, address to) internal {
+        Stream storage stream = streams[streamId];
+        require(stream.active, "Stream not active");
+        require(amount > 0, "Nothing to withdraw");
 
-        stream.remainingBalance -= recipientBalance;
+        stream.remainingBalance -= amount;
+        stream.withdrawn += amount;
 
-        if (block.timestamp >= stream.stopTime || stream.remainingBalance == 0) {
+        if (stream.remainingBalance == 0) {
             stream.active = false;
+            stream.status = StreamStatus.Completed;
+        }
+
+        uint256 netAmount = _takeFee(stream.token, stream.sender, stream.recipient, amount);
+        _payout(stream.token, to, netAmount);
+
+        emit StreamWithdrawn(streamId, stream.recipient, netAmount);
+    }
+
+    /**
+     * @dev Pause accrual on a stream (sender)
+     */
+    function pauseStream(uint256 streamId) external {
+        Stream storage stream = streams[streamId];
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(stream.active, "Stream not active");
+        require(stream.pausedAt == 0, "Stream already paused");
+        require(block.timestamp >= stream.startTime, "Stream not started");
+        require(block.timestamp < stream.stopTime, "Stream finished");
+
+        stream.pausedAt = block.timestamp;
+        stream.status = StreamStatus.Paused;
+
+        emit StreamPaused(streamId, msg.sender, block.timestamp);
+    }
+
+    /**
+     * @dev Resume a paused stream (sender). stopTime, and a cliff not yet reached,
+     * move out by the paused duration.
+     */
+    function resumeStream(uint256 streamId) external {
+        Stream storage stream = streams[streamId];
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(stream.active, "Stream not active");
+        require(stream.pausedAt != 0, "Stream not paused");
+
+        uint256 pausedFor = block.timestamp - stream.pausedAt;
+        if (stream.cliffTime > stream.pausedAt) {
+            stream.cliffTime += pausedFor;
+        }
+        stream.pausedAt = 0;
+        stream.status = StreamStatus.Active;
+        stream.pausedDuration += pausedFor;
+        stream.stopTime += pausedFor;
+
+        emit StreamResumed(streamId, msg.sender, pausedFor, stream.stopTime);
+    }
+
+    /**
+     * @dev Add funds to an ETH stream (sender). stopTime moves out by msg.value / rate;
+     * anything below one second of accrual is refunded.
+     */
+    function topUpStream(uint256 streamId) external payable nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.token == address(0), "Not an ETH stream");
+
+        uint256 extension = _topUpExtension(stream, msg.value);
+        uint256 added = extension * stream.ratePerSecond;
+        _extendStream(stream, extension, added);
+
+        // Refund excess
+        if (msg.value > added) {
+            _payout(address(0), msg.sender, msg.value - added);
+        }
+
+        emit StreamToppedUp(streamId, msg.sender, added, stream.stopTime);
+    }
+
+    /**
+     * @dev Add funds to an ERC-20 stream (sender). The sender must approve amount first;
+     * only whole seconds of accrual are pulled.
+     */
+    function topUpTokenStream(uint256 streamId, uint256 amount) external nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.token != address(0), "Not a token stream");
+
+        uint256 extension = _topUpExtension(stream, amount);
+        uint256 balanceBefore = IERC20(stream.token).balanceOf(address(this));
+        IERC20(stream.token).safeTransferFrom(msg.sender, address(this), extension * stream.ratePerSecond);
+        uint256 received = IERC20(stream.token).balanceOf(address(this)) - balanceBefore;
+        _extendStream(stream, extension, received);
+
+        emit StreamToppedUp(streamId, msg.sender, received, stream.stopTime);
+    }
+
+    function _topUpExtension(Stream storage stream, uint256 amount) internal view returns (uint256 extension) {
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(stream.active, "Stream not active");
+        require(block.timestamp < stream.stopTime, "Stream finished");
+
+        extension = amount / stream.ratePerSecond;
+        require(extension > 0, "Top-up below rate");
+    }
+
+    function _extendStream(Stream storage stream, uint256 extension, uint256 deposit) internal {
+        stream.deposit += deposit;
+        stream.remainingBalance += deposit;
+        stream.stopTime += extension;
+    }
+
+    /**
+     * @dev Change the rate of a running stream (sender). Everything accrued so far is
+     * paid to the recipient, then the unstreamed balance restarts from now at newRate.
+     * Any remainder below one second at the new rate is refunded. A stepped stream's
+     * steps restart from now too, so the new duration must still cover one step.
+     */
+    function updateRate(uint256 streamId, uint256 newRate) external nonReentrant {
+        Stream storage stream = streams[streamId];
+        require(stream.sender == msg.sender, "Not stream sender");
+        require(stream.active, "Stream not active");
+        require(newRate > 0, "Rate must be > 0");
+        require(stream.pausedAt == 0, "Stream paused");
+        require(block.timestamp >= stream.cliffTime, "Cliff not reached");
+        require(block.timestamp < stream.stopTime, "Stream finished");
+
+        (uint256 recipientBalance, uint256 senderBalance) = balanceOf(streamId);
+        uint256 duration = senderBalance / newRate;
+        require(duration > 0, "Rate exceeds remaining");
+        require(stream.stepDuration <= duration, "Step longer than stream");
+
+        if (recipientBalance > 0) {
+            _withdrawFromStream(streamId, recipientBalance, stream.recipient);
         }
 
-        balances[owner()] += fee;
-        payable(msg.sender).transfer(netAmount);
+        uint256 oldRate = stream.ratePerSecond;
+        uint256 deposit = duration * newRate;
+        stream.deposit = deposit;
+        stream.remainingBalance = deposit;
+        stream.ratePerSecond = newRate;
+        stream.startTime = block.timestamp;
+        stream.cliffTime = block.timestamp;
+        stream.stopTime = block.timestamp + duration;
+        stream.pausedDuration = 0;
 
-        emit StreamWithdrawn(streamId, msg.sender, netAmount);
+        if (senderBalance > deposit) {
+            stream.refunded += senderBalance - deposit;
+            _payout(stream.token, stream.sender, senderBalance - deposit);
+        }
+
+        emit StreamRateUpdated(streamId, msg.sender, oldRate, newRate, stream.stopTime);
     }
 
     /**
      * @dev Cancel stream (sender or recipient)
      */
     function cancelStream(uint256 streamId) external nonReentrant {
+        _cancelStream(streamId, msg.sender);
+    }
+
+    function _cancelStream(uint256 streamId, address caller) internal {
         Stream storage stream = streams[streamId];
         require(
-            stream.sender == msg.sender || stream.recipient == msg.sender,
+            stream.sender == caller || stream.recipient == caller,
             "Not authorized"
         );
         require(stream.active, "Stream not active");
@@ -205,22 +849,164 @@ contract StreamPay is Ownable, ReentrancyGuard {
         (uint256 recipientBalance, uint256 senderBalance) = balanceOf(streamId);
 
         stream.active = false;
+        stream.status = StreamStatus.Cancelled;
         stream.remainingBalance = 0;
+        stream.withdrawn += recipientBalance;
+        stream.refunded += senderBalance;
 
         if (recipientBalance > 0) {
-            uint256 fee = (recipientBalance * platformFee) / 10000;
-            uint256 netAmount = recipientBalance - fee;
-            balances[owner()] += fee;
-            payable(stream.recipient).transfer(netAmount);
+            uint256 netAmount = _takeFee(stream.token, stream.sender, stream.recipient, recipientBalance);
+            _payout(stream.token, stream.recipient, netAmount);
         }
 
         if (senderBalance > 0) {
-            payable(stream.sender).transfer(senderBalance);
+            _payout(stream.token, stream.sender, senderBalance);
         }
 
         emit StreamCancelled(streamId, stream.sender, stream.recipient, senderBalance, recipientBalance);
     }
 
+    /**
+     * @dev Withdraw on the recipient's behalf with their EIP-712 Withdraw signature,
+     * so a relayer pays the gas
+     * @param amount Gross amount to withdraw, 0 for everything accrued when the relayer submits
+     */
+    function withdrawFromStreamWithSig(
+        uint256 streamId,
+        uint256 amount,
+        address to,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        address recipient = streams[streamId].recipient;
+        _useSignature(
+            recipient,
+            keccak256(abi.encode(WITHDRAW_TYPEHASH, streamId, amount, to, _useNonce(recipient), deadline)),
+            deadline,
+            signature
+        );
+        require(to != address(0), "Invalid destination");
+
+        (uint256 recipientBalance, ) = balanceOf(streamId);
+        if (amount == 0) {
+            amount = recipientBalance;
+        }
+        require(amount <= recipientBalance, "Amount exceeds balance");
+        _withdrawFromStream(streamId, amount, to);
+    }
+
+    /**
+     * @dev Cancel on behalf of the stream's sender or recipient with their EIP-712 Cancel signature
+     */
+    function cancelStreamWithSig(
+        uint256 streamId,
+        address signer,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant {
+        _useSignature(
+            signer,
+            keccak256(abi.encode(CANCEL_TYPEHASH, streamId, _useNonce(signer), deadline)),
+            deadline,
+            signature
+        );
+        _cancelStream(streamId, signer);
+    }
+
+    /**
+     * @dev Create an ERC-20 stream funded by `sender` with their EIP-712 CreateStream signature.
+     * The sender must have approved the deposit; the relayer pays the gas.
+     * See createVestingStream for the schedule parameters.
+     */
+    function createStreamWithSig(
+        address sender,
+        StreamIntent calldata intent,
+        uint256 deadline,
+        bytes calldata signature
+    ) external nonReentrant returns (uint256) {
+        // A static struct encodes as its fields in order, matching CREATE_STREAM_TYPEHASH
+        _useSignature(
+            sender,
+            keccak256(abi.encode(CREATE_STREAM_TYPEHASH, intent, _useNonce(sender), deadline)),
+            deadline,
+            signature
+        );
+        return _createTokenStream(
+            sender,
+            intent.token,
+            intent.recipient,
+            intent.duration,
+            intent.ratePerSecond,
+            intent.schedule
+        );
+    }
+
+    function _useSignature(address signer, bytes32 structHash, uint256 deadline, bytes calldata signature) internal view {
+        require(block.timestamp <= deadline, "Signature expired");
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(_hashTypedDataV4(structHash), signature);
+        require(error == ECDSA.RecoverError.NoError && signer != address(0) && recovered == signer, "Invalid signature");
+    }
+
+    /**
+     * @dev The EIP-712 domain is constant instead of stored, so proxies initialized before
+     * signed intents existed verify them against the same domain
+     */
+    function _EIP712Name() internal pure override returns (string memory) {
+        return "StreamPay";
+    }
+
+    function _EIP712Version() internal pure override returns (string memory) {
+        return "1";
+    }
+
+    /**
+     * @dev Fee in basis points for a payment from sender to recipient: zero if either
+     * is exempt, else the sender's tier if one is set, else platformFee
+     */
+    function feeFor(address sender, address recipient) public view returns (uint256) {
+        if (feeExempt[sender] || feeExempt[recipient]) {
+            return 0;
+        }
+        FeeTier storage tier = senderFeeTiers[sender];
+        return tier.enabled ? tier.fee : platformFee;
+    }
+
+    /**
+     * @dev Book the fee on amount into accruedFees and return what is left for the recipient
+     */
+    function _takeFee(address token, address sender, address recipient, uint256 amount) internal returns (uint256) {
+        uint256 fee = (amount * feeFor(sender, recipient)) / 10000;
+        accruedFees[token] += fee;
+        return amount - fee;
+    }
+
+    /**
+     * @dev Send funds without letting the receiver block the transaction. If the
+     * transfer fails (reverting or gas-hungry wallet, blocklisted token holder) the
+     * amount is credited to balances / tokenBalances for a later withdraw.
+     */
+    function _payout(address token, address to, uint256 amount) internal {
+        bool success;
+        if (token == address(0)) {
+            // Assembly call so a large return payload can't be used to burn our gas
+            uint256 gasLimit = PAYOUT_GAS;
+            assembly ("memory-safe") {
+                success := call(gasLimit, to, amount, 0, 0, 0, 0)
+            }
+        } else {
+            success = IERC20(token).trySafeTransfer(to, amount);
+        }
+
+        if (!success) {
+            if (token == address(0)) {
+                balances[to] += amount;
+            } else {
+                tokenBalances[token][to] += amount;
+            }
+            emit PayoutCredited(to, token, amount);
+        }
+    }
+
     /**
      * @dev Create subscription
      */
@@ -241,89 +1027,150 @@ contract StreamPay is Ownable, ReentrancyGuard {
             provider: provider,
             ratePerSecond: ratePerSecond,
             lastPaymentTime: block.timestamp,
-            active: true
+            active: true,
+            balance: msg.value,
+            lapsed: false
         });
 
         userSubscriptions[msg.sender].push(subscriptionId);
-        balances[msg.sender] += msg.value;
+        providerSubscriptions[provider].push(subscriptionId);
 
         emit SubscriptionCreated(subscriptionId, msg.sender, provider, ratePerSecond);
         return subscriptionId;
     }
 
     /**
-     * @dev Process subscription payment
+     * @dev Process subscription payment. If the escrow can't cover what is due,
+     * the remaining balance is paid out and the subscription lapses.
      */
     function processSubscriptionPayment(uint256 subscriptionId) external nonReentrant {
         Subscription storage sub = subscriptions[subscriptionId];
         require(sub.active, "Subscription not active");
 
-        uint256 elapsedTime = block.timestamp - sub.lastPaymentTime;
-        uint256 payment = elapsedTime * sub.ratePerSecond;
+        _processSubscription(sub);
+    }
+
+    /**
+     * @dev Process several subscription payments in one transaction.
+     * Inactive subscriptions are skipped; underfunded ones emit
+     * SubscriptionPaymentFailed instead of reverting the batch.
+     * @return settled Number of subscriptions that were paid in full
+     */
+    function processSubscriptionPayments(uint256[] calldata subscriptionIds) external nonReentrant returns (uint256 settled) {
+        for (uint256 i = 0; i < subscriptionIds.length; i++) {
+            Subscription storage sub = subscriptions[subscriptionIds[i]];
+            if (!sub.active) {
+                continue;
+            }
 
-        require(balances[sub.subscriber] >= payment, "Insufficient balance");
+            if (_processSubscription(sub)) {
+                settled++;
+            }
+        }
+    }
 
-        balances[sub.subscriber] -= payment;
-        
-        uint256 fee = (payment * platformFee) / 10000;
-        uint256 netPayment = payment - fee;
+    function _processSubscription(Subscription storage sub) internal returns (bool paidInFull) {
+        uint256 shortfall = _settleSubscription(sub);
+        if (shortfall > 0) {
+            emit SubscriptionPaymentFailed(sub.id, sub.subscriber, sub.provider, shortfall);
+        }
 
-        balances[owner()] += fee;
-        payable(sub.provider).transfer(netPayment);
+        if (sub.balance == 0) {
+            sub.active = false;
+            sub.lapsed = true;
+            emit SubscriptionLapsed(sub.id, sub.subscriber);
+        }
+
+        return shortfall == 0;
+    }
+
+    /**
+     * @dev Pay the provider what has accrued since the last payment, capped at the escrow
+     * @return shortfall Amount due that the escrow could not cover
+     */
+    function _settleSubscription(Subscription storage sub) internal returns (uint256 shortfall) {
+        uint256 elapsedTime = block.timestamp - sub.lastPaymentTime;
+        uint256 due = elapsedTime * sub.ratePerSecond;
+        uint256 payment = due > sub.balance ? sub.balance : due;
 
+        sub.balance -= payment;
         sub.lastPaymentTime = block.timestamp;
 
-        emit SubscriptionPayment(subscriptionId, sub.subscriber, sub.provider, netPayment);
+        if (payment > 0) {
+            uint256 netPayment = _takeFee(address(0), sub.subscriber, sub.provider, payment);
+            _payout(address(0), sub.provider, netPayment);
+
+            emit SubscriptionPayment(sub.id, sub.subscriber, sub.provider, netPayment);
+        }
+
+        return due - payment;
     }
 
     /**
-     * @dev Cancel subscription
+     * @dev Cancel subscription. Settles what is due and unlocks the rest of
+     * the escrow into the subscriber's withdrawable balance.
      */
     function cancelSubscription(uint256 subscriptionId) external nonReentrant {
         Subscription storage sub = subscriptions[subscriptionId];
         require(sub.subscriber == msg.sender || sub.provider == msg.sender, "Not authorized");
-        require(sub.active, "Already cancelled");
+        require(sub.active || sub.lapsed, "Already cancelled");
 
         // Process final payment
-        if (balances[sub.subscriber] > 0) {
-            uint256 elapsedTime = block.timestamp - sub.lastPaymentTime;
-            uint256 payment = elapsedTime * sub.ratePerSecond;
-
-            if (payment > 0 && balances[sub.subscriber] >= payment) {
-                balances[sub.subscriber] -= payment;
-                uint256 fee = (payment * platformFee) / 10000;
-                uint256 netPayment = payment - fee;
-                balances[owner()] += fee;
-                payable(sub.provider).transfer(netPayment);
-            }
+        if (sub.active) {
+            _settleSubscription(sub);
         }
 
+        uint256 refund = sub.balance;
+        sub.balance = 0;
         sub.active = false;
+        sub.lapsed = false;
+        balances[sub.subscriber] += refund;
 
         emit SubscriptionCancelled(subscriptionId, sub.subscriber);
     }
 
     /**
-     * @dev Top up subscription balance
+     * @dev Top up subscription balance. Topping up a lapsed subscription
+     * reactivates it from now on.
      */
     function topUpSubscription(uint256 subscriptionId) external payable {
         Subscription storage sub = subscriptions[subscriptionId];
         require(sub.subscriber == msg.sender, "Not subscriber");
-        require(sub.active, "Subscription not active");
+        require(sub.active || sub.lapsed, "Subscription not active");
         require(msg.value > 0, "Must send ETH");
 
-        balances[msg.sender] += msg.value;
+        if (sub.lapsed) {
+            sub.lapsed = false;
+            sub.active = true;
+            sub.lastPaymentTime = block.timestamp;
+        }
+
+        sub.balance += msg.value;
+
+        emit SubscriptionToppedUp(subscriptionId, msg.sender, msg.value, sub.balance);
     }
 
     /**
-     * @dev Withdraw balance
+     * @dev Withdraw balance. Funds escrowed in active subscriptions are not included.
      */
     function withdraw() external nonReentrant {
         uint256 balance = balances[msg.sender];
         require(balance > 0, "No balance");
 
         balances[msg.sender] = 0;
-        payable(msg.sender).transfer(balance);
+        (bool success, ) = payable(msg.sender).call{value: balance}("");
+        require(success, "Transfer failed");
+    }
+
+    /**
+     * @dev Withdraw ERC-20 balance
+     */
+    function withdrawToken(address token) external nonReentrant {
+        uint256 balance = tokenBalances[token][msg.sender];
+        require(balance > 0, "No balance");
+
+        tokenBalances[token][msg.sender] = 0;
+        IERC20(token).safeTransfer(msg.sender, balance);
     }
 
     /**
@@ -348,7 +1195,14 @@ contract StreamPay is Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Get stream details
+     * @dev Get provider's subscriptions
+     */
+    function getProviderSubscriptions(address provider) external view returns (uint256[] memory) {
+        return providerSubscriptions[provider];
+    }
+
+    /**
+     * @dev Get stream details. withdrawn and refunded record how a finished stream was settled.
      */
     function getStream(uint256 streamId) external view returns (
         address sender,
@@ -358,7 +1212,13 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 startTime,
         uint256 stopTime,
         uint256 remainingBalance,
-        bool active
+        bool active,
+        address token,
+        uint256 pausedAt,
+        uint256 pausedDuration,
+        StreamStatus status,
+        uint256 withdrawn,
+        uint256 refunded
     ) {
         Stream storage stream = streams[streamId];
         return (
@@ -369,7 +1229,31 @@ contract StreamPay is Ownable, ReentrancyGuard {
             stream.startTime,
             stream.stopTime,
             stream.remainingBalance,
-            stream.active
+            stream.active,
+            stream.token,
+            stream.pausedAt,
+            stream.pausedDuration,
+            stream.status,
+            stream.withdrawn,
+            stream.refunded
+        );
+    }
+
+    /**
+     * @dev Get stream vesting schedule
+     */
+    function getStreamSchedule(uint256 streamId) external view returns (
+        uint256 startTime,
+        uint256 cliffTime,
+        uint256 stepDuration,
+        uint256 stopTime
+    ) {
+        Stream storage stream = streams[streamId];
+        return (
+            stream.startTime,
+            stream.cliffTime,
+            stream.stepDuration,
+            stream.stopTime
         );
     }
 
@@ -382,11 +1266,13 @@ contract StreamPay is Ownable, ReentrancyGuard {
         uint256 ratePerSecond,
         uint256 lastPaymentTime,
         bool active,
-        uint256 pendingPayment
+        uint256 pendingPayment,
+        uint256 balance,
+        bool lapsed
     ) {
         Subscription storage sub = subscriptions[subscriptionId];
         uint256 elapsedTime = block.timestamp - sub.lastPaymentTime;
-        uint256 pending = elapsedTime * sub.ratePerSecond;
+        uint256 pending = sub.active ? elapsedTime * sub.ratePerSecond : 0;
         
         return (
             sub.subscriber,
@@ -394,7 +1280,9 @@ contract StreamPay is Ownable, ReentrancyGuard {
             sub.ratePerSecond,
             sub.lastPaymentTime,
             sub.active,
-            pending
+            pending,
+            sub.balance,
+            sub.lapsed
         );
     }
 
@@ -402,8 +1290,62 @@ contract StreamPay is Ownable, ReentrancyGuard {
      * @dev Set platform fee (only owner)
      */
     function setPlatformFee(uint256 newFee) external onlyOwner {
-        require(newFee <= 1000, "Fee too high"); // Max 10%
+        require(newFee <= MAX_FEE, "Fee too high");
+        emit PlatformFeeUpdated(platformFee, newFee);
         platformFee = newFee;
     }
+
+    /**
+     * @dev Give a sender its own fee, e.g. a volume discount (only owner)
+     */
+    function setSenderFeeTier(address sender, uint256 fee) external onlyOwner {
+        require(fee <= MAX_FEE, "Fee too high");
+        senderFeeTiers[sender] = FeeTier(true, fee);
+        emit SenderFeeTierSet(sender, fee);
+    }
+
+    /**
+     * @dev Return a sender to platformFee (only owner)
+     */
+    function clearSenderFeeTier(address sender) external onlyOwner {
+        require(senderFeeTiers[sender].enabled, "No fee tier");
+        delete senderFeeTiers[sender];
+        emit SenderFeeTierCleared(sender);
+    }
+
+    /**
+     * @dev Add or remove an account from the fee-exempt allowlist (only owner)
+     */
+    function setFeeExempt(address account, bool exempt) external onlyOwner {
+        feeExempt[account] = exempt;
+        emit FeeExemptionSet(account, exempt);
+    }
+
+    /**
+     * @dev Set where swept fees go (only owner)
+     */
+    function setTreasury(address newTreasury) external onlyOwner {
+        require(newTreasury != address(0), "Invalid treasury");
+        emit TreasuryUpdated(treasury, newTreasury);
+        treasury = newTreasury;
+    }
+
+    /**
+     * @dev Send accrued fees in token (address(0) for ETH) to the treasury (only owner)
+     */
+    function sweepFees(address token) external onlyOwner nonReentrant {
+        uint256 amount = accruedFees[token];
+        require(amount > 0, "No fees");
+
+        accruedFees[token] = 0;
+        if (token == address(0)) {
+            (bool success, ) = payable(treasury).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(token).safeTransfer(treasury, amount);
+        }
+
+        emit FeesSwept(token, treasury, amount);
+    }
 }
 
@@ -0,0 +1,198 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./IStreamPay.sol";
+
+/**
+ * @title StreamPayNFT
+ * @dev ERC-721 receipt for each StreamPay stream. Whoever owns the token is the
+ * stream's recipient; transfers are reported back to StreamPay.
+ */
+contract StreamPayNFT is ERC721 {
+    using Strings for uint256;
+
+    struct StreamView {
+        uint256 deposit;
+        uint256 ratePerSecond;
+        uint256 remainingBalance;
+        bool active;
+        address token;
+        StreamStatus status;
+        uint256 refunded;
+    }
+
+    IStreamPay public immutable streamPay;
+
+    constructor(address streamPay_) ERC721("StreamPay Stream", "STREAM") {
+        streamPay = IStreamPay(streamPay_);
+    }
+
+    modifier onlyStreamPay() {
+        require(msg.sender == address(streamPay), "Only StreamPay");
+        _;
+    }
+
+    /**
+     * @dev Mint the token for a new stream (StreamPay only)
+     */
+    function mint(address to, uint256 streamId) external onlyStreamPay {
+        _mint(to, streamId);
+    }
+
+    /**
+     * @dev Fully on-chain metadata with rate, progress and remaining balance
+     */
+    function tokenURI(uint256 tokenId) public view override returns (string memory) {
+        _requireOwned(tokenId);
+
+        StreamView memory stream = _loadStream(tokenId);
+        (uint8 decimals, string memory symbol) = _tokenInfo(stream.token);
+        (, uint256 senderBalance) = streamPay.balanceOf(tokenId);
+
+        // A cancelled stream streamed whatever wasn't refunded; a completed one streamed everything
+        uint256 streamed = stream.active
+            ? stream.deposit - senderBalance
+            : (stream.refunded < stream.deposit ? stream.deposit - stream.refunded : 0);
+        uint256 progress = (streamed * 100) / stream.deposit;
+
+        string memory rate = string.concat(_formatUnits(stream.ratePerSecond * 3600, decimals), " ", symbol, "/h");
+        string memory remaining = string.concat(_formatUnits(stream.remainingBalance, decimals), " ", symbol);
+
+        string memory json = string.concat(
+            '{"name":"StreamPay Stream #', tokenId.toString(),
+            '","description":"Owner of this token receives the StreamPay payment stream.",',
+            _attributes(rate, progress, remaining, stream.status),
+            ',"image":"data:image/svg+xml;base64,',
+            Base64.encode(bytes(_svg(tokenId, rate, progress, remaining))),
+            '"}'
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from != address(0) && to != address(0)) {
+            streamPay.onStreamTransfer(tokenId, from, to);
+        }
+    }
+
+    function _attributes(
+        string memory rate,
+        uint256 progress,
+        string memory remaining,
+        StreamStatus status
+    ) internal pure returns (string memory) {
+        return string.concat(
+            '"attributes":[',
+            '{"trait_type":"Rate","value":"', rate, '"},',
+            '{"trait_type":"Progress","value":', progress.toString(), ',"max_value":100},',
+            '{"trait_type":"Remaining","value":"', remaining, '"},',
+            '{"trait_type":"Status","value":"', _statusName(status), '"}]'
+        );
+    }
+
+    function _statusName(StreamStatus status) internal pure returns (string memory) {
+        if (status == StreamStatus.Paused) return "Paused";
+        if (status == StreamStatus.Completed) return "Completed";
+        if (status == StreamStatus.Cancelled) return "Cancelled";
+        return "Active";
+    }
+
+    function _loadStream(uint256 streamId) internal view returns (StreamView memory stream) {
+        (
+            ,
+            ,
+            stream.deposit,
+            stream.ratePerSecond,
+            ,
+            ,
+            stream.remainingBalance,
+            stream.active,
+            stream.token,
+            ,
+            ,
+            stream.status,
+            ,
+            stream.refunded
+        ) = streamPay.getStream(streamId);
+    }
+
+    function _tokenInfo(address token) internal view returns (uint8 decimals, string memory symbol) {
+        if (token == address(0)) {
+            return (18, "ETH");
+        }
+        decimals = 18;
+        symbol = "tokens";
+        // 10 ** 78 overflows, so a token claiming more decimals is formatted as if it had 77
+        try IERC20Metadata(token).decimals() returns (uint8 d) {
+            decimals = d < 78 ? d : 77;
+        } catch {}
+        try IERC20Metadata(token).symbol() returns (string memory s) {
+            if (_isPlainSymbol(s)) symbol = s;
+        } catch {}
+    }
+
+    /**
+     * @dev The stream creator picks the token, so its symbol is only used if it can go into
+     * the JSON and the SVG as is: no quotes, backslashes, markup characters or control characters
+     */
+    function _isPlainSymbol(string memory symbol) internal pure returns (bool) {
+        bytes memory b = bytes(symbol);
+        for (uint256 i = 0; i < b.length; i++) {
+            bytes1 c = b[i];
+            if (
+                uint8(c) < 0x20 || uint8(c) == 0x7f ||
+                c == '"' || c == "\\" || c == "<" || c == ">" || c == "&" || c == "'"
+            ) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Format a base-unit amount with up to 6 fractional digits
+     */
+    function _formatUnits(uint256 amount, uint8 decimals) internal pure returns (string memory) {
+        uint256 unit = 10 ** decimals;
+        uint256 fractionDigits = decimals < 6 ? decimals : 6;
+        uint256 fraction = (amount % unit) / 10 ** (decimals - fractionDigits);
+
+        string memory fractionString = fraction.toString();
+        while (bytes(fractionString).length < fractionDigits) {
+            fractionString = string.concat("0", fractionString);
+        }
+        if (fractionDigits == 0) {
+            return (amount / unit).toString();
+        }
+        return string.concat((amount / unit).toString(), ".", fractionString);
+    }
+
+    function _svg(
+        uint256 tokenId,
+        string memory rate,
+        uint256 progress,
+        string memory remaining
+    ) internal pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="200" viewBox="0 0 350 200">',
+            '<defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">',
+            '<stop offset="0" stop-color="#667eea"/><stop offset="1" stop-color="#764ba2"/></linearGradient></defs>',
+            '<rect width="350" height="200" rx="16" fill="url(#g)"/>',
+            '<text x="20" y="40" font-family="sans-serif" font-size="22" font-weight="bold" fill="#fff">StreamPay #',
+            tokenId.toString(),
+            '</text>',
+            '<text x="20" y="80" font-family="sans-serif" font-size="14" fill="#fff">Rate: ', rate, '</text>',
+            '<text x="20" y="105" font-family="sans-serif" font-size="14" fill="#fff">Remaining: ', remaining, '</text>',
+            '<rect x="20" y="140" width="310" height="12" rx="6" fill="#ffffff55"/>',
+            '<rect x="20" y="140" width="', ((progress * 310) / 100).toString(), '" height="12" rx="6" fill="#fff"/>',
+            '<text x="20" y="180" font-family="sans-serif" font-size="14" fill="#fff">', progress.toString(), '% streamed</text>',
+            '</svg>'
+        );
+    }
+}
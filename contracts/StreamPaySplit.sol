@@ -0,0 +1,190 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./IStreamPay.sol";
+
+/**
+ * @title StreamPaySplit
+ * @dev Recipient for StreamPay streams that shares everything they pay between a fixed
+ * list of accounts by basis-point weight. Streams are created with the split as their
+ * recipient, so the sender funds and cancels them once; each account withdraws its own
+ * share, which first pulls whatever the streams have accrued.
+ * Deployed as a clone by StreamPaySplitFactory.
+ */
+contract StreamPaySplit is Initializable {
+    using SafeERC20 for IERC20;
+
+    IStreamPay public streamPay;
+    address[] private accounts;
+    mapping(address => uint256) public shares; // basis points, summing to 10000
+    mapping(address => uint256) public totalReleased; // token => paid to all accounts, address(0) for ETH
+    mapping(address => mapping(address => uint256)) public released; // token => account => paid so far
+
+    event ShareWithdrawn(address indexed account, address indexed token, uint256 amount);
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() {
+        _disableInitializers();
+    }
+
+    /**
+     * @dev Set the accounts and their shares (factory, once per clone)
+     * @param accounts_ Accounts that share the payments, at least two
+     * @param shares_ Share of each account in basis points, summing to 10000
+     */
+    function initialize(
+        IStreamPay streamPay_,
+        address[] calldata accounts_,
+        uint256[] calldata shares_
+    ) external initializer {
+        require(accounts_.length > 1, "Need two or more recipients");
+        require(accounts_.length == shares_.length, "Length mismatch");
+
+        uint256 total;
+        for (uint256 i = 0; i < accounts_.length; i++) {
+            require(accounts_[i] != address(0), "Invalid recipient");
+            require(shares_[i] > 0, "Share must be > 0");
+            require(shares[accounts_[i]] == 0, "Duplicate recipient");
+            shares[accounts_[i]] = shares_[i];
+            total += shares_[i];
+        }
+        require(total == 10000, "Shares must total 10000");
+
+        streamPay = streamPay_;
+        accounts = accounts_;
+    }
+
+    /**
+     * @dev Receives stream withdrawals, and the recipient's part when a stream is cancelled
+     */
+    receive() external payable {}
+
+    /**
+     * @dev Pull everything accrued in `token` (address(0) for ETH) on the streams paying this
+     * split, and anything StreamPay credited to it. Reads every stream, so splits with many
+     * streams should use collectStreams in batches instead.
+     */
+    function collect(address token) public {
+        _collect(token, streamPay.getRecipientStreams(address(this)));
+    }
+
+    /**
+     * @dev Like collect, for the given streams only. Streams that aren't active, pay in
+     * another token or don't pay this split are skipped.
+     */
+    function collectStreams(address token, uint256[] calldata streamIds) external {
+        _collect(token, streamIds);
+    }
+
+    /**
+     * @dev Withdraw the caller's share of everything paid to the split in `token`,
+     * including what the streams have accrued but not paid out yet
+     */
+    function withdraw(address token) external {
+        collect(token);
+        _release(token);
+    }
+
+    /**
+     * @dev Withdraw the caller's share of what has already been collected, without reading
+     * the streams. Pair with collectStreams when collect would run out of gas.
+     */
+    function withdrawCollected(address token) external {
+        _pullCredited(token);
+        _release(token);
+    }
+
+    /**
+     * @dev What `account` would receive from withdraw(token) now, after the platform fee
+     */
+    function balanceOf(address account, address token) external view returns (uint256) {
+        return _releasable(token, account, _accrued(token) + _credited(token));
+    }
+
+    /**
+     * @dev What `account` would receive from withdrawCollected(token) now
+     */
+    function collectedBalanceOf(address account, address token) external view returns (uint256) {
+        return _releasable(token, account, _credited(token));
+    }
+
+    /**
+     * @dev Get the accounts and their shares in basis points
+     */
+    function getRecipients() external view returns (address[] memory recipients, uint256[] memory recipientShares) {
+        recipients = accounts;
+        recipientShares = new uint256[](recipients.length);
+        for (uint256 i = 0; i < recipients.length; i++) {
+            recipientShares[i] = shares[recipients[i]];
+        }
+    }
+
+    function _collect(address token, uint256[] memory streamIds) internal {
+        for (uint256 i = 0; i < streamIds.length; i++) {
+            (, address recipient, , , , , , bool active, address streamToken, , , , , ) = streamPay.getStream(streamIds[i]);
+            if (!active || streamToken != token || recipient != address(this)) continue;
+
+            (uint256 accrued, ) = streamPay.balanceOf(streamIds[i]);
+            if (accrued > 0) {
+                streamPay.withdrawFromStream(streamIds[i]);
+            }
+        }
+        _pullCredited(token);
+    }
+
+    /**
+     * @dev Payouts StreamPay couldn't push to the split are credited to it there; pull them in
+     */
+    function _pullCredited(address token) internal {
+        if (_credited(token) == 0) return;
+        if (token == address(0)) {
+            streamPay.withdraw();
+        } else {
+            streamPay.withdrawToken(token);
+        }
+    }
+
+    function _credited(address token) internal view returns (uint256) {
+        return token == address(0) ? streamPay.balances(address(this)) : streamPay.tokenBalances(token, address(this));
+    }
+
+    function _release(address token) internal {
+        uint256 amount = _releasable(token, msg.sender, 0);
+        require(amount > 0, "Nothing to withdraw");
+
+        released[token][msg.sender] += amount;
+        totalReleased[token] += amount;
+
+        if (token == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+
+        emit ShareWithdrawn(msg.sender, token, amount);
+    }
+
+    /**
+     * @dev Net amount the split's streams in `token` have accrued but not paid out yet
+     */
+    function _accrued(address token) internal view returns (uint256 total) {
+        uint256[] memory streamIds = streamPay.getRecipientStreams(address(this));
+        for (uint256 i = 0; i < streamIds.length; i++) {
+            (address sender, , , , , , , bool active, address streamToken, , , , , ) = streamPay.getStream(streamIds[i]);
+            if (!active || streamToken != token) continue;
+
+            (uint256 accrued, ) = streamPay.balanceOf(streamIds[i]);
+            total += accrued - (accrued * streamPay.feeFor(sender, address(this))) / 10000;
+        }
+    }
+
+    function _releasable(address token, address account, uint256 pending) internal view returns (uint256) {
+        uint256 held = token == address(0) ? address(this).balance : IERC20(token).balanceOf(address(this));
+        uint256 received = held + pending + totalReleased[token];
+        return (received * shares[account]) / 10000 - released[token][account];
+    }
+}
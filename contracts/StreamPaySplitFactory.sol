@@ -0,0 +1,66 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "./IStreamPay.sol";
+import "./StreamPaySplit.sol";
+
+/**
+ * @title StreamPaySplitFactory
+ * @dev Deploys StreamPaySplit clones. The address depends only on the recipients and
+ * shares, so it can be predicted and streamed to before the split is deployed.
+ */
+contract StreamPaySplitFactory {
+    IStreamPay public immutable streamPay;
+    address public immutable implementation;
+
+    mapping(address => bool) public isSplit;
+    mapping(address => address[]) private accountSplits; // recipient => splits they have a share in
+
+    event SplitCreated(
+        address indexed split,
+        address indexed creator,
+        address[] recipients,
+        uint256[] shares
+    );
+
+    constructor(address streamPay_) {
+        streamPay = IStreamPay(streamPay_);
+        implementation = address(new StreamPaySplit());
+    }
+
+    /**
+     * @dev Deploy the split for these recipients and shares (reverts if it already exists)
+     * @param recipients Accounts that share the payments
+     * @param shares Share of each recipient in basis points, summing to 10000
+     */
+    function createSplit(address[] calldata recipients, uint256[] calldata shares) external returns (address split) {
+        split = Clones.cloneDeterministic(implementation, _salt(recipients, shares));
+        StreamPaySplit(payable(split)).initialize(streamPay, recipients, shares);
+
+        isSplit[split] = true;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            accountSplits[recipients[i]].push(split);
+        }
+
+        emit SplitCreated(split, msg.sender, recipients, shares);
+    }
+
+    /**
+     * @dev Address createSplit deploys, or has deployed, for these recipients and shares
+     */
+    function predictSplit(address[] calldata recipients, uint256[] calldata shares) external view returns (address) {
+        return Clones.predictDeterministicAddress(implementation, _salt(recipients, shares));
+    }
+
+    /**
+     * @dev Get the splits an account has a share in
+     */
+    function getAccountSplits(address account) external view returns (address[] memory) {
+        return accountSplits[account];
+    }
+
+    function _salt(address[] calldata recipients, uint256[] calldata shares) internal pure returns (bytes32) {
+        return keccak256(abi.encode(recipients, shares));
+    }
+}
@@ -0,0 +1,44 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title MockReceiver
+ * @dev Contract wallet with configurable ETH receive behaviour for payout tests
+ */
+contract MockReceiver {
+    enum Mode {
+        Accept, // plain receive
+        Store, // writes storage like a Safe proxy would, needs more than the 2300 stipend
+        Revert, // rejects every payment
+        BurnGas // consumes all gas it is given
+    }
+
+    Mode public mode;
+    uint256 public received;
+
+    function setMode(Mode mode_) external {
+        mode = mode_;
+    }
+
+    function execute(address target, bytes calldata data) external payable returns (bytes memory) {
+        (bool success, bytes memory result) = target.call{value: msg.value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        if (mode == Mode.Revert) {
+            revert("Payment rejected");
+        }
+        if (mode == Mode.BurnGas) {
+            while (true) {}
+        }
+        if (mode == Mode.Store) {
+            received += msg.value;
+        }
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.22;
+
+import "../StreamPay.sol";
+
+/**
+ * @title StreamPayV3Mock
+ * @dev Storage-compatible upgrade: appends state after StreamPay's.
+ * The proxy already ran StreamPay's initializer, so V3 only needs a reinitializer.
+ * @custom:oz-upgrades-unsafe-allow missing-initializer
+ */
+contract StreamPayV3Mock is StreamPay {
+    uint256 public upgradeMarker;
+
+    function version() external pure returns (string memory) {
+        return "3";
+    }
+
+    function initializeV3(uint256 marker) external reinitializer(3) {
+        upgradeMarker = marker;
+    }
+}
+
+/**
+ * @title StreamPayIncompatibleMock
+ * @dev Upgrade that changes the type of StreamPay's first slot; the storage check must reject it
+ */
+contract StreamPayIncompatibleMock is Initializable, OwnableUpgradeable, UUPSUpgradeable {
+    uint256 public streams;
+
+    function _authorizeUpgrade(address) internal override onlyOwner {}
+}
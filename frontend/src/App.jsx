@@ -1,43 +1,804 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { ethers } from 'ethers'
 import contractABI from './contract-abi.json'
-import contractAddress from './contract-address.json'
-
-const MEGAETH_CONFIG = {
-  chainId: '0x18c6',
-  chainName: 'MegaETH Testnet',
-  nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 },
-  rpcUrls: ['https://carrot.megaeth.com/rpc'],
-  blockExplorerUrls: ['https://megaexplorer.xyz']
+import deployments from './deployments.json'
+import { parsePayrollCsv, getPayrollTotal } from './payroll'
+import { DATA_SOURCES, fetchIndexer } from './indexer'
+import { loadHistory, historyToCsv, historyToJson, HISTORY_TYPES } from './history'
+import {
+  toAccrualStream,
+  toAccrualSubscription,
+  balanceOf as accruedBalances,
+  subscriptionDue,
+  accrualAt,
+  chainNowMs,
+  streamStatus,
+  DRIFT_TOLERANCE
+} from './accrual'
+import { getNetwork, supportedNetworks, defaultChainId, explorerLink, switchNetwork } from './networks'
+import { signIntent, submitIntent } from './intents'
+import { SPLIT_ABI, SPLIT_FACTORY_ABI, TOTAL_SHARES, parseSplitRows, getSplitTotal, splitAmount } from './splits'
+import { parseRoute, routeChainId, payPrefill, streamLink } from './routes'
+import { eventNotification, endingNotification, notifies, describeNotification } from './notifications'
+
+// How long before stopTime the browser warns that a stream is ending
+const ENDING_ALERT_SECONDS = 24 * 3600
+
+// Submits signed withdrawals for recipients without gas; see relayer/
+const RELAYER_URL = import.meta.env.VITE_RELAYER_URL || 'http://localhost:4100'
+
+const SUPPORTED_NETWORKS = supportedNetworks(deployments)
+
+const ERC20_ABI = [
+  'function symbol() view returns (string)',
+  'function decimals() view returns (uint8)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function approve(address spender, uint256 amount) returns (bool)'
+]
+
+const STREAM_NFT_ABI = [
+  'function safeTransferFrom(address from, address to, uint256 tokenId)'
+]
+
+const NATIVE_TOKEN = { address: ethers.ZeroAddress, symbol: 'ETH', decimals: 18 }
+
+const UNLOCK_STEPS = {
+  linear: 0,
+  daily: 86400,
+  weekly: 604800,
+  monthly: 2592000 // 30 days
+}
+
+// Mirrors StreamPay._streamedTime: fraction of the deposit unlocked at `time`
+const getUnlockedFraction = (time, { startTime, cliffTime, stopTime, stepDuration }) => {
+  if (time <= startTime || time < cliffTime) return 0
+  if (time >= stopTime) return 1
+  let elapsed = time - startTime
+  if (stepDuration > 0) elapsed -= elapsed % stepDuration
+  return elapsed / (stopTime - startTime)
+}
+
+function ScheduleChart({ schedule, total, symbol }) {
+  const width = 600
+  const height = 160
+  const span = schedule.stopTime - schedule.startTime
+  const samples = 200
+
+  const times = Array.from({ length: samples + 1 }, (_, i) => schedule.startTime + (span * i) / samples)
+  if (schedule.cliffTime > schedule.startTime) times.push(schedule.cliffTime - 1, schedule.cliffTime)
+  times.sort((a, b) => a - b)
+
+  const points = times
+    .map(time => {
+      const x = ((time - schedule.startTime) / span) * width
+      const y = height - getUnlockedFraction(time, schedule) * height
+      return `${x.toFixed(1)},${y.toFixed(1)}`
+    })
+    .join(' ')
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40 bg-white rounded-lg border" preserveAspectRatio="none">
+        <polyline points={points} fill="none" stroke="#8b5cf6" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div className="flex justify-between text-xs text-gray-600 mt-1">
+        <span>{new Date(schedule.startTime * 1000).toLocaleDateString()}</span>
+        <span>{total} {symbol} unlocked</span>
+        <span>{new Date(schedule.stopTime * 1000).toLocaleDateString()}</span>
+      </div>
+    </div>
+  )
+}
+
+// Balances are not stored here; they are derived from `accrual` at render time
+const toStreamView = (id, stream, schedule, token, feeBps) => ({
+  id: Number(id),
+  sender: ethers.getAddress(stream.sender),
+  recipient: ethers.getAddress(stream.recipient),
+  token: token.address,
+  deposit: ethers.formatUnits(stream.deposit, token.decimals),
+  ratePerSecond: ethers.formatUnits(stream.ratePerSecond, token.decimals),
+  startTime: Number(stream.startTime),
+  stopTime: Number(stream.stopTime),
+  remainingBalance: ethers.formatUnits(stream.remainingBalance, token.decimals),
+  active: stream.active,
+  pausedAt: Number(stream.pausedAt),
+  pausedDuration: Number(stream.pausedDuration),
+  cliffTime: Number(schedule.cliffTime),
+  stepDuration: Number(schedule.stepDuration),
+  status: Number(stream.status),
+  withdrawn: ethers.formatUnits(stream.withdrawn, token.decimals),
+  refunded: ethers.formatUnits(stream.refunded, token.decimals),
+  symbol: token.symbol,
+  decimals: token.decimals,
+  feeBps, // depends on the parties' fee tier and exemptions
+  accrual: toAccrualStream(stream, schedule)
+})
+
+// Percent of the stream's duration that has elapsed at `now` (seconds), excluding paused time
+const streamProgress = (stream, now) => {
+  const time = stream.pausedAt || now
+  if (time >= stream.stopTime) return 100
+  const elapsed = time - stream.startTime - stream.pausedDuration
+  const total = stream.stopTime - stream.startTime - stream.pausedDuration
+  return Math.max(0, (elapsed / total) * 100)
+}
+
+const readTokenInfo = async (runner, address) => {
+  if (address === ethers.ZeroAddress) return NATIVE_TOKEN
+  const token = new ethers.Contract(address, ERC20_ABI, runner)
+  const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()])
+  return { address: ethers.getAddress(address), symbol, decimals: Number(decimals) }
+}
+
+// Current hash route, following back/forward and edited links
+function useHashRoute() {
+  const [route, setRoute] = useState(() => parseRoute(window.location.hash))
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseRoute(window.location.hash))
+    window.addEventListener('hashchange', onHashChange)
+    return () => window.removeEventListener('hashchange', onHashChange)
+  }, [])
+  return route
+}
+
+// Re-renders every animation frame while the stream is accruing
+function LiveBalance({ stream, chainOffset, feeBps, field }) {
+  const [now, setNow] = useState(() => Date.now())
+  const accruing = stream.active && stream.pausedAt === 0 && chainNowMs(chainOffset, now) / 1000 < stream.stopTime
+
+  useEffect(() => {
+    if (!accruing) return
+    let frame = requestAnimationFrame(function tick() {
+      setNow(Date.now())
+      frame = requestAnimationFrame(tick)
+    })
+    return () => cancelAnimationFrame(frame)
+  }, [accruing])
+
+  const amounts = accrualAt(stream.accrual, chainNowMs(chainOffset, now), feeBps)
+  return <>{ethers.formatUnits(amounts[field], stream.decimals)} {stream.symbol}</>
+}
+
+const STATUS_STYLES = {
+  Active: 'bg-green-100 text-green-800',
+  Paused: 'bg-yellow-100 text-yellow-800',
+  Ended: 'bg-blue-100 text-blue-800',
+  Completed: 'bg-gray-200 text-gray-700',
+  Cancelled: 'bg-red-100 text-red-800'
+}
+
+function StatusBadge({ status }) {
+  return (
+    <span className={`inline-block mt-1 px-2 py-0.5 text-xs rounded-full font-bold ${STATUS_STYLES[status]}`}>
+      {status}
+    </span>
+  )
+}
+
+// How a finished stream's deposit was divided, from the totals stored on-chain
+function SettlementSummary({ stream }) {
+  return (
+    <div className="mb-3 p-3 bg-gray-50 rounded-lg grid grid-cols-2 gap-2 text-sm">
+      <div>
+        <p className="text-gray-600">Paid to recipient (before fees)</p>
+        <p className="font-bold">{stream.withdrawn} {stream.symbol}</p>
+      </div>
+      <div>
+        <p className="text-gray-600">Refunded to sender</p>
+        <p className="font-bold">{stream.refunded} {stream.symbol}</p>
+      </div>
+    </div>
+  )
+}
+
+// Public RPCs may not support event filters, so the read-only page polls
+const STREAM_PAGE_REFRESH_MS = 15000
+
+// Read-only status of one stream for #/stream/:id links, read over the network's RPC without a wallet
+function StreamPage({ id, chainId }) {
+  const network = getNetwork(deployments, chainId)
+  const [stream, setStream] = useState(null)
+  const [error, setError] = useState(null)
+  const [chainOffset, setChainOffset] = useState(0)
+  const [clock, setClock] = useState(() => Date.now())
+
+  useEffect(() => {
+    setStream(null)
+    setError(null)
+    if (!network?.rpcUrl) return
+
+    const provider = new ethers.JsonRpcProvider(network.rpcUrl, network.chainId, { staticNetwork: true })
+    const contract = new ethers.Contract(network.deployment.address, contractABI, provider)
+    let cancelled = false
+
+    const load = async () => {
+      try {
+        const [raw, schedule, block] = await Promise.all([
+          contract.getStream(id),
+          contract.getStreamSchedule(id),
+          provider.getBlock('latest')
+        ])
+        if (raw.sender === ethers.ZeroAddress) throw new Error(`Stream #${id} doesn't exist on ${network.name}`)
+        const [token, feeBps] = await Promise.all([readTokenInfo(provider, raw.token), contract.feeFor(raw.sender, raw.recipient)])
+        if (cancelled) return
+        setChainOffset(Math.round(block.timestamp - Date.now() / 1000))
+        setStream(toStreamView(id, raw, schedule, token, feeBps))
+        setError(null)
+      } catch (err) {
+        console.error('Error loading stream:', err)
+        if (!cancelled) setError(err.shortMessage || err.message)
+      }
+    }
+
+    load()
+    const reload = setInterval(load, STREAM_PAGE_REFRESH_MS)
+    const tick = setInterval(() => setClock(Date.now()), 1000)
+    return () => {
+      cancelled = true
+      clearInterval(reload)
+      clearInterval(tick)
+      provider.destroy()
+    }
+  }, [id, network?.chainId])
+
+  const now = Math.floor(chainNowMs(chainOffset, clock) / 1000)
+  const status = stream && streamStatus(stream, now)
+
+  return (
+    <div className="min-h-screen flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl p-8 shadow-2xl max-w-lg w-full">
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h1 className="text-2xl font-bold">💸 Stream #{id}</h1>
+            <p className="text-sm text-gray-600">{network ? network.name : `Chain ${chainId}`}</p>
+          </div>
+          {status && <StatusBadge status={status} />}
+        </div>
+
+        {!network && <p className="text-red-600">StreamPay isn't deployed on chain {chainId}.</p>}
+        {network && !network.rpcUrl && <p className="text-red-600">No public RPC is configured for {network.name}.</p>}
+        {error && <p className="text-red-600 mb-4">{error}</p>}
+        {network?.rpcUrl && !stream && !error && <p className="text-gray-500 text-center py-8">Loading…</p>}
+
+        {stream && (
+          <>
+            <div className="space-y-2 mb-4 text-sm">
+              <div>
+                <p className="text-gray-600">From</p>
+                <p className="font-mono break-all">{stream.sender}</p>
+              </div>
+              <div>
+                <p className="text-gray-600">To</p>
+                <p className="font-mono break-all">{stream.recipient}</p>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Rate</span>
+                <span className="font-bold">{(parseFloat(stream.ratePerSecond) * 3600).toFixed(6)} {stream.symbol}/h</span>
+              </div>
+              <div className="flex justify-between">
+                <span className="text-gray-600">Runs</span>
+                <span>{new Date(stream.startTime * 1000).toLocaleString()} → {new Date(stream.stopTime * 1000).toLocaleString()}</span>
+              </div>
+            </div>
+
+            {stream.active ? (
+              <>
+                <div className="mb-4">
+                  <div className="flex justify-between text-sm mb-1">
+                    <span>Progress</span>
+                    <span>{streamProgress(stream, now).toFixed(1)}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-gradient-to-r from-purple-500 to-blue-500 h-2 rounded-full progress-bar animate-flow"
+                      style={{ width: `${streamProgress(stream, now)}%` }}
+                    />
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 gap-2 p-3 bg-gray-50 rounded-lg text-sm">
+                  <div>
+                    <p className="text-gray-600">Earned, not withdrawn</p>
+                    <p className="font-bold text-green-600">
+                      <LiveBalance stream={stream} chainOffset={chainOffset} feeBps={stream.feeBps} field="recipientBalance" />
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-gray-600">Still to stream</p>
+                    <p className="font-bold">
+                      <LiveBalance stream={stream} chainOffset={chainOffset} feeBps={stream.feeBps} field="senderBalance" />
+                    </p>
+                  </div>
+                </div>
+              </>
+            ) : (
+              <SettlementSummary stream={stream} />
+            )}
+          </>
+        )}
+
+        <a href="#/" className="block mt-6 text-center text-purple-600 font-bold hover:underline">
+          Open StreamPay
+        </a>
+      </div>
+    </div>
+  )
+}
+
+// Networks StreamPay is deployed on, from deployments.json
+function NetworkSelect({ value, onChange, compact = false }) {
+  return (
+    <select
+      value={value ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className={compact ? 'ml-1 px-2 py-0.5 border rounded' : 'w-full px-4 py-2 border rounded-lg'}
+    >
+      {SUPPORTED_NETWORKS.map(network => (
+        <option key={network.chainId} value={network.chainId}>
+          {network.name}{network.testnet ? '' : ' (mainnet)'}
+        </option>
+      ))}
+    </select>
+  )
+}
+
+// Fee settings and sweeps; only rendered for the contract owner
+function AdminPanel({ contract, tokens, getTokenInfo }) {
+  const [settings, setSettings] = useState(null)
+  const [accrued, setAccrued] = useState([])
+  const [extraTokens, setExtraTokens] = useState([])
+  const [busy, setBusy] = useState(false)
+  const [treasuryInput, setTreasuryInput] = useState('')
+  const [feeInput, setFeeInput] = useState('')
+  const [sweepToken, setSweepToken] = useState('')
+  const [partyInput, setPartyInput] = useState('')
+  const [party, setParty] = useState(null) // tier and exemption of the looked-up address
+  const [tierInput, setTierInput] = useState('')
+
+  const allTokens = [...tokens, ...extraTokens].filter(
+    (token, index, list) => list.findIndex(other => other.address === token.address) === index
+  )
+
+  const load = async () => {
+    const [treasury, platformFee, fees] = await Promise.all([
+      contract.treasury(),
+      contract.platformFee(),
+      Promise.all(allTokens.map(token => contract.accruedFees(token.address)))
+    ])
+    setSettings({ treasury, platformFee })
+    setAccrued(allTokens.map((token, index) => ({ token, amount: fees[index] })))
+  }
+
+  useEffect(() => {
+    load().catch(error => console.error('Error loading fee settings:', error))
+  }, [contract, allTokens.length])
+
+  const lookup = async (address) => {
+    const [tier, exempt] = await Promise.all([contract.senderFeeTiers(address), contract.feeExempt(address)])
+    setParty({ address, tier: tier.enabled ? tier.fee : null, exempt })
+  }
+
+  const send = async (action, message) => {
+    setBusy(true)
+    try {
+      const tx = await action()
+      await tx.wait()
+      await load()
+      if (party) await lookup(party.address)
+      alert(message)
+    } catch (error) {
+      console.error('Admin action failed:', error)
+      alert(error.reason || 'Transaction failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const addSweepToken = async () => {
+    if (!ethers.isAddress(sweepToken)) return
+    try {
+      const token = await getTokenInfo(sweepToken)
+      setExtraTokens(current => [...current, token])
+      setSweepToken('')
+    } catch {
+      alert('Not an ERC-20 token')
+    }
+  }
+
+  if (!settings) {
+    return <div className="bg-white rounded-2xl p-6 shadow-lg text-gray-500">Loading fee settings...</div>
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-2xl p-6 shadow-lg">
+        <h2 className="text-2xl font-bold mb-4">⚙️ Fee Settings</h2>
+        <div className="grid md:grid-cols-2 gap-6">
+          <div>
+            <p className="text-sm text-gray-600">Treasury</p>
+            <p className="font-mono text-sm mb-2 break-all">{settings.treasury}</p>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={treasuryInput}
+                onChange={(e) => setTreasuryInput(e.target.value)}
+                placeholder="0x..."
+                className="flex-1 px-3 py-2 border rounded-lg"
+              />
+              <button
+                onClick={() => send(() => contract.setTreasury(treasuryInput), 'Treasury updated!')}
+                disabled={busy || !ethers.isAddress(treasuryInput)}
+                className="px-4 py-2 bg-purple-500 text-white rounded-lg font-bold hover:bg-purple-600 transition disabled:opacity-50"
+              >
+                Update
+              </button>
+            </div>
+          </div>
+          <div>
+            <p className="text-sm text-gray-600">Platform Fee</p>
+            <p className="font-bold mb-2">
+              {settings.platformFee.toString()} bps ({Number(settings.platformFee) / 100}%)
+            </p>
+            <div className="flex gap-2">
+              <input
+                type="number"
+                min="0"
+                max="1000"
+                value={feeInput}
+                onChange={(e) => setFeeInput(e.target.value)}
+                placeholder="Basis points, max 1000"
+                className="flex-1 px-3 py-2 border rounded-lg"
+              />
+              <button
+                onClick={() => send(() => contract.setPlatformFee(feeInput), 'Platform fee updated!')}
+                disabled={busy || feeInput === ''}
+                className="px-4 py-2 bg-purple-500 text-white rounded-lg font-bold hover:bg-purple-600 transition disabled:opacity-50"
+              >
+                Update
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl p-6 shadow-lg">
+        <h2 className="text-2xl font-bold mb-4">🏦 Accrued Fees</h2>
+        <div className="space-y-2 mb-4">
+          {accrued.map(({ token, amount }) => (
+            <div key={token.address} className="flex justify-between items-center p-3 bg-gray-50 rounded-lg">
+              <span className="font-bold">{ethers.formatUnits(amount, token.decimals)} {token.symbol}</span>
+              <button
+                onClick={() => send(() => contract.sweepFees(token.address), `${token.symbol} fees sent to the treasury!`)}
+                disabled={busy || amount === 0n}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+              >
+                Sweep
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={sweepToken}
+            onChange={(e) => setSweepToken(e.target.value)}
+            placeholder="Other token address 0x..."
+            className="flex-1 px-3 py-2 border rounded-lg"
+          />
+          <button
+            onClick={addSweepToken}
+            disabled={!ethers.isAddress(sweepToken)}
+            className="px-4 py-2 bg-gray-200 rounded-lg font-bold hover:bg-gray-300 transition disabled:opacity-50"
+          >
+            Add
+          </button>
+        </div>
+      </div>
+
+      <div className="bg-white rounded-2xl p-6 shadow-lg">
+        <h2 className="text-2xl font-bold mb-4">🏷️ Fee Tiers & Exemptions</h2>
+        <div className="flex gap-2 mb-4">
+          <input
+            type="text"
+            value={partyInput}
+            onChange={(e) => setPartyInput(e.target.value)}
+            placeholder="Sender or recipient address 0x..."
+            className="flex-1 px-3 py-2 border rounded-lg"
+          />
+          <button
+            onClick={() => lookup(ethers.getAddress(partyInput))}
+            disabled={!ethers.isAddress(partyInput)}
+            className="px-4 py-2 bg-gray-200 rounded-lg font-bold hover:bg-gray-300 transition disabled:opacity-50"
+          >
+            Look up
+          </button>
+        </div>
+
+        {party && (
+          <div className="p-4 bg-gray-50 rounded-lg space-y-3">
+            <p className="font-mono text-sm break-all">{party.address}</p>
+            <p className="text-sm">
+              Sender fee tier:{' '}
+              <span className="font-bold">{party.tier === null ? 'platform fee' : `${party.tier} bps`}</span>
+              {' · '}
+              Exempt: <span className="font-bold">{party.exempt ? 'yes' : 'no'}</span>
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <input
+                type="number"
+                min="0"
+                max="1000"
+                value={tierInput}
+                onChange={(e) => setTierInput(e.target.value)}
+                placeholder="Tier in bps"
+                className="w-36 px-3 py-2 border rounded-lg"
+              />
+              <button
+                onClick={() => send(() => contract.setSenderFeeTier(party.address, tierInput), 'Fee tier set!')}
+                disabled={busy || tierInput === ''}
+                className="px-4 py-2 bg-purple-500 text-white rounded-lg font-bold hover:bg-purple-600 transition disabled:opacity-50"
+              >
+                Set Tier
+              </button>
+              <button
+                onClick={() => send(() => contract.clearSenderFeeTier(party.address), 'Fee tier cleared!')}
+                disabled={busy || party.tier === null}
+                className="px-4 py-2 bg-gray-200 rounded-lg font-bold hover:bg-gray-300 transition disabled:opacity-50"
+              >
+                Clear Tier
+              </button>
+              <button
+                onClick={() => send(
+                  () => contract.setFeeExempt(party.address, !party.exempt),
+                  party.exempt ? 'Exemption removed!' : 'Address exempted!'
+                )}
+                disabled={busy}
+                className="px-4 py-2 bg-blue-500 text-white rounded-lg font-bold hover:bg-blue-600 transition disabled:opacity-50"
+              >
+                {party.exempt ? 'Remove Exemption' : 'Exempt from Fees'}
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
 }
 
 function App() {
+  const route = useHashRoute()
   const [account, setAccount] = useState(null)
   const [contract, setContract] = useState(null)
-  const [view, setView] = useState('dashboard') // dashboard, create, streams
+  const [view, setView] = useState('dashboard') // dashboard, create, payroll, subscriptions, history, admin
   const [loading, setLoading] = useState(false)
+  const [dataSource, setDataSource] = useState(() => localStorage.getItem('streampay:dataSource') || 'rpc')
+  const [owner, setOwner] = useState(null)
+  const [chainId, setChainId] = useState(null) // the wallet's chain, supported or not
+  const [selectedChainId, setSelectedChainId] = useState(() =>
+    defaultChainId(
+      deployments,
+      routeChainId(route) || localStorage.getItem('streampay:network') || import.meta.env.VITE_DEFAULT_CHAIN_ID
+    )
+  )
+  const [networkError, setNetworkError] = useState(null)
+  const [chainOffset, setChainOffset] = useState(0) // latest block timestamp minus local clock, in seconds
+  const [clock, setClock] = useState(() => Date.now())
+  const chainNow = chainNowMs(chainOffset, clock)
   
   const [streams, setStreams] = useState([])
   const [recipientStreams, setRecipientStreams] = useState([])
   const [balance, setBalance] = useState('0')
+  const [subscriptions, setSubscriptions] = useState([])
+  const [providerSubscriptions, setProviderSubscriptions] = useState([])
 
   // Form states
   const [recipient, setRecipient] = useState('')
+  const [recipientMode, setRecipientMode] = useState('single') // single, split
+  const [splitRows, setSplitRows] = useState([{ address: '', percent: '' }, { address: '', percent: '' }])
   const [amount, setAmount] = useState('')
   const [duration, setDuration] = useState('')
   const [durationType, setDurationType] = useState('hours') // hours, days, months
+  const [tokenType, setTokenType] = useState('native') // native, erc20
+  const [tokenAddress, setTokenAddress] = useState('')
+  const [tokenInfo, setTokenInfo] = useState(null)
+  const [createStep, setCreateStep] = useState('') // approve, create
+  const [startDate, setStartDate] = useState('')
+  const [cliffDate, setCliffDate] = useState('')
+  const [unlockStep, setUnlockStep] = useState('linear') // linear, daily, weekly, monthly
+  const [withdrawDialog, setWithdrawDialog] = useState(null) // stream being withdrawn from
+  const [withdrawAmount, setWithdrawAmount] = useState('')
+  const [withdrawTo, setWithdrawTo] = useState('')
+  const [payrollCsv, setPayrollCsv] = useState('')
+  const [payrollUnit, setPayrollUnit] = useState('days') // hours, days, months
+  const [subProvider, setSubProvider] = useState('')
+  const [subRate, setSubRate] = useState('') // ETH per month
+  const [subDeposit, setSubDeposit] = useState('')
+  const [splits, setSplits] = useState({}) // recipient address => split details, or null if not a split
+  const [accountSplits, setAccountSplits] = useState([]) // splits paying this account a share
+  const [history, setHistory] = useState([])
+  const [historyLoading, setHistoryLoading] = useState(false)
+
+  const tokenCache = useRef({ [ethers.ZeroAddress]: NATIVE_TOKEN })
+
+  const network = getNetwork(deployments, chainId)
 
   useEffect(() => {
     checkWalletConnection()
   }, [])
 
+  // #/pay links open Create Stream filled in with the request
+  useEffect(() => {
+    if (route.name !== 'pay') return
+    const prefill = payPrefill(route.params)
+    setRecipientMode('single')
+    setRecipient(prefill.recipient)
+    setAmount(prefill.amount)
+    setDuration(prefill.duration)
+    setDurationType(prefill.durationType)
+    setTokenType(prefill.tokenType)
+    setTokenAddress(prefill.tokenAddress)
+    setView('create')
+
+    const linkChainId = routeChainId(route)
+    if (linkChainId && account && linkChainId !== chainId && getNetwork(deployments, linkChainId)) {
+      changeNetwork(linkChainId)
+    }
+  }, [route])
+
+  // Follow network and account changes made in the wallet
+  useEffect(() => {
+    if (typeof window.ethereum === 'undefined') return
+    const onChainChanged = () => {
+      if (!account) return
+      setNetworkError(null)
+      connectContract()
+    }
+    const onAccountsChanged = (accounts) => {
+      setAccount(accounts[0] || null)
+      if (accounts.length > 0) connectContract()
+    }
+    window.ethereum.on?.('chainChanged', onChainChanged)
+    window.ethereum.on?.('accountsChanged', onAccountsChanged)
+    return () => {
+      window.ethereum.removeListener?.('chainChanged', onChainChanged)
+      window.ethereum.removeListener?.('accountsChanged', onAccountsChanged)
+    }
+  }, [account])
+
+  useEffect(() => {
+    if (tokenType !== 'erc20' || !contract || !ethers.isAddress(tokenAddress)) {
+      setTokenInfo(null)
+      return
+    }
+    let cancelled = false
+    getTokenInfo(tokenAddress)
+      .then(info => { if (!cancelled) setTokenInfo(info) })
+      .catch(() => { if (!cancelled) setTokenInfo(null) })
+    return () => { cancelled = true }
+  }, [tokenType, tokenAddress, contract])
+
+  const watchedIds = useRef({ streams: new Set(), subscriptions: new Set() })
+  const shownNotifications = useRef(new Set())
+  const [notificationPermission, setNotificationPermission] = useState(() =>
+    typeof Notification === 'undefined' ? 'unsupported' : Notification.permission
+  )
+
+  // Browser notification, once per key, if the user allowed them
+  const showNotification = (key, notification) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return
+    if (shownNotifications.current.has(key)) return
+    shownNotifications.current.add(key)
+    const { title, message } = describeNotification(notification)
+    new Notification(title, { body: message, tag: key })
+  }
+
+  const enableNotifications = async () => {
+    setNotificationPermission(await Notification.requestPermission())
+  }
+
+  useEffect(() => {
+    const splitStreams = accountSplits.flatMap(split => split.streams)
+    watchedIds.current = {
+      streams: new Set([...streams, ...recipientStreams, ...splitStreams].map(stream => stream.id)),
+      subscriptions: new Set([...subscriptions, ...providerSubscriptions].map(sub => sub.id))
+    }
+  }, [streams, recipientStreams, subscriptions, providerSubscriptions, accountSplits])
+
+  // Recipients and shares of the splits that outgoing streams pay into
+  useEffect(() => {
+    const factory = getSplitFactory()
+    if (!factory) return
+    const unknown = [...new Set(streams.map(stream => stream.recipient))].filter(address => !(address in splits))
+    if (unknown.length === 0) return
+
+    let cancelled = false
+    Promise.all(unknown.map(async (address) => [address, await factory.isSplit(address) ? await loadSplit(address) : null]))
+      .then(entries => { if (!cancelled) setSplits(current => ({ ...current, ...Object.fromEntries(entries) })) })
+      .catch(error => console.error('Error loading splits:', error))
+    return () => { cancelled = true }
+  }, [streams, contract])
+
+  // Balances accrue locally; only contract events for this account or a clock drift trigger a reload
+  useEffect(() => {
+    if (!contract || !account) return
+    loadData()
+
+    const provider = contract.runner.provider
+    const self = account.toLowerCase()
+    let offset = 0
+    let reload = null
+    const scheduleReload = () => {
+      clearTimeout(reload)
+      // Give the indexer a poll interval to catch up
+      reload = setTimeout(loadData, dataSource === 'indexer' ? 2500 : 250)
+    }
+
+    const onEvent = (...args) => {
+      const { eventName, args: eventArgs } = args[args.length - 1]
+      if (!eventName || !eventArgs) return
+      const id = Number(eventArgs[0])
+      const watched = eventName.startsWith('Subscription')
+        ? watchedIds.current.subscriptions.has(id)
+        : watchedIds.current.streams.has(id)
+      const mentionsAccount = eventArgs.some(arg => typeof arg === 'string' && arg.toLowerCase() === self)
+      if (watched || mentionsAccount) scheduleReload()
+
+      const notification = eventNotification(eventName, eventArgs)
+      if (notification) {
+        // Subscription lapses and cancellations only name the subscriber; on one we're watching
+        // that isn't ours to pay, we are the provider
+        if (notification.provider === null && watched && notification.subscriber.toLowerCase() !== self) {
+          notification.provider = account
+        }
+        const { log } = args[args.length - 1]
+        if (notifies(notification, account)) showNotification(`${log.transactionHash}:${log.index}`, notification)
+      }
+    }
+
+    const onBlock = async (blockNumber) => {
+      const block = await provider.getBlock(blockNumber)
+      if (!block) return
+      const drift = block.timestamp - Date.now() / 1000
+      if (Math.abs(drift - offset) > DRIFT_TOLERANCE) {
+        offset = drift
+        setChainOffset(Math.round(drift))
+        scheduleReload()
+      }
+    }
+
+    contract.on('*', onEvent)
+    provider.on('block', onBlock)
+    return () => {
+      clearTimeout(reload)
+      contract.off('*', onEvent)
+      provider.off('block', onBlock)
+    }
+  }, [contract, account, dataSource])
+
+  // Warn once per stopTime when one of the account's streams is about to end
+  useEffect(() => {
+    const now = Math.floor(chainNow / 1000)
+    for (const stream of [...streams, ...recipientStreams]) {
+      const notification = endingNotification(stream, now, ENDING_ALERT_SECONDS)
+      if (notification) showNotification(`stream.ending:${stream.id}:${stream.stopTime}`, notification)
+    }
+  }, [clock, streams, recipientStreams])
+
   useEffect(() => {
-    if (contract && account) {
-      loadData()
-      const interval = setInterval(loadData, 2000)
-      return () => clearInterval(interval)
+    if (view === 'history' && contract && account) {
+      loadHistoryView()
     }
-  }, [contract, account])
+  }, [view, contract, account])
+
+  // Coarse clock for derived values (buttons, runway); counters animate per frame in LiveBalance
+  useEffect(() => {
+    const interval = setInterval(() => setClock(Date.now()), 1000)
+    return () => clearInterval(interval)
+  }, [])
+
+  useEffect(() => {
+    localStorage.setItem('streampay:dataSource', dataSource)
+  }, [dataSource])
 
   const checkWalletConnection = async () => {
     if (typeof window.ethereum !== 'undefined') {
@@ -56,137 +817,409 @@ function App() {
       }
 
       const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' })
-      
-      try {
-        await window.ethereum.request({
-          method: 'wallet_switchEthereumChain',
-          params: [{ chainId: MEGAETH_CONFIG.chainId }],
-        })
-      } catch (switchError) {
-        if (switchError.code === 4902) {
-          await window.ethereum.request({
-            method: 'wallet_addEthereumChain',
-            params: [MEGAETH_CONFIG],
-          })
-        }
-      }
 
-      const provider = new ethers.BrowserProvider(window.ethereum)
-      const signer = await provider.getSigner()
-      const contractInstance = new ethers.Contract(
-        contractAddress.address,
-        contractABI,
-        signer
-      )
+      const walletChainId = Number(await window.ethereum.request({ method: 'eth_chainId' }))
+      const selected = getNetwork(deployments, selectedChainId)
+      if (selected && walletChainId !== selected.chainId) {
+        await changeNetwork(selected.chainId)
+      }
 
+      await connectContract()
       setAccount(accounts[0])
-      setContract(contractInstance)
     } catch (error) {
       console.error('Error connecting wallet:', error)
     }
   }
 
+  // Point the app at the StreamPay deployment on the wallet's current chain, if there is one
+  const connectContract = async () => {
+    const provider = new ethers.BrowserProvider(window.ethereum)
+    const { chainId: walletChainId } = await provider.getNetwork()
+    const walletNetwork = getNetwork(deployments, walletChainId)
+
+    resetChainData()
+    setChainId(Number(walletChainId))
+    if (!walletNetwork) {
+      setContract(null)
+      return
+    }
+    const signer = await provider.getSigner()
+    setContract(new ethers.Contract(walletNetwork.deployment.address, contractABI, signer))
+  }
+
+  const resetChainData = () => {
+    tokenCache.current = { [ethers.ZeroAddress]: NATIVE_TOKEN }
+    setStreams([])
+    setRecipientStreams([])
+    setSubscriptions([])
+    setProviderSubscriptions([])
+    setHistory([])
+    setSplits({})
+    setAccountSplits([])
+    setBalance('0')
+    setOwner(null)
+  }
+
+  const selectNetwork = (targetChainId) => {
+    setSelectedChainId(targetChainId)
+    localStorage.setItem('streampay:network', String(targetChainId))
+  }
+
+  // A rejected or failed switch leaves the wallet where it was; say so instead of failing silently
+  const changeNetwork = async (targetChainId) => {
+    selectNetwork(targetChainId)
+    try {
+      await switchNetwork(window.ethereum, getNetwork(deployments, targetChainId))
+      setNetworkError(null)
+    } catch (error) {
+      console.error('Error switching network:', error)
+      setNetworkError(error.message)
+    }
+  }
+
+  const getTokenInfo = async (address) => {
+    const key = ethers.getAddress(address)
+    if (!tokenCache.current[key]) {
+      tokenCache.current[key] = await readTokenInfo(contract.runner, key)
+    }
+    return tokenCache.current[key]
+  }
+
   const loadData = async () => {
     if (!contract || !account) return
 
     try {
       // Load withdrawable balance
-      const bal = await contract.balances(account)
+      const [bal, contractOwner] = await Promise.all([contract.balances(account), contract.owner()])
       setBalance(ethers.formatEther(bal))
+      setOwner(contractOwner)
+
+      // Splits read from the chain in both data sources; each is one contract per recipient group
+      const factory = getSplitFactory()
+      setAccountSplits(factory ? await Promise.all((await factory.getAccountSplits(account)).map(loadAccountSplit)) : [])
+
+      if (dataSource === 'indexer') {
+        await loadIndexedData()
+        return
+      }
 
       // Load outgoing streams
       const userStreamIds = await contract.getUserStreams(account)
-      const userStreamsData = await Promise.all(
-        userStreamIds.map(async (id) => {
-          const stream = await contract.getStream(id)
-          const balances = await contract.balanceOf(id)
-          return {
-            id: Number(id),
-            recipient: stream[1],
-            deposit: ethers.formatEther(stream[2]),
-            ratePerSecond: ethers.formatEther(stream[3]),
-            startTime: Number(stream[4]),
-            stopTime: Number(stream[5]),
-            remainingBalance: ethers.formatEther(stream[6]),
-            active: stream[7],
-            recipientBalance: ethers.formatEther(balances[0]),
-            senderBalance: ethers.formatEther(balances[1])
-          }
-        })
-      )
-      setStreams(userStreamsData)
+      setStreams(await Promise.all(userStreamIds.map(loadStream)))
 
       // Load incoming streams
       const recipientStreamIds = await contract.getRecipientStreams(account)
-      const recipientStreamsData = await Promise.all(
-        recipientStreamIds.map(async (id) => {
-          const stream = await contract.getStream(id)
-          const balances = await contract.balanceOf(id)
-          return {
-            id: Number(id),
-            sender: stream[0],
-            deposit: ethers.formatEther(stream[2]),
-            ratePerSecond: ethers.formatEther(stream[3]),
-            startTime: Number(stream[4]),
-            stopTime: Number(stream[5]),
-            remainingBalance: ethers.formatEther(stream[6]),
-            active: stream[7],
-            recipientBalance: ethers.formatEther(balances[0]),
-            senderBalance: ethers.formatEther(balances[1])
-          }
-        })
-      )
-      setRecipientStreams(recipientStreamsData)
+      setRecipientStreams(await Promise.all(recipientStreamIds.map(loadStream)))
+
+      // Load subscriptions paid by this account
+      const subscriptionIds = await contract.getUserSubscriptions(account)
+      setSubscriptions(await Promise.all(subscriptionIds.map(loadSubscription)))
+
+      // Load subscriptions paying this account
+      const providerSubscriptionIds = await contract.getProviderSubscriptions(account)
+      setProviderSubscriptions(await Promise.all(providerSubscriptionIds.map(loadSubscription)))
     } catch (error) {
       console.error('Error loading data:', error)
     }
   }
 
-  const createStream = async () => {
-    if (!recipient || !amount || !duration) return
-    
-    setLoading(true)
-    try {
-      let durationInSeconds = parseInt(duration)
-      
-      if (durationType === 'hours') {
-        durationInSeconds *= 3600
-      } else if (durationType === 'days') {
-        durationInSeconds *= 86400
-      } else if (durationType === 'months') {
-        durationInSeconds *= 2592000 // 30 days
-      }
+  // Stream and subscription state comes from the indexer instead of one RPC call per item
+  const loadIndexedData = async () => {
+    const [streamRows, subscriptionRows] = await Promise.all([
+      fetchIndexer(`/streams?party=${account}`),
+      fetchIndexer(`/subscriptions?party=${account}`)
+    ])
+    const self = account.toLowerCase()
 
-      const totalAmount = ethers.parseEther(amount)
-      const ratePerSecond = totalAmount / BigInt(durationInSeconds)
+    const indexedStreams = await Promise.all(
+      streamRows.map(async (row) => {
+        const [token, feeBps] = await Promise.all([getTokenInfo(row.token), contract.feeFor(row.sender, row.recipient)])
+        return toStreamView(row.id, row, row, token, feeBps)
+      })
+    )
+    setStreams(indexedStreams.filter(stream => stream.sender.toLowerCase() === self))
+    setRecipientStreams(indexedStreams.filter(stream => stream.recipient.toLowerCase() === self))
 
-      const tx = await contract.createStream(
-        recipient,
-        durationInSeconds,
-        ratePerSecond,
-        { value: totalAmount }
-      )
-      await tx.wait()
-      
-      setRecipient('')
-      setAmount('')
-      setDuration('')
-      setView('dashboard')
-      await loadData()
-      alert('Stream created successfully!')
-    } catch (error) {
-      console.error('Error creating stream:', error)
-      alert(error.reason || 'Failed to create stream')
-    } finally {
-      setLoading(false)
-    }
+    setSubscriptions(subscriptionRows.filter(row => row.subscriber === self).map(toSubscriptionView))
+    setProviderSubscriptions(subscriptionRows.filter(row => row.provider === self).map(toSubscriptionView))
   }
 
-  const withdrawFromStream = async (streamId) => {
+  const loadStream = async (id) => {
+    const [stream, schedule] = await Promise.all([contract.getStream(id), contract.getStreamSchedule(id)])
+    const [token, feeBps] = await Promise.all([getTokenInfo(stream.token), contract.feeFor(stream.sender, stream.recipient)])
+    return toStreamView(id, stream, schedule, token, feeBps)
+  }
+
+  // Deployments made before split streams have no factory
+  const getSplitFactory = () => {
+    const address = network?.deployment.splitFactory
+    return contract && address ? new ethers.Contract(address, SPLIT_FACTORY_ABI, contract.runner) : null
+  }
+
+  const loadSplit = async (address) => {
+    const split = new ethers.Contract(address, SPLIT_ABI, contract.runner)
+    const [recipients, shares] = await split.getRecipients()
+    return { address, recipients: [...recipients], shares: [...shares] }
+  }
+
+  // A split this account has a share in, the streams paying it, and what the account can withdraw per token
+  const loadAccountSplit = async (address) => {
+    const split = await loadSplit(address)
+    const splitStreams = await Promise.all((await contract.getRecipientStreams(address)).map(loadStream))
+    const tokens = [...new Set(splitStreams.map(stream => stream.token))]
+    const contractAt = new ethers.Contract(address, SPLIT_ABI, contract.runner)
+    const balances = await Promise.all(tokens.map(async (token) => ({
+      token: await getTokenInfo(token),
+      amount: await contractAt.balanceOf(account, token)
+    })))
+    const index = split.recipients.findIndex(r => r.toLowerCase() === account.toLowerCase())
+    return { ...split, share: split.shares[index], streams: splitStreams, balances }
+  }
+
+  const loadSubscription = async (id) => {
+    const sub = await contract.getSubscription(id)
+    return toSubscriptionView({ ...sub.toObject(), id })
+  }
+
+  const toSubscriptionView = (sub) => ({
+    id: Number(sub.id),
+    subscriber: ethers.getAddress(sub.subscriber),
+    provider: ethers.getAddress(sub.provider),
+    ratePerSecond: ethers.formatEther(sub.ratePerSecond),
+    lastPaymentTime: Number(sub.lastPaymentTime),
+    active: sub.active,
+    balance: ethers.formatEther(sub.balance),
+    lapsed: sub.lapsed,
+    accrual: toAccrualSubscription(sub)
+  })
+
+  const withBalances = (stream) => {
+    const [recipientBalance, senderBalance] = accruedBalances(stream.accrual, BigInt(Math.floor(chainNow / 1000)))
+    return {
+      ...stream,
+      status: streamStatus(stream, Math.floor(chainNow / 1000)),
+      recipientBalance: ethers.formatUnits(recipientBalance, stream.decimals),
+      senderBalance: ethers.formatUnits(senderBalance, stream.decimals)
+    }
+  }
+
+  const withPendingPayment = (sub) => {
+    const pending = subscriptionDue(sub.accrual, BigInt(Math.floor(chainNow / 1000)))
+    const funds = sub.accrual.balance
+    const available = funds > pending ? funds - pending : 0n
+    return {
+      ...sub,
+      pendingPayment: ethers.formatEther(pending),
+      funded: funds >= pending,
+      runway: Number(available / sub.accrual.ratePerSecond)
+    }
+  }
+
+  const getDurationInSeconds = () => {
+    let durationInSeconds = parseInt(duration)
+    
+    if (durationType === 'hours') {
+      durationInSeconds *= 3600
+    } else if (durationType === 'days') {
+      durationInSeconds *= 86400
+    } else if (durationType === 'months') {
+      durationInSeconds *= 2592000 // 30 days
+    }
+    return durationInSeconds
+  }
+
+  const toTimestamp = (date) => date ? Math.floor(new Date(date).getTime() / 1000) : 0
+
+  const getSchedulePreview = () => {
+    const durationInSeconds = getDurationInSeconds()
+    if (!durationInSeconds || durationInSeconds <= 0) return null
+    const startTime = toTimestamp(startDate) || Math.floor(Date.now() / 1000)
+    return {
+      startTime,
+      cliffTime: toTimestamp(cliffDate) || startTime,
+      stopTime: startTime + durationInSeconds,
+      stepDuration: UNLOCK_STEPS[unlockStep]
+    }
+  }
+
+  const createStream = async () => {
+    if ((recipientMode === 'single' && !recipient) || !amount || !duration) return
+    if (recipientMode === 'split' && !splitValid) return
+    
+    setLoading(true)
+    try {
+      const to = recipientMode === 'split' ? await deploySplit() : recipient
+      const durationInSeconds = getDurationInSeconds()
+      const isVesting = Boolean(startDate || cliffDate) || unlockStep !== 'linear'
+      const vestingArgs = [toTimestamp(startDate), toTimestamp(cliffDate), UNLOCK_STEPS[unlockStep]]
+
+      if (tokenType === 'erc20') {
+        if (!tokenInfo) throw new Error('Invalid token')
+
+        const totalAmount = ethers.parseUnits(amount, tokenInfo.decimals)
+        const ratePerSecond = totalAmount / BigInt(durationInSeconds)
+        const deposit = ratePerSecond * BigInt(durationInSeconds)
+
+        const token = new ethers.Contract(tokenInfo.address, ERC20_ABI, contract.runner)
+        const spender = await contract.getAddress()
+        const allowance = await token.allowance(account, spender)
+        if (allowance < deposit) {
+          setCreateStep('approve')
+          const approveTx = await token.approve(spender, deposit)
+          await approveTx.wait()
+        }
+
+        setCreateStep('create')
+        const tx = isVesting
+          ? await contract.createTokenVestingStream(
+            tokenInfo.address,
+            to,
+            durationInSeconds,
+            ratePerSecond,
+            ...vestingArgs
+          )
+          : await contract.createTokenStream(
+            tokenInfo.address,
+            to,
+            durationInSeconds,
+            ratePerSecond
+          )
+        await tx.wait()
+      } else {
+        const totalAmount = ethers.parseEther(amount)
+        const ratePerSecond = totalAmount / BigInt(durationInSeconds)
+
+        setCreateStep('create')
+        const tx = isVesting
+          ? await contract.createVestingStream(
+            to,
+            durationInSeconds,
+            ratePerSecond,
+            ...vestingArgs,
+            { value: totalAmount }
+          )
+          : await contract.createStream(
+            to,
+            durationInSeconds,
+            ratePerSecond,
+            { value: totalAmount }
+          )
+        await tx.wait()
+      }
+      
+      setRecipient('')
+      setSplitRows([{ address: '', percent: '' }, { address: '', percent: '' }])
+      setAmount('')
+      setDuration('')
+      setStartDate('')
+      setCliffDate('')
+      setUnlockStep('linear')
+      setView('dashboard')
+      await loadData()
+      alert('Stream created successfully!')
+    } catch (error) {
+      console.error('Error creating stream:', error)
+      alert(error.reason || 'Failed to create stream')
+    } finally {
+      setCreateStep('')
+      setLoading(false)
+    }
+  }
+
+  // The split contract for the entered recipients, deployed first if this group is new
+  const deploySplit = async () => {
+    const factory = getSplitFactory()
+    const recipients = parsedSplitRows.map(row => row.address)
+    const shares = parsedSplitRows.map(row => row.share)
+    const address = await factory.predictSplit(recipients, shares)
+    if (await contract.runner.provider.getCode(address) === '0x') {
+      setCreateStep('split')
+      const tx = await factory.createSplit(recipients, shares)
+      await tx.wait()
+    }
+    return address
+  }
+
+  const updateSplitRow = (index, field, value) => {
+    setSplitRows(rows => rows.map((row, i) => i === index ? { ...row, [field]: value } : row))
+  }
+
+  const withdrawSplitShare = async (split, token) => {
+    setLoading(true)
+    try {
+      const tx = await new ethers.Contract(split.address, SPLIT_ABI, contract.runner).withdraw(token.address)
+      await tx.wait()
+      await loadData()
+      alert('Withdrawal successful!')
+    } catch (error) {
+      console.error('Error withdrawing split share:', error)
+      alert(error.reason || 'Withdrawal failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const importPayrollFile = async (file) => {
+    if (!file) return
+    setPayrollCsv(await file.text())
+  }
+
+  const createPayroll = async () => {
+    const rows = parsePayrollCsv(payrollCsv, { durationUnit: payrollUnit, sender: account })
+    if (rows.length === 0 || rows.some(row => row.errors.length > 0)) return
+
+    const total = getPayrollTotal(rows)
+    if (!confirm(`Create ${rows.length} streams for ${ethers.formatEther(total)} ETH in one transaction?`)) return
+
+    setLoading(true)
+    try {
+      const tx = await contract.createStreams(
+        rows.map(row => row.address),
+        rows.map(row => row.durationInSeconds),
+        rows.map(row => row.ratePerSecond),
+        { value: total }
+      )
+      await tx.wait()
+
+      setPayrollCsv('')
+      setView('dashboard')
+      await loadData()
+      alert(`${rows.length} streams created!`)
+    } catch (error) {
+      console.error('Error creating payroll:', error)
+      alert(error.reason || 'Failed to create payroll')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openWithdrawDialog = (stream) => {
+    setWithdrawDialog(stream)
+    setWithdrawAmount(stream.recipientBalance)
+    setWithdrawTo(account)
+  }
+
+  const withdrawFromStream = async () => {
+    const stream = withdrawDialog
+    if (!ethers.isAddress(withdrawTo)) {
+      alert('Invalid destination address')
+      return
+    }
+
     setLoading(true)
     try {
-      const tx = await contract.withdrawFromStream(streamId)
+      const isFullAmount = withdrawAmount === stream.recipientBalance
+      const isToSelf = withdrawTo.toLowerCase() === account.toLowerCase()
+      // The full-balance variant also picks up what accrues while the tx is pending
+      const tx = isFullAmount && isToSelf
+        ? await contract['withdrawFromStream(uint256)'](stream.id)
+        : await contract['withdrawFromStream(uint256,uint256,address)'](
+          stream.id,
+          ethers.parseUnits(withdrawAmount, stream.decimals),
+          withdrawTo
+        )
       await tx.wait()
+      setWithdrawDialog(null)
       await loadData()
       alert('Withdrawal successful!')
     } catch (error) {
@@ -197,6 +1230,37 @@ function App() {
     }
   }
 
+  // Sign the withdrawal and let the relayer pay the gas
+  const withdrawGasless = async () => {
+    const stream = withdrawDialog
+    if (!ethers.isAddress(withdrawTo)) {
+      alert('Invalid destination address')
+      return
+    }
+
+    setLoading(true)
+    try {
+      // Amount 0 withdraws everything accrued when the relayed tx lands
+      const amount = withdrawAmount === stream.recipientBalance
+        ? 0n
+        : ethers.parseUnits(withdrawAmount, stream.decimals)
+      const intent = await signIntent(contract.runner, contract, 'withdraw', {
+        streamId: stream.id,
+        amount,
+        to: withdrawTo
+      })
+      await submitIntent(RELAYER_URL, intent)
+      setWithdrawDialog(null)
+      await loadData()
+      alert('Withdrawal successful!')
+    } catch (error) {
+      console.error('Error relaying withdrawal:', error)
+      alert(error.reason || error.message || 'Gasless withdrawal failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
   const cancelStream = async (streamId) => {
     if (!confirm('Are you sure you want to cancel this stream?')) return
     
@@ -214,6 +1278,222 @@ function App() {
     }
   }
 
+  const createSubscription = async () => {
+    if (!subProvider || !subRate || !subDeposit) return
+
+    setLoading(true)
+    try {
+      const ratePerSecond = ethers.parseEther(subRate) / 2592000n // 30 days
+      const tx = await contract.createSubscription(
+        subProvider,
+        ratePerSecond,
+        { value: ethers.parseEther(subDeposit) }
+      )
+      await tx.wait()
+
+      setSubProvider('')
+      setSubRate('')
+      setSubDeposit('')
+      await loadData()
+      alert('Subscription created!')
+    } catch (error) {
+      console.error('Error creating subscription:', error)
+      alert(error.reason || 'Failed to create subscription')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const topUpSubscription = async (subscriptionId) => {
+    const topUpAmount = prompt('Top-up amount (ETH)')
+    if (!topUpAmount) return
+
+    setLoading(true)
+    try {
+      const tx = await contract.topUpSubscription(subscriptionId, {
+        value: ethers.parseEther(topUpAmount)
+      })
+      await tx.wait()
+      await loadData()
+      alert('Subscription topped up!')
+    } catch (error) {
+      console.error('Error topping up subscription:', error)
+      alert(error.reason || 'Top-up failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const processSubscriptionPayment = async (subscriptionId) => {
+    setLoading(true)
+    try {
+      const tx = await contract.processSubscriptionPayment(subscriptionId)
+      await tx.wait()
+      await loadData()
+      alert('Payment settled!')
+    } catch (error) {
+      console.error('Error settling subscription:', error)
+      alert(error.reason || 'Settlement failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const settleAllSubscriptions = async () => {
+    const ids = providerSubscriptions.filter(sub => sub.active).map(sub => sub.id)
+    if (ids.length === 0) return
+
+    setLoading(true)
+    try {
+      const tx = await contract.processSubscriptionPayments(ids)
+      const receipt = await tx.wait()
+      const failed = receipt.logs
+        .map(log => { try { return contract.interface.parseLog(log) } catch { return null } })
+        .filter(event => event?.name === 'SubscriptionPaymentFailed')
+      await loadData()
+      alert(failed.length > 0
+        ? `Settled ${ids.length - failed.length} of ${ids.length} subscriptions in full (${failed.length} lapsed)`
+        : 'All subscriptions settled!')
+    } catch (error) {
+      console.error('Error settling subscriptions:', error)
+      alert(error.reason || 'Settlement failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const cancelSubscription = async (subscriptionId) => {
+    if (!confirm('Are you sure you want to cancel this subscription?')) return
+
+    setLoading(true)
+    try {
+      const tx = await contract.cancelSubscription(subscriptionId)
+      await tx.wait()
+      await loadData()
+      alert('Subscription cancelled')
+    } catch (error) {
+      console.error('Error cancelling subscription:', error)
+      alert(error.reason || 'Cancellation failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const transferStream = async (streamId) => {
+    const to = prompt('Transfer this stream to address')
+    if (!to) return
+    if (!ethers.isAddress(to)) {
+      alert('Invalid address')
+      return
+    }
+    if (!confirm(`Transfer stream #${streamId} and all future withdrawals to ${to}?`)) return
+
+    setLoading(true)
+    try {
+      const streamNFT = new ethers.Contract(await contract.streamNFT(), STREAM_NFT_ABI, contract.runner)
+      const tx = await streamNFT.safeTransferFrom(account, to, streamId)
+      await tx.wait()
+      await loadData()
+      alert('Stream transferred')
+    } catch (error) {
+      console.error('Error transferring stream:', error)
+      alert(error.reason || 'Transfer failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const pauseStream = async (streamId) => {
+    setLoading(true)
+    try {
+      const tx = await contract.pauseStream(streamId)
+      await tx.wait()
+      await loadData()
+      alert('Stream paused')
+    } catch (error) {
+      console.error('Error pausing stream:', error)
+      alert(error.reason || 'Pause failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const resumeStream = async (streamId) => {
+    setLoading(true)
+    try {
+      const tx = await contract.resumeStream(streamId)
+      await tx.wait()
+      await loadData()
+      alert('Stream resumed')
+    } catch (error) {
+      console.error('Error resuming stream:', error)
+      alert(error.reason || 'Resume failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const extendStream = async (stream) => {
+    const topUpAmount = prompt(`Add how much ${stream.symbol}? The stream runs longer at ${stream.ratePerSecond} ${stream.symbol}/s`)
+    if (!topUpAmount) return
+
+    setLoading(true)
+    try {
+      const amount = ethers.parseUnits(topUpAmount, stream.decimals)
+      if (stream.token === ethers.ZeroAddress) {
+        const tx = await contract.topUpStream(stream.id, { value: amount })
+        await tx.wait()
+      } else {
+        const token = new ethers.Contract(stream.token, ERC20_ABI, contract.runner)
+        const spender = await contract.getAddress()
+        const allowance = await token.allowance(account, spender)
+        if (allowance < amount) {
+          const approveTx = await token.approve(spender, amount)
+          await approveTx.wait()
+        }
+        const tx = await contract.topUpTokenStream(stream.id, amount)
+        await tx.wait()
+      }
+      await loadData()
+      alert('Stream extended!')
+    } catch (error) {
+      console.error('Error extending stream:', error)
+      alert(error.reason || 'Top-up failed')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const loadHistoryView = async () => {
+    setHistoryLoading(true)
+    try {
+      const outgoingStreamIds = await contract.getUserStreams(account)
+      setHistory(await loadHistory({
+        contract,
+        account,
+        outgoingStreamIds: [...outgoingStreamIds],
+        fromBlock: network.deployment.blockNumber || 0,
+        getTokenInfo
+      }))
+    } catch (error) {
+      console.error('Error loading history:', error)
+      alert('Failed to load history')
+    } finally {
+      setHistoryLoading(false)
+    }
+  }
+
+  const exportHistory = (format) => {
+    const content = format === 'csv' ? historyToCsv(history) : historyToJson(history)
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `streampay-history-${account.slice(2, 8)}-${new Date().toISOString().slice(0, 10)}.${format}`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
   const withdrawBalance = async () => {
     setLoading(true)
     try {
@@ -229,14 +1509,14 @@ function App() {
     }
   }
 
-  const getProgress = (stream) => {
-    const now = Math.floor(Date.now() / 1000)
-    if (now >= stream.stopTime) return 100
-    const elapsed = now - stream.startTime
-    const total = stream.stopTime - stream.startTime
-    return (elapsed / total) * 100
+  // Gross amount streamed to the recipient so far, withdrawn or not, as the stream NFT computes it
+  const getStreamedAmount = (stream) => {
+    const [, senderBalance] = accruedBalances(stream.accrual, BigInt(Math.floor(chainNow / 1000)))
+    return stream.accrual.deposit - (stream.active ? senderBalance : stream.accrual.remainingBalance)
   }
 
+  const getProgress = (stream) => streamProgress(stream, Math.floor(chainNow / 1000))
+
   const formatTime = (timestamp) => {
     return new Date(timestamp * 1000).toLocaleString()
   }
@@ -250,6 +1530,40 @@ function App() {
     return `${hours}h ${minutes}m`
   }
 
+  const payrollRows = parsePayrollCsv(payrollCsv, { durationUnit: payrollUnit, sender: account || undefined })
+  const payrollErrors = payrollRows.filter(row => row.errors.length > 0).length
+
+  const outgoingStreams = streams.map(withBalances)
+  const incomingStreams = recipientStreams.map(withBalances)
+  const outgoingSubscriptions = subscriptions.map(withPendingPayment)
+  const incomingSubscriptions = providerSubscriptions.map(withPendingPayment)
+
+  const isOwner = Boolean(owner) && owner.toLowerCase() === account?.toLowerCase()
+
+  const selectedSymbol = tokenType === 'erc20' ? (tokenInfo?.symbol || 'tokens') : 'ETH'
+  const parsedSplitRows = parseSplitRows(splitRows, { sender: account })
+  const splitTotal = getSplitTotal(parsedSplitRows)
+  const splitValid = parsedSplitRows.every(row => row.errors.length === 0) && splitTotal === TOTAL_SHARES
+
+  if (SUPPORTED_NETWORKS.length === 0) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl p-8 shadow-2xl text-center max-w-md">
+          <div className="text-6xl mb-4">🚧</div>
+          <h1 className="text-2xl font-bold mb-2">Not deployed yet</h1>
+          <p className="text-gray-600">
+            <code>frontend/src/deployments.json</code> has no deployments. Run <code>npm run deploy</code> (or{' '}
+            <code>npm run deploy:local</code> against a local node) and restart the app.
+          </p>
+        </div>
+      </div>
+    )
+  }
+
+  if (route.name === 'stream') {
+    return <StreamPage id={route.id} chainId={routeChainId(route) || selectedChainId} />
+  }
+
   if (!account) {
     return (
       <div className="min-h-screen flex items-center justify-center p-4">
@@ -257,139 +1571,633 @@ function App() {
           <div className="text-6xl mb-4">💸</div>
           <h1 className="text-4xl font-bold mb-4">StreamPay</h1>
           <p className="text-gray-600 mb-6">Real-time streaming payments on MegaETH</p>
+          {SUPPORTED_NETWORKS.length > 1 && (
+            <div className="mb-4">
+              <NetworkSelect value={selectedChainId} onChange={selectNetwork} />
+            </div>
+          )}
           <button
             onClick={connectWallet}
             className="px-8 py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-full font-bold hover:shadow-lg transition"
           >
             Connect Wallet
           </button>
+          {networkError && <p className="mt-4 text-sm text-red-600">{networkError}</p>}
         </div>
       </div>
     )
   }
 
-  return (
-    <div className="min-h-screen p-4 md:p-8">
-      <div className="max-w-6xl mx-auto">
-        {/* Header */}
-        <div className="bg-white rounded-2xl p-6 mb-6 shadow-lg">
-          <div className="flex items-center justify-between">
-            <div>
-              <h1 className="text-3xl font-bold">💸 StreamPay</h1>
-              <p className="text-gray-600">
-                {account.slice(0, 6)}...{account.slice(-4)}
-              </p>
-            </div>
-            <div className="text-right">
-              <p className="text-sm text-gray-600">Withdrawable Balance</p>
-              <p className="text-3xl font-bold">{parseFloat(balance).toFixed(6)} ETH</p>
-              {parseFloat(balance) > 0 && (
-                <button
-                  onClick={withdrawBalance}
-                  disabled={loading}
-                  className="mt-2 px-4 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+  if (!network) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl p-8 shadow-2xl text-center max-w-md">
+          <div className="text-6xl mb-4">🔌</div>
+          <h1 className="text-2xl font-bold mb-2">Unsupported network</h1>
+          <p className="text-gray-600 mb-6">
+            Your wallet is on chain {chainId ?? '…'}, where StreamPay isn't deployed. Switch to one of:
+          </p>
+          <div className="space-y-2">
+            {SUPPORTED_NETWORKS.map(supported => (
+              <button
+                key={supported.chainId}
+                onClick={() => changeNetwork(supported.chainId)}
+                className="w-full py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-xl font-bold hover:shadow-lg transition"
+              >
+                {supported.name}
+              </button>
+            ))}
+          </div>
+          {networkError && <p className="mt-4 text-sm text-red-600">{networkError}</p>}
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="min-h-screen p-4 md:p-8">
+      <div className="max-w-6xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-2xl p-6 mb-6 shadow-lg">
+          <div className="flex items-center justify-between">
+            <div>
+              <h1 className="text-3xl font-bold">💸 StreamPay</h1>
+              <p className="text-gray-600">
+                {account.slice(0, 6)}...{account.slice(-4)}
+              </p>
+              <label className="text-xs text-gray-500 mr-3">
+                Network{' '}
+                <NetworkSelect value={network.chainId} onChange={changeNetwork} compact />
+              </label>
+              <label className="text-xs text-gray-500">
+                Data source{' '}
+                <select
+                  value={dataSource}
+                  onChange={(e) => setDataSource(e.target.value)}
+                  className="ml-1 px-2 py-0.5 border rounded"
+                >
+                  {Object.entries(DATA_SOURCES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+              {notificationPermission === 'default' && (
+                <button onClick={enableNotifications} className="ml-3 text-xs text-purple-600 font-bold hover:underline">
+                  🔔 Enable notifications
+                </button>
+              )}
+            </div>
+            <div className="text-right">
+              <p className="text-sm text-gray-600">Withdrawable Balance</p>
+              <p className="text-3xl font-bold">{parseFloat(balance).toFixed(6)} ETH</p>
+              {parseFloat(balance) > 0 && (
+                <button
+                  onClick={withdrawBalance}
+                  disabled={loading}
+                  className="mt-2 px-4 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                >
+                  Withdraw
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+
+        {networkError && (
+          <div className="bg-red-50 border border-red-200 text-red-700 rounded-xl p-4 mb-6 flex justify-between items-center">
+            <span>{networkError}. Still on {network.name}.</span>
+            <button onClick={() => setNetworkError(null)} className="font-bold">✕</button>
+          </div>
+        )}
+
+        {/* Navigation */}
+        <div className="flex gap-4 mb-6">
+          <button
+            onClick={() => setView('dashboard')}
+            className={`flex-1 py-3 rounded-xl font-bold transition ${
+              view === 'dashboard'
+                ? 'bg-white text-purple-600 shadow-lg'
+                : 'bg-white/20 text-white hover:bg-white/30'
+            }`}
+          >
+            Dashboard
+          </button>
+          <button
+            onClick={() => setView('create')}
+            className={`flex-1 py-3 rounded-xl font-bold transition ${
+              view === 'create'
+                ? 'bg-white text-purple-600 shadow-lg'
+                : 'bg-white/20 text-white hover:bg-white/30'
+            }`}
+          >
+            Create Stream
+          </button>
+          <button
+            onClick={() => setView('payroll')}
+            className={`flex-1 py-3 rounded-xl font-bold transition ${
+              view === 'payroll'
+                ? 'bg-white text-purple-600 shadow-lg'
+                : 'bg-white/20 text-white hover:bg-white/30'
+            }`}
+          >
+            Payroll
+          </button>
+          <button
+            onClick={() => setView('subscriptions')}
+            className={`flex-1 py-3 rounded-xl font-bold transition ${
+              view === 'subscriptions'
+                ? 'bg-white text-purple-600 shadow-lg'
+                : 'bg-white/20 text-white hover:bg-white/30'
+            }`}
+          >
+            Subscriptions
+          </button>
+          <button
+            onClick={() => setView('history')}
+            className={`flex-1 py-3 rounded-xl font-bold transition ${
+              view === 'history'
+                ? 'bg-white text-purple-600 shadow-lg'
+                : 'bg-white/20 text-white hover:bg-white/30'
+            }`}
+          >
+            History
+          </button>
+          {isOwner && (
+            <button
+              onClick={() => setView('admin')}
+              className={`flex-1 py-3 rounded-xl font-bold transition ${
+                view === 'admin'
+                  ? 'bg-white text-purple-600 shadow-lg'
+                  : 'bg-white/20 text-white hover:bg-white/30'
+              }`}
+            >
+              Admin
+            </button>
+          )}
+        </div>
+
+        {/* Dashboard View */}
+        {view === 'dashboard' && (
+          <div className="space-y-6">
+            {/* Outgoing Streams */}
+            <div className="bg-white rounded-2xl p-6 shadow-lg">
+              <h2 className="text-2xl font-bold mb-4">📤 Outgoing Streams</h2>
+              {outgoingStreams.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No outgoing streams</p>
+              ) : (
+                <div className="space-y-4">
+                  {outgoingStreams.map(stream => (
+                    <div key={stream.id} className="border rounded-xl p-4">
+                      <div className="flex justify-between items-start mb-3">
+                        <div>
+                          <p className="text-sm text-gray-600">To</p>
+                          <p className="font-mono font-bold">{stream.recipient.slice(0, 10)}...</p>
+                          {splits[stream.recipient] && (
+                            <span className="inline-block mt-1 px-2 py-0.5 bg-purple-100 text-purple-800 text-xs rounded-full font-bold">
+                              Split · {splits[stream.recipient].recipients.length} recipients
+                            </span>
+                          )}
+                          <StatusBadge status={stream.status} />
+                          <a
+                            href={streamLink(stream.id, network.chainId)}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="block mt-1 text-xs text-purple-600 hover:underline"
+                          >
+                            Shareable status page ↗
+                          </a>
+                        </div>
+                        <div className="text-right">
+                          <p className="text-sm text-gray-600">Rate</p>
+                          <p className="font-bold">{(parseFloat(stream.ratePerSecond) * 3600).toFixed(6)} {stream.symbol}/h</p>
+                        </div>
+                      </div>
+
+                      {!stream.active && <SettlementSummary stream={stream} />}
+
+                      {stream.active && (
+                        <div className="mb-3">
+                          <div className="flex justify-between text-sm mb-1">
+                            <span>Progress</span>
+                            <span>{getProgress(stream).toFixed(1)}%</span>
+                          </div>
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                              className="bg-gradient-to-r from-purple-500 to-blue-500 h-2 rounded-full progress-bar animate-flow"
+                              style={{ width: `${getProgress(stream)}%` }}
+                            />
+                          </div>
+                        </div>
+                      )}
+
+                      <div className="grid grid-cols-2 gap-4 text-sm mb-3">
+                        <div>
+                          <p className="text-gray-600">Streamed</p>
+                          <p className="font-bold">
+                            <LiveBalance stream={stream} chainOffset={chainOffset} feeBps={stream.feeBps} field="recipientBalance" />
+                          </p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600">Remaining</p>
+                          <p className="font-bold">
+                            <LiveBalance stream={stream} chainOffset={chainOffset} feeBps={stream.feeBps} field="senderBalance" />
+                          </p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600">Start</p>
+                          <p className="font-bold">{formatTime(stream.startTime)}</p>
+                        </div>
+                        <div>
+                          <p className="text-gray-600">End</p>
+                          <p className="font-bold">{formatTime(stream.stopTime)}</p>
+                        </div>
+                        {stream.cliffTime > stream.startTime && (
+                          <div>
+                            <p className="text-gray-600">Cliff</p>
+                            <p className="font-bold">{formatTime(stream.cliffTime)}</p>
+                          </div>
+                        )}
+                        {stream.stepDuration > 0 && (
+                          <div>
+                            <p className="text-gray-600">Unlocks Every</p>
+                            <p className="font-bold">{formatDuration(stream.stepDuration)}</p>
+                          </div>
+                        )}
+                      </div>
+
+                      {splits[stream.recipient] && (
+                        <div className="mb-3 text-sm">
+                          <p className="text-gray-600 mb-1">Streamed per recipient</p>
+                          {splits[stream.recipient].recipients.map((address, index) => (
+                            <div key={address} className="flex justify-between py-1 border-b last:border-b-0">
+                              <span className="font-mono">{address.slice(0, 10)}... · {ethers.formatUnits(splits[stream.recipient].shares[index], 2)}%</span>
+                              <span className="font-bold">
+                                {ethers.formatUnits(
+                                  splitAmount(getStreamedAmount(stream), splits[stream.recipient].shares[index]),
+                                  stream.decimals
+                                )} {stream.symbol}
+                              </span>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+
+                      <div className="flex gap-2">
+                        {stream.active && stream.pausedAt === 0 && chainNow / 1000 < stream.stopTime && (
+                          <button
+                            onClick={() => pauseStream(stream.id)}
+                            disabled={loading}
+                            className="flex-1 py-2 bg-yellow-500 text-white rounded-lg font-bold hover:bg-yellow-600 transition disabled:opacity-50"
+                          >
+                            Pause
+                          </button>
+                        )}
+                        {stream.active && stream.pausedAt > 0 && (
+                          <button
+                            onClick={() => resumeStream(stream.id)}
+                            disabled={loading}
+                            className="flex-1 py-2 bg-blue-500 text-white rounded-lg font-bold hover:bg-blue-600 transition disabled:opacity-50"
+                          >
+                            Resume
+                          </button>
+                        )}
+                        {stream.active && chainNow / 1000 < stream.stopTime && (
+                          <button
+                            onClick={() => extendStream(stream)}
+                            disabled={loading}
+                            className="flex-1 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                          >
+                            Extend
+                          </button>
+                        )}
+                        {stream.active && (
+                          <button
+                            onClick={() => cancelStream(stream.id)}
+                            disabled={loading}
+                            className="flex-1 py-2 bg-red-500 text-white rounded-lg font-bold hover:bg-red-600 transition disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Incoming Streams */}
+            <div className="bg-white rounded-2xl p-6 shadow-lg">
+              <h2 className="text-2xl font-bold mb-4">📥 Incoming Streams</h2>
+              {incomingStreams.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No incoming streams</p>
+              ) : (
+                <div className="space-y-4">
+                  {incomingStreams.map(stream => (
+                    <div key={stream.id} className="border rounded-xl p-4 bg-green-50">
+                      <div className="flex justify-between items-start mb-3">
+                        <div>
+                          <p className="text-sm text-gray-600">From</p>
+                          <p className="font-mono font-bold">{stream.sender.slice(0, 10)}...</p>
+                          <StatusBadge status={stream.status} />
+                          <a
+                            href={streamLink(stream.id, network.chainId)}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="block mt-1 text-xs text-purple-600 hover:underline"
+                          >
+                            Shareable status page ↗
+                          </a>
+                        </div>
+                        <div className="text-right">
+                          <p className="text-sm text-gray-600">Rate</p>
+                          <p className="font-bold">{(parseFloat(stream.ratePerSecond) * 3600).toFixed(6)} {stream.symbol}/h</p>
+                        </div>
+                      </div>
+
+                      {!stream.active && <SettlementSummary stream={stream} />}
+
+                      {stream.active && (
+                        <div className="mb-3">
+                          <div className="flex justify-between text-sm mb-1">
+                            <span>Progress</span>
+                            <span>{getProgress(stream).toFixed(1)}%</span>
+                          </div>
+                          <div className="w-full bg-gray-200 rounded-full h-2">
+                            <div
+                              className="bg-gradient-to-r from-green-500 to-blue-500 h-2 rounded-full progress-bar animate-flow"
+                              style={{ width: `${getProgress(stream)}%` }}
+                            />
+                          </div>
+                        </div>
+                      )}
+
+                      {stream.active && (
+                        <div className="mb-3 p-3 bg-white rounded-lg">
+                          <p className="text-sm text-gray-600">Available to Withdraw</p>
+                          <p className="text-2xl font-bold text-green-600">
+                            <LiveBalance stream={stream} chainOffset={chainOffset} feeBps={stream.feeBps} field="recipientBalance" />
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            <LiveBalance stream={stream} chainOffset={chainOffset} feeBps={stream.feeBps} field="net" /> after the {Number(stream.feeBps) / 100}% fee
+                          </p>
+                          {chainNow / 1000 < stream.startTime && (
+                            <p className="text-sm text-gray-600">Starts {formatTime(stream.startTime)}</p>
+                          )}
+                          {chainNow / 1000 < stream.cliffTime && stream.cliffTime > stream.startTime && (
+                            <p className="text-sm text-gray-600">Cliff unlocks {formatTime(stream.cliffTime)}</p>
+                          )}
+                        </div>
+                      )}
+
+                      <div className="flex gap-2">
+                        {stream.active && parseFloat(stream.recipientBalance) > 0 && (
+                          <button
+                            onClick={() => openWithdrawDialog(stream)}
+                            disabled={loading}
+                            className="flex-1 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                          >
+                            Withdraw
+                          </button>
+                        )}
+                        {stream.active && (
+                          <button
+                            onClick={() => transferStream(stream.id)}
+                            disabled={loading}
+                            className="px-4 py-2 bg-blue-500 text-white rounded-lg font-bold hover:bg-blue-600 transition disabled:opacity-50"
+                          >
+                            Transfer stream
+                          </button>
+                        )}
+                        {stream.active && (
+                          <button
+                            onClick={() => cancelStream(stream.id)}
+                            disabled={loading}
+                            className="px-4 py-2 bg-red-500 text-white rounded-lg font-bold hover:bg-red-600 transition disabled:opacity-50"
+                          >
+                            Cancel
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Split Payouts */}
+            {accountSplits.length > 0 && (
+              <div className="bg-white rounded-2xl p-6 shadow-lg">
+                <h2 className="text-2xl font-bold mb-4">🤝 Split Payouts</h2>
+                <div className="space-y-4">
+                  {accountSplits.map(split => (
+                    <div key={split.address} className="border rounded-xl p-4 bg-green-50">
+                      <div className="flex justify-between items-start mb-3">
+                        <div>
+                          <p className="text-sm text-gray-600">Split</p>
+                          <p className="font-mono font-bold">{split.address.slice(0, 10)}...</p>
+                          <p className="text-xs text-gray-500">
+                            {split.streams.filter(stream => stream.active).length} active streams · {split.recipients.length} recipients
+                          </p>
+                        </div>
+                        <div className="text-right">
+                          <p className="text-sm text-gray-600">Your Share</p>
+                          <p className="font-bold">{ethers.formatUnits(split.share, 2)}%</p>
+                        </div>
+                      </div>
+
+                      {split.balances.length === 0 ? (
+                        <p className="text-sm text-gray-500">No streams pay this split yet</p>
+                      ) : (
+                        <div className="space-y-2">
+                          {split.balances.map(({ token, amount }) => (
+                            <div key={token.address} className="flex justify-between items-center p-3 bg-white rounded-lg">
+                              <div>
+                                <p className="text-sm text-gray-600">Available to Withdraw</p>
+                                <p className="text-xl font-bold text-green-600">{ethers.formatUnits(amount, token.decimals)} {token.symbol}</p>
+                              </div>
+                              <button
+                                onClick={() => withdrawSplitShare(split, token)}
+                                disabled={loading || amount === 0n}
+                                className="px-4 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                              >
+                                Withdraw
+                              </button>
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Payroll View */}
+        {view === 'payroll' && (
+          <div className="bg-white rounded-2xl p-6 shadow-lg">
+            <h2 className="text-2xl font-bold mb-2">Payroll</h2>
+            <p className="text-gray-600 mb-6">
+              Import a CSV of <span className="font-mono">address,amount,duration</span> (amount in ETH) to create every stream in a single transaction.
+            </p>
+
+            <div className="space-y-4">
+              <div className="flex gap-2">
+                <input
+                  type="file"
+                  accept=".csv,text/csv"
+                  onChange={(e) => importPayrollFile(e.target.files[0])}
+                  className="flex-1 px-4 py-3 border rounded-lg"
+                />
+                <select
+                  value={payrollUnit}
+                  onChange={(e) => setPayrollUnit(e.target.value)}
+                  className="px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
                 >
-                  Withdraw
-                </button>
+                  <option value="hours">Duration in hours</option>
+                  <option value="days">Duration in days</option>
+                  <option value="months">Duration in months</option>
+                </select>
+              </div>
+
+              <textarea
+                rows={6}
+                placeholder={'address,amount,duration\n0x1234...,1.5,30'}
+                value={payrollCsv}
+                onChange={(e) => setPayrollCsv(e.target.value)}
+                className="w-full px-4 py-3 border rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+              />
+
+              {payrollRows.length > 0 && (
+                <div className="overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600 border-b">
+                        <th className="py-2 pr-4">#</th>
+                        <th className="py-2 pr-4">Recipient</th>
+                        <th className="py-2 pr-4">Amount</th>
+                        <th className="py-2 pr-4">Duration</th>
+                        <th className="py-2 pr-4">Rate</th>
+                        <th className="py-2">Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {payrollRows.map(row => (
+                        <tr key={row.line} className={`border-b ${row.errors.length > 0 ? 'bg-red-50' : ''}`}>
+                          <td className="py-2 pr-4">{row.line}</td>
+                          <td className="py-2 pr-4 font-mono">{row.address ? `${row.address.slice(0, 10)}...` : '—'}</td>
+                          <td className="py-2 pr-4">{row.amount} ETH</td>
+                          <td className="py-2 pr-4">{row.duration} {payrollUnit}</td>
+                          <td className="py-2 pr-4">
+                            {row.errors.length === 0 ? `${(parseFloat(ethers.formatEther(row.ratePerSecond)) * 3600).toFixed(6)} ETH/h` : '—'}
+                          </td>
+                          <td className={`py-2 font-bold ${row.errors.length > 0 ? 'text-red-600' : 'text-green-600'}`}>
+                            {row.errors.length > 0 ? row.errors.join(', ') : 'OK'}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {payrollRows.length > 0 && (
+                <div className="p-4 bg-purple-50 rounded-lg flex justify-between">
+                  <div>
+                    <p className="text-sm text-gray-600 mb-1">Streams</p>
+                    <p className="text-xl font-bold">{payrollRows.length - payrollErrors} valid{payrollErrors > 0 ? `, ${payrollErrors} with errors` : ''}</p>
+                  </div>
+                  <div className="text-right">
+                    <p className="text-sm text-gray-600 mb-1">Total Deposit</p>
+                    <p className="text-xl font-bold">{ethers.formatEther(getPayrollTotal(payrollRows))} ETH</p>
+                  </div>
+                </div>
               )}
+
+              <button
+                onClick={createPayroll}
+                disabled={loading || payrollRows.length === 0 || payrollErrors > 0}
+                className="w-full py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg font-bold hover:shadow-lg transition disabled:opacity-50"
+              >
+                {loading ? 'Creating Streams...' : `Create ${payrollRows.length} Streams`}
+              </button>
             </div>
           </div>
-        </div>
-
-        {/* Navigation */}
-        <div className="flex gap-4 mb-6">
-          <button
-            onClick={() => setView('dashboard')}
-            className={`flex-1 py-3 rounded-xl font-bold transition ${
-              view === 'dashboard'
-                ? 'bg-white text-purple-600 shadow-lg'
-                : 'bg-white/20 text-white hover:bg-white/30'
-            }`}
-          >
-            Dashboard
-          </button>
-          <button
-            onClick={() => setView('create')}
-            className={`flex-1 py-3 rounded-xl font-bold transition ${
-              view === 'create'
-                ? 'bg-white text-purple-600 shadow-lg'
-                : 'bg-white/20 text-white hover:bg-white/30'
-            }`}
-          >
-            Create Stream
-          </button>
-        </div>
+        )}
 
-        {/* Dashboard View */}
-        {view === 'dashboard' && (
+        {/* Subscriptions View */}
+        {view === 'subscriptions' && (
           <div className="space-y-6">
-            {/* Outgoing Streams */}
+            {/* My Subscriptions */}
             <div className="bg-white rounded-2xl p-6 shadow-lg">
-              <h2 className="text-2xl font-bold mb-4">📤 Outgoing Streams</h2>
-              {streams.length === 0 ? (
-                <p className="text-gray-500 text-center py-8">No outgoing streams</p>
+              <h2 className="text-2xl font-bold mb-4">🔁 My Subscriptions</h2>
+              {outgoingSubscriptions.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No subscriptions</p>
               ) : (
                 <div className="space-y-4">
-                  {streams.map(stream => (
-                    <div key={stream.id} className="border rounded-xl p-4">
+                  {outgoingSubscriptions.map(sub => (
+                    <div key={sub.id} className="border rounded-xl p-4">
                       <div className="flex justify-between items-start mb-3">
                         <div>
-                          <p className="text-sm text-gray-600">To</p>
-                          <p className="font-mono font-bold">{stream.recipient.slice(0, 10)}...</p>
+                          <p className="text-sm text-gray-600">Provider</p>
+                          <p className="font-mono font-bold">{sub.provider.slice(0, 10)}...</p>
+                          {sub.lapsed && (
+                            <span className="inline-block mt-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 text-xs rounded-full font-bold">
+                              Lapsed
+                            </span>
+                          )}
                         </div>
                         <div className="text-right">
                           <p className="text-sm text-gray-600">Rate</p>
-                          <p className="font-bold">{(parseFloat(stream.ratePerSecond) * 3600).toFixed(6)} ETH/h</p>
+                          <p className="font-bold">{(parseFloat(sub.ratePerSecond) * 2592000).toFixed(6)} ETH/mo</p>
                         </div>
                       </div>
 
-                      {stream.active && (
-                        <div className="mb-3">
-                          <div className="flex justify-between text-sm mb-1">
-                            <span>Progress</span>
-                            <span>{getProgress(stream).toFixed(1)}%</span>
-                          </div>
-                          <div className="w-full bg-gray-200 rounded-full h-2">
-                            <div
-                              className="bg-gradient-to-r from-purple-500 to-blue-500 h-2 rounded-full progress-bar animate-flow"
-                              style={{ width: `${getProgress(stream)}%` }}
-                            />
-                          </div>
-                        </div>
-                      )}
-
                       <div className="grid grid-cols-2 gap-4 text-sm mb-3">
                         <div>
-                          <p className="text-gray-600">Streamed</p>
-                          <p className="font-bold">{stream.recipientBalance} ETH</p>
+                          <p className="text-gray-600">Escrow</p>
+                          <p className="font-bold">{sub.balance} ETH</p>
                         </div>
                         <div>
-                          <p className="text-gray-600">Remaining</p>
-                          <p className="font-bold">{stream.senderBalance} ETH</p>
+                          <p className="text-gray-600">Pending Payment</p>
+                          <p className="font-bold">{sub.pendingPayment} ETH</p>
                         </div>
                         <div>
-                          <p className="text-gray-600">Start</p>
-                          <p className="font-bold">{formatTime(stream.startTime)}</p>
+                          <p className="text-gray-600">Runway</p>
+                          <p className={`font-bold ${sub.active && !sub.funded ? 'text-red-600' : ''}`}>
+                            {!sub.active ? '—' : sub.funded ? formatDuration(sub.runway) : 'Underfunded'}
+                          </p>
                         </div>
                         <div>
-                          <p className="text-gray-600">End</p>
-                          <p className="font-bold">{formatTime(stream.stopTime)}</p>
+                          <p className="text-gray-600">Last Payment</p>
+                          <p className="font-bold">{formatTime(sub.lastPaymentTime)}</p>
                         </div>
                       </div>
 
                       <div className="flex gap-2">
-                        {stream.active && (
+                        {(sub.active || sub.lapsed) && (
                           <button
-                            onClick={() => cancelStream(stream.id)}
+                            onClick={() => topUpSubscription(sub.id)}
                             disabled={loading}
-                            className="flex-1 py-2 bg-red-500 text-white rounded-lg font-bold hover:bg-red-600 transition disabled:opacity-50"
+                            className="flex-1 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                          >
+                            {sub.lapsed ? 'Top Up & Reactivate' : 'Top Up'}
+                          </button>
+                        )}
+                        {(sub.active || sub.lapsed) && (
+                          <button
+                            onClick={() => cancelSubscription(sub.id)}
+                            disabled={loading}
+                            className="px-4 py-2 bg-red-500 text-white rounded-lg font-bold hover:bg-red-600 transition disabled:opacity-50"
                           >
                             Cancel
                           </button>
                         )}
-                        {!stream.active && (
+                        {!sub.active && !sub.lapsed && (
                           <div className="flex-1 py-2 bg-gray-300 text-gray-600 rounded-lg font-bold text-center">
-                            Completed
+                            Cancelled
                           </div>
                         )}
                       </div>
@@ -399,71 +2207,142 @@ function App() {
               )}
             </div>
 
-            {/* Incoming Streams */}
+            {/* Incoming Subscriptions */}
             <div className="bg-white rounded-2xl p-6 shadow-lg">
-              <h2 className="text-2xl font-bold mb-4">📥 Incoming Streams</h2>
-              {recipientStreams.length === 0 ? (
-                <p className="text-gray-500 text-center py-8">No incoming streams</p>
+              <div className="flex justify-between items-center mb-4">
+                <h2 className="text-2xl font-bold">💼 Incoming Subscriptions</h2>
+                {providerSubscriptions.filter(sub => sub.active).length > 1 && (
+                  <button
+                    onClick={settleAllSubscriptions}
+                    disabled={loading}
+                    className="px-4 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                  >
+                    Settle All
+                  </button>
+                )}
+              </div>
+              {incomingSubscriptions.length === 0 ? (
+                <p className="text-gray-500 text-center py-8">No incoming subscriptions</p>
               ) : (
                 <div className="space-y-4">
-                  {recipientStreams.map(stream => (
-                    <div key={stream.id} className="border rounded-xl p-4 bg-green-50">
+                  {incomingSubscriptions.map(sub => (
+                    <div key={sub.id} className="border rounded-xl p-4 bg-green-50">
                       <div className="flex justify-between items-start mb-3">
                         <div>
-                          <p className="text-sm text-gray-600">From</p>
-                          <p className="font-mono font-bold">{stream.sender.slice(0, 10)}...</p>
+                          <p className="text-sm text-gray-600">Subscriber</p>
+                          <p className="font-mono font-bold">{sub.subscriber.slice(0, 10)}...</p>
+                          {sub.lapsed && (
+                            <span className="inline-block mt-1 px-2 py-0.5 bg-yellow-100 text-yellow-800 text-xs rounded-full font-bold">
+                              Lapsed
+                            </span>
+                          )}
                         </div>
                         <div className="text-right">
                           <p className="text-sm text-gray-600">Rate</p>
-                          <p className="font-bold">{(parseFloat(stream.ratePerSecond) * 3600).toFixed(6)} ETH/h</p>
+                          <p className="font-bold">{(parseFloat(sub.ratePerSecond) * 2592000).toFixed(6)} ETH/mo</p>
                         </div>
                       </div>
 
-                      {stream.active && (
-                        <div className="mb-3">
-                          <div className="flex justify-between text-sm mb-1">
-                            <span>Progress</span>
-                            <span>{getProgress(stream).toFixed(1)}%</span>
-                          </div>
-                          <div className="w-full bg-gray-200 rounded-full h-2">
-                            <div
-                              className="bg-gradient-to-r from-green-500 to-blue-500 h-2 rounded-full progress-bar animate-flow"
-                              style={{ width: `${getProgress(stream)}%` }}
-                            />
-                          </div>
-                        </div>
-                      )}
-
                       <div className="mb-3 p-3 bg-white rounded-lg">
-                        <p className="text-sm text-gray-600">Available to Withdraw</p>
-                        <p className="text-2xl font-bold text-green-600">{stream.recipientBalance} ETH</p>
+                        <p className="text-sm text-gray-600">Ready to Settle</p>
+                        <p className="text-2xl font-bold text-green-600">{sub.pendingPayment} ETH</p>
+                        {sub.active && !sub.funded && (
+                          <p className="text-sm text-red-600">Escrow only covers {sub.balance} ETH; settling will lapse this subscription</p>
+                        )}
+                        {sub.lapsed && (
+                          <p className="text-sm text-yellow-700">Out of funds until the subscriber tops up</p>
+                        )}
                       </div>
 
                       <div className="flex gap-2">
-                        {stream.active && parseFloat(stream.recipientBalance) > 0 && (
+                        {sub.active && (
                           <button
-                            onClick={() => withdrawFromStream(stream.id)}
+                            onClick={() => processSubscriptionPayment(sub.id)}
                             disabled={loading}
                             className="flex-1 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
                           >
-                            Withdraw
+                            Settle
                           </button>
                         )}
-                        {stream.active && (
+                        {(sub.active || sub.lapsed) && (
                           <button
-                            onClick={() => cancelStream(stream.id)}
+                            onClick={() => cancelSubscription(sub.id)}
                             disabled={loading}
                             className="px-4 py-2 bg-red-500 text-white rounded-lg font-bold hover:bg-red-600 transition disabled:opacity-50"
                           >
                             Cancel
                           </button>
                         )}
+                        {!sub.active && !sub.lapsed && (
+                          <div className="flex-1 py-2 bg-gray-300 text-gray-600 rounded-lg font-bold text-center">
+                            Cancelled
+                          </div>
+                        )}
                       </div>
                     </div>
                   ))}
                 </div>
               )}
             </div>
+
+            {/* New Subscription */}
+            <div className="bg-white rounded-2xl p-6 shadow-lg">
+              <h2 className="text-2xl font-bold mb-6">New Subscription</h2>
+
+              <div className="space-y-4">
+                <div>
+                  <label className="block text-sm font-bold mb-2">Provider Address</label>
+                  <input
+                    type="text"
+                    placeholder="0x..."
+                    value={subProvider}
+                    onChange={(e) => setSubProvider(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-bold mb-2">Rate (ETH per month)</label>
+                  <input
+                    type="number"
+                    placeholder="0.01"
+                    step="0.001"
+                    value={subRate}
+                    onChange={(e) => setSubRate(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-bold mb-2">Initial Deposit (ETH)</label>
+                  <input
+                    type="number"
+                    placeholder="0.03"
+                    step="0.001"
+                    value={subDeposit}
+                    onChange={(e) => setSubDeposit(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+
+                {subRate && subDeposit && parseFloat(subRate) > 0 && (
+                  <div className="p-4 bg-purple-50 rounded-lg">
+                    <p className="text-sm text-gray-600 mb-1">Deposit Covers</p>
+                    <p className="text-xl font-bold">
+                      {formatDuration(Math.floor(parseFloat(subDeposit) / parseFloat(subRate) * 2592000))}
+                    </p>
+                  </div>
+                )}
+
+                <button
+                  onClick={createSubscription}
+                  disabled={loading || !subProvider || !subRate || !subDeposit}
+                  className="w-full py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg font-bold hover:shadow-lg transition disabled:opacity-50"
+                >
+                  {loading ? 'Processing...' : 'Subscribe'}
+                </button>
+              </div>
+            </div>
           </div>
         )}
 
@@ -473,19 +2352,117 @@ function App() {
             <h2 className="text-2xl font-bold mb-6">Create Payment Stream</h2>
             
             <div className="space-y-4">
+              {network?.deployment.splitFactory && (
+                <div className="flex gap-2">
+                  <button
+                    onClick={() => setRecipientMode('single')}
+                    className={`flex-1 py-2 rounded-lg font-bold transition ${recipientMode === 'single' ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                  >
+                    One recipient
+                  </button>
+                  <button
+                    onClick={() => setRecipientMode('split')}
+                    className={`flex-1 py-2 rounded-lg font-bold transition ${recipientMode === 'split' ? 'bg-purple-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+                  >
+                    Split between recipients
+                  </button>
+                </div>
+              )}
+
+              {recipientMode === 'single' ? (
+                <div>
+                  <label className="block text-sm font-bold mb-2">Recipient Address</label>
+                  <input
+                    type="text"
+                    placeholder="0x..."
+                    value={recipient}
+                    onChange={(e) => setRecipient(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+              ) : (
+                <div>
+                  <label className="block text-sm font-bold mb-2">Recipients</label>
+                  <div className="space-y-2">
+                    {parsedSplitRows.map((row, index) => (
+                      <div key={index}>
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            placeholder="0x..."
+                            value={splitRows[index].address}
+                            onChange={(e) => updateSplitRow(index, 'address', e.target.value)}
+                            className="flex-1 px-4 py-3 border rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                          <input
+                            type="number"
+                            placeholder="%"
+                            step="0.01"
+                            value={splitRows[index].percent}
+                            onChange={(e) => updateSplitRow(index, 'percent', e.target.value)}
+                            className="w-28 px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                          />
+                          <button
+                            onClick={() => setSplitRows(rows => rows.filter((_, i) => i !== index))}
+                            disabled={splitRows.length <= 2}
+                            className="px-3 py-2 bg-gray-200 rounded-lg font-bold hover:bg-gray-300 transition disabled:opacity-50"
+                          >
+                            ✕
+                          </button>
+                        </div>
+                        {row.errors.length > 0 && (row.address || row.percent) && (
+                          <p className="text-sm text-red-600 mt-1">{row.errors.join(', ')}</p>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex justify-between items-center mt-2">
+                    <button
+                      onClick={() => setSplitRows(rows => [...rows, { address: '', percent: '' }])}
+                      className="text-sm text-purple-600 font-bold"
+                    >
+                      + Add recipient
+                    </button>
+                    <p className={`text-sm font-bold ${splitTotal === TOTAL_SHARES ? 'text-green-600' : 'text-gray-600'}`}>
+                      Total {ethers.formatUnits(splitTotal, 2)}% of 100%
+                    </p>
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    The stream pays a split contract; each recipient withdraws their share, and cancelling refunds you once.
+                  </p>
+                </div>
+              )}
+
               <div>
-                <label className="block text-sm font-bold mb-2">Recipient Address</label>
-                <input
-                  type="text"
-                  placeholder="0x..."
-                  value={recipient}
-                  onChange={(e) => setRecipient(e.target.value)}
-                  className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
-                />
+                <label className="block text-sm font-bold mb-2">Token</label>
+                <div className="flex gap-2">
+                  <select
+                    value={tokenType}
+                    onChange={(e) => setTokenType(e.target.value)}
+                    className="px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="native">ETH</option>
+                    <option value="erc20">ERC-20</option>
+                  </select>
+                  {tokenType === 'erc20' && (
+                    <input
+                      type="text"
+                      placeholder="Token address 0x..."
+                      value={tokenAddress}
+                      onChange={(e) => setTokenAddress(e.target.value)}
+                      className="flex-1 px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    />
+                  )}
+                </div>
+                {tokenType === 'erc20' && tokenAddress && (
+                  <p className="text-sm text-gray-600 mt-1">
+                    {tokenInfo ? `${tokenInfo.symbol} · ${tokenInfo.decimals} decimals` : 'Not a valid ERC-20 token'}
+                  </p>
+                )}
               </div>
 
               <div>
-                <label className="block text-sm font-bold mb-2">Total Amount (ETH)</label>
+                <label className="block text-sm font-bold mb-2">Total Amount ({selectedSymbol})</label>
                 <input
                   type="number"
                   placeholder="0.1"
@@ -518,26 +2495,225 @@ function App() {
                 </div>
               </div>
 
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <div>
+                  <label className="block text-sm font-bold mb-2">Start (optional)</label>
+                  <input
+                    type="datetime-local"
+                    value={startDate}
+                    onChange={(e) => setStartDate(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Cliff (optional)</label>
+                  <input
+                    type="datetime-local"
+                    value={cliffDate}
+                    onChange={(e) => setCliffDate(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-bold mb-2">Unlock</label>
+                  <select
+                    value={unlockStep}
+                    onChange={(e) => setUnlockStep(e.target.value)}
+                    className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                  >
+                    <option value="linear">Every second</option>
+                    <option value="daily">Daily tranches</option>
+                    <option value="weekly">Weekly tranches</option>
+                    <option value="monthly">Monthly tranches</option>
+                  </select>
+                </div>
+              </div>
+
               {amount && duration && (
                 <div className="p-4 bg-purple-50 rounded-lg">
                   <p className="text-sm text-gray-600 mb-1">Streaming Rate</p>
                   <p className="text-xl font-bold">
-                    {(parseFloat(amount) / (parseInt(duration) * (durationType === 'hours' ? 1 : durationType === 'days' ? 24 : 720))).toFixed(6)} ETH/hour
+                    {(parseFloat(amount) / (parseInt(duration) * (durationType === 'hours' ? 1 : durationType === 'days' ? 24 : 720))).toFixed(6)} {selectedSymbol}/hour
                   </p>
+                  {getSchedulePreview() && (
+                    <div className="mt-4">
+                      <p className="text-sm text-gray-600 mb-1">Unlock Schedule</p>
+                      <ScheduleChart schedule={getSchedulePreview()} total={amount} symbol={selectedSymbol} />
+                    </div>
+                  )}
                 </div>
               )}
 
               <button
                 onClick={createStream}
-                disabled={loading || !recipient || !amount || !duration}
+                disabled={
+                  loading || !amount || !duration || (tokenType === 'erc20' && !tokenInfo) ||
+                  (recipientMode === 'single' ? !recipient : !splitValid)
+                }
                 className="w-full py-3 bg-gradient-to-r from-purple-500 to-blue-500 text-white rounded-lg font-bold hover:shadow-lg transition disabled:opacity-50"
               >
-                {loading ? 'Creating Stream...' : 'Create Stream'}
+                {createStep === 'split' ? 'Deploying split...' : createStep === 'approve' ? `Approving ${selectedSymbol}...` : loading ? 'Creating Stream...' : tokenType === 'erc20' ? 'Approve & Create Stream' : 'Create Stream'}
               </button>
             </div>
           </div>
         )}
+
+        {view === 'history' && (
+          <div className="bg-white rounded-2xl p-6 shadow-lg">
+            <div className="flex justify-between items-center mb-4">
+              <h2 className="text-2xl font-bold">🧾 History</h2>
+              <div className="flex gap-2">
+                <button
+                  onClick={loadHistoryView}
+                  disabled={historyLoading}
+                  className="px-4 py-2 bg-gray-200 rounded-lg font-bold hover:bg-gray-300 transition disabled:opacity-50"
+                >
+                  {historyLoading ? 'Loading...' : 'Refresh'}
+                </button>
+                <button
+                  onClick={() => exportHistory('csv')}
+                  disabled={history.length === 0}
+                  className="px-4 py-2 bg-purple-500 text-white rounded-lg font-bold hover:bg-purple-600 transition disabled:opacity-50"
+                >
+                  Export CSV
+                </button>
+                <button
+                  onClick={() => exportHistory('json')}
+                  disabled={history.length === 0}
+                  className="px-4 py-2 bg-purple-500 text-white rounded-lg font-bold hover:bg-purple-600 transition disabled:opacity-50"
+                >
+                  Export JSON
+                </button>
+              </div>
+            </div>
+
+            {history.length === 0 ? (
+              <p className="text-gray-500 text-center py-8">
+                {historyLoading ? 'Loading history...' : 'No withdrawals, cancellations or payments yet'}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Type</th>
+                      <th className="py-2 pr-4">Counterparty</th>
+                      <th className="py-2 pr-4 text-right">Gross</th>
+                      <th className="py-2 pr-4 text-right">Fee</th>
+                      <th className="py-2 pr-4 text-right">Net</th>
+                      <th className="py-2">Tx</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.map(row => (
+                      <tr key={`${row.txHash}-${row.logIndex}-${row.type}`} className="border-b">
+                        <td className="py-2 pr-4 whitespace-nowrap">{formatTime(row.timestamp)}</td>
+                        <td className="py-2 pr-4">
+                          {HISTORY_TYPES[row.type]} · {row.kind} #{row.id}
+                        </td>
+                        <td className="py-2 pr-4 font-mono">{row.counterparty.slice(0, 10)}...</td>
+                        <td className="py-2 pr-4 text-right">{ethers.formatUnits(row.gross, row.token.decimals)}</td>
+                        <td className="py-2 pr-4 text-right text-gray-600">{ethers.formatUnits(row.fee, row.token.decimals)}</td>
+                        <td className={`py-2 pr-4 text-right font-bold ${row.direction === 'in' ? 'text-green-600' : 'text-red-600'}`}>
+                          {row.direction === 'in' ? '+' : '-'}{ethers.formatUnits(row.net, row.token.decimals)} {row.token.symbol}
+                        </td>
+                        <td className="py-2">
+                          {explorerLink(network, `tx/${row.txHash}`) ? (
+                            <a
+                              href={explorerLink(network, `tx/${row.txHash}`)}
+                              target="_blank"
+                              rel="noreferrer"
+                              className="font-mono text-purple-600 hover:underline"
+                            >
+                              {row.txHash.slice(0, 10)}...
+                            </a>
+                          ) : (
+                            <span className="font-mono text-gray-600">{row.txHash.slice(0, 10)}...</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {view === 'admin' && isOwner && (
+          <AdminPanel contract={contract} tokens={Object.values(tokenCache.current)} getTokenInfo={getTokenInfo} />
+        )}
       </div>
+
+      {/* Withdraw Dialog */}
+      {withdrawDialog && (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4">
+          <div className="bg-white rounded-2xl p-6 shadow-2xl w-full max-w-md">
+            <h2 className="text-2xl font-bold mb-4">Withdraw from Stream #{withdrawDialog.id}</h2>
+
+            <div className="space-y-4">
+              <div>
+                <div className="flex justify-between mb-2">
+                  <label className="block text-sm font-bold">Amount ({withdrawDialog.symbol})</label>
+                  <button
+                    onClick={() => setWithdrawAmount(withdrawDialog.recipientBalance)}
+                    className="text-sm text-purple-600 font-bold"
+                  >
+                    Max {withdrawDialog.recipientBalance}
+                  </button>
+                </div>
+                <input
+                  type="number"
+                  step="any"
+                  value={withdrawAmount}
+                  onChange={(e) => setWithdrawAmount(e.target.value)}
+                  className="w-full px-4 py-3 border rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-bold mb-2">Send To</label>
+                <input
+                  type="text"
+                  placeholder="0x..."
+                  value={withdrawTo}
+                  onChange={(e) => setWithdrawTo(e.target.value)}
+                  className="w-full px-4 py-3 border rounded-lg font-mono focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+                {withdrawTo && withdrawTo.toLowerCase() !== account.toLowerCase() && (
+                  <p className="text-sm text-gray-600 mt-1">Funds will be sent to another address</p>
+                )}
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setWithdrawDialog(null)}
+                  disabled={loading}
+                  className="flex-1 py-2 bg-gray-300 text-gray-700 rounded-lg font-bold hover:bg-gray-400 transition disabled:opacity-50"
+                >
+                  Close
+                </button>
+                <button
+                  onClick={withdrawFromStream}
+                  disabled={loading || !withdrawAmount || parseFloat(withdrawAmount) <= 0 || !withdrawTo}
+                  className="flex-1 py-2 bg-green-500 text-white rounded-lg font-bold hover:bg-green-600 transition disabled:opacity-50"
+                >
+                  {loading ? 'Withdrawing...' : 'Withdraw'}
+                </button>
+              </div>
+
+              <button
+                onClick={withdrawGasless}
+                disabled={loading || !withdrawAmount || parseFloat(withdrawAmount) <= 0 || !withdrawTo}
+                className="w-full py-2 border-2 border-green-500 text-green-600 rounded-lg font-bold hover:bg-green-50 transition disabled:opacity-50"
+              >
+                Sign & relay (no gas needed)
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   )
 }
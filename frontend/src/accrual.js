@@ -0,0 +1,121 @@
+// Mirrors StreamPay's balanceOf in BigInt so balances can be shown without an RPC call per tick.
+// Stream fields are the raw uint256 values from getStream / getStreamSchedule.
+
+export const FEE_DENOMINATOR = 10000n
+
+// Resync with the chain when block timestamps drift this far (seconds) from the local clock estimate
+export const DRIFT_TOLERANCE = 3
+
+// StreamStatus names by enum value (IStreamPay.sol)
+export const STREAM_STATUSES = ['Active', 'Paused', 'Completed', 'Cancelled']
+
+/**
+ * Status to show for a stream: its on-chain status, or 'Ended' once an active stream
+ * is past stopTime and only waiting for the recipient to withdraw. `now` is in seconds.
+ */
+export function streamStatus(stream, now) {
+  const status = STREAM_STATUSES[Number(stream.status)]
+  return status === 'Active' && BigInt(now) >= BigInt(stream.stopTime) ? 'Ended' : status
+}
+
+/**
+ * Build an accrual stream from getStream and getStreamSchedule results (or an indexer row)
+ */
+export function toAccrualStream(stream, schedule) {
+  return {
+    deposit: BigInt(stream.deposit),
+    ratePerSecond: BigInt(stream.ratePerSecond),
+    startTime: BigInt(stream.startTime),
+    stopTime: BigInt(stream.stopTime),
+    remainingBalance: BigInt(stream.remainingBalance),
+    active: Boolean(stream.active),
+    pausedAt: BigInt(stream.pausedAt),
+    pausedDuration: BigInt(stream.pausedDuration),
+    cliffTime: BigInt(schedule.cliffTime),
+    stepDuration: BigInt(schedule.stepDuration)
+  }
+}
+
+/**
+ * Time unlocked so far, as _streamedTime. `now` and the result are in 1/scale seconds,
+ * so scale = 1000n gives millisecond resolution for smooth counters.
+ */
+export function streamedTime(stream, now, scale = 1n) {
+  const currentTime = stream.pausedAt !== 0n ? stream.pausedAt * scale : now
+
+  if (currentTime <= stream.startTime * scale || currentTime < stream.cliffTime * scale) {
+    return 0n
+  }
+  if (currentTime >= stream.stopTime * scale) {
+    return (stream.stopTime - stream.startTime - stream.pausedDuration) * scale
+  }
+
+  let elapsedTime = currentTime - (stream.startTime + stream.pausedDuration) * scale
+  if (stream.stepDuration > 0n) {
+    elapsedTime -= elapsedTime % (stream.stepDuration * scale)
+  }
+  return elapsedTime
+}
+
+/**
+ * [recipientBalance, senderBalance] at `now`, as balanceOf. With scale = 1n and `now`
+ * equal to the block timestamp the result matches the contract exactly.
+ */
+export function balanceOf(stream, now, scale = 1n) {
+  if (!stream.active) {
+    return [0n, stream.remainingBalance]
+  }
+
+  const earned = (streamedTime(stream, now, scale) * stream.ratePerSecond) / scale
+  if (earned >= stream.deposit) {
+    return [stream.remainingBalance, 0n]
+  }
+  return [earned - (stream.deposit - stream.remainingBalance), stream.deposit - earned]
+}
+
+/**
+ * Platform fee taken from a gross withdrawal, as _withdrawFromStream
+ */
+export function applyFee(amount, feeBps) {
+  const fee = (amount * BigInt(feeBps)) / FEE_DENOMINATOR
+  return { fee, net: amount - fee }
+}
+
+/**
+ * Balances at a millisecond timestamp, including what the recipient nets after the fee
+ */
+export function accrualAt(stream, nowMs, feeBps) {
+  const [recipientBalance, senderBalance] = balanceOf(stream, BigInt(Math.floor(nowMs)), 1000n)
+  const { fee, net } = applyFee(recipientBalance, feeBps)
+  return { recipientBalance, senderBalance, fee, net }
+}
+
+/**
+ * Build a subscription from getSubscription results (or an indexer row)
+ */
+export function toAccrualSubscription(sub) {
+  return {
+    ratePerSecond: BigInt(sub.ratePerSecond),
+    lastPaymentTime: BigInt(sub.lastPaymentTime),
+    active: Boolean(sub.active),
+    balance: BigInt(sub.balance)
+  }
+}
+
+/**
+ * Amount owed to the provider since the last settlement, as getSubscription's pendingPayment
+ */
+export function subscriptionDue(sub, now) {
+  if (!sub.active || now <= sub.lastPaymentTime) {
+    return 0n
+  }
+  return (now - sub.lastPaymentTime) * sub.ratePerSecond
+}
+
+/**
+ * Local estimate of block time in milliseconds, given the measured offset (seconds) between
+ * the latest block timestamp and the local clock
+ */
+export function chainNowMs(offset = 0, nowMs = Date.now()) {
+  return nowMs + offset * 1000
+}
@@ -0,0 +1,202 @@
+import { ethers } from 'ethers'
+import { FEE_DENOMINATOR, applyFee } from './accrual.js'
+
+export const HISTORY_COLUMNS = [
+  'date',
+  'timestamp',
+  'type',
+  'direction',
+  'reference',
+  'counterparty',
+  'token',
+  'tokenAddress',
+  'gross',
+  'fee',
+  'net',
+  'blockNumber',
+  'txHash'
+]
+
+export const HISTORY_TYPES = {
+  withdrawal: 'Withdrawal',
+  cancelPayout: 'Cancel payout',
+  cancelRefund: 'Cancel refund',
+  subscriptionPayment: 'Subscription payment'
+}
+
+/**
+ * Recover the gross amount from a net amount that had `feeBps` deducted.
+ * StreamWithdrawn and SubscriptionPayment only log the net amount; when two gross
+ * amounts round to the same net (a 1 wei ambiguity) the smaller one is returned.
+ */
+export function grossFromNet(net, feeBps) {
+  const fee = BigInt(feeBps)
+  if (fee === 0n) return net
+
+  const estimate = (net * FEE_DENOMINATOR) / (FEE_DENOMINATOR - fee)
+  for (let gross = estimate > 2n ? estimate - 2n : 0n; gross <= estimate + 1n; gross++) {
+    if (applyFee(gross, fee).net === net) return gross
+  }
+  return estimate
+}
+
+const eventKey = (event) => `${event.transactionHash}:${event.index}`
+
+/**
+ * Pull withdrawal, cancellation and subscription payment logs involving `account`
+ * and turn them into history rows with gross, fee and net amounts, newest first.
+ * Fees are recomputed from feeFor(sender, recipient) at each event's block.
+ */
+export async function loadHistory({ contract, account, outgoingStreamIds = [], fromBlock = 0, getTokenInfo }) {
+  const { filters } = contract
+  const queries = [
+    filters.StreamWithdrawn(null, account),
+    filters.StreamCancelled(null, account),
+    filters.StreamCancelled(null, null, account),
+    filters.SubscriptionPayment(null, account),
+    filters.SubscriptionPayment(null, null, account)
+  ]
+  if (outgoingStreamIds.length > 0) {
+    // Withdrawals by the recipients of this account's streams
+    queries.push(filters.StreamWithdrawn(outgoingStreamIds))
+  }
+
+  const events = new Map()
+  for (const logs of await Promise.all(queries.map(filter => contract.queryFilter(filter, fromBlock)))) {
+    for (const event of logs) events.set(eventKey(event), event)
+  }
+
+  const cache = new Map()
+  const cached = (key, load) => {
+    if (!cache.has(key)) cache.set(key, load())
+    return cache.get(key)
+  }
+  const getBlock = (number) => cached(`block:${number}`, () => contract.runner.provider.getBlock(number))
+  const getStream = (id) => cached(`stream:${id}`, async () => {
+    const stream = await contract.getStream(id)
+    return { sender: stream.sender, token: await getTokenInfo(stream.token) }
+  })
+  const getFee = (sender, recipient, blockTag) => cached(`fee:${sender}:${recipient}:${blockTag}`, () =>
+    // Historical calls need an archive node; fall back to the current fee
+    contract.feeFor(sender, recipient, { blockTag })
+      .catch(() => cached(`fee:${sender}:${recipient}:latest`, () => contract.feeFor(sender, recipient)))
+  )
+
+  const self = account.toLowerCase()
+  const isSelf = (address) => address.toLowerCase() === self
+  const rows = []
+
+  for (const event of events.values()) {
+    const block = await getBlock(event.blockNumber)
+    const base = {
+      timestamp: block.timestamp,
+      blockNumber: event.blockNumber,
+      txHash: event.transactionHash,
+      logIndex: event.index
+    }
+
+    if (event.eventName === 'StreamWithdrawn') {
+      const [streamId, recipient, net] = event.args
+      const { sender, token } = await getStream(streamId)
+      const gross = grossFromNet(net, await getFee(sender, recipient, event.blockNumber))
+      rows.push({
+        ...base,
+        type: 'withdrawal',
+        kind: 'stream',
+        id: Number(streamId),
+        direction: isSelf(recipient) ? 'in' : 'out',
+        counterparty: isSelf(recipient) ? sender : recipient,
+        token,
+        gross,
+        fee: gross - net,
+        net
+      })
+    } else if (event.eventName === 'StreamCancelled') {
+      const [streamId, sender, recipient, senderBalance, recipientBalance] = event.args
+      const { token } = await getStream(streamId)
+      if (recipientBalance > 0n) {
+        const { fee, net } = applyFee(recipientBalance, await getFee(sender, recipient, event.blockNumber))
+        rows.push({
+          ...base,
+          type: 'cancelPayout',
+          kind: 'stream',
+          id: Number(streamId),
+          direction: isSelf(recipient) ? 'in' : 'out',
+          counterparty: isSelf(recipient) ? sender : recipient,
+          token,
+          gross: recipientBalance,
+          fee,
+          net
+        })
+      }
+      if (senderBalance > 0n && isSelf(sender)) {
+        rows.push({
+          ...base,
+          type: 'cancelRefund',
+          kind: 'stream',
+          id: Number(streamId),
+          direction: 'in',
+          counterparty: recipient,
+          token,
+          gross: senderBalance,
+          fee: 0n,
+          net: senderBalance
+        })
+      }
+    } else if (event.eventName === 'SubscriptionPayment') {
+      const [subscriptionId, subscriber, provider, net] = event.args
+      const gross = grossFromNet(net, await getFee(subscriber, provider, event.blockNumber))
+      rows.push({
+        ...base,
+        type: 'subscriptionPayment',
+        kind: 'subscription',
+        id: Number(subscriptionId),
+        direction: isSelf(provider) ? 'in' : 'out',
+        counterparty: isSelf(provider) ? subscriber : provider,
+        token: await getTokenInfo(ethers.ZeroAddress),
+        gross,
+        fee: gross - net,
+        net
+      })
+    }
+  }
+
+  return rows.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex)
+}
+
+/**
+ * Flatten a history row for export: amounts in token units, ISO and unix timestamps
+ */
+export function formatHistoryRow(row) {
+  return {
+    date: new Date(row.timestamp * 1000).toISOString(),
+    timestamp: row.timestamp,
+    type: HISTORY_TYPES[row.type],
+    direction: row.direction,
+    reference: `${row.kind} #${row.id}`,
+    counterparty: row.counterparty,
+    token: row.token.symbol,
+    tokenAddress: row.token.address,
+    gross: ethers.formatUnits(row.gross, row.token.decimals),
+    fee: ethers.formatUnits(row.fee, row.token.decimals),
+    net: ethers.formatUnits(row.net, row.token.decimals),
+    blockNumber: row.blockNumber,
+    txHash: row.txHash
+  }
+}
+
+const csvCell = (value) => {
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function historyToCsv(rows) {
+  const records = rows.map(formatHistoryRow)
+  return [HISTORY_COLUMNS, ...records.map(record => HISTORY_COLUMNS.map(column => record[column]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\n') + '\n'
+}
+
+export function historyToJson(rows) {
+  return JSON.stringify(rows.map(formatHistoryRow), null, 2)
+}
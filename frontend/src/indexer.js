@@ -0,0 +1,16 @@
+// Base URL of the indexer API (see indexer/ in the repo root)
+export const INDEXER_URL = import.meta.env.VITE_INDEXER_URL || 'http://localhost:4000'
+
+export const DATA_SOURCES = {
+  rpc: 'Chain (RPC)',
+  indexer: 'Indexer'
+}
+
+export async function fetchIndexer(path) {
+  const res = await fetch(`${INDEXER_URL}${path}`)
+  if (!res.ok) {
+    const body = await res.json().catch(() => ({}))
+    throw new Error(body.error || `Indexer request failed (${res.status})`)
+  }
+  return res.json()
+}
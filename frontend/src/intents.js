@@ -0,0 +1,130 @@
+import { ethers } from 'ethers'
+
+// EIP-712 intents for StreamPay's ...WithSig entry points. The signer only signs; a relayer
+// submits the transaction and pays the gas. Shared by the app, the tests and relayer/.
+
+export const INTENT_TYPES = {
+  withdraw: {
+    Withdraw: [
+      { name: 'streamId', type: 'uint256' },
+      { name: 'amount', type: 'uint256' },
+      { name: 'to', type: 'address' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  cancel: {
+    Cancel: [
+      { name: 'streamId', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  createStream: {
+    CreateStream: [
+      { name: 'token', type: 'address' },
+      { name: 'recipient', type: 'address' },
+      { name: 'duration', type: 'uint256' },
+      { name: 'ratePerSecond', type: 'uint256' },
+      { name: 'startTime', type: 'uint256' },
+      { name: 'cliffTime', type: 'uint256' },
+      { name: 'stepDuration', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+}
+
+// How long a signed intent stays valid by default
+export const DEFAULT_INTENT_TTL = 3600
+
+/**
+ * The contract's EIP-712 domain, read from eip712Domain() (ERC-5267)
+ */
+export async function intentDomain(contract) {
+  const domain = await contract.eip712Domain()
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  }
+}
+
+/**
+ * Sign an intent with the signer's current nonce. `message` holds the type's fields
+ * except nonce and deadline. Returns a JSON-safe payload for the relayer.
+ */
+export async function signIntent(signer, contract, type, message, { deadline, ttl = DEFAULT_INTENT_TTL } = {}) {
+  const types = INTENT_TYPES[type]
+  if (!types) throw new Error(`Unknown intent type "${type}"`)
+
+  const from = await signer.getAddress()
+  const [domain, nonce, block] = await Promise.all([
+    intentDomain(contract),
+    contract.nonces(from),
+    deadline === undefined ? contract.runner.provider.getBlock('latest') : null
+  ])
+  const full = { ...message, nonce, deadline: deadline ?? BigInt(block.timestamp + ttl) }
+  const signature = await signer.signTypedData(domain, types, full)
+
+  return { type, signer: from, message: toJsonSafe(full), signature }
+}
+
+/**
+ * Address that signed `intent` for this domain, as the contract would recover it
+ */
+export function recoverIntentSigner(domain, intent) {
+  return ethers.verifyTypedData(domain, INTENT_TYPES[intent.type], intent.message, intent.signature)
+}
+
+/**
+ * Contract method and arguments that submit a signed intent
+ */
+export function relayCall(intent) {
+  const { type, signer, message: m, signature } = intent
+  switch (type) {
+    case 'withdraw':
+      return ['withdrawFromStreamWithSig', [m.streamId, m.amount, m.to, m.deadline, signature]]
+    case 'cancel':
+      return ['cancelStreamWithSig', [m.streamId, signer, m.deadline, signature]]
+    case 'createStream':
+      return [
+        'createStreamWithSig',
+        [
+          signer,
+          {
+            token: m.token,
+            recipient: m.recipient,
+            duration: m.duration,
+            ratePerSecond: m.ratePerSecond,
+            schedule: { startTime: m.startTime, cliffTime: m.cliffTime, stepDuration: m.stepDuration }
+          },
+          m.deadline,
+          signature
+        ]
+      ]
+    default:
+      throw new Error(`Unknown intent type "${type}"`)
+  }
+}
+
+/**
+ * POST a signed intent to a relayer. Resolves to { hash, blockNumber } once it's mined.
+ */
+export async function submitIntent(relayerUrl, intent) {
+  const res = await fetch(`${relayerUrl}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(intent)
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) throw new Error(body.error || `Relayer responded with ${res.status}`)
+  return body
+}
+
+function toJsonSafe(message) {
+  return Object.fromEntries(
+    Object.entries(message).map(([key, value]) => [key, typeof value === 'bigint' ? value.toString() : value])
+  )
+}
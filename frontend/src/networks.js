@@ -0,0 +1,122 @@
+// Chains StreamPay knows how to add to a wallet. Which of them are usable comes from
+// deployments.json, the registry scripts/deploy.js writes keyed by chainId.
+
+export const NETWORKS = {
+  31337: {
+    chainId: 31337,
+    name: 'Hardhat Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    explorerUrl: null,
+    testnet: true
+  },
+  6342: {
+    chainId: 6342,
+    name: 'MegaETH Testnet',
+    rpcUrl: 'https://carrot.megaeth.com/rpc',
+    explorerUrl: 'https://megaexplorer.xyz',
+    testnet: true
+  },
+  4326: {
+    chainId: 4326,
+    name: 'MegaETH Mainnet',
+    rpcUrl: 'https://mainnet.megaeth.com/rpc',
+    explorerUrl: 'https://mega.etherscan.io',
+    testnet: false
+  }
+}
+
+const NATIVE_CURRENCY = { name: 'ETH', symbol: 'ETH', decimals: 18 }
+
+// EIP-1193 error codes returned by wallet_switchEthereumChain
+const USER_REJECTED = 4001
+const UNKNOWN_CHAIN = 4902
+
+export class NetworkSwitchError extends Error {
+  constructor(message, { rejected = false, cause } = {}) {
+    super(message, { cause })
+    this.name = 'NetworkSwitchError'
+    this.rejected = rejected
+  }
+}
+
+export function toHexChainId(chainId) {
+  return `0x${Number(chainId).toString(16)}`
+}
+
+/**
+ * Network metadata merged with its registry entry, or null if StreamPay isn't deployed there.
+ * Chains missing from NETWORKS fall back to the name deploy.js recorded.
+ */
+export function getNetwork(registry, chainId) {
+  const deployment = registry[String(Number(chainId))]
+  if (!deployment) return null
+  const known = NETWORKS[deployment.chainId] || {
+    chainId: deployment.chainId,
+    name: deployment.network,
+    rpcUrl: null,
+    explorerUrl: null,
+    testnet: true
+  }
+  return { ...known, deployment }
+}
+
+/**
+ * Every network with a deployment, mainnets first
+ */
+export function supportedNetworks(registry) {
+  return Object.keys(registry)
+    .map(chainId => getNetwork(registry, chainId))
+    .sort((a, b) => Number(a.testnet) - Number(b.testnet) || a.chainId - b.chainId)
+}
+
+/**
+ * The preferred chain if it has a deployment, otherwise the first supported network
+ */
+export function defaultChainId(registry, preferred) {
+  if (preferred && getNetwork(registry, preferred)) return Number(preferred)
+  const [first] = supportedNetworks(registry)
+  return first ? first.chainId : null
+}
+
+export function explorerLink(network, path) {
+  return network?.explorerUrl ? `${network.explorerUrl}/${path}` : null
+}
+
+/**
+ * Ask the wallet to switch to `network`, adding the chain first if the wallet doesn't know it.
+ * Throws NetworkSwitchError, with `rejected` set when the user declined the request.
+ */
+export async function switchNetwork(ethereum, network) {
+  const chainId = toHexChainId(network.chainId)
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId }] })
+    return
+  } catch (error) {
+    if (error.code === USER_REJECTED) {
+      throw new NetworkSwitchError(`Switch to ${network.name} was rejected in the wallet`, { rejected: true, cause: error })
+    }
+    if (error.code !== UNKNOWN_CHAIN || !network.rpcUrl) {
+      throw new NetworkSwitchError(`Couldn't switch to ${network.name}: ${error.message}`, { cause: error })
+    }
+  }
+
+  try {
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [{
+        chainId,
+        chainName: network.name,
+        nativeCurrency: NATIVE_CURRENCY,
+        rpcUrls: [network.rpcUrl],
+        blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+      }]
+    })
+  } catch (error) {
+    throw new NetworkSwitchError(
+      error.code === USER_REJECTED
+        ? `Adding ${network.name} was rejected in the wallet`
+        : `Couldn't add ${network.name}: ${error.message}`,
+      { rejected: error.code === USER_REJECTED, cause: error }
+    )
+  }
+}
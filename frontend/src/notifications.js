@@ -0,0 +1,133 @@
+// Notifications about streams and subscriptions, raised in the browser by the app and sent
+// as webhooks by watcher/. Addresses are checksummed and amounts are decimal strings, so a
+// notification serializes as JSON.
+
+// StreamPay events that notify the parties involved, and the notification type each becomes
+export const NOTIFICATION_EVENTS = {
+  StreamCreated: 'stream.created',
+  StreamCancelled: 'stream.cancelled',
+  SubscriptionPayment: 'subscription.payment',
+  SubscriptionLapsed: 'subscription.lapsed',
+  SubscriptionCancelled: 'subscription.cancelled'
+}
+
+// Raised once per stopTime when an active stream gets close to it
+export const STREAM_ENDING = 'stream.ending'
+
+/**
+ * Notification for a StreamPay event, or null if the event isn't one parties are notified about.
+ * Subscription events only name the subscriber; callers that know the provider add it.
+ */
+export function eventNotification(eventName, args) {
+  const type = NOTIFICATION_EVENTS[eventName]
+  if (!type) return null
+
+  if (eventName === 'StreamCreated') {
+    const [streamId, sender, recipient, deposit, ratePerSecond, startTime, stopTime] = args
+    return {
+      type,
+      streamId: Number(streamId),
+      sender,
+      recipient,
+      deposit: deposit.toString(),
+      ratePerSecond: ratePerSecond.toString(),
+      startTime: Number(startTime),
+      stopTime: Number(stopTime)
+    }
+  }
+  if (eventName === 'StreamCancelled') {
+    const [streamId, sender, recipient, senderBalance, recipientBalance] = args
+    return {
+      type,
+      streamId: Number(streamId),
+      sender,
+      recipient,
+      senderBalance: senderBalance.toString(),
+      recipientBalance: recipientBalance.toString()
+    }
+  }
+  if (eventName === 'SubscriptionPayment') {
+    const [subscriptionId, subscriber, provider, amount] = args
+    return { type, subscriptionId: Number(subscriptionId), subscriber, provider, amount: amount.toString() }
+  }
+  const [subscriptionId, subscriber] = args
+  return { type, subscriptionId: Number(subscriptionId), subscriber, provider: null }
+}
+
+/**
+ * STREAM_ENDING notification if an active stream stops within `withinSeconds` of `now`
+ * (both in seconds), otherwise null. Streams already past stopTime don't notify.
+ */
+export function endingNotification(stream, now, withinSeconds) {
+  const stopTime = Number(stream.stopTime)
+  if (!stream.active || Number(stream.pausedAt) !== 0 || stopTime <= now || stopTime - now > withinSeconds) {
+    return null
+  }
+  return {
+    type: STREAM_ENDING,
+    streamId: Number(stream.id),
+    sender: stream.sender,
+    recipient: stream.recipient,
+    stopTime
+  }
+}
+
+/**
+ * Accounts to notify: every party, except the sender of a new stream who created it
+ */
+export function notificationRecipients(notification) {
+  if (notification.type === 'stream.created') return [notification.recipient]
+  const { sender, recipient, subscriber, provider } = notification
+  return [sender, recipient, subscriber, provider].filter(Boolean)
+}
+
+/**
+ * Whether `account` is one of the notification's recipients
+ */
+export function notifies(notification, account) {
+  const self = account.toLowerCase()
+  return notificationRecipients(notification).some(address => address.toLowerCase() === self)
+}
+
+/**
+ * Title and one-line message for showing a notification to a person
+ */
+export function describeNotification(notification) {
+  const stopsAt = (time) => new Date(time * 1000).toUTCString()
+  const short = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`
+
+  switch (notification.type) {
+    case 'stream.created':
+      return {
+        title: `New stream #${notification.streamId}`,
+        message: `${short(notification.sender)} is streaming to you until ${stopsAt(notification.stopTime)}`
+      }
+    case 'stream.cancelled':
+      return {
+        title: `Stream #${notification.streamId} was cancelled`,
+        message: 'What was earned went to the recipient and the rest back to the sender'
+      }
+    case STREAM_ENDING:
+      return {
+        title: `Stream #${notification.streamId} ends soon`,
+        message: `It stops at ${stopsAt(notification.stopTime)}`
+      }
+    case 'subscription.payment':
+      return {
+        title: `Subscription #${notification.subscriptionId} was settled`,
+        message: `${short(notification.subscriber)} paid ${short(notification.provider)}`
+      }
+    case 'subscription.lapsed':
+      return {
+        title: `Subscription #${notification.subscriptionId} lapsed`,
+        message: 'Its balance ran out; a top-up resumes it'
+      }
+    case 'subscription.cancelled':
+      return {
+        title: `Subscription #${notification.subscriptionId} was cancelled`,
+        message: 'No further payments will be made; any unspent balance is credited back to the subscriber'
+      }
+    default:
+      return { title: 'StreamPay', message: notification.type }
+  }
+}
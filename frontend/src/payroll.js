@@ -0,0 +1,78 @@
+import { ethers } from 'ethers'
+
+export const DURATION_UNITS = {
+  hours: 3600,
+  days: 86400,
+  months: 2592000 // 30 days
+}
+
+/**
+ * Parse a payroll CSV of `address,amount,duration` rows.
+ * A header row is skipped. Amounts are in ETH, durations in `durationUnit`.
+ * Every row is returned with its own `errors` so the UI can show them inline.
+ */
+export function parsePayrollCsv(text, { durationUnit = 'days', sender } = {}) {
+  const lines = text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+
+  if (lines.length > 0 && /^address\s*,/i.test(lines[0])) {
+    lines.shift()
+  }
+
+  const seen = new Set()
+
+  return lines.map((line, index) => {
+    const [rawAddress = '', rawAmount = '', rawDuration = ''] = line.split(',').map(cell => cell.trim())
+    const errors = []
+    const row = { line: index + 1, address: rawAddress, amount: rawAmount, duration: rawDuration, errors }
+
+    if (!ethers.isAddress(rawAddress)) {
+      errors.push('Invalid address')
+    } else {
+      row.address = ethers.getAddress(rawAddress)
+      if (sender && row.address.toLowerCase() === sender.toLowerCase()) {
+        errors.push('Cannot stream to yourself')
+      }
+      if (seen.has(row.address)) {
+        errors.push('Duplicate address')
+      }
+      seen.add(row.address)
+    }
+
+    let totalAmount = 0n
+    try {
+      totalAmount = ethers.parseEther(rawAmount)
+    } catch {
+      errors.push('Invalid amount')
+    }
+    if (totalAmount <= 0n && !errors.includes('Invalid amount')) {
+      errors.push('Amount must be > 0')
+    }
+
+    const units = Number(rawDuration)
+    const durationInSeconds = Math.floor(units * DURATION_UNITS[durationUnit])
+    if (!Number.isFinite(units) || durationInSeconds <= 0) {
+      errors.push('Invalid duration')
+    }
+
+    if (errors.length === 0) {
+      row.durationInSeconds = durationInSeconds
+      row.ratePerSecond = totalAmount / BigInt(durationInSeconds)
+      row.deposit = row.ratePerSecond * BigInt(durationInSeconds)
+      if (row.ratePerSecond === 0n) {
+        errors.push('Amount too small for duration')
+      }
+    }
+
+    return row
+  })
+}
+
+/**
+ * Sum the on-chain deposits of valid rows (rate × duration, which can round below the CSV amount)
+ */
+export function getPayrollTotal(rows) {
+  return rows.reduce((total, row) => total + (row.errors.length === 0 ? row.deposit : 0n), 0n)
+}
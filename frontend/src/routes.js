@@ -0,0 +1,55 @@
+// Hash routes, so links work from any static host without server rewrites:
+//   #/pay?to=0x..&amount=..&duration=..  opens Create Stream prefilled
+//   #/stream/42                          shows one stream read-only, no wallet needed
+// Both take an optional `chain` (chain id) to pick the deployment.
+
+// Duration units of the Create Stream form
+export const DURATION_TYPES = ['hours', 'days', 'months']
+
+/**
+ * Route for a location hash: { name: 'home' | 'pay' | 'stream', params, id? }.
+ * Anything unrecognized is 'home'.
+ */
+export function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?')
+  const params = Object.fromEntries(new URLSearchParams(query))
+  const segments = path.split('/').filter(Boolean)
+
+  if (segments.length === 1 && segments[0] === 'pay') {
+    return { name: 'pay', params }
+  }
+  if (segments.length === 2 && segments[0] === 'stream' && /^[1-9]\d*$/.test(segments[1])) {
+    return { name: 'stream', id: Number(segments[1]), params }
+  }
+  return { name: 'home', params }
+}
+
+/**
+ * Chain id a route asks for, or null to use the app's selected network
+ */
+export function routeChainId(route) {
+  const chainId = Number(route.params.chain)
+  return Number.isInteger(chainId) && chainId > 0 ? chainId : null
+}
+
+/**
+ * Create Stream form values from #/pay parameters. `duration` is counted in `unit`
+ * (hours unless given); `token` makes it an ERC-20 stream. Missing fields stay empty.
+ */
+export function payPrefill(params) {
+  return {
+    recipient: (params.to || '').trim(),
+    amount: (params.amount || '').trim(),
+    duration: (params.duration || '').trim(),
+    durationType: DURATION_TYPES.includes(params.unit) ? params.unit : 'hours',
+    tokenType: params.token ? 'erc20' : 'native',
+    tokenAddress: (params.token || '').trim()
+  }
+}
+
+/**
+ * Hash for a stream's read-only status page
+ */
+export function streamLink(id, chain) {
+  return chain ? `#/stream/${id}?chain=${chain}` : `#/stream/${id}`
+}
@@ -0,0 +1,68 @@
+import { ethers } from 'ethers'
+
+export const SPLIT_FACTORY_ABI = [
+  'function createSplit(address[] recipients, uint256[] shares) returns (address)',
+  'function predictSplit(address[] recipients, uint256[] shares) view returns (address)',
+  'function isSplit(address split) view returns (bool)',
+  'function getAccountSplits(address account) view returns (address[])'
+]
+
+export const SPLIT_ABI = [
+  'function getRecipients() view returns (address[] recipients, uint256[] recipientShares)',
+  'function balanceOf(address account, address token) view returns (uint256)',
+  'function released(address token, address account) view returns (uint256)',
+  'function withdraw(address token)'
+]
+
+// Shares are basis points on-chain; the form takes percentages with up to two decimals
+export const TOTAL_SHARES = 10000n
+
+/**
+ * Validate split recipients entered as `{ address, percent }` rows.
+ * Every row is returned with its own `errors`; valid rows also get `share` in basis points.
+ */
+export function parseSplitRows(rows, { sender } = {}) {
+  const seen = new Set()
+
+  return rows.map((input) => {
+    const errors = []
+    const row = { ...input, errors }
+    const address = input.address.trim()
+
+    if (!ethers.isAddress(address)) {
+      errors.push('Invalid address')
+    } else {
+      row.address = ethers.getAddress(address)
+      if (sender && row.address.toLowerCase() === sender.toLowerCase()) {
+        errors.push('Cannot stream to yourself')
+      }
+      if (seen.has(row.address)) {
+        errors.push('Duplicate address')
+      }
+      seen.add(row.address)
+    }
+
+    try {
+      row.share = ethers.parseUnits(String(input.percent).trim(), 2)
+      if (row.share <= 0n) errors.push('Share must be > 0')
+    } catch {
+      errors.push('Invalid share')
+    }
+
+    return row
+  })
+}
+
+/**
+ * Sum of the valid rows' shares, in basis points; a split needs exactly TOTAL_SHARES
+ */
+export function getSplitTotal(rows) {
+  return rows.reduce((total, row) => total + (row.share > 0n ? row.share : 0n), 0n)
+}
+
+/**
+ * One recipient's part of `amount`, rounded down like StreamPaySplit pays it
+ */
+export function splitAmount(amount, share) {
+  return (amount * BigInt(share)) / TOTAL_SHARES
+}
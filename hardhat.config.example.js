@@ -1,23 +1,35 @@
 import "@nomicfoundation/hardhat-toolbox";
+import "@openzeppelin/hardhat-upgrades";
 
 // ВАЖНО: Создай файл hardhat.config.js и добавь свой приватный ключ
 const PRIVATE_KEY = "YOUR_PRIVATE_KEY_HERE";
 
 export default {
   solidity: {
-    version: "0.8.20",
+    version: "0.8.26",
     settings: {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // The IR pipeline keeps StreamPay under the 24KB contract size limit
+      viaIR: true
     }
   },
   networks: {
+    localhost: {
+      url: "http://127.0.0.1:8545",
+      chainId: 31337
+    },
     megaeth: {
       url: "https://carrot.megaeth.com/rpc",
       chainId: 6342,
       accounts: [PRIVATE_KEY]
+    },
+    megaethMainnet: {
+      url: "https://mainnet.megaeth.com/rpc",
+      chainId: 4326,
+      accounts: [PRIVATE_KEY]
     }
   }
 };
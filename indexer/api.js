@@ -0,0 +1,172 @@
+import http from "http";
+import { ethers } from "ethers";
+import { getMeta } from "./db.js";
+
+const streamView = (row) => ({
+  id: row.id,
+  sender: row.sender,
+  recipient: row.recipient,
+  token: row.token,
+  deposit: row.deposit,
+  ratePerSecond: row.rate_per_second,
+  startTime: row.start_time,
+  stopTime: row.stop_time,
+  remainingBalance: row.remaining_balance,
+  active: row.active === 1,
+  pausedAt: row.paused_at,
+  pausedDuration: row.paused_duration,
+  cliffTime: row.cliff_time,
+  stepDuration: row.step_duration,
+  status: row.status,
+  withdrawn: row.withdrawn,
+  refunded: row.refunded,
+  createdBlock: row.created_block,
+  createdTx: row.created_tx,
+  cancelled: row.cancelled_tx
+    ? { block: row.cancelled_block, tx: row.cancelled_tx, senderRefund: row.sender_refund, recipientPayout: row.recipient_payout }
+    : null
+});
+
+const subscriptionView = (row) => ({
+  id: row.id,
+  subscriber: row.subscriber,
+  provider: row.provider,
+  ratePerSecond: row.rate_per_second,
+  lastPaymentTime: row.last_payment_time,
+  active: row.active === 1,
+  balance: row.balance,
+  lapsed: row.lapsed === 1,
+  createdBlock: row.created_block,
+  createdTx: row.created_tx
+});
+
+const logView = (row) => ({
+  txHash: row.tx_hash,
+  logIndex: row.log_index,
+  blockNumber: row.block_number,
+  timestamp: row.timestamp
+});
+
+// uint256 amounts are summed as BigInt; SQLite SUM() would overflow or lose precision
+const sum = (rows) => rows.reduce((total, row) => total + BigInt(row.amount), 0n).toString();
+
+const sumByToken = (rows) => {
+  const totals = {};
+  for (const row of rows) {
+    totals[row.token] = (BigInt(totals[row.token] ?? 0) + BigInt(row.amount)).toString();
+  }
+  return totals;
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const parseAddress = (value) => {
+  if (!value || !ethers.isAddress(value)) throw new HttpError(400, "Invalid address");
+  return value.toLowerCase();
+};
+
+const parseId = (value) => {
+  if (!/^\d+$/.test(value)) throw new HttpError(400, "Invalid id");
+  return Number(value);
+};
+
+/**
+ * Read-only JSON API over the indexer database.
+ *
+ *   GET /status
+ *   GET /streams?party=0x..[&role=sender|recipient]
+ *   GET /streams/:id
+ *   GET /withdrawals?address=0x..   or   ?streamId=1
+ *   GET /subscriptions?party=0x..[&role=subscriber|provider]
+ *   GET /subscriptions/:id/payments
+ *   GET /totals/:address
+ */
+export function createApi(db, { chainId, address } = {}) {
+  const routes = [
+    ["/status", () => ({ chainId, contract: address, lastBlock: Number(getMeta(db, "lastBlock") ?? -1) })],
+
+    ["/streams", (params) => {
+      const party = parseAddress(params.get("party"));
+      const role = params.get("role");
+      const where = role === "sender" ? "sender = @party" : role === "recipient" ? "recipient = @party" : "(sender = @party OR recipient = @party)";
+      return db.prepare(`SELECT * FROM streams WHERE ${where} ORDER BY id`).all({ party }).map(streamView);
+    }],
+
+    [/^\/streams\/([^/]+)$/, (params, [id]) => {
+      const row = db.prepare("SELECT * FROM streams WHERE id = ?").get(parseId(id));
+      if (!row) throw new HttpError(404, "Stream not found");
+      const withdrawals = db.prepare("SELECT * FROM withdrawals WHERE stream_id = ? ORDER BY block_number, log_index").all(row.id);
+      return { ...streamView(row), withdrawals: withdrawals.map((w) => ({ ...logView(w), recipient: w.recipient, amount: w.amount })) };
+    }],
+
+    ["/withdrawals", (params) => {
+      const rows = params.has("streamId")
+        ? db.prepare("SELECT * FROM withdrawals WHERE stream_id = ? ORDER BY block_number, log_index").all(parseId(params.get("streamId")))
+        : db.prepare("SELECT * FROM withdrawals WHERE recipient = ? ORDER BY block_number, log_index").all(parseAddress(params.get("address")));
+      return rows.map((row) => ({ ...logView(row), streamId: row.stream_id, recipient: row.recipient, amount: row.amount }));
+    }],
+
+    ["/subscriptions", (params) => {
+      const party = parseAddress(params.get("party"));
+      const role = params.get("role");
+      const where = role === "subscriber" ? "subscriber = @party" : role === "provider" ? "provider = @party" : "(subscriber = @party OR provider = @party)";
+      return db.prepare(`SELECT * FROM subscriptions WHERE ${where} ORDER BY id`).all({ party }).map(subscriptionView);
+    }],
+
+    [/^\/subscriptions\/([^/]+)\/payments$/, (params, [id]) => {
+      const rows = db.prepare("SELECT * FROM subscription_payments WHERE subscription_id = ? ORDER BY block_number, log_index").all(parseId(id));
+      return rows.map((row) => ({ ...logView(row), subscriptionId: row.subscription_id, amount: row.amount }));
+    }],
+
+    [/^\/totals\/([^/]+)$/, (params, [value]) => {
+      const party = parseAddress(value);
+      const sent = db.prepare(`
+        SELECT s.token, d.amount FROM stream_deposits d JOIN streams s ON s.id = d.stream_id WHERE d.sender = ?
+      `).all(party);
+      const received = db.prepare(`
+        SELECT s.token, w.amount FROM withdrawals w JOIN streams s ON s.id = w.stream_id WHERE w.recipient = ?
+      `).all(party);
+      const paid = db.prepare("SELECT amount FROM subscription_payments WHERE subscriber = ?").all(party);
+      const earned = db.prepare("SELECT amount FROM subscription_payments WHERE provider = ?").all(party);
+      return {
+        address: party,
+        // Keyed by token address, 0x000..0 for ETH. Deposits count creation and top-ups, before any refund
+        streamDeposits: sumByToken(sent),
+        streamWithdrawals: sumByToken(received),
+        subscriptionsPaid: sum(paid),
+        subscriptionsReceived: sum(earned)
+      };
+    }]
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*"
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "GET") return send(405, { error: "Method not allowed" });
+
+    for (const [pattern, handler] of routes) {
+      const match = typeof pattern === "string" ? url.pathname === pattern && [] : url.pathname.match(pattern)?.slice(1);
+      if (!match) continue;
+      try {
+        return send(200, handler(url.searchParams, match));
+      } catch (error) {
+        if (error instanceof HttpError) return send(error.status, { error: error.message });
+        console.error(error);
+        return send(500, { error: "Internal error" });
+      }
+    }
+    send(404, { error: "Not found" });
+  });
+}
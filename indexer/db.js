@@ -0,0 +1,131 @@
+import Database from "better-sqlite3";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS streams (
+    id INTEGER PRIMARY KEY,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    token TEXT NOT NULL,
+    deposit TEXT NOT NULL,
+    rate_per_second TEXT NOT NULL,
+    start_time INTEGER NOT NULL,
+    stop_time INTEGER NOT NULL,
+    remaining_balance TEXT NOT NULL,
+    active INTEGER NOT NULL,
+    paused_at INTEGER NOT NULL,
+    paused_duration INTEGER NOT NULL,
+    cliff_time INTEGER NOT NULL,
+    step_duration INTEGER NOT NULL,
+    status INTEGER NOT NULL DEFAULT 0,
+    withdrawn TEXT NOT NULL DEFAULT '0',
+    refunded TEXT NOT NULL DEFAULT '0',
+    created_block INTEGER NOT NULL,
+    created_tx TEXT NOT NULL,
+    cancelled_block INTEGER,
+    cancelled_tx TEXT,
+    sender_refund TEXT,
+    recipient_payout TEXT
+  );
+  CREATE INDEX IF NOT EXISTS streams_sender ON streams (sender);
+  CREATE INDEX IF NOT EXISTS streams_recipient ON streams (recipient);
+
+  CREATE TABLE IF NOT EXISTS withdrawals (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    stream_id INTEGER NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS withdrawals_recipient ON withdrawals (recipient);
+  CREATE INDEX IF NOT EXISTS withdrawals_stream ON withdrawals (stream_id);
+
+  CREATE TABLE IF NOT EXISTS stream_deposits (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    stream_id INTEGER NOT NULL,
+    sender TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS stream_deposits_sender ON stream_deposits (sender);
+
+  CREATE TABLE IF NOT EXISTS subscriptions (
+    id INTEGER PRIMARY KEY,
+    subscriber TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    rate_per_second TEXT NOT NULL,
+    last_payment_time INTEGER NOT NULL,
+    active INTEGER NOT NULL,
+    balance TEXT NOT NULL,
+    lapsed INTEGER NOT NULL,
+    created_block INTEGER NOT NULL,
+    created_tx TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS subscriptions_subscriber ON subscriptions (subscriber);
+  CREATE INDEX IF NOT EXISTS subscriptions_provider ON subscriptions (provider);
+
+  CREATE TABLE IF NOT EXISTS subscription_payments (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    subscription_id INTEGER NOT NULL,
+    subscriber TEXT NOT NULL,
+    provider TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS subscription_payments_subscription ON subscription_payments (subscription_id);
+`;
+
+/**
+ * Open (or create) the indexer database. Amounts are stored as decimal strings
+ * because uint256 values do not fit SQLite integers; addresses are lowercased.
+ */
+export function openDatabase(path = ":memory:") {
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  const tables = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'table'").pluck().all());
+  db.exec(SCHEMA);
+  if (tables.has("streams")) migrate(db, tables);
+  return db;
+}
+
+// Databases from older indexers are indexed again from the deployment block; every insert
+// ignores rows it already has
+function migrate(db, tables) {
+  const columns = db.prepare("PRAGMA table_info(streams)").all().map((column) => column.name);
+  // Before streams had a status, rows only get the columns when their stream is next touched
+  if (!columns.includes("status")) {
+    db.exec(`
+      ALTER TABLE streams ADD COLUMN status INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE streams ADD COLUMN withdrawn TEXT NOT NULL DEFAULT '0';
+      ALTER TABLE streams ADD COLUMN refunded TEXT NOT NULL DEFAULT '0';
+      DELETE FROM meta WHERE key = 'lastBlock';
+    `);
+  }
+  // Before deposits and top-ups were logged
+  if (!tables.has("stream_deposits")) {
+    db.exec("DELETE FROM meta WHERE key = 'lastBlock'");
+  }
+}
+
+export function getMeta(db, key) {
+  const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+  return row ? row.value : null;
+}
+
+export function setMeta(db, key, value) {
+  db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+    .run(key, String(value));
+}
@@ -0,0 +1,53 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { openDatabase } from "./db.js";
+import { createIndexer } from "./indexer.js";
+import { createApi } from "./api.js";
+import { registryEntry } from "../scripts/deployments.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Defaults target a local `npx hardhat node` and the address scripts/deploy.js registered for its chain
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const DB_PATH = process.env.INDEXER_DB || path.join(__dirname, "streampay.db");
+const PORT = Number(process.env.PORT || 4000);
+const CONFIRMATIONS = Number(process.env.CONFIRMATIONS || 0);
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL || 2000);
+
+async function main() {
+  const frontendDir = path.join(__dirname, "../frontend/src");
+  const abi = JSON.parse(fs.readFileSync(path.join(frontendDir, "contract-abi.json"), "utf8"));
+
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const deployment = process.env.CONTRACT_ADDRESS ? null : registryEntry(chainId);
+  const address = process.env.CONTRACT_ADDRESS || deployment.address;
+  const startBlock = Number(process.env.START_BLOCK || deployment?.blockNumber || 0);
+  const db = openDatabase(DB_PATH);
+
+  const indexer = createIndexer({ provider, address, abi, db, startBlock, confirmations: CONFIRMATIONS });
+  console.log(`Indexing StreamPay ${address} on chain ${chainId} from block ${indexer.lastBlock() + 1}`);
+  const applied = await indexer.sync();
+  console.log(`Caught up to block ${indexer.lastBlock()} (${applied} events)`);
+  indexer.start(POLL_INTERVAL);
+
+  const api = createApi(db, { chainId: Number(chainId), address });
+  api.listen(PORT, () => console.log(`Indexer API listening on http://localhost:${PORT}`));
+
+  const shutdown = () => {
+    indexer.stop();
+    api.close();
+    db.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
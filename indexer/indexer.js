@@ -0,0 +1,245 @@
+import { ethers } from "ethers";
+import { getMeta, setMeta } from "./db.js";
+
+const STREAM_EVENTS = new Set([
+  "StreamCreated",
+  "TokenStreamCreated",
+  "StreamScheduleSet",
+  "StreamWithdrawn",
+  "StreamTransferred",
+  "StreamPaused",
+  "StreamResumed",
+  "StreamToppedUp",
+  "StreamRateUpdated",
+  "StreamCancelled"
+]);
+
+const SUBSCRIPTION_EVENTS = new Set([
+  "SubscriptionCreated",
+  "SubscriptionPayment",
+  "SubscriptionPaymentFailed",
+  "SubscriptionLapsed",
+  "SubscriptionToppedUp",
+  "SubscriptionCancelled"
+]);
+
+/**
+ * Replays StreamPay events into the database. History (withdrawals, payments,
+ * cancellations) comes straight from the logs; the current state of every stream
+ * or subscription an event touched is read back at the last indexed block.
+ */
+export function createIndexer({ provider, address, abi, db, startBlock = 0, batchSize = 2000, confirmations = 0 }) {
+  const contract = new ethers.Contract(address, abi, provider);
+  let timer = null;
+  let syncing = null;
+
+  const lastBlock = () => {
+    const value = getMeta(db, "lastBlock");
+    return value === null ? startBlock - 1 : Number(value);
+  };
+
+  const insertWithdrawal = db.prepare(`
+    INSERT OR IGNORE INTO withdrawals (tx_hash, log_index, block_number, timestamp, stream_id, recipient, amount)
+    VALUES (@txHash, @logIndex, @blockNumber, @timestamp, @streamId, @recipient, @amount)
+  `);
+  const insertDeposit = db.prepare(`
+    INSERT OR IGNORE INTO stream_deposits (tx_hash, log_index, block_number, timestamp, stream_id, sender, amount)
+    VALUES (@txHash, @logIndex, @blockNumber, @timestamp, @streamId, @sender, @amount)
+  `);
+  const insertPayment = db.prepare(`
+    INSERT OR IGNORE INTO subscription_payments
+      (tx_hash, log_index, block_number, timestamp, subscription_id, subscriber, provider, amount)
+    VALUES (@txHash, @logIndex, @blockNumber, @timestamp, @subscriptionId, @subscriber, @provider, @amount)
+  `);
+  const upsertStream = db.prepare(`
+    INSERT INTO streams (id, sender, recipient, token, deposit, rate_per_second, start_time, stop_time,
+      remaining_balance, active, paused_at, paused_duration, cliff_time, step_duration, status, withdrawn, refunded,
+      created_block, created_tx)
+    VALUES (@id, @sender, @recipient, @token, @deposit, @ratePerSecond, @startTime, @stopTime,
+      @remainingBalance, @active, @pausedAt, @pausedDuration, @cliffTime, @stepDuration, @status, @withdrawn, @refunded,
+      @createdBlock, @createdTx)
+    ON CONFLICT (id) DO UPDATE SET
+      recipient = excluded.recipient,
+      deposit = excluded.deposit,
+      rate_per_second = excluded.rate_per_second,
+      start_time = excluded.start_time,
+      stop_time = excluded.stop_time,
+      remaining_balance = excluded.remaining_balance,
+      active = excluded.active,
+      paused_at = excluded.paused_at,
+      paused_duration = excluded.paused_duration,
+      cliff_time = excluded.cliff_time,
+      step_duration = excluded.step_duration,
+      status = excluded.status,
+      withdrawn = excluded.withdrawn,
+      refunded = excluded.refunded
+  `);
+  const markCancelled = db.prepare(`
+    UPDATE streams SET cancelled_block = ?, cancelled_tx = ?, sender_refund = ?, recipient_payout = ? WHERE id = ?
+  `);
+  const upsertSubscription = db.prepare(`
+    INSERT INTO subscriptions (id, subscriber, provider, rate_per_second, last_payment_time, active, balance, lapsed,
+      created_block, created_tx)
+    VALUES (@id, @subscriber, @provider, @ratePerSecond, @lastPaymentTime, @active, @balance, @lapsed,
+      @createdBlock, @createdTx)
+    ON CONFLICT (id) DO UPDATE SET
+      last_payment_time = excluded.last_payment_time,
+      active = excluded.active,
+      balance = excluded.balance,
+      lapsed = excluded.lapsed
+  `);
+
+  const loadStream = async (id, blockTag) => {
+    const [stream, schedule] = await Promise.all([
+      contract.getStream(id, { blockTag }),
+      contract.getStreamSchedule(id, { blockTag })
+    ]);
+    return {
+      id,
+      sender: stream.sender.toLowerCase(),
+      recipient: stream.recipient.toLowerCase(),
+      token: stream.token.toLowerCase(),
+      deposit: stream.deposit.toString(),
+      ratePerSecond: stream.ratePerSecond.toString(),
+      startTime: Number(stream.startTime),
+      stopTime: Number(stream.stopTime),
+      remainingBalance: stream.remainingBalance.toString(),
+      active: stream.active ? 1 : 0,
+      pausedAt: Number(stream.pausedAt),
+      pausedDuration: Number(stream.pausedDuration),
+      cliffTime: Number(schedule.cliffTime),
+      stepDuration: Number(schedule.stepDuration),
+      status: Number(stream.status),
+      withdrawn: stream.withdrawn.toString(),
+      refunded: stream.refunded.toString()
+    };
+  };
+
+  const loadSubscription = async (id, blockTag) => {
+    const sub = await contract.getSubscription(id, { blockTag });
+    return {
+      id,
+      subscriber: sub.subscriber.toLowerCase(),
+      provider: sub.provider.toLowerCase(),
+      ratePerSecond: sub.ratePerSecond.toString(),
+      lastPaymentTime: Number(sub.lastPaymentTime),
+      active: sub.active ? 1 : 0,
+      balance: sub.balance.toString(),
+      lapsed: sub.lapsed ? 1 : 0
+    };
+  };
+
+  const blockTimestamps = async (events) => {
+    const numbers = [...new Set(events.map((event) => event.blockNumber))];
+    const blocks = await Promise.all(numbers.map((number) => provider.getBlock(number)));
+    return new Map(blocks.map((block) => [block.number, block.timestamp]));
+  };
+
+  const indexRange = async (fromBlock, toBlock) => {
+    const events = (await contract.queryFilter("*", fromBlock, toBlock)).filter((event) => event.eventName);
+    const timestamps = await blockTimestamps(events);
+
+    const streamIds = new Set();
+    const subscriptionIds = new Set();
+    const created = new Map();
+    for (const event of events) {
+      const id = Number(event.args[0]);
+      if (STREAM_EVENTS.has(event.eventName)) {
+        streamIds.add(id);
+      } else if (SUBSCRIPTION_EVENTS.has(event.eventName)) {
+        subscriptionIds.add(id);
+      }
+      if (event.eventName === "StreamCreated" || event.eventName === "SubscriptionCreated") {
+        created.set(`${event.eventName}:${id}`, { createdBlock: event.blockNumber, createdTx: event.transactionHash });
+      }
+    }
+
+    const [streams, subscriptions] = await Promise.all([
+      Promise.all([...streamIds].map((id) => loadStream(id, toBlock))),
+      Promise.all([...subscriptionIds].map((id) => loadSubscription(id, toBlock)))
+    ]);
+
+    db.transaction(() => {
+      // Rows for entities created before this range already exist; their creation columns are kept
+      for (const stream of streams) {
+        upsertStream.run({ createdBlock: 0, createdTx: "", ...stream, ...created.get(`StreamCreated:${stream.id}`) });
+      }
+      for (const sub of subscriptions) {
+        upsertSubscription.run({ createdBlock: 0, createdTx: "", ...sub, ...created.get(`SubscriptionCreated:${sub.id}`) });
+      }
+
+      for (const event of events) {
+        const log = {
+          txHash: event.transactionHash,
+          logIndex: event.index,
+          blockNumber: event.blockNumber,
+          timestamp: timestamps.get(event.blockNumber)
+        };
+
+        if (event.eventName === "StreamCreated" || event.eventName === "StreamToppedUp") {
+          // Paid in at creation and on top-ups; updateRate rewrites the streams' deposit column
+          const [streamId, sender] = event.args;
+          const amount = event.eventName === "StreamCreated" ? event.args.deposit : event.args.amount;
+          insertDeposit.run({ ...log, streamId: Number(streamId), sender: sender.toLowerCase(), amount: amount.toString() });
+        } else if (event.eventName === "StreamWithdrawn") {
+          const [streamId, recipient, amount] = event.args;
+          insertWithdrawal.run({ ...log, streamId: Number(streamId), recipient: recipient.toLowerCase(), amount: amount.toString() });
+        } else if (event.eventName === "StreamCancelled") {
+          const [streamId, , , senderBalance, recipientBalance] = event.args;
+          markCancelled.run(event.blockNumber, event.transactionHash, senderBalance.toString(), recipientBalance.toString(), Number(streamId));
+        } else if (event.eventName === "SubscriptionPayment") {
+          const [subscriptionId, subscriber, provider, amount] = event.args;
+          insertPayment.run({
+            ...log,
+            subscriptionId: Number(subscriptionId),
+            subscriber: subscriber.toLowerCase(),
+            provider: provider.toLowerCase(),
+            amount: amount.toString()
+          });
+        }
+      }
+
+      setMeta(db, "lastBlock", toBlock);
+    })();
+
+    return events.length;
+  };
+
+  /**
+   * Index every confirmed block since the last run. Returns the number of events applied.
+   */
+  const sync = async () => {
+    // Overlapping calls (e.g. from the polling loop) share one run
+    if (!syncing) {
+      syncing = (async () => {
+        const head = (await provider.getBlockNumber()) - confirmations;
+        let applied = 0;
+        for (let from = lastBlock() + 1; from <= head; from += batchSize) {
+          applied += await indexRange(from, Math.min(from + batchSize - 1, head));
+        }
+        return applied;
+      })().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  };
+
+  const start = (intervalMs = 2000) => {
+    const tick = () => {
+      sync()
+        .catch((error) => console.error("Indexer sync failed:", error))
+        .finally(() => {
+          if (timer) timer = setTimeout(tick, intervalMs);
+        });
+    };
+    timer = setTimeout(tick, 0);
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return { sync, start, stop, lastBlock, contract };
+}
@@ -0,0 +1,50 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { registryEntry } from "../scripts/deployments.js";
+import { createRelayer, createRelayerServer } from "./relayer.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Defaults target a local `npx hardhat node`; RELAYER_KEY is the account that pays the gas
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const PORT = Number(process.env.PORT || 4100);
+
+async function main() {
+  if (!process.env.RELAYER_KEY) {
+    throw new Error("Set RELAYER_KEY to the private key of the account that pays for relayed transactions");
+  }
+
+  const abi = JSON.parse(fs.readFileSync(path.join(__dirname, "../frontend/src/contract-abi.json"), "utf8"));
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const address = process.env.CONTRACT_ADDRESS || registryEntry(chainId).address;
+  const wallet = new ethers.Wallet(process.env.RELAYER_KEY, provider);
+
+  const relayer = createRelayer(new ethers.Contract(address, abi, wallet));
+  const server = createRelayerServer(relayer, {
+    chainId: Number(chainId),
+    address,
+    relayerAddress: wallet.address,
+    onRelayed: (intent, { hash }) => console.log(`Relayed ${intent.type} for ${intent.signer}: ${hash}`)
+  });
+
+  const balance = await provider.getBalance(wallet.address);
+  console.log(`Relaying for StreamPay ${address} on chain ${chainId}`);
+  console.log(`Relayer ${wallet.address} has ${ethers.formatEther(balance)} ETH`);
+  server.listen(PORT, () => console.log(`Relayer listening on http://localhost:${PORT}`));
+
+  const shutdown = () => {
+    server.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
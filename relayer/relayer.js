@@ -0,0 +1,123 @@
+import http from "http";
+import { ethers } from "ethers";
+import { INTENT_TYPES, intentDomain, recoverIntentSigner, relayCall } from "../frontend/src/intents.js";
+
+// Largest request body accepted, in bytes; intents are a few hundred
+const MAX_BODY = 16 * 1024;
+
+export class RelayError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Submits signed StreamPay intents with the relayer's own key. `contract` must be connected
+ * to that signer. Each intent is checked off-chain and simulated before anything is sent,
+ * so a bad signature or a revert costs the relayer no gas.
+ */
+export function createRelayer(contract) {
+  let domain;
+
+  async function relay(intent) {
+    if (!intent || !INTENT_TYPES[intent.type]) throw new RelayError(400, "Unknown intent type");
+    if (!ethers.isAddress(intent.signer) || typeof intent.signature !== "string" || !intent.message) {
+      throw new RelayError(400, "Malformed intent");
+    }
+
+    domain ||= await intentDomain(contract);
+    let recovered;
+    try {
+      recovered = recoverIntentSigner(domain, intent);
+    } catch {
+      throw new RelayError(400, "Malformed intent");
+    }
+    if (recovered !== ethers.getAddress(intent.signer)) throw new RelayError(400, "Invalid signature");
+
+    const [method, args] = relayCall(intent);
+    try {
+      await contract[method].staticCall(...args);
+    } catch (error) {
+      throw new RelayError(422, revertReason(contract, error));
+    }
+
+    const tx = await contract[method](...args);
+    const receipt = await tx.wait();
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber };
+  }
+
+  return { relay };
+}
+
+/**
+ * HTTP front for a relayer.
+ *
+ *   GET  /status   relayer address and chain
+ *   POST /relay    body: an intent from signIntent(); responds with the transaction hash
+ *
+ * `onRelayed(intent, result)` is called after each submitted intent, for logging.
+ */
+export function createRelayerServer(relayer, { chainId, address, relayerAddress, onRelayed } = {}) {
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Headers": "Content-Type"
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method === "OPTIONS") return send(204, {});
+    if (url.pathname === "/status" && req.method === "GET") {
+      return send(200, { chainId, contract: address, relayer: relayerAddress });
+    }
+    if (url.pathname !== "/relay") return send(404, { error: "Not found" });
+    if (req.method !== "POST") return send(405, { error: "Method not allowed" });
+
+    try {
+      const intent = JSON.parse(await readBody(req));
+      const result = await relayer.relay(intent);
+      send(200, result);
+      onRelayed?.(intent, result);
+    } catch (error) {
+      if (error instanceof RelayError) {
+        // Answer an oversized body, then drop the connection instead of reading the rest
+        if (error.status === 413) res.setHeader("Connection", "close");
+        return send(error.status, { error: error.message });
+      }
+      if (error instanceof SyntaxError) return send(400, { error: "Invalid JSON" });
+      console.error(error);
+      send(500, { error: "Internal error" });
+    }
+  });
+}
+
+// Revert string or custom error name, whether the provider decoded it or only passed the data on
+function revertReason(contract, error) {
+  if (error.reason) return error.reason;
+  try {
+    const parsed = contract.interface.parseError(error.data);
+    if (parsed) return parsed.name === "Error" ? parsed.args[0] : parsed.name;
+  } catch {
+    // not ABI-encoded revert data
+  }
+  return error.shortMessage || "Intent would revert";
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY) {
+        req.removeAllListeners("data");
+        reject(new RelayError(413, "Request too large"));
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
@@ -0,0 +1,34 @@
+import hre from "hardhat";
+import { deploySplitFactory } from "./proxy.js";
+import { readDeployment, writeDeployment, readRegistry, recordInRegistry } from "./deployments.js";
+
+// Adds the split factory to a StreamPay deployment made before split streams existed
+async function main() {
+  const deployment = readDeployment(hre.network.name);
+  if (deployment.splitFactory) {
+    console.log(`Split factory already deployed at ${deployment.splitFactory}`);
+    return;
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  console.log(`Deploying the split factory for StreamPay ${deployment.address} on ${hre.network.name}`);
+  console.log("Deploying with account:", signer.address);
+
+  const splitFactory = await deploySplitFactory(hre, deployment.address, signer);
+  console.log("Split factory deployed to:", splitFactory);
+
+  writeDeployment(hre.network.name, { ...deployment, splitFactory });
+
+  const current = readRegistry()[String(deployment.chainId)];
+  if (current?.address === deployment.address) {
+    recordInRegistry({ ...current, splitFactory });
+  }
+  console.log(`Recorded in deployments/${hre.network.name}.json`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
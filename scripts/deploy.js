@@ -2,12 +2,15 @@ import hre from "hardhat";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from 'url';
+import { deployStreamPay, deploySplitFactory } from "./proxy.js";
+import { writeDeployment, recordInRegistry } from "./deployments.js";
+import { NETWORKS } from "../frontend/src/networks.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 async function main() {
-  console.log("Deploying StreamPay to MegaETH...");
+  console.log(`Deploying StreamPay to ${hre.network.name}...`);
 
   const [deployer] = await hre.ethers.getSigners();
   console.log("Deploying with account:", deployer.address);
@@ -15,32 +18,45 @@ async function main() {
   const balance = await hre.ethers.provider.getBalance(deployer.address);
   console.log("Account balance:", hre.ethers.formatEther(balance), "ETH");
 
-  const StreamPay = await hre.ethers.getContractFactory("StreamPay");
-  const streamPay = await StreamPay.deploy();
-  await streamPay.waitForDeployment();
+  const streamPay = await deployStreamPay(hre, deployer);
 
   const address = await streamPay.getAddress();
-  console.log("StreamPay deployed to:", address);
+  const receipt = await streamPay.deploymentTransaction().wait();
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(address);
+  const streamNFT = await streamPay.streamNFT();
+  const splitFactory = await deploySplitFactory(hre, address, deployer);
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  console.log("StreamPay proxy deployed to:", address);
+  console.log("Implementation deployed to:", implementation);
+  console.log("Stream NFT deployed to:", streamNFT);
+  console.log("Split factory deployed to:", splitFactory);
 
-  // Save contract address
+  // Save contract address; the proxy address is the one users and the frontend talk to
+  const network = NETWORKS[Number(chainId)];
   const deploymentInfo = {
     contract: "StreamPay",
     address: address,
-    network: "MegaETH Testnet",
-    chainId: 6342,
+    implementation: implementation,
+    streamNFT: streamNFT,
+    splitFactory: splitFactory,
+    network: network ? network.name : hre.network.name,
+    chainId: Number(chainId),
     deployer: deployer.address,
+    blockNumber: receipt.blockNumber, // history and indexers scan logs from here
     timestamp: new Date().toISOString()
   };
 
-  const frontendDir = path.join(__dirname, "../frontend/src");
-  if (!fs.existsSync(frontendDir)) {
-    fs.mkdirSync(frontendDir, { recursive: true });
+  // Per-network record, extended by scripts/upgrade.js
+  writeDeployment(hre.network.name, { ...deploymentInfo, upgrades: [] });
+
+  // The in-process network disappears with this script, so don't point the frontend at it
+  if (hre.network.name === "hardhat") {
+    console.log("Skipping the frontend registry for the in-process hardhat network; use --network localhost");
+    return;
   }
 
-  fs.writeFileSync(
-    path.join(frontendDir, "contract-address.json"),
-    JSON.stringify(deploymentInfo, null, 2)
-  );
+  const frontendDir = path.join(__dirname, "../frontend/src");
+  recordInRegistry(deploymentInfo);
 
   // Copy ABI
   const artifactPath = path.join(__dirname, "../artifacts/contracts/StreamPay.sol/StreamPay.json");
@@ -51,8 +67,10 @@ async function main() {
     JSON.stringify(artifact.abi, null, 2)
   );
 
-  console.log("Contract address and ABI saved to frontend/src/");
-  console.log("\nVerify on explorer: https://megaexplorer.xyz/address/" + address);
+  console.log(`Registered for chain ${chainId} in frontend/src/deployments.json and deployments/${hre.network.name}.json`);
+  if (network?.explorerUrl) {
+    console.log(`\nVerify on explorer: ${network.explorerUrl}/address/${address}`);
+  }
 }
 
 main()
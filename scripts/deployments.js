@@ -0,0 +1,56 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Full per-network history (implementation, upgrades), keyed by Hardhat network name
+export const DEPLOYMENTS_DIR = path.join(__dirname, "../deployments");
+
+// What the frontend, indexer and scripts read: the live deployment per chainId
+export const REGISTRY_PATH = path.join(__dirname, "../frontend/src/deployments.json");
+
+export function deploymentPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`);
+}
+
+export function readDeployment(networkName) {
+  const file = deploymentPath(networkName);
+  if (!fs.existsSync(file)) {
+    throw new Error(`No deployment recorded for network "${networkName}" (${file})`);
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+export function writeDeployment(networkName, deployment) {
+  fs.mkdirSync(DEPLOYMENTS_DIR, { recursive: true });
+  fs.writeFileSync(deploymentPath(networkName), JSON.stringify(deployment, null, 2) + "\n");
+}
+
+export function readRegistry(file = REGISTRY_PATH) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+/**
+ * The registry entry for `chainId`; throws naming the chains that do have one
+ */
+export function registryEntry(chainId, file = REGISTRY_PATH) {
+  const registry = readRegistry(file);
+  const entry = registry[String(Number(chainId))];
+  if (!entry) {
+    const known = Object.keys(registry).join(", ") || "none";
+    throw new Error(`StreamPay isn't deployed on chain ${chainId} (registry has: ${known})`);
+  }
+  return entry;
+}
+
+/**
+ * Add or replace the entry for `deployment.chainId`, keeping the other chains and sorting by chainId
+ */
+export function recordInRegistry(deployment, file = REGISTRY_PATH) {
+  const registry = { ...readRegistry(file), [String(deployment.chainId)]: deployment };
+  const sorted = Object.fromEntries(Object.entries(registry).sort(([a], [b]) => Number(a) - Number(b)));
+  fs.writeFileSync(file, JSON.stringify(sorted, null, 2) + "\n");
+  return sorted;
+}
@@ -0,0 +1,50 @@
+import hre from "hardhat";
+import { createKeeper, formatReport } from "./settlement.js";
+import { registryEntry } from "./deployments.js";
+
+// KEEPER_INTERVAL  settle subscriptions unpaid for this many seconds (default a day)
+// KEEPER_THRESHOLD or as soon as this much ETH is pending
+// KEEPER_POLL      seconds between runs (default 60); KEEPER_ONCE=1 runs once and exits
+// KEEPER_DRY_RUN=1 estimates and reports without sending anything
+const INTERVAL = Number(process.env.KEEPER_INTERVAL || 24 * 3600);
+const THRESHOLD = process.env.KEEPER_THRESHOLD ? hre.ethers.parseEther(process.env.KEEPER_THRESHOLD) : null;
+const POLL = Number(process.env.KEEPER_POLL || 60);
+const ONCE = process.env.KEEPER_ONCE === "1";
+const DRY_RUN = process.env.KEEPER_DRY_RUN === "1";
+
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = process.env.CONTRACT_ADDRESS ? null : registryEntry(chainId);
+  const address = process.env.CONTRACT_ADDRESS || deployment.address;
+  const [signer] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.getContractAt("StreamPay", address, signer);
+
+  const keeper = createKeeper({
+    contract,
+    startBlock: Number(process.env.START_BLOCK || deployment?.blockNumber || 0),
+    interval: INTERVAL,
+    threshold: THRESHOLD,
+    dryRun: DRY_RUN
+  });
+
+  console.log(`Keeping StreamPay ${address} on ${hre.network.name}${DRY_RUN ? " (dry run)" : ""}`);
+  console.log(`Keeper ${signer.address} has ${hre.ethers.formatEther(await hre.ethers.provider.getBalance(signer.address))} ETH`);
+
+  for (;;) {
+    try {
+      const report = await keeper.run();
+      for (const line of formatReport(report)) console.log(line);
+    } catch (error) {
+      console.error("Keeper run failed:", error);
+    }
+    if (ONCE) break;
+    await new Promise((resolve) => setTimeout(resolve, POLL * 1000));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,186 @@
+import { ethers } from "ethers";
+
+// Views every StreamPay version exposes, so deployments from before the proxy can be read
+const CORE_ABI = [
+  "function nextStreamId() view returns (uint256)",
+  "function nextSubscriptionId() view returns (uint256)",
+  "function getStream(uint256 streamId) view returns (address sender, address recipient, uint256 deposit, uint256 ratePerSecond, uint256 startTime, uint256 stopTime, uint256 remainingBalance, bool active)",
+  "function balanceOf(uint256 streamId) view returns (uint256 recipientBalance, uint256 senderBalance)",
+  "function getSubscription(uint256 subscriptionId) view returns (address subscriber, address provider, uint256 ratePerSecond, uint256 lastPaymentTime, bool active, uint256 pendingPayment)",
+  "function balances(address account) view returns (uint256)",
+  "function owner() view returns (address)"
+];
+
+// Added in later versions; read when available, recorded as null otherwise
+const EXTENDED_ABI = [
+  "function getStream(uint256 streamId) view returns (address sender, address recipient, uint256 deposit, uint256 ratePerSecond, uint256 startTime, uint256 stopTime, uint256 remainingBalance, bool active, address token, uint256 pausedAt, uint256 pausedDuration)",
+  "function getStreamSchedule(uint256 streamId) view returns (uint256 startTime, uint256 cliffTime, uint256 stepDuration, uint256 stopTime)",
+  "function getSubscription(uint256 subscriptionId) view returns (address subscriber, address provider, uint256 ratePerSecond, uint256 lastPaymentTime, bool active, uint256 pendingPayment, uint256 balance, bool lapsed)",
+  "function tokenBalances(address token, address account) view returns (uint256)",
+  "function accruedFees(address token) view returns (uint256)",
+  "event PayoutCredited(address indexed to, address indexed token, uint256 amount)"
+];
+
+const CANCELLED_ABI = [
+  "event StreamCancelled(uint256 indexed streamId, address indexed sender, address indexed recipient, uint256 senderBalance, uint256 recipientBalance)"
+];
+
+const ERC20_ABI = ["function balanceOf(address account) view returns (uint256)"];
+
+const optional = (call) => call.catch(() => null);
+
+/**
+ * Read every open stream, live subscription and withdrawable balance of a StreamPay
+ * deployment at one block, with per-token totals to reconcile against what the
+ * contract actually holds. Amounts are decimal strings. Credited payouts are found from
+ * PayoutCredited logs, scanned from `fromBlock` (the deployment block, ideally).
+ */
+export async function snapshotDeployment({ provider, address, blockTag = "latest", fromBlock = 0, batchSize = 2000 }) {
+  const block = await provider.getBlock(blockTag);
+  const overrides = { blockTag: block.number };
+  const core = new ethers.Contract(address, CORE_ABI, provider);
+  const extended = new ethers.Contract(address, EXTENDED_ABI, provider);
+  const { chainId } = await provider.getNetwork();
+
+  const totals = new Map();
+  const totalsFor = (token) => {
+    if (!totals.has(token)) {
+      totals.set(token, { streamEscrow: 0n, owedToRecipients: 0n, owedToSenders: 0n, subscriptionEscrow: 0n, withdrawable: 0n, fees: 0n });
+    }
+    return totals.get(token);
+  };
+  totalsFor(ethers.ZeroAddress);
+  // Before fees had their own ledger they were credited to the owner's balance
+  const parties = new Set([await core.owner(overrides)]);
+
+  // Credits can go to accounts that are no stream or subscription party,
+  // e.g. withdrawFromStream(..., to) targets that rejected the payout
+  for (let from = fromBlock; from <= block.number; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, block.number);
+    for (const event of await extended.queryFilter(extended.filters.PayoutCredited(), from, to)) {
+      parties.add(event.args.to);
+      totalsFor(event.args.token);
+    }
+  }
+
+  const streams = [];
+  const streamCount = await core.nextStreamId(overrides);
+  for (let id = 1n; id < streamCount; id++) {
+    const [stream, full, schedule] = await Promise.all([
+      core.getStream(id, overrides),
+      optional(extended.getStream(id, overrides)),
+      optional(extended.getStreamSchedule(id, overrides))
+    ]);
+    const token = full ? full.token : ethers.ZeroAddress;
+    parties.add(stream.sender).add(stream.recipient);
+    totalsFor(token);
+    if (!stream.active) continue;
+
+    const [recipientBalance, senderBalance] = await core.balanceOf(id, overrides);
+    const total = totalsFor(token);
+    total.streamEscrow += stream.remainingBalance;
+    total.owedToRecipients += recipientBalance;
+    total.owedToSenders += senderBalance;
+
+    streams.push({
+      id: Number(id),
+      sender: stream.sender,
+      recipient: stream.recipient,
+      token,
+      deposit: stream.deposit.toString(),
+      ratePerSecond: stream.ratePerSecond.toString(),
+      startTime: Number(stream.startTime),
+      stopTime: Number(stream.stopTime),
+      cliffTime: schedule ? Number(schedule.cliffTime) : null,
+      stepDuration: schedule ? Number(schedule.stepDuration) : null,
+      pausedAt: full ? Number(full.pausedAt) : null,
+      pausedDuration: full ? Number(full.pausedDuration) : null,
+      remainingBalance: stream.remainingBalance.toString(),
+      recipientBalance: recipientBalance.toString(),
+      senderBalance: senderBalance.toString()
+    });
+  }
+
+  const subscriptions = [];
+  const subscriptionCount = await core.nextSubscriptionId(overrides);
+  for (let id = 1n; id < subscriptionCount; id++) {
+    const [sub, full] = await Promise.all([
+      core.getSubscription(id, overrides),
+      optional(extended.getSubscription(id, overrides))
+    ]);
+    parties.add(sub.subscriber).add(sub.provider);
+    if (!sub.active && !full?.lapsed) continue;
+
+    if (full) totalsFor(ethers.ZeroAddress).subscriptionEscrow += full.balance;
+    subscriptions.push({
+      id: Number(id),
+      subscriber: sub.subscriber,
+      provider: sub.provider,
+      ratePerSecond: sub.ratePerSecond.toString(),
+      lastPaymentTime: Number(sub.lastPaymentTime),
+      active: sub.active,
+      lapsed: full ? full.lapsed : null,
+      pendingPayment: sub.pendingPayment.toString(),
+      balance: full ? full.balance.toString() : null
+    });
+  }
+
+  const balances = [];
+  for (const account of parties) {
+    for (const token of totals.keys()) {
+      const amount = token === ethers.ZeroAddress
+        ? await core.balances(account, overrides)
+        : await optional(extended.tokenBalances(token, account, overrides));
+      if (!amount) continue;
+      totalsFor(token).withdrawable += amount;
+      balances.push({ account, token, amount: amount.toString() });
+    }
+  }
+
+  const reconciliation = [];
+  for (const [token, total] of totals) {
+    total.fees = (await optional(extended.accruedFees(token, overrides))) || 0n;
+    const held = token === ethers.ZeroAddress
+      ? await provider.getBalance(address, block.number)
+      : await new ethers.Contract(token, ERC20_ABI, provider).balanceOf(address, overrides);
+    const owed = total.streamEscrow + total.subscriptionEscrow + total.withdrawable + total.fees;
+    reconciliation.push({
+      token,
+      held: held.toString(),
+      owed: owed.toString(),
+      surplus: (held - owed).toString(),
+      ...Object.fromEntries(Object.entries(total).map(([key, value]) => [key, value.toString()]))
+    });
+  }
+
+  return {
+    contract: address,
+    chainId: Number(chainId),
+    blockNumber: block.number,
+    blockTimestamp: block.timestamp,
+    streams,
+    subscriptions,
+    balances,
+    reconciliation
+  };
+}
+
+/**
+ * Cancellations for StreamPay's backfillStreams: every stream cancelled up to `toBlock`
+ * and what its cancel refunded the sender, from StreamCancelled logs. Read them after
+ * initializeV2, since streams cancelled from then on store their own status.
+ */
+export async function legacyCancellations({ provider, address, fromBlock = 0, toBlock, batchSize = 2000 }) {
+  const contract = new ethers.Contract(address, CANCELLED_ABI, provider);
+  const head = toBlock ?? (await provider.getBlockNumber());
+  const streamIds = [];
+  const refunds = [];
+  for (let from = fromBlock; from <= head; from += batchSize) {
+    const events = await contract.queryFilter(contract.filters.StreamCancelled(), from, Math.min(from + batchSize - 1, head));
+    for (const event of events) {
+      streamIds.push(event.args.streamId);
+      refunds.push(event.args.senderBalance);
+    }
+  }
+  return [streamIds, refunds];
+}
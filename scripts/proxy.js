@@ -0,0 +1,76 @@
+import { legacyCancellations } from "./migration.js";
+
+/**
+ * Deploy StreamPay behind a UUPS proxy and connect its stream NFT.
+ * The NFT is deployed separately so its bytecode doesn't count towards StreamPay's size limit.
+ */
+export async function deployStreamPay({ ethers, upgrades }, owner) {
+  const signer = owner || (await ethers.getSigners())[0];
+
+  const StreamPay = await ethers.getContractFactory("StreamPay", signer);
+  const streamPay = await upgrades.deployProxy(StreamPay, [signer.address], { kind: "uups" });
+  await streamPay.waitForDeployment();
+
+  const streamNFT = await ethers.deployContract("StreamPayNFT", [await streamPay.getAddress()], signer);
+  await streamNFT.waitForDeployment();
+  await (await streamPay.setStreamNFT(await streamNFT.getAddress())).wait();
+
+  return streamPay;
+}
+
+/**
+ * Deploy the factory for split-stream recipients (StreamPaySplit clones) against a StreamPay proxy.
+ * Returns its address.
+ */
+export async function deploySplitFactory({ ethers }, streamPayAddress, signer) {
+  const factory = await ethers.deployContract("StreamPaySplitFactory", [streamPayAddress], signer);
+  await factory.waitForDeployment();
+  return factory.getAddress();
+}
+
+/**
+ * Validate the storage layout of `contractName` against the live implementation,
+ * then point the proxy at a new implementation, optionally running `call`
+ * (e.g. a reinitializer) in the same transaction. Throws before sending anything
+ * if the layouts are incompatible.
+ */
+export async function upgradeStreamPay(
+  { ethers, upgrades },
+  proxyAddress,
+  { contractName = "StreamPay", call, dryRun = false } = {}
+) {
+  const factory = await ethers.getContractFactory(contractName);
+  await upgrades.validateUpgrade(proxyAddress, factory, { kind: "uups" });
+  if (dryRun) return null;
+
+  const streamPay = await upgrades.upgradeProxy(proxyAddress, factory, { kind: "uups", call });
+  await streamPay.waitForDeployment();
+  return streamPay;
+}
+
+/**
+ * Run backfillStreams over whatever initializeV2 left to backfill, `batchSize` streams per
+ * transaction, so an interrupted run can simply be started again. Cancellations are read
+ * from `fromBlock` up to now, after the upgrade, so none can slip in unrecorded.
+ * Returns the number of streams backfilled.
+ */
+export async function backfillStreamStatus(streamPay, { fromBlock = 0, batchSize = 200 } = {}) {
+  let next = await streamPay.statusBackfillNext();
+  const end = await streamPay.statusBackfillEnd();
+  if (next >= end) return 0;
+
+  const [cancelledIds, refunds] = await legacyCancellations({
+    provider: streamPay.runner.provider,
+    address: await streamPay.getAddress(),
+    fromBlock
+  });
+  const start = next;
+  while (next < end) {
+    const toId = next + BigInt(batchSize) < end ? next + BigInt(batchSize) : end;
+    const inBatch = cancelledIds.map((id, i) => [id, refunds[i]]).filter(([id]) => id >= next && id < toId);
+    const tx = await streamPay.backfillStreams(toId, inBatch.map(([id]) => id), inBatch.map(([, refund]) => refund));
+    await tx.wait();
+    next = toId;
+  }
+  return Number(end - start);
+}
@@ -0,0 +1,123 @@
+import { ethers } from "ethers";
+
+// Gas limit sent with a settlement, as a percentage of the estimate
+const GAS_HEADROOM = 120n;
+
+/**
+ * Settles StreamPay subscriptions so providers get paid without doing it themselves.
+ * `contract` must be connected to the keeper's signer. Subscriptions are discovered from
+ * SubscriptionCreated events; each run settles the active ones that have gone unpaid for
+ * `interval` seconds, or owe at least `threshold` wei. Underfunded subscriptions are
+ * skipped (settling would only lapse them), and a subscription whose settlement fails is
+ * retried after a backoff that doubles from `retryDelay` up to `maxRetryDelay` seconds.
+ * Times are block timestamps, so the keeper follows the chain's clock.
+ */
+export function createKeeper({
+  contract,
+  startBlock = 0,
+  batchSize = 2000,
+  interval = 24 * 3600,
+  threshold = null,
+  retryDelay = 60,
+  maxRetryDelay = 3600,
+  dryRun = false
+}) {
+  const provider = contract.runner.provider;
+  const subscriptionIds = new Set();
+  const failures = new Map(); // subscription id => { count, retryAt, error }
+  let scannedBlock = startBlock - 1;
+
+  const discover = async (head) => {
+    for (let from = scannedBlock + 1; from <= head; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, head);
+      const events = await contract.queryFilter(contract.filters.SubscriptionCreated(), from, to);
+      for (const event of events) subscriptionIds.add(event.args.subscriptionId);
+      scannedBlock = to;
+    }
+  };
+
+  // Why a subscription isn't settled this run, or null if it should be
+  const skipReason = (sub, now) => {
+    if (!sub.active) return sub.lapsed ? "lapsed" : "cancelled";
+    if (sub.pendingPayment === 0n) return "nothing due";
+    // The settlement lands at least a second later, when one more second is due
+    if (sub.balance < sub.pendingPayment + sub.ratePerSecond) return "underfunded";
+
+    const unpaidFor = now - Number(sub.lastPaymentTime);
+    const overThreshold = threshold !== null && sub.pendingPayment >= threshold;
+    if (unpaidFor < interval && !overThreshold) return "not due yet";
+    return null;
+  };
+
+  const settle = async (id) => {
+    const gasEstimate = await contract.processSubscriptionPayment.estimateGas(id);
+    if (dryRun) return { gasEstimate };
+
+    const tx = await contract.processSubscriptionPayment(id, { gasLimit: (gasEstimate * GAS_HEADROOM) / 100n });
+    const receipt = await tx.wait();
+    return { gasEstimate, gasUsed: receipt.gasUsed, hash: receipt.hash };
+  };
+
+  /**
+   * Discover new subscriptions and settle every one that is due. Returns a report of what
+   * was settled (or would be, in dry-run mode), skipped and failed.
+   */
+  const run = async () => {
+    const block = await provider.getBlock("latest");
+    await discover(block.number);
+
+    const report = { blockNumber: block.number, timestamp: block.timestamp, dryRun, settled: [], skipped: [], failed: [] };
+    for (const id of [...subscriptionIds].sort((a, b) => Number(a - b))) {
+      const sub = await contract.getSubscription(id, { blockTag: block.number });
+      const reason = skipReason(sub, block.timestamp);
+      if (reason) {
+        // Cancelled subscriptions can't be revived; lapsed ones come back when topped up
+        if (reason === "cancelled") subscriptionIds.delete(id);
+        report.skipped.push({ id: Number(id), reason });
+        continue;
+      }
+
+      const failure = failures.get(id);
+      if (failure && block.timestamp < failure.retryAt) {
+        report.skipped.push({ id: Number(id), reason: "backing off", retryAt: failure.retryAt });
+        continue;
+      }
+
+      try {
+        const result = await settle(id);
+        failures.delete(id);
+        report.settled.push({ id: Number(id), provider: sub.provider, amount: sub.pendingPayment, ...result });
+      } catch (error) {
+        const count = (failure?.count || 0) + 1;
+        const retryAt = block.timestamp + Math.min(retryDelay * 2 ** (count - 1), maxRetryDelay);
+        const message = error.shortMessage || error.message;
+        failures.set(id, { count, retryAt, error: message });
+        report.failed.push({ id: Number(id), error: message, attempts: count, retryAt });
+      }
+    }
+    return report;
+  };
+
+  return { run, subscriptionIds };
+}
+
+/**
+ * Log lines for a keeper report. Amounts are what was due before the platform fee.
+ */
+export function formatReport(report) {
+  const verb = report.dryRun ? "Would settle" : "Settled";
+  const lines = [
+    `Block ${report.blockNumber}: ${verb.toLowerCase()} ${report.settled.length}, skipped ${report.skipped.length}, failed ${report.failed.length}`
+  ];
+  for (const row of report.settled) {
+    const gas = row.gasUsed !== undefined ? `${row.gasUsed} gas, ${row.hash}` : `~${row.gasEstimate} gas`;
+    lines.push(`  ${verb} #${row.id}: ${ethers.formatEther(row.amount)} ETH to ${row.provider} (${gas})`);
+  }
+  for (const row of report.skipped.filter((row) => row.reason !== "not due yet" && row.reason !== "nothing due")) {
+    lines.push(`  Skipped #${row.id}: ${row.reason}`);
+  }
+  for (const row of report.failed) {
+    lines.push(`  Failed #${row.id} (attempt ${row.attempts}, retry after ${new Date(row.retryAt * 1000).toISOString()}): ${row.error}`);
+  }
+  return lines;
+}
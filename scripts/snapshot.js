@@ -0,0 +1,43 @@
+import hre from "hardhat";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+import { snapshotDeployment } from "./migration.js";
+import { registryEntry } from "./deployments.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// SNAPSHOT_CONTRACT defaults to the registry's deployment on this chain, SNAPSHOT_BLOCK to latest.
+// START_BLOCK (default the deployment block, or 0 with SNAPSHOT_CONTRACT) bounds the log scan.
+async function main() {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = process.env.SNAPSHOT_CONTRACT ? null : registryEntry(chainId);
+  const address = process.env.SNAPSHOT_CONTRACT || deployment.address;
+  const blockTag = process.env.SNAPSHOT_BLOCK ? Number(process.env.SNAPSHOT_BLOCK) : "latest";
+  const fromBlock = Number(process.env.START_BLOCK || deployment?.blockNumber || 0);
+
+  console.log(`Snapshotting StreamPay ${address} on ${hre.network.name} at block ${blockTag}...`);
+  const snapshot = await snapshotDeployment({ provider: hre.ethers.provider, address, blockTag, fromBlock });
+
+  const outDir = path.join(__dirname, "../snapshots");
+  fs.mkdirSync(outDir, { recursive: true });
+  const file = path.join(outDir, `${hre.network.name}-${address.slice(0, 10)}-${snapshot.blockNumber}.json`);
+  fs.writeFileSync(file, JSON.stringify(snapshot, null, 2) + "\n");
+
+  console.log(`Open streams: ${snapshot.streams.length}`);
+  console.log(`Live subscriptions: ${snapshot.subscriptions.length}`);
+  console.log(`Withdrawable balances: ${snapshot.balances.length}`);
+  for (const row of snapshot.reconciliation) {
+    const status = BigInt(row.surplus) >= 0n ? "covered" : "SHORTFALL";
+    console.log(`  ${row.token}: held ${row.held}, owed ${row.owed} (${status})`);
+  }
+  console.log(`Saved to ${path.relative(process.cwd(), file)}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
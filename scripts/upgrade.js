@@ -0,0 +1,81 @@
+import hre from "hardhat";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+import { backfillStreamStatus, upgradeStreamPay } from "./proxy.js";
+import { readDeployment, writeDeployment, readRegistry, recordInRegistry } from "./deployments.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// UPGRADE_CONTRACT picks the new implementation, DRY_RUN=1 only validates the storage layout.
+// UPGRADE_CALL / UPGRADE_ARGS (JSON array) run a reinitializer as part of the upgrade.
+// Streams initializeV2 marked are then backfilled BACKFILL_BATCH at a time.
+const CONTRACT_NAME = process.env.UPGRADE_CONTRACT || "StreamPay";
+const DRY_RUN = process.env.DRY_RUN === "1";
+const BACKFILL_BATCH = Number(process.env.BACKFILL_BATCH || 200);
+
+async function main() {
+  const deployment = readDeployment(hre.network.name);
+  const proxy = deployment.address;
+  const [signer] = await hre.ethers.getSigners();
+
+  const call = process.env.UPGRADE_CALL
+    ? { fn: process.env.UPGRADE_CALL, args: JSON.parse(process.env.UPGRADE_ARGS || "[]") }
+    : undefined;
+
+  console.log(`Upgrading StreamPay proxy ${proxy} on ${hre.network.name} to ${CONTRACT_NAME}`);
+  console.log("Upgrading with account:", signer.address);
+
+  const previous = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+  console.log("Current implementation:", previous);
+
+  const streamPay = await upgradeStreamPay(hre, proxy, { contractName: CONTRACT_NAME, call, dryRun: DRY_RUN });
+  console.log("Storage layout is compatible");
+  if (DRY_RUN) return;
+
+  const implementation = await hre.upgrades.erc1967.getImplementationAddress(proxy);
+  console.log("New implementation:", implementation);
+
+  // Also picks up a backfill an earlier run left unfinished
+  if (streamPay.interface.hasFunction("backfillStreams")) {
+    const backfilled = await backfillStreamStatus(streamPay, { fromBlock: deployment.blockNumber || 0, batchSize: BACKFILL_BATCH });
+    if (backfilled > 0) console.log(`Backfilled the status of ${backfilled} streams`);
+  }
+
+  writeDeployment(hre.network.name, {
+    ...deployment,
+    implementation,
+    upgrades: [
+      ...(deployment.upgrades || []),
+      {
+        contract: CONTRACT_NAME,
+        call: call ? call.fn : null,
+        from: previous,
+        to: implementation,
+        by: signer.address,
+        timestamp: new Date().toISOString()
+      }
+    ]
+  });
+
+  // Refresh the ABI and implementation address used by the frontend
+  const frontendDir = path.join(__dirname, "../frontend/src");
+  const current = readRegistry()[String(deployment.chainId)];
+  if (current?.address === proxy) {
+    recordInRegistry({ ...current, implementation });
+  }
+
+  const artifact = await hre.artifacts.readArtifact(CONTRACT_NAME);
+  fs.writeFileSync(path.join(frontendDir, "contract-abi.json"), JSON.stringify(artifact.abi, null, 2));
+
+  console.log(`Owner: ${await streamPay.owner()}`);
+  console.log(`Recorded in deployments/${hre.network.name}.json`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,77 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const RATE = 10n ** 12n;
+
+describe("StreamPay batch stream creation", function () {
+  async function deployFixture() {
+    const [owner, sender, alice, bob, carol] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    return { streamPay, owner, sender, alice, bob, carol };
+  }
+
+  it("creates one stream per row and emits an event for each", async function () {
+    const { streamPay, sender, alice, bob, carol } = await loadFixture(deployFixture);
+    const recipients = [alice.address, bob.address, carol.address];
+    const durations = [100n, 200n, 300n];
+    const rates = [RATE, RATE * 2n, RATE * 3n];
+    const total = 100n * RATE + 400n * RATE + 900n * RATE;
+
+    const tx = streamPay.connect(sender).createStreams(recipients, durations, rates, { value: total });
+    await expect(tx).to.emit(streamPay, "StreamCreated").withArgs(1n, sender.address, alice.address, 100n * RATE, RATE, (t) => t > 0n, (t) => t > 0n);
+    await expect(tx).to.emit(streamPay, "StreamCreated").withArgs(3n, sender.address, carol.address, 900n * RATE, RATE * 3n, (t) => t > 0n, (t) => t > 0n);
+
+    expect(await streamPay.getUserStreams(sender.address)).to.deep.equal([1n, 2n, 3n]);
+    expect(await streamPay.getRecipientStreams(bob.address)).to.deep.equal([2n]);
+    expect(await ethers.provider.getBalance(await streamPay.getAddress())).to.equal(total);
+  });
+
+  it("returns the new stream ids", async function () {
+    const { streamPay, sender, alice, bob } = await loadFixture(deployFixture);
+
+    const ids = await streamPay
+      .connect(sender)
+      .createStreams.staticCall([alice.address, bob.address], [10n, 10n], [RATE, RATE], { value: RATE * 20n });
+    expect(ids).to.deep.equal([1n, 2n]);
+  });
+
+  it("refunds the excess once", async function () {
+    const { streamPay, sender, alice, bob } = await loadFixture(deployFixture);
+    const total = RATE * 20n;
+
+    await expect(
+      streamPay.connect(sender).createStreams([alice.address, bob.address], [10n, 10n], [RATE, RATE], {
+        value: total + 12345n
+      })
+    ).to.changeEtherBalances([sender, streamPay], [-total, total]);
+  });
+
+  it("reverts when msg.value doesn't cover the summed deposit", async function () {
+    const { streamPay, sender, alice, bob } = await loadFixture(deployFixture);
+
+    await expect(
+      streamPay.connect(sender).createStreams([alice.address, bob.address], [10n, 10n], [RATE, RATE], {
+        value: RATE * 20n - 1n
+      })
+    ).to.be.revertedWith("Insufficient deposit");
+  });
+
+  it("validates array lengths and every row", async function () {
+    const { streamPay, sender, alice, bob } = await loadFixture(deployFixture);
+
+    await expect(streamPay.connect(sender).createStreams([], [], [])).to.be.revertedWith("No streams");
+    await expect(
+      streamPay.connect(sender).createStreams([alice.address, bob.address], [10n], [RATE, RATE], { value: RATE * 20n })
+    ).to.be.revertedWith("Length mismatch");
+    await expect(
+      streamPay.connect(sender).createStreams([alice.address, sender.address], [10n, 10n], [RATE, RATE], { value: RATE * 20n })
+    ).to.be.revertedWith("Cannot stream to yourself");
+    await expect(
+      streamPay.connect(sender).createStreams([alice.address, bob.address], [10n, 0n], [RATE, RATE], { value: RATE * 20n })
+    ).to.be.revertedWith("Duration must be > 0");
+  });
+});
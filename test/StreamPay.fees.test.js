@@ -0,0 +1,169 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+const feeOf = (amount, bps) => (amount * bps) / 10000n;
+
+describe("StreamPay fees", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, treasury, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    return { streamPay, owner, sender, recipient, treasury, other };
+  }
+
+  // Stream the full deposit and withdraw it, returning what the recipient received
+  async function streamAndWithdraw(streamPay, sender, recipient) {
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    const streamId = (await streamPay.nextStreamId()) - 1n;
+    await time.increase(DURATION);
+    const before = await ethers.provider.getBalance(recipient.address);
+    const receipt = await (await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId)).wait();
+    return (await ethers.provider.getBalance(recipient.address)) - before + receipt.fee;
+  }
+
+  describe("treasury", function () {
+    it("defaults to the deployer and only the owner can change it", async function () {
+      const { streamPay, owner, treasury, other } = await loadFixture(deployFixture);
+
+      expect(await streamPay.treasury()).to.equal(owner.address);
+      await expect(streamPay.connect(other).setTreasury(treasury.address))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount");
+      await expect(streamPay.setTreasury(ethers.ZeroAddress)).to.be.revertedWith("Invalid treasury");
+
+      await expect(streamPay.setTreasury(treasury.address))
+        .to.emit(streamPay, "TreasuryUpdated")
+        .withArgs(owner.address, treasury.address);
+      expect(await streamPay.treasury()).to.equal(treasury.address);
+    });
+
+    it("sweeps accrued fees to the treasury", async function () {
+      const { streamPay, owner, sender, recipient, treasury, other } = await loadFixture(deployFixture);
+      await streamPay.setTreasury(treasury.address);
+      await streamAndWithdraw(streamPay, sender, recipient);
+
+      const fees = feeOf(DEPOSIT, 10n);
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(fees);
+      await expect(streamPay.connect(other).sweepFees(ethers.ZeroAddress))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount");
+
+      const tx = streamPay.connect(owner).sweepFees(ethers.ZeroAddress);
+      await expect(tx).to.emit(streamPay, "FeesSwept").withArgs(ethers.ZeroAddress, treasury.address, fees);
+      await expect(tx).to.changeEtherBalances([treasury, streamPay], [fees, -fees]);
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(0n);
+      await expect(streamPay.sweepFees(ethers.ZeroAddress)).to.be.revertedWith("No fees");
+    });
+
+    it("keeps fees accrued before an ownership transfer", async function () {
+      const { streamPay, owner, sender, recipient, other } = await loadFixture(deployFixture);
+      await streamAndWithdraw(streamPay, sender, recipient);
+
+      await streamPay.connect(owner).transferOwnership(other.address);
+      expect(await streamPay.balances(owner.address)).to.equal(0n);
+
+      await expect(streamPay.connect(other).sweepFees(ethers.ZeroAddress))
+        .to.changeEtherBalance(owner, feeOf(DEPOSIT, 10n));
+    });
+
+    it("sweeps token fees separately", async function () {
+      const { streamPay, sender, recipient, treasury } = await loadFixture(deployFixture);
+      const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 18]);
+      const tokenAddress = await token.getAddress();
+      await token.mint(sender.address, DEPOSIT);
+      await token.connect(sender).approve(await streamPay.getAddress(), DEPOSIT);
+      await streamPay.setTreasury(treasury.address);
+
+      await streamPay.connect(sender).createTokenStream(tokenAddress, recipient.address, DURATION, RATE);
+      await time.increase(DURATION);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n);
+
+      await expect(streamPay.sweepFees(tokenAddress)).to.changeTokenBalance(token, treasury, feeOf(DEPOSIT, 10n));
+      await expect(streamPay.sweepFees(ethers.ZeroAddress)).to.be.revertedWith("No fees");
+    });
+  });
+
+  describe("platform fee", function () {
+    it("emits the old and new fee", async function () {
+      const { streamPay } = await loadFixture(deployFixture);
+
+      await expect(streamPay.setPlatformFee(50n)).to.emit(streamPay, "PlatformFeeUpdated").withArgs(10n, 50n);
+    });
+  });
+
+  describe("sender fee tiers", function () {
+    it("overrides the platform fee for that sender only", async function () {
+      const { streamPay, sender, recipient, other } = await loadFixture(deployFixture);
+
+      await expect(streamPay.setSenderFeeTier(sender.address, 5n))
+        .to.emit(streamPay, "SenderFeeTierSet")
+        .withArgs(sender.address, 5n);
+      expect(await streamPay.feeFor(sender.address, recipient.address)).to.equal(5n);
+      expect(await streamPay.feeFor(other.address, recipient.address)).to.equal(10n);
+
+      expect(await streamAndWithdraw(streamPay, sender, recipient)).to.equal(DEPOSIT - feeOf(DEPOSIT, 5n));
+      expect(await streamAndWithdraw(streamPay, other, recipient)).to.equal(DEPOSIT - feeOf(DEPOSIT, 10n));
+    });
+
+    it("can be set to zero and cleared", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      await streamPay.setSenderFeeTier(sender.address, 0n);
+      expect(await streamPay.feeFor(sender.address, recipient.address)).to.equal(0n);
+
+      await expect(streamPay.clearSenderFeeTier(sender.address))
+        .to.emit(streamPay, "SenderFeeTierCleared")
+        .withArgs(sender.address);
+      expect(await streamPay.feeFor(sender.address, recipient.address)).to.equal(10n);
+      await expect(streamPay.clearSenderFeeTier(sender.address)).to.be.revertedWith("No fee tier");
+    });
+
+    it("is owner only and capped", async function () {
+      const { streamPay, sender, other } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(other).setSenderFeeTier(sender.address, 1n))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount");
+      await expect(streamPay.setSenderFeeTier(sender.address, 1001n)).to.be.revertedWith("Fee too high");
+    });
+
+    it("applies to subscriptions by subscriber", async function () {
+      const { streamPay, sender, other } = await loadFixture(deployFixture);
+      await streamPay.setSenderFeeTier(sender.address, 100n);
+      await streamPay.connect(sender).createSubscription(other.address, RATE, { value: DEPOSIT });
+
+      await time.increase(99);
+      await streamPay.processSubscriptionPayment(1n);
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(feeOf(RATE * 100n, 100n));
+    });
+  });
+
+  describe("fee exemptions", function () {
+    it("waives the fee when either party is exempt", async function () {
+      const { streamPay, sender, recipient, other } = await loadFixture(deployFixture);
+
+      await expect(streamPay.setFeeExempt(recipient.address, true))
+        .to.emit(streamPay, "FeeExemptionSet")
+        .withArgs(recipient.address, true);
+      await streamPay.setSenderFeeTier(sender.address, 500n);
+      expect(await streamPay.feeFor(sender.address, recipient.address)).to.equal(0n);
+      expect(await streamPay.feeFor(recipient.address, other.address)).to.equal(0n);
+
+      expect(await streamAndWithdraw(streamPay, sender, recipient)).to.equal(DEPOSIT);
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(0n);
+
+      await streamPay.setFeeExempt(recipient.address, false);
+      expect(await streamPay.feeFor(sender.address, recipient.address)).to.equal(500n);
+    });
+
+    it("is owner only", async function () {
+      const { streamPay, other } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(other).setFeeExempt(other.address, true))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount");
+    });
+  });
+});
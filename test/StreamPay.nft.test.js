@@ -0,0 +1,147 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("StreamPay stream NFTs", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, buyer, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const nft = await ethers.getContractAt("StreamPayNFT", await streamPay.streamNFT());
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+    return { streamPay, nft, owner, sender, recipient, buyer, other };
+  }
+
+  function decodeDataUri(uri, prefix) {
+    expect(uri.startsWith(prefix)).to.equal(true);
+    return Buffer.from(uri.slice(prefix.length), "base64").toString();
+  }
+
+  it("mints a token to the recipient for every stream", async function () {
+    const { nft, recipient } = await loadFixture(deployFixture);
+
+    expect(await nft.ownerOf(1n)).to.equal(recipient.address);
+    expect(await nft.balanceOf(recipient.address)).to.equal(3n);
+  });
+
+  it("only lets StreamPay mint or report transfers", async function () {
+    const { streamPay, nft, other, recipient } = await loadFixture(deployFixture);
+
+    await expect(nft.connect(other).mint(other.address, 99n)).to.be.revertedWith("Only StreamPay");
+    await expect(
+      streamPay.connect(other).onStreamTransfer(1n, recipient.address, other.address)
+    ).to.be.revertedWith("Only stream NFT");
+  });
+
+  describe("after a transfer", function () {
+    it("moves withdraw rights to the new owner", async function () {
+      const { streamPay, nft, recipient, buyer } = await loadFixture(deployFixture);
+
+      await expect(nft.connect(recipient).transferFrom(recipient.address, buyer.address, 2n))
+        .to.emit(streamPay, "StreamTransferred")
+        .withArgs(2n, recipient.address, buyer.address);
+
+      await time.increase(100);
+      await expect(streamPay.connect(recipient).withdrawFromStream(2n)).to.be.revertedWith("Not stream recipient");
+      await expect(streamPay.connect(buyer).withdrawFromStream(2n))
+        .to.emit(streamPay, "StreamWithdrawn")
+        .withArgs(2n, buyer.address, (amount) => amount > 0n);
+
+      expect((await streamPay.getStream(2n)).recipient).to.equal(buyer.address);
+    });
+
+    it("keeps recipientStreams consistent", async function () {
+      const { streamPay, nft, recipient, buyer } = await loadFixture(deployFixture);
+
+      await nft.connect(recipient).transferFrom(recipient.address, buyer.address, 1n);
+      expect([...(await streamPay.getRecipientStreams(recipient.address))]).to.have.members([2n, 3n]);
+      expect(await streamPay.getRecipientStreams(buyer.address)).to.deep.equal([1n]);
+
+      await nft.connect(recipient).transferFrom(recipient.address, buyer.address, 3n);
+      await nft.connect(buyer).transferFrom(buyer.address, recipient.address, 1n);
+      expect([...(await streamPay.getRecipientStreams(recipient.address))]).to.have.members([1n, 2n]);
+      expect(await streamPay.getRecipientStreams(buyer.address)).to.deep.equal([3n]);
+    });
+
+    it("pays the new owner when the stream is cancelled", async function () {
+      const { streamPay, nft, sender, recipient, buyer } = await loadFixture(deployFixture);
+
+      await nft.connect(recipient).transferFrom(recipient.address, buyer.address, 1n);
+      await time.increase(100);
+
+      await expect(streamPay.connect(recipient).cancelStream(1n)).to.be.revertedWith("Not authorized");
+      const tx = streamPay.connect(sender).cancelStream(1n);
+      await expect(tx).to.emit(streamPay, "StreamCancelled").withArgs(1n, sender.address, buyer.address, (v) => v > 0n, (v) => v > 0n);
+      await expect(tx).to.changeEtherBalance(recipient, 0n);
+    });
+  });
+
+  describe("tokenURI", function () {
+    it("renders rate, progress and remaining balance on-chain", async function () {
+      const { nft } = await loadFixture(deployFixture);
+
+      await time.increase(DURATION / 2n - 2n); // stream #1 was created two blocks ago
+
+      const json = JSON.parse(decodeDataUri(await nft.tokenURI(1n), "data:application/json;base64,"));
+      expect(json.name).to.equal("StreamPay Stream #1");
+
+      const attributes = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes.Rate).to.equal("3.600000 ETH/h");
+      expect(attributes.Progress).to.equal(50);
+      expect(attributes.Remaining).to.equal("1.000000 ETH");
+      expect(attributes.Status).to.equal("Active");
+
+      const svg = decodeDataUri(json.image, "data:image/svg+xml;base64,");
+      expect(svg).to.contain("StreamPay #1");
+      expect(svg).to.contain("50% streamed");
+    });
+
+    it("uses the token's symbol and decimals", async function () {
+      const { streamPay, nft, sender, recipient } = await loadFixture(deployFixture);
+      const usdc = await ethers.deployContract("MockERC20", ["USD Coin", "USDC", 6]);
+      await usdc.mint(sender.address, 3_600_000_000n);
+      await usdc.connect(sender).approve(await streamPay.getAddress(), 3_600_000_000n);
+      await streamPay.connect(sender).createTokenStream(await usdc.getAddress(), recipient.address, 3600n, 1_000_000n);
+
+      const json = JSON.parse(decodeDataUri(await nft.tokenURI(4n), "data:application/json;base64,"));
+      const attributes = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes.Rate).to.equal("3600.000000 USDC/h");
+      expect(attributes.Remaining).to.equal("3600.000000 USDC");
+    });
+
+    it("doesn't put a symbol that needs escaping into the metadata", async function () {
+      const { streamPay, nft, sender, recipient } = await loadFixture(deployFixture);
+      const token = await ethers.deployContract("MockERC20", ["Evil", '"}<svg onload=x>&', 6]);
+      await token.mint(sender.address, 3_600_000_000n);
+      await token.connect(sender).approve(await streamPay.getAddress(), 3_600_000_000n);
+      await streamPay.connect(sender).createTokenStream(await token.getAddress(), recipient.address, 3600n, 1_000_000n);
+
+      const json = JSON.parse(decodeDataUri(await nft.tokenURI(4n), "data:application/json;base64,"));
+      const attributes = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes.Remaining).to.equal("3600.000000 tokens");
+      expect(decodeDataUri(json.image, "data:image/svg+xml;base64,")).to.not.contain("onload");
+    });
+
+    it("still renders streams of tokens with absurd decimals", async function () {
+      const { streamPay, nft, sender, recipient } = await loadFixture(deployFixture);
+      const token = await ethers.deployContract("MockERC20", ["Huge", "HUGE", 255]);
+      await token.mint(sender.address, 3_600_000_000n);
+      await token.connect(sender).approve(await streamPay.getAddress(), 3_600_000_000n);
+      await streamPay.connect(sender).createTokenStream(await token.getAddress(), recipient.address, 3600n, 1_000_000n);
+
+      const json = JSON.parse(decodeDataUri(await nft.tokenURI(4n), "data:application/json;base64,"));
+      const attributes = Object.fromEntries(json.attributes.map((a) => [a.trait_type, a.value]));
+      expect(attributes.Remaining).to.equal("0.000000 HUGE");
+    });
+  });
+});
@@ -0,0 +1,142 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("StreamPay pause and resume", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    const streamId = 1n;
+
+    return { streamPay, streamId, owner, sender, recipient, other };
+  }
+
+  describe("pauseStream", function () {
+    it("freezes accrual while paused", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+      const { startTime } = await streamPay.getStream(streamId);
+
+      await time.increase(99);
+      await expect(streamPay.connect(sender).pauseStream(streamId))
+        .to.emit(streamPay, "StreamPaused")
+        .withArgs(streamId, sender.address, startTime + 100n);
+
+      const [atPause] = await streamPay.balanceOf(streamId);
+      expect(atPause).to.equal(RATE * 100n);
+
+      await time.increase(500);
+      const [later] = await streamPay.balanceOf(streamId);
+      expect(later).to.equal(atPause);
+    });
+
+    it("only lets the sender pause", async function () {
+      const { streamPay, streamId, recipient } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(recipient).pauseStream(streamId)).to.be.revertedWith("Not stream sender");
+    });
+
+    it("rejects pausing twice or after the stream finished", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+
+      await streamPay.connect(sender).pauseStream(streamId);
+      await expect(streamPay.connect(sender).pauseStream(streamId)).to.be.revertedWith("Stream already paused");
+
+      await streamPay.connect(sender).resumeStream(streamId);
+      await time.increase(DURATION * 2n);
+      await expect(streamPay.connect(sender).pauseStream(streamId)).to.be.revertedWith("Stream finished");
+    });
+  });
+
+  describe("resumeStream", function () {
+    it("moves stopTime out by the paused duration", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+      const { stopTime } = await streamPay.getStream(streamId);
+
+      await time.increase(99);
+      await streamPay.connect(sender).pauseStream(streamId);
+      await time.increase(299);
+
+      await expect(streamPay.connect(sender).resumeStream(streamId))
+        .to.emit(streamPay, "StreamResumed")
+        .withArgs(streamId, sender.address, 300n, stopTime + 300n);
+
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.stopTime).to.equal(stopTime + 300n);
+      expect(stream.pausedAt).to.equal(0n);
+      expect(stream.pausedDuration).to.equal(300n);
+    });
+
+    it("excludes paused time from balanceOf", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+
+      await time.increase(99);
+      await streamPay.connect(sender).pauseStream(streamId); // 100s accrued
+      await time.increase(299);
+      await streamPay.connect(sender).resumeStream(streamId); // paused 300s
+      await time.increase(50);
+
+      const [recipientBalance, senderBalance] = await streamPay.balanceOf(streamId);
+      expect(recipientBalance).to.equal(RATE * 150n);
+      expect(senderBalance).to.equal(DEPOSIT - RATE * 150n);
+    });
+
+    it("streams the full deposit by the extended stopTime", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+
+      await streamPay.connect(sender).pauseStream(streamId);
+      await time.increase(500);
+      await streamPay.connect(sender).resumeStream(streamId);
+
+      const { stopTime } = await streamPay.getStream(streamId);
+      await time.increaseTo(stopTime - 10n);
+      const [almost] = await streamPay.balanceOf(streamId);
+      expect(almost).to.equal(DEPOSIT - RATE * 10n);
+
+      await time.increaseTo(stopTime);
+      await streamPay.connect(recipient).withdrawFromStream(streamId);
+      expect((await streamPay.getStream(streamId)).remainingBalance).to.equal(0n);
+    });
+
+    it("rejects resuming a stream that isn't paused", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(sender).resumeStream(streamId)).to.be.revertedWith("Stream not paused");
+    });
+  });
+
+  describe("while paused", function () {
+    it("lets the recipient withdraw what accrued before the pause", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+
+      await time.increase(99);
+      await streamPay.connect(sender).pauseStream(streamId);
+      await time.increase(DURATION * 2n);
+
+      await streamPay.connect(recipient).withdrawFromStream(streamId);
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.active).to.equal(true);
+      expect(stream.remainingBalance).to.equal(DEPOSIT - RATE * 100n);
+    });
+
+    it("splits funds at the pause point on cancel", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+
+      await time.increase(99);
+      await streamPay.connect(sender).pauseStream(streamId);
+      await time.increase(400);
+
+      await expect(streamPay.connect(sender).cancelStream(streamId))
+        .to.emit(streamPay, "StreamCancelled")
+        .withArgs(streamId, sender.address, recipient.address, DEPOSIT - RATE * 100n, RATE * 100n);
+    });
+  });
+});
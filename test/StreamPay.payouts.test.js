@@ -0,0 +1,143 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+const feeOf = (amount) => (amount * 10n) / 10000n;
+
+const Mode = { Accept: 0, Store: 1, Revert: 2, BurnGas: 3 };
+
+describe("StreamPay payouts", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const wallet = await ethers.deployContract("MockReceiver");
+    return { streamPay, wallet, owner, sender, recipient, other };
+  }
+
+  // Call StreamPay from the mock wallet so it is msg.sender
+  const fromWallet = (wallet, streamPay, method, args, value = 0n) =>
+    wallet.execute(streamPay.target, streamPay.interface.encodeFunctionData(method, args), { value });
+
+  async function streamToWalletFixture() {
+    const fixture = await deployFixture();
+    const { streamPay, wallet, sender } = fixture;
+    await streamPay.connect(sender).createStream(wallet.target, DURATION, RATE, { value: DEPOSIT });
+    const { startTime } = await streamPay.getStream(1n);
+    return { ...fixture, startTime };
+  }
+
+  async function streamFromWalletFixture() {
+    const fixture = await deployFixture();
+    const { streamPay, wallet, recipient } = fixture;
+    await fromWallet(wallet, streamPay, "createStream", [recipient.address, DURATION, RATE], DEPOSIT);
+    const { startTime } = await streamPay.getStream(1n);
+    return { ...fixture, startTime };
+  }
+
+  it("pays contract wallets that need more than the transfer stipend", async function () {
+    const { streamPay, wallet, sender, startTime } = await loadFixture(streamToWalletFixture);
+    await wallet.setMode(Mode.Store);
+
+    await time.increaseTo(startTime + 99n);
+    const earned = RATE * 100n;
+    const tx = streamPay.connect(sender).cancelStream(1n);
+
+    await expect(tx).to.changeEtherBalance(wallet, earned - feeOf(earned));
+    await expect(tx).not.to.emit(streamPay, "PayoutCredited");
+    expect(await wallet.received()).to.equal(earned - feeOf(earned));
+  });
+
+  for (const [name, mode] of [["reverting", Mode.Revert], ["gas-hungry", Mode.BurnGas]]) {
+    describe(`${name} receiver`, function () {
+      it("can't block the sender's refund when it is the recipient", async function () {
+        const { streamPay, wallet, sender, startTime } = await loadFixture(streamToWalletFixture);
+        await wallet.setMode(mode);
+
+        await time.increaseTo(startTime + 99n);
+        const earned = RATE * 100n;
+        const net = earned - feeOf(earned);
+        const tx = streamPay.connect(sender).cancelStream(1n, { gasLimit: 500_000 });
+
+        await expect(tx).to.emit(streamPay, "PayoutCredited").withArgs(wallet.target, ethers.ZeroAddress, net);
+        await expect(tx).to.changeEtherBalances([sender, wallet], [DEPOSIT - earned, 0n]);
+        expect(await streamPay.balances(wallet.target)).to.equal(net);
+      });
+
+      it("can't block the recipient's payout when it is the sender", async function () {
+        const { streamPay, wallet, recipient, startTime } = await loadFixture(streamFromWalletFixture);
+        await wallet.setMode(mode);
+
+        await time.increaseTo(startTime + 99n);
+        const earned = RATE * 100n;
+        const tx = streamPay.connect(recipient).cancelStream(1n, { gasLimit: 500_000 });
+
+        await expect(tx).to.changeEtherBalance(recipient, earned - feeOf(earned));
+        expect(await streamPay.balances(wallet.target)).to.equal(DEPOSIT - earned);
+      });
+
+      it("credits withdrawals sent to it", async function () {
+        const { streamPay, wallet, sender, recipient } = await loadFixture(deployFixture);
+        await wallet.setMode(mode);
+        await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+        await time.increase(49);
+
+        const gross = RATE * 50n;
+        await streamPay
+          .connect(recipient)
+          ["withdrawFromStream(uint256,uint256,address)"](1n, gross, wallet.target, { gasLimit: 500_000 });
+        expect(await streamPay.balances(wallet.target)).to.equal(gross - feeOf(gross));
+      });
+
+      it("can't block subscription settlement as the provider", async function () {
+        const { streamPay, wallet, sender } = await loadFixture(deployFixture);
+        await wallet.setMode(mode);
+        await streamPay.connect(sender).createSubscription(wallet.target, RATE, { value: DEPOSIT });
+        await time.increase(9);
+
+        const due = RATE * 10n;
+        await streamPay.connect(sender).cancelSubscription(1n, { gasLimit: 500_000 });
+        expect(await streamPay.balances(wallet.target)).to.equal(due - feeOf(due));
+        expect(await streamPay.balances(sender.address)).to.equal(DEPOSIT - due);
+      });
+
+      it("credits excess deposit refunds", async function () {
+        const { streamPay, wallet, recipient } = await loadFixture(deployFixture);
+        await wallet.setMode(mode);
+
+        await fromWallet(wallet, streamPay, "createStream", [recipient.address, DURATION, RATE], DEPOSIT + 777n);
+        expect(await streamPay.balances(wallet.target)).to.equal(777n);
+      });
+    });
+  }
+
+  it("releases credited payouts through withdraw once the wallet accepts ETH", async function () {
+    const { streamPay, wallet, sender, startTime } = await loadFixture(streamToWalletFixture);
+    await wallet.setMode(Mode.Revert);
+
+    await time.increaseTo(startTime + 99n);
+    await streamPay.connect(sender).cancelStream(1n);
+    const credited = await streamPay.balances(wallet.target);
+
+    await expect(fromWallet(wallet, streamPay, "withdraw", [])).to.be.revertedWith("Transfer failed");
+
+    await wallet.setMode(Mode.Store);
+    await expect(fromWallet(wallet, streamPay, "withdraw", [])).to.changeEtherBalance(wallet, credited);
+    expect(await streamPay.balances(wallet.target)).to.equal(0n);
+  });
+
+  it("bounds the gas a gas-hungry receiver can burn", async function () {
+    const { streamPay, wallet, sender, startTime } = await loadFixture(streamToWalletFixture);
+    await wallet.setMode(Mode.BurnGas);
+
+    await time.increaseTo(startTime + 99n);
+    const receipt = await (await streamPay.connect(sender).cancelStream(1n)).wait();
+    // The rest of cancelStream, including the first writes of the settlement totals
+    expect(receipt.gasUsed).to.be.lessThan((await streamPay.PAYOUT_GAS()) + 200_000n);
+  });
+});
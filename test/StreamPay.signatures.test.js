@@ -0,0 +1,197 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time, setStorageAt } from "@nomicfoundation/hardhat-network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { deployStreamPay } from "../scripts/proxy.js";
+import { signIntent, relayCall, intentDomain } from "../frontend/src/intents.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+const withFee = (amount) => amount - (amount * 10n) / 10000n;
+
+describe("StreamPay signed intents", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, relayer, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    return { streamPay, streamId: 1n, owner, sender, recipient, relayer, other };
+  }
+
+  // Submit a signed intent from the relayer's account
+  const relay = (streamPay, relayer, intent) => {
+    const [method, args] = relayCall(intent);
+    return streamPay.connect(relayer)[method](...args);
+  };
+
+  it("exposes its EIP-712 domain", async function () {
+    const { streamPay } = await loadFixture(deployFixture);
+
+    expect(await intentDomain(streamPay)).to.deep.equal({
+      name: "StreamPay",
+      version: "1",
+      chainId: 31337n,
+      verifyingContract: await streamPay.getAddress()
+    });
+  });
+
+  it("keeps the domain on proxies initialized before intents existed", async function () {
+    const { streamPay, streamId, recipient, relayer } = await loadFixture(deployFixture);
+    // OpenZeppelin EIP712Upgradeable's ERC-7201 storage, never written by older initializers
+    const slot = BigInt("0xa16a46d94261c7517cc8ff89f61c0ce93598e3c849801011dee649a6a557d100");
+    for (let i = 0n; i < 4n; i++) await setStorageAt(await streamPay.getAddress(), slot + i, 0n);
+    await time.increase(99);
+
+    expect((await intentDomain(streamPay)).name).to.equal("StreamPay");
+    const intent = await signIntent(recipient, streamPay, "withdraw", { streamId, amount: RATE * 50n, to: recipient.address });
+    await expect(relay(streamPay, relayer, intent)).to.emit(streamPay, "StreamWithdrawn");
+  });
+
+  describe("withdrawFromStreamWithSig", function () {
+    it("pays the recipient while the relayer pays the gas", async function () {
+      const { streamPay, streamId, recipient, relayer } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      const intent = await signIntent(recipient, streamPay, "withdraw", {
+        streamId,
+        amount: RATE * 50n,
+        to: recipient.address
+      });
+      const tx = relay(streamPay, relayer, intent);
+
+      await expect(tx).to.emit(streamPay, "StreamWithdrawn").withArgs(streamId, recipient.address, withFee(RATE * 50n));
+      await expect(tx).to.changeEtherBalance(recipient, withFee(RATE * 50n));
+      expect(await streamPay.nonces(recipient.address)).to.equal(1n);
+    });
+
+    it("withdraws everything accrued when the amount is 0", async function () {
+      const { streamPay, streamId, recipient, relayer, other } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      const intent = await signIntent(recipient, streamPay, "withdraw", { streamId, amount: 0n, to: other.address });
+      // 99 seconds passed plus the block that mines the relayed transaction
+      await expect(relay(streamPay, relayer, intent)).to.changeEtherBalance(other, withFee(RATE * 100n));
+    });
+
+    it("can't be replayed, or used by anyone but the recipient", async function () {
+      const { streamPay, streamId, sender, recipient, relayer } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      const intent = await signIntent(recipient, streamPay, "withdraw", { streamId, amount: RATE, to: recipient.address });
+      await relay(streamPay, relayer, intent);
+      await expect(relay(streamPay, relayer, intent)).to.be.revertedWith("Invalid signature");
+
+      const forged = await signIntent(sender, streamPay, "withdraw", { streamId, amount: RATE, to: sender.address });
+      await expect(relay(streamPay, relayer, forged)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("rejects tampered and expired intents", async function () {
+      const { streamPay, streamId, recipient, relayer, other } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      const intent = await signIntent(recipient, streamPay, "withdraw", { streamId, amount: RATE, to: recipient.address });
+      const redirected = { ...intent, message: { ...intent.message, to: other.address } };
+      await expect(relay(streamPay, relayer, redirected)).to.be.revertedWith("Invalid signature");
+
+      const expiring = await signIntent(recipient, streamPay, "withdraw", { streamId, amount: RATE, to: recipient.address }, { ttl: 10 });
+      await time.increase(60);
+      await expect(relay(streamPay, relayer, expiring)).to.be.revertedWith("Signature expired");
+    });
+
+    it("rejects signatures for another deployment", async function () {
+      const { streamPay, streamId, recipient, relayer } = await loadFixture(deployFixture);
+      const otherDeployment = await deployStreamPay(hre);
+      await time.increase(99);
+
+      const intent = await signIntent(recipient, otherDeployment, "withdraw", { streamId, amount: RATE, to: recipient.address });
+      await expect(relay(streamPay, relayer, intent)).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("cancelStreamWithSig", function () {
+    it("cancels for the sender or the recipient", async function () {
+      const { streamPay, streamId, sender, recipient, relayer } = await loadFixture(deployFixture);
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      await time.increase(99);
+
+      const bySender = await signIntent(sender, streamPay, "cancel", { streamId });
+      await expect(relay(streamPay, relayer, bySender)).to.emit(streamPay, "StreamCancelled");
+
+      const byRecipient = await signIntent(recipient, streamPay, "cancel", { streamId: 2n });
+      await expect(relay(streamPay, relayer, byRecipient)).to.emit(streamPay, "StreamCancelled");
+    });
+
+    it("still requires a party to the stream", async function () {
+      const { streamPay, streamId, relayer, other } = await loadFixture(deployFixture);
+
+      const intent = await signIntent(other, streamPay, "cancel", { streamId });
+      await expect(relay(streamPay, relayer, intent)).to.be.revertedWith("Not authorized");
+    });
+  });
+
+  describe("createStreamWithSig", function () {
+    async function tokenFixture() {
+      const fixture = await deployFixture();
+      const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 18]);
+      await token.mint(fixture.sender.address, DEPOSIT);
+      await token.connect(fixture.sender).approve(await fixture.streamPay.getAddress(), DEPOSIT);
+      return { ...fixture, token };
+    }
+
+    const terms = async (token, recipient) => ({
+      token: await token.getAddress(),
+      recipient: recipient.address,
+      duration: DURATION,
+      ratePerSecond: RATE,
+      startTime: 0n,
+      cliffTime: 0n,
+      stepDuration: 0n
+    });
+
+    it("creates a token stream funded by the signer", async function () {
+      const { streamPay, token, sender, recipient, relayer } = await loadFixture(tokenFixture);
+
+      const intent = await signIntent(sender, streamPay, "createStream", await terms(token, recipient));
+      await expect(relay(streamPay, relayer, intent))
+        .to.emit(streamPay, "TokenStreamCreated")
+        .withArgs(2n, await token.getAddress());
+
+      const stream = await streamPay.getStream(2n);
+      expect(stream.sender).to.equal(sender.address);
+      expect(stream.deposit).to.equal(DEPOSIT);
+      expect(await token.balanceOf(sender.address)).to.equal(0n);
+      expect(await streamPay.getUserStreams(sender.address)).to.deep.equal([1n, 2n]);
+      expect(await streamPay.getUserStreams(relayer.address)).to.deep.equal([]);
+    });
+
+    it("signs the schedule too", async function () {
+      const { streamPay, token, sender, recipient, relayer } = await loadFixture(tokenFixture);
+
+      const intent = await signIntent(sender, streamPay, "createStream", { ...(await terms(token, recipient)), stepDuration: 100n });
+      const changed = { ...intent, message: { ...intent.message, stepDuration: "10" } };
+      await expect(relay(streamPay, relayer, changed)).to.be.revertedWith("Invalid signature");
+      await expect(relay(streamPay, relayer, intent)).to.emit(streamPay, "StreamScheduleSet").withArgs(2n, anyValue, 100n);
+    });
+
+    it("validates the stream as if the signer called", async function () {
+      const { streamPay, token, sender, relayer } = await loadFixture(tokenFixture);
+
+      const intent = await signIntent(sender, streamPay, "createStream", await terms(token, sender));
+      await expect(relay(streamPay, relayer, intent)).to.be.revertedWith("Cannot stream to yourself");
+    });
+
+    it("uses one nonce sequence for every intent", async function () {
+      const { streamPay, streamId, token, sender, recipient, relayer } = await loadFixture(tokenFixture);
+
+      const create = await signIntent(sender, streamPay, "createStream", await terms(token, recipient));
+      const cancel = await signIntent(sender, streamPay, "cancel", { streamId });
+      expect(create.message.nonce).to.equal(cancel.message.nonce);
+
+      await relay(streamPay, relayer, cancel);
+      await expect(relay(streamPay, relayer, create)).to.be.revertedWith("Invalid signature");
+    });
+  });
+});
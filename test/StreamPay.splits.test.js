@@ -0,0 +1,228 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+import { parseSplitRows, getSplitTotal, splitAmount } from "../frontend/src/splits.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+const withFee = (amount) => amount - (amount * 10n) / 10000n;
+
+describe("StreamPay split streams", function () {
+  async function deployFixture() {
+    const [owner, sender, alice, bob, carol] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const factory = await ethers.deployContract("StreamPaySplitFactory", [await streamPay.getAddress()]);
+
+    const recipients = [alice.address, bob.address];
+    const shares = [6000n, 4000n];
+    const address = await factory.predictSplit(recipients, shares);
+    await factory.connect(sender).createSplit(recipients, shares);
+    const split = await ethers.getContractAt("StreamPaySplit", address);
+
+    await streamPay.connect(sender).createStream(address, DURATION, RATE, { value: DEPOSIT });
+    return { streamPay, factory, split, owner, sender, alice, bob, carol };
+  }
+
+  describe("createSplit", function () {
+    it("deploys the split at its predicted address", async function () {
+      const { factory, split, alice, bob } = await loadFixture(deployFixture);
+      const address = await split.getAddress();
+
+      expect(await factory.isSplit(address)).to.equal(true);
+      expect(await factory.getAccountSplits(alice.address)).to.deep.equal([address]);
+      const [recipients, shares] = await split.getRecipients();
+      expect(recipients).to.deep.equal([alice.address, bob.address]);
+      expect(shares).to.deep.equal([6000n, 4000n]);
+    });
+
+    it("emits the recipients and shares", async function () {
+      const { factory, alice, carol } = await loadFixture(deployFixture);
+      const recipients = [alice.address, carol.address];
+      const address = await factory.predictSplit(recipients, [5000n, 5000n]);
+
+      await expect(factory.connect(carol).createSplit(recipients, [5000n, 5000n]))
+        .to.emit(factory, "SplitCreated")
+        .withArgs(address, carol.address, recipients, [5000n, 5000n]);
+    });
+
+    it("rejects invalid recipients and shares", async function () {
+      const { factory, alice, bob } = await loadFixture(deployFixture);
+
+      await expect(factory.createSplit([alice.address], [10000n])).to.be.revertedWith("Need two or more recipients");
+      await expect(factory.createSplit([alice.address, bob.address], [10000n])).to.be.revertedWith("Length mismatch");
+      await expect(factory.createSplit([alice.address, bob.address], [6000n, 3000n])).to.be.revertedWith(
+        "Shares must total 10000"
+      );
+      await expect(factory.createSplit([alice.address, bob.address], [10000n, 0n])).to.be.revertedWith(
+        "Share must be > 0"
+      );
+      await expect(factory.createSplit([alice.address, alice.address], [5000n, 5000n])).to.be.revertedWith(
+        "Duplicate recipient"
+      );
+      await expect(factory.createSplit([alice.address, ethers.ZeroAddress], [5000n, 5000n])).to.be.revertedWith(
+        "Invalid recipient"
+      );
+    });
+
+    it("deploys each split once and can't be re-initialized", async function () {
+      const { streamPay, factory, split, alice, bob } = await loadFixture(deployFixture);
+
+      await expect(factory.createSplit([alice.address, bob.address], [6000n, 4000n])).to.be.reverted;
+      await expect(
+        split.initialize(await streamPay.getAddress(), [alice.address, bob.address], [5000n, 5000n])
+      ).to.be.revertedWithCustomError(split, "InvalidInitialization");
+    });
+  });
+
+  describe("withdraw", function () {
+    it("pays each recipient their share of the stream independently", async function () {
+      const { split, alice, bob } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      // 100 seconds have accrued when Alice's withdrawal is mined
+      const paid = withFee(RATE * 100n);
+      await expect(split.connect(alice).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(alice, splitAmount(paid, 6000n));
+      expect(await split.balanceOf(bob.address, ethers.ZeroAddress)).to.equal(splitAmount(paid, 4000n));
+      expect(await split.balanceOf(alice.address, ethers.ZeroAddress)).to.equal(0n);
+
+      await time.increase(99);
+      const total = withFee(RATE * 200n);
+      const tx = split.connect(bob).withdraw(ethers.ZeroAddress);
+      await expect(tx).to.emit(split, "ShareWithdrawn").withArgs(bob.address, ethers.ZeroAddress, splitAmount(total, 4000n));
+      await expect(tx).to.changeEtherBalance(bob, splitAmount(total, 4000n));
+      expect(await split.released(ethers.ZeroAddress, bob.address)).to.equal(splitAmount(total, 4000n));
+    });
+
+    it("counts what the stream has accrued in balanceOf", async function () {
+      const { split, alice, bob } = await loadFixture(deployFixture);
+      await time.increase(100);
+
+      const accrued = withFee(RATE * 100n);
+      expect(await split.balanceOf(alice.address, ethers.ZeroAddress)).to.equal(splitAmount(accrued, 6000n));
+      expect(await split.balanceOf(bob.address, ethers.ZeroAddress)).to.equal(splitAmount(accrued, 4000n));
+    });
+
+    it("refuses accounts without a share", async function () {
+      const { split, carol } = await loadFixture(deployFixture);
+      await time.increase(100);
+
+      await expect(split.connect(carol).withdraw(ethers.ZeroAddress)).to.be.revertedWith("Nothing to withdraw");
+    });
+
+    it("splits token streams", async function () {
+      const { streamPay, split, sender, alice, bob } = await loadFixture(deployFixture);
+      const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 18]);
+      const tokenAddress = await token.getAddress();
+      await token.mint(sender.address, DEPOSIT);
+      await token.connect(sender).approve(await streamPay.getAddress(), DEPOSIT);
+      await streamPay.connect(sender).createTokenStream(tokenAddress, await split.getAddress(), DURATION, RATE);
+
+      await time.increase(DURATION);
+      await split.connect(alice).withdraw(tokenAddress);
+      await split.connect(bob).withdraw(tokenAddress);
+
+      expect(await token.balanceOf(alice.address)).to.equal(splitAmount(withFee(DEPOSIT), 6000n));
+      expect(await token.balanceOf(bob.address)).to.equal(splitAmount(withFee(DEPOSIT), 4000n));
+      // The ETH stream is untouched by token withdrawals
+      expect((await streamPay.balanceOf(1n)).recipientBalance).to.equal(DEPOSIT);
+    });
+  });
+
+  describe("collect", function () {
+    it("pulls ETH StreamPay credited to the split", async function () {
+      const { streamPay, split, sender, alice } = await loadFixture(deployFixture);
+      const address = await split.getAddress();
+      await time.increase(99);
+
+      // A split never rejects ETH, so stand in code that does while the stream is cancelled
+      const code = await ethers.provider.getCode(address);
+      await ethers.provider.send("hardhat_setCode", [address, "0x60006000fd"]);
+      await expect(streamPay.connect(sender).cancelStream(1n)).to.emit(streamPay, "PayoutCredited");
+      await ethers.provider.send("hardhat_setCode", [address, code]);
+
+      const paid = withFee(RATE * 100n);
+      expect(await split.balanceOf(alice.address, ethers.ZeroAddress)).to.equal(splitAmount(paid, 6000n));
+      await expect(split.connect(alice).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(alice, splitAmount(paid, 6000n));
+      expect(await streamPay.balances(address)).to.equal(0n);
+    });
+
+    it("pulls tokens StreamPay credited to the split", async function () {
+      const { streamPay, split, sender, alice, bob } = await loadFixture(deployFixture);
+      const address = await split.getAddress();
+      const token = await ethers.deployContract("MockBlocklistERC20");
+      const tokenAddress = await token.getAddress();
+      await token.mint(sender.address, DEPOSIT);
+      await token.connect(sender).approve(await streamPay.getAddress(), DEPOSIT);
+      await streamPay.connect(sender).createTokenStream(tokenAddress, address, DURATION, RATE);
+
+      await time.increase(DURATION);
+      await token.setBlocked(address, true);
+      await streamPay.connect(sender).cancelStream(2n);
+      expect(await streamPay.tokenBalances(tokenAddress, address)).to.equal(withFee(DEPOSIT));
+
+      await token.setBlocked(address, false);
+      await split.connect(bob).withdraw(tokenAddress);
+      await split.connect(alice).withdrawCollected(tokenAddress);
+      expect(await token.balanceOf(alice.address)).to.equal(splitAmount(withFee(DEPOSIT), 6000n));
+      expect(await token.balanceOf(bob.address)).to.equal(splitAmount(withFee(DEPOSIT), 4000n));
+    });
+
+    it("collects the given streams only, so large splits can withdraw in batches", async function () {
+      const { streamPay, split, sender, alice, carol } = await loadFixture(deployFixture);
+      await streamPay.connect(sender).createStream(await split.getAddress(), DURATION, RATE, { value: DEPOSIT });
+      await streamPay.connect(sender).createStream(carol.address, DURATION, RATE, { value: DEPOSIT });
+      await time.increase(DURATION);
+
+      // Stream 3 pays Carol, not the split, and is skipped
+      await split.collectStreams(ethers.ZeroAddress, [1n, 3n]);
+      expect((await streamPay.balanceOf(2n)).recipientBalance).to.equal(DEPOSIT);
+      expect((await streamPay.balanceOf(3n)).recipientBalance).to.equal(DEPOSIT);
+
+      const collected = splitAmount(withFee(DEPOSIT), 6000n);
+      expect(await split.collectedBalanceOf(alice.address, ethers.ZeroAddress)).to.equal(collected);
+      expect(await split.balanceOf(alice.address, ethers.ZeroAddress)).to.equal(collected * 2n);
+      await expect(split.connect(alice).withdrawCollected(ethers.ZeroAddress)).to.changeEtherBalance(alice, collected);
+    });
+  });
+
+  describe("cancel", function () {
+    it("refunds the sender once and leaves the accrued part to split", async function () {
+      const { streamPay, split, sender, alice, bob } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      const tx = streamPay.connect(sender).cancelStream(1n);
+      await expect(tx).to.changeEtherBalances([sender, split], [DEPOSIT - RATE * 100n, withFee(RATE * 100n)]);
+
+      const paid = withFee(RATE * 100n);
+      await expect(split.connect(alice).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(alice, splitAmount(paid, 6000n));
+      await expect(split.connect(bob).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(bob, splitAmount(paid, 4000n));
+    });
+  });
+
+  describe("parseSplitRows", function () {
+    it("converts percentages to basis points and flags bad rows", function () {
+      const [alice, bob] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+      const rows = parseSplitRows(
+        [
+          { address: alice, percent: "62.5" },
+          { address: bob.toLowerCase(), percent: "37.5" },
+          { address: alice, percent: "0" },
+          { address: "0x123", percent: "1.234" }
+        ],
+        { sender: bob }
+      );
+
+      expect(rows[0]).to.include({ address: alice, share: 6250n });
+      expect(rows[0].errors).to.deep.equal([]);
+      expect(rows[1].errors).to.deep.equal(["Cannot stream to yourself"]);
+      expect(rows[2].errors).to.deep.equal(["Duplicate address", "Share must be > 0"]);
+      expect(rows[3].errors).to.deep.equal(["Invalid address", "Invalid share"]);
+      expect(getSplitTotal(rows)).to.equal(10000n);
+    });
+  });
+});
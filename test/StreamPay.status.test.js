@@ -0,0 +1,113 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+import { STREAM_STATUSES, streamStatus } from "../frontend/src/accrual.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+const [ACTIVE, PAUSED, COMPLETED, CANCELLED] = [0n, 1n, 2n, 3n];
+
+describe("StreamPay stream status", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const nft = await ethers.getContractAt("StreamPayNFT", await streamPay.streamNFT());
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    return { streamPay, nft, streamId: 1n, owner, sender, recipient };
+  }
+
+  const withdraw = (streamPay, signer, ...args) =>
+    streamPay.connect(signer)["withdrawFromStream(uint256,uint256,address)"](...args);
+
+  it("starts Active with nothing withdrawn or refunded", async function () {
+    const { streamPay, streamId } = await loadFixture(deployFixture);
+
+    const stream = await streamPay.getStream(streamId);
+    expect(stream.status).to.equal(ACTIVE);
+    expect(stream.withdrawn).to.equal(0n);
+    expect(stream.refunded).to.equal(0n);
+  });
+
+  it("is Paused while paused and Active again after resume", async function () {
+    const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+
+    await streamPay.connect(sender).pauseStream(streamId);
+    expect((await streamPay.getStream(streamId)).status).to.equal(PAUSED);
+
+    await streamPay.connect(sender).resumeStream(streamId);
+    expect((await streamPay.getStream(streamId)).status).to.equal(ACTIVE);
+  });
+
+  it("stays withdrawable past stopTime and is Completed once drained", async function () {
+    const { streamPay, streamId, recipient } = await loadFixture(deployFixture);
+    await time.increase(DURATION + 100n);
+
+    await withdraw(streamPay, recipient, streamId, DEPOSIT / 4n, recipient.address);
+    let stream = await streamPay.getStream(streamId);
+    expect(stream.status).to.equal(ACTIVE);
+    expect(stream.withdrawn).to.equal(DEPOSIT / 4n);
+    expect(streamStatus(stream, await time.latest())).to.equal("Ended");
+
+    await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+    stream = await streamPay.getStream(streamId);
+    expect(stream.status).to.equal(COMPLETED);
+    expect(stream.active).to.equal(false);
+    expect(stream.withdrawn).to.equal(DEPOSIT);
+    expect(stream.refunded).to.equal(0n);
+    expect(streamStatus(stream, await time.latest())).to.equal("Completed");
+  });
+
+  it("records how a cancelled stream was settled", async function () {
+    const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+    await time.increase(49);
+    await withdraw(streamPay, recipient, streamId, RATE * 20n, recipient.address);
+    await time.increase(49);
+
+    // 100 seconds have accrued when the cancel is mined
+    await streamPay.connect(sender).cancelStream(streamId);
+    const stream = await streamPay.getStream(streamId);
+    expect(stream.status).to.equal(CANCELLED);
+    expect(stream.withdrawn).to.equal(RATE * 100n);
+    expect(stream.refunded).to.equal(DEPOSIT - RATE * 100n);
+    expect(stream.withdrawn + stream.refunded).to.equal(DEPOSIT);
+    expect(streamStatus(stream, await time.latest())).to.equal("Cancelled");
+  });
+
+  it("counts the dust refunded by updateRate", async function () {
+    const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+    await time.increase(99);
+
+    // 900 * RATE left streams for 1285 seconds at 0.7 * RATE, leaving half a second over
+    const newRate = (RATE * 7n) / 10n;
+    await streamPay.connect(sender).updateRate(streamId, newRate);
+
+    const stream = await streamPay.getStream(streamId);
+    expect(stream.status).to.equal(ACTIVE);
+    expect(stream.withdrawn).to.equal(RATE * 100n);
+    expect(stream.refunded).to.equal(RATE * 900n - newRate * 1285n);
+  });
+
+  it("shows the status in the stream NFT", async function () {
+    const { streamPay, nft, streamId, sender } = await loadFixture(deployFixture);
+    const status = async () => {
+      const uri = await nft.tokenURI(streamId);
+      const json = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString());
+      return json.attributes.find((a) => a.trait_type === "Status").value;
+    };
+
+    await streamPay.connect(sender).pauseStream(streamId);
+    expect(await status()).to.equal("Paused");
+
+    await streamPay.connect(sender).cancelStream(streamId);
+    expect(await status()).to.equal("Cancelled");
+  });
+
+  it("names every on-chain status in the frontend", function () {
+    expect(STREAM_STATUSES).to.deep.equal(["Active", "Paused", "Completed", "Cancelled"]);
+  });
+});
@@ -0,0 +1,212 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const RATE = 10n ** 12n;
+
+describe("StreamPay subscriptions", function () {
+  async function deployFixture() {
+    const [owner, provider, funded, underfunded, otherProvider] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    return { streamPay, owner, provider, funded, underfunded, otherProvider };
+  }
+
+  async function subscribe(streamPay, subscriber, provider, deposit) {
+    await streamPay.connect(subscriber).createSubscription(provider.address, RATE, { value: deposit });
+    return (await streamPay.nextSubscriptionId()) - 1n;
+  }
+
+  describe("getProviderSubscriptions", function () {
+    it("indexes subscriptions by provider", async function () {
+      const { streamPay, provider, funded, underfunded, otherProvider } = await loadFixture(deployFixture);
+
+      const first = await subscribe(streamPay, funded, provider, RATE * 100n);
+      const second = await subscribe(streamPay, underfunded, provider, RATE * 100n);
+      const third = await subscribe(streamPay, funded, otherProvider, RATE * 100n);
+
+      expect(await streamPay.getProviderSubscriptions(provider.address)).to.deep.equal([first, second]);
+      expect(await streamPay.getProviderSubscriptions(otherProvider.address)).to.deep.equal([third]);
+      expect(await streamPay.getUserSubscriptions(funded.address)).to.deep.equal([first, third]);
+    });
+  });
+
+  describe("processSubscriptionPayments", function () {
+    it("settles funded subscriptions and reports underfunded ones", async function () {
+      const { streamPay, provider, funded, underfunded } = await loadFixture(deployFixture);
+
+      const good = await subscribe(streamPay, funded, provider, RATE * 10000n);
+      const bad = await subscribe(streamPay, underfunded, provider, RATE * 10n);
+
+      await time.increase(100);
+
+      const tx = streamPay.processSubscriptionPayments([good, bad]);
+      await expect(tx).to.emit(streamPay, "SubscriptionPayment");
+      await expect(tx)
+        .to.emit(streamPay, "SubscriptionPaymentFailed")
+        .withArgs(bad, underfunded.address, provider.address, (shortfall) => shortfall > 0n);
+      await expect(tx).to.emit(streamPay, "SubscriptionLapsed").withArgs(bad, underfunded.address);
+
+      const goodSub = await streamPay.getSubscription(good);
+      expect(goodSub.active).to.equal(true);
+      expect(goodSub.lastPaymentTime).to.equal(await time.latest());
+
+      const badSub = await streamPay.getSubscription(bad);
+      expect(badSub.active).to.equal(false);
+      expect(badSub.lapsed).to.equal(true);
+      expect(badSub.balance).to.equal(0n);
+    });
+
+    it("counts only subscriptions paid in full", async function () {
+      const { streamPay, provider, funded, underfunded } = await loadFixture(deployFixture);
+
+      const good = await subscribe(streamPay, funded, provider, RATE * 10000n);
+      const bad = await subscribe(streamPay, underfunded, provider, RATE * 10n);
+
+      await time.increase(100);
+
+      expect(await streamPay.processSubscriptionPayments.staticCall([good, bad])).to.equal(1n);
+    });
+
+    it("pays the provider net of the platform fee", async function () {
+      const { streamPay, owner, provider, funded, underfunded } = await loadFixture(deployFixture);
+
+      const good = await subscribe(streamPay, funded, provider, RATE * 10000n);
+      const bad = await subscribe(streamPay, underfunded, provider, RATE);
+      const [, , , createdAt] = await streamPay.getSubscription(good);
+      const before = await ethers.provider.getBalance(provider.address);
+
+      await time.increase(100);
+      await streamPay.connect(owner).processSubscriptionPayments([bad, good]);
+
+      const [, , , lastPaid] = await streamPay.getSubscription(good);
+      const payment = (lastPaid - createdAt) * RATE;
+      const fee = (payment * 10n) / 10000n;
+      const drained = RATE; // the underfunded escrow is paid out in full
+      const drainedFee = (drained * 10n) / 10000n;
+
+      expect(await ethers.provider.getBalance(provider.address))
+        .to.equal(before + payment - fee + drained - drainedFee);
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(fee + drainedFee);
+    });
+
+    it("skips cancelled subscriptions without reverting", async function () {
+      const { streamPay, provider, funded } = await loadFixture(deployFixture);
+
+      const cancelled = await subscribe(streamPay, funded, provider, RATE * 10000n);
+      const live = await subscribe(streamPay, funded, provider, RATE * 10000n);
+      await streamPay.connect(funded).cancelSubscription(cancelled);
+
+      await time.increase(100);
+
+      const settled = await streamPay.processSubscriptionPayments.staticCall([cancelled, live]);
+      expect(settled).to.equal(1n);
+
+      await expect(streamPay.processSubscriptionPayments([cancelled, live]))
+        .to.emit(streamPay, "SubscriptionPayment")
+        .and.not.to.emit(streamPay, "SubscriptionPaymentFailed");
+    });
+
+    it("skips subscriptions that already lapsed", async function () {
+      const { streamPay, provider, underfunded } = await loadFixture(deployFixture);
+
+      const a = await subscribe(streamPay, underfunded, provider, 1n);
+      const b = await subscribe(streamPay, underfunded, provider, 1n);
+
+      await time.increase(100);
+      await streamPay.processSubscriptionPayments([a, b]);
+
+      await expect(streamPay.processSubscriptionPayments([a, b]))
+        .not.to.emit(streamPay, "SubscriptionPaymentFailed");
+    });
+
+    it("pays out the remaining escrow for a single underfunded settlement", async function () {
+      const { streamPay, provider, underfunded } = await loadFixture(deployFixture);
+
+      const id = await subscribe(streamPay, underfunded, provider, RATE * 10n);
+      await time.increase(100);
+
+      const fee = (RATE * 10n * 10n) / 10000n;
+      await expect(streamPay.processSubscriptionPayment(id))
+        .to.changeEtherBalance(provider, RATE * 10n - fee);
+      expect((await streamPay.getSubscription(id)).lapsed).to.equal(true);
+      await expect(streamPay.processSubscriptionPayment(id)).to.be.revertedWith("Subscription not active");
+    });
+  });
+
+  describe("escrow", function () {
+    it("keeps each subscription's funds separate from withdrawable balances", async function () {
+      const { streamPay, provider, funded, otherProvider } = await loadFixture(deployFixture);
+
+      const first = await subscribe(streamPay, funded, provider, RATE * 100n);
+      const second = await subscribe(streamPay, funded, otherProvider, RATE * 300n);
+
+      expect((await streamPay.getSubscription(first)).balance).to.equal(RATE * 100n);
+      expect((await streamPay.getSubscription(second)).balance).to.equal(RATE * 300n);
+      expect(await streamPay.balances(funded.address)).to.equal(0n);
+      await expect(streamPay.connect(funded).withdraw()).to.be.revertedWith("No balance");
+    });
+
+    it("credits top-ups to the subscription", async function () {
+      const { streamPay, provider, funded } = await loadFixture(deployFixture);
+      const id = await subscribe(streamPay, funded, provider, RATE * 100n);
+
+      await expect(streamPay.connect(funded).topUpSubscription(id, { value: RATE * 50n }))
+        .to.emit(streamPay, "SubscriptionToppedUp")
+        .withArgs(id, funded.address, RATE * 50n, RATE * 150n);
+      expect(await streamPay.balances(funded.address)).to.equal(0n);
+    });
+
+    it("unlocks the unspent escrow on cancel", async function () {
+      const { streamPay, provider, funded } = await loadFixture(deployFixture);
+      const id = await subscribe(streamPay, funded, provider, RATE * 1000n);
+      const [, , , createdAt] = await streamPay.getSubscription(id);
+
+      await time.increase(100);
+      await streamPay.connect(provider).cancelSubscription(id);
+
+      const [, , , cancelledAt] = await streamPay.getSubscription(id);
+      const paid = (cancelledAt - createdAt) * RATE;
+      expect(await streamPay.balances(funded.address)).to.equal(RATE * 1000n - paid);
+      expect((await streamPay.getSubscription(id)).balance).to.equal(0n);
+
+      await expect(streamPay.connect(funded).withdraw())
+        .to.changeEtherBalance(funded, RATE * 1000n - paid);
+    });
+
+    it("reactivates a lapsed subscription on top-up without back-charging", async function () {
+      const { streamPay, provider, underfunded } = await loadFixture(deployFixture);
+      const id = await subscribe(streamPay, underfunded, provider, RATE);
+
+      await time.increase(100);
+      await streamPay.processSubscriptionPayment(id);
+      await time.increase(100);
+
+      await streamPay.connect(underfunded).topUpSubscription(id, { value: RATE * 1000n });
+
+      const sub = await streamPay.getSubscription(id);
+      expect(sub.active).to.equal(true);
+      expect(sub.lapsed).to.equal(false);
+      expect(sub.lastPaymentTime).to.equal(await time.latest());
+      expect(sub.pendingPayment).to.equal(0n);
+    });
+
+    it("lets either party close a lapsed subscription", async function () {
+      const { streamPay, provider, underfunded } = await loadFixture(deployFixture);
+      const id = await subscribe(streamPay, underfunded, provider, RATE);
+
+      await time.increase(100);
+      await streamPay.processSubscriptionPayment(id);
+
+      await expect(streamPay.connect(provider).cancelSubscription(id))
+        .to.emit(streamPay, "SubscriptionCancelled");
+
+      const sub = await streamPay.getSubscription(id);
+      expect(sub.lapsed).to.equal(false);
+      await expect(streamPay.connect(underfunded).topUpSubscription(id, { value: 1n }))
+        .to.be.revertedWith("Subscription not active");
+    });
+  });
+});
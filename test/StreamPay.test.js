@@ -0,0 +1,328 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+const FEE_BPS = 10n;
+
+const feeOf = (amount, bps = FEE_BPS) => (amount * bps) / 10000n;
+
+describe("StreamPay", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    return { streamPay, owner, sender, recipient, other };
+  }
+
+  async function streamFixture() {
+    const fixture = await deployFixture();
+    const { streamPay, sender, recipient } = fixture;
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    const { startTime, stopTime } = await streamPay.getStream(1n);
+    return { ...fixture, streamId: 1n, startTime, stopTime };
+  }
+
+  describe("deployment", function () {
+    it("sets the owner and the default fee", async function () {
+      const { streamPay, owner } = await loadFixture(deployFixture);
+
+      expect(await streamPay.owner()).to.equal(owner.address);
+      expect(await streamPay.platformFee()).to.equal(FEE_BPS);
+      expect(await streamPay.nextStreamId()).to.equal(1n);
+      expect(await streamPay.nextSubscriptionId()).to.equal(1n);
+    });
+  });
+
+  describe("createStream", function () {
+    it("stores the stream and emits StreamCreated", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      const tx = streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      await expect(tx).to.emit(streamPay, "StreamCreated");
+
+      const stream = await streamPay.getStream(1n);
+      expect(stream.sender).to.equal(sender.address);
+      expect(stream.recipient).to.equal(recipient.address);
+      expect(stream.deposit).to.equal(DEPOSIT);
+      expect(stream.ratePerSecond).to.equal(RATE);
+      expect(stream.stopTime - stream.startTime).to.equal(DURATION);
+      expect(stream.remainingBalance).to.equal(DEPOSIT);
+      expect(stream.active).to.equal(true);
+      expect(await streamPay.getUserStreams(sender.address)).to.deep.equal([1n]);
+      expect(await streamPay.getRecipientStreams(recipient.address)).to.deep.equal([1n]);
+
+      // The public getters integrators read from stay in the ABI
+      expect((await streamPay.streams(1n)).deposit).to.equal(DEPOSIT);
+      expect(await streamPay.userStreams(sender.address, 0n)).to.equal(1n);
+      expect(await streamPay.recipientStreams(recipient.address, 0n)).to.equal(1n);
+    });
+
+    it("refunds anything above the deposit", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      const tx = streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT + 12345n });
+      await expect(tx).to.changeEtherBalances([sender, streamPay], [-DEPOSIT, DEPOSIT]);
+    });
+
+    it("validates its inputs", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const create = (to, duration, rate, value) => streamPay.connect(sender).createStream(to, duration, rate, { value });
+
+      await expect(create(ethers.ZeroAddress, DURATION, RATE, DEPOSIT)).to.be.revertedWith("Invalid recipient");
+      await expect(create(sender.address, DURATION, RATE, DEPOSIT)).to.be.revertedWith("Cannot stream to yourself");
+      await expect(create(recipient.address, 0n, RATE, DEPOSIT)).to.be.revertedWith("Duration must be > 0");
+      await expect(create(recipient.address, DURATION, 0n, DEPOSIT)).to.be.revertedWith("Rate must be > 0");
+      await expect(create(recipient.address, DURATION, RATE, DEPOSIT - 1n)).to.be.revertedWith("Insufficient deposit");
+    });
+  });
+
+  describe("balanceOf", function () {
+    it("reverts for unknown streams", async function () {
+      const { streamPay } = await loadFixture(deployFixture);
+
+      await expect(streamPay.balanceOf(1n)).to.be.revertedWith("Stream doesn't exist");
+    });
+
+    it("is all sender's at the start", async function () {
+      const { streamPay, streamId } = await loadFixture(streamFixture);
+
+      expect(await streamPay.balanceOf(streamId)).to.deep.equal([0n, DEPOSIT]);
+    });
+
+    it("accrues one rate per second", async function () {
+      const { streamPay, streamId, startTime } = await loadFixture(streamFixture);
+
+      for (const elapsed of [1n, 2n, 500n, DURATION - 1n]) {
+        await time.increaseTo(startTime + elapsed);
+        expect(await streamPay.balanceOf(streamId)).to.deep.equal([RATE * elapsed, DEPOSIT - RATE * elapsed]);
+      }
+    });
+
+    it("is all recipient's at and after stopTime", async function () {
+      const { streamPay, streamId, stopTime } = await loadFixture(streamFixture);
+
+      await time.increaseTo(stopTime);
+      expect(await streamPay.balanceOf(streamId)).to.deep.equal([DEPOSIT, 0n]);
+
+      await time.increaseTo(stopTime + 10_000n);
+      expect(await streamPay.balanceOf(streamId)).to.deep.equal([DEPOSIT, 0n]);
+    });
+
+    it("excludes what was already withdrawn", async function () {
+      const { streamPay, streamId, startTime, recipient } = await loadFixture(streamFixture);
+
+      await time.increaseTo(startTime + 99n);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+      await time.increaseTo(startTime + 150n);
+
+      expect(await streamPay.balanceOf(streamId)).to.deep.equal([RATE * 50n, DEPOSIT - RATE * 150n]);
+    });
+  });
+
+  describe("withdrawFromStream", function () {
+    it("pays the recipient net of the fee and accrues the fee", async function () {
+      const { streamPay, streamId, startTime, owner, recipient } = await loadFixture(streamFixture);
+
+      await time.increaseTo(startTime + 199n);
+      const gross = RATE * 200n;
+      const tx = streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+      await expect(tx).to.emit(streamPay, "StreamWithdrawn").withArgs(streamId, recipient.address, gross - feeOf(gross));
+      await expect(tx).to.changeEtherBalance(recipient, gross - feeOf(gross));
+
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(feeOf(gross));
+      expect((await streamPay.getStream(streamId)).remainingBalance).to.equal(DEPOSIT - gross);
+    });
+
+    it("closes the stream once drained", async function () {
+      const { streamPay, streamId, stopTime, recipient } = await loadFixture(streamFixture);
+
+      await time.increaseTo(stopTime);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.active).to.equal(false);
+      expect(stream.remainingBalance).to.equal(0n);
+      await expect(
+        streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId)
+      ).to.be.revertedWith("Stream not active");
+    });
+
+    it("rejects callers other than the recipient and empty withdrawals", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(streamFixture);
+
+      await expect(
+        streamPay.connect(sender)["withdrawFromStream(uint256)"](streamId)
+      ).to.be.revertedWith("Not stream recipient");
+
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+      await expect(
+        streamPay.connect(recipient)["withdrawFromStream(uint256,uint256,address)"](streamId, 0n, recipient.address)
+      ).to.be.revertedWith("Nothing to withdraw");
+    });
+  });
+
+  describe("cancelStream", function () {
+    it("splits accrued and unstreamed funds", async function () {
+      const { streamPay, streamId, startTime, owner, sender, recipient } = await loadFixture(streamFixture);
+
+      await time.increaseTo(startTime + 299n);
+      const earned = RATE * 300n;
+      const tx = streamPay.connect(sender).cancelStream(streamId);
+
+      await expect(tx)
+        .to.emit(streamPay, "StreamCancelled")
+        .withArgs(streamId, sender.address, recipient.address, DEPOSIT - earned, earned);
+      await expect(tx).to.changeEtherBalances(
+        [sender, recipient, streamPay],
+        [DEPOSIT - earned, earned - feeOf(earned), -(DEPOSIT - feeOf(earned))]
+      );
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(feeOf(earned));
+
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.active).to.equal(false);
+      expect(stream.remainingBalance).to.equal(0n);
+    });
+
+    it("refunds everything when nothing accrued and pays everything after stopTime", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const now = BigInt(await time.latest());
+
+      await streamPay
+        .connect(sender)
+        .createVestingStream(recipient.address, DURATION, RATE, now + 100n, 0n, 0n, { value: DEPOSIT });
+      await expect(streamPay.connect(recipient).cancelStream(1n)).to.changeEtherBalance(sender, DEPOSIT);
+
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      await time.increase(DURATION);
+      await expect(streamPay.connect(sender).cancelStream(2n)).to.changeEtherBalances(
+        [sender, recipient],
+        [0n, DEPOSIT - feeOf(DEPOSIT)]
+      );
+    });
+
+    it("only lets the two parties cancel, once", async function () {
+      const { streamPay, streamId, sender, other } = await loadFixture(streamFixture);
+
+      await expect(streamPay.connect(other).cancelStream(streamId)).to.be.revertedWith("Not authorized");
+      await streamPay.connect(sender).cancelStream(streamId);
+      await expect(streamPay.connect(sender).cancelStream(streamId)).to.be.revertedWith("Stream not active");
+    });
+  });
+
+  describe("subscriptions", function () {
+    async function subscriptionFixture() {
+      const fixture = await deployFixture();
+      const { streamPay, sender, other } = fixture;
+      await streamPay.connect(sender).createSubscription(other.address, RATE, { value: DEPOSIT });
+      const { lastPaymentTime } = await streamPay.getSubscription(1n);
+      return { ...fixture, subscriber: sender, provider: other, subscriptionId: 1n, createdAt: lastPaymentTime };
+    }
+
+    it("validates createSubscription", async function () {
+      const { streamPay, sender, other } = await loadFixture(deployFixture);
+      const subscribe = (provider, rate, value) => streamPay.connect(sender).createSubscription(provider, rate, { value });
+
+      await expect(subscribe(ethers.ZeroAddress, RATE, DEPOSIT)).to.be.revertedWith("Invalid provider");
+      await expect(subscribe(sender.address, RATE, DEPOSIT)).to.be.revertedWith("Cannot subscribe to yourself");
+      await expect(subscribe(other.address, 0n, DEPOSIT)).to.be.revertedWith("Rate must be > 0");
+      await expect(subscribe(other.address, RATE, 0n)).to.be.revertedWith("Must deposit funds");
+    });
+
+    it("reports the pending payment", async function () {
+      const { streamPay, subscriptionId, createdAt, subscriber, provider } = await loadFixture(subscriptionFixture);
+
+      await time.increaseTo(createdAt + 60n);
+      const sub = await streamPay.getSubscription(subscriptionId);
+      expect(sub.subscriber).to.equal(subscriber.address);
+      expect(sub.provider).to.equal(provider.address);
+      expect(sub.pendingPayment).to.equal(RATE * 60n);
+      expect(sub.balance).to.equal(DEPOSIT);
+      expect(sub.active).to.equal(true);
+
+      expect((await streamPay.subscriptions(subscriptionId)).provider).to.equal(provider.address);
+      expect(await streamPay.userSubscriptions(subscriber.address, 0n)).to.equal(subscriptionId);
+      expect(await streamPay.providerSubscriptions(provider.address, 0n)).to.equal(subscriptionId);
+    });
+
+    it("pays the provider on processSubscriptionPayment", async function () {
+      const { streamPay, subscriptionId, createdAt, owner, subscriber, provider } = await loadFixture(subscriptionFixture);
+
+      await time.increaseTo(createdAt + 99n);
+      const due = RATE * 100n;
+      await expect(streamPay.connect(provider).processSubscriptionPayment(subscriptionId))
+        .to.emit(streamPay, "SubscriptionPayment")
+        .withArgs(subscriptionId, subscriber.address, provider.address, due - feeOf(due));
+
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(feeOf(due));
+      expect((await streamPay.getSubscription(subscriptionId)).balance).to.equal(DEPOSIT - due);
+    });
+
+    it("settles and refunds on cancel, then pays out through withdraw", async function () {
+      const { streamPay, subscriptionId, createdAt, subscriber, provider } = await loadFixture(subscriptionFixture);
+
+      await time.increaseTo(createdAt + 9n);
+      const due = RATE * 10n;
+      const tx = streamPay.connect(subscriber).cancelSubscription(subscriptionId);
+      await expect(tx).to.emit(streamPay, "SubscriptionCancelled").withArgs(subscriptionId, subscriber.address);
+      await expect(tx).to.changeEtherBalance(provider, due - feeOf(due));
+
+      const sub = await streamPay.getSubscription(subscriptionId);
+      expect(sub.active).to.equal(false);
+      expect(sub.pendingPayment).to.equal(0n);
+      expect(await streamPay.balances(subscriber.address)).to.equal(DEPOSIT - due);
+
+      await expect(streamPay.connect(subscriber).withdraw()).to.changeEtherBalance(subscriber, DEPOSIT - due);
+      await expect(streamPay.connect(subscriber).withdraw()).to.be.revertedWith("No balance");
+    });
+
+    it("rejects processing and cancelling by others or twice", async function () {
+      const { streamPay, subscriptionId, subscriber, owner } = await loadFixture(subscriptionFixture);
+
+      await expect(streamPay.connect(owner).cancelSubscription(subscriptionId)).to.be.revertedWith("Not authorized");
+      await streamPay.connect(subscriber).cancelSubscription(subscriptionId);
+      await expect(streamPay.processSubscriptionPayment(subscriptionId)).to.be.revertedWith("Subscription not active");
+      await expect(streamPay.connect(subscriber).cancelSubscription(subscriptionId)).to.be.revertedWith("Already cancelled");
+    });
+  });
+
+  describe("setPlatformFee", function () {
+    it("is owner only and capped at 10%", async function () {
+      const { streamPay, owner, other } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(other).setPlatformFee(20n))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount")
+        .withArgs(other.address);
+      await expect(streamPay.connect(owner).setPlatformFee(1001n)).to.be.revertedWith("Fee too high");
+
+      await streamPay.connect(owner).setPlatformFee(1000n);
+      expect(await streamPay.platformFee()).to.equal(1000n);
+    });
+
+    it("applies to later withdrawals", async function () {
+      const { streamPay, streamId, startTime, owner, recipient } = await loadFixture(streamFixture);
+
+      await streamPay.connect(owner).setPlatformFee(250n);
+      await time.increaseTo(startTime + 399n);
+      const gross = RATE * 400n;
+
+      await expect(
+        streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId)
+      ).to.changeEtherBalance(recipient, gross - feeOf(gross, 250n));
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(feeOf(gross, 250n));
+    });
+
+    it("lets the owner sweep collected fees to the treasury", async function () {
+      const { streamPay, streamId, stopTime, owner, recipient } = await loadFixture(streamFixture);
+
+      await time.increaseTo(stopTime);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+
+      await expect(streamPay.connect(owner).sweepFees(ethers.ZeroAddress)).to.changeEtherBalance(owner, feeOf(DEPOSIT));
+    });
+  });
+});
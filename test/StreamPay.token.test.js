@@ -0,0 +1,178 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("StreamPay token streams", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+
+    const streamPay = await deployStreamPay(hre);
+    const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 18]);
+    const feeToken = await ethers.deployContract("MockFeeOnTransferERC20", [100]); // 1%
+    const usdt = await ethers.deployContract("MockNonStandardERC20");
+
+    for (const t of [token, feeToken, usdt]) {
+      await t.mint(sender.address, DEPOSIT * 10n);
+      await t.connect(sender).approve(await streamPay.getAddress(), DEPOSIT * 10n);
+    }
+
+    return { streamPay, token, feeToken, usdt, owner, sender, recipient, other };
+  }
+
+  async function createTokenStream(streamPay, token, sender, recipient) {
+    await streamPay
+      .connect(sender)
+      .createTokenStream(await token.getAddress(), recipient.address, DURATION, RATE);
+    return (await streamPay.nextStreamId()) - 1n;
+  }
+
+  describe("createTokenStream", function () {
+    it("pulls the deposit and stores the token on the stream", async function () {
+      const { streamPay, token, sender, recipient } = await loadFixture(deployFixture);
+      const tokenAddress = await token.getAddress();
+
+      await expect(
+        streamPay.connect(sender).createTokenStream(tokenAddress, recipient.address, DURATION, RATE)
+      )
+        .to.emit(streamPay, "TokenStreamCreated")
+        .withArgs(1n, tokenAddress)
+        .and.to.emit(streamPay, "StreamCreated");
+
+      const stream = await streamPay.getStream(1n);
+      expect(stream.deposit).to.equal(DEPOSIT);
+      expect(stream.remainingBalance).to.equal(DEPOSIT);
+      expect(stream.token).to.equal(tokenAddress);
+      expect(await token.balanceOf(await streamPay.getAddress())).to.equal(DEPOSIT);
+    });
+
+    it("rejects the zero token address", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      await expect(
+        streamPay.connect(sender).createTokenStream(ethers.ZeroAddress, recipient.address, DURATION, RATE)
+      ).to.be.revertedWith("Invalid token");
+    });
+
+    it("reverts without allowance", async function () {
+      const { streamPay, token, other, recipient } = await loadFixture(deployFixture);
+      await token.mint(other.address, DEPOSIT);
+
+      await expect(
+        streamPay.connect(other).createTokenStream(await token.getAddress(), recipient.address, DURATION, RATE)
+      ).to.be.reverted;
+    });
+
+    it("leaves native streams untouched", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+      const stream = await streamPay.getStream(1n);
+      expect(stream.token).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("withdrawFromStream", function () {
+    it("pays the recipient in tokens and accrues the fee per token", async function () {
+      const { streamPay, token, owner, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createTokenStream(streamPay, token, sender, recipient);
+      const tokenAddress = await token.getAddress();
+
+      await time.increase(DURATION);
+      await streamPay.connect(recipient).withdrawFromStream(streamId);
+
+      const fee = (DEPOSIT * 10n) / 10000n;
+      expect(await token.balanceOf(recipient.address)).to.equal(DEPOSIT - fee);
+      expect(await streamPay.accruedFees(tokenAddress)).to.equal(fee);
+      expect(await streamPay.accruedFees(ethers.ZeroAddress)).to.equal(0n);
+
+      await expect(streamPay.connect(owner).sweepFees(tokenAddress))
+        .to.changeTokenBalances(token, [owner, streamPay], [fee, -fee]);
+      expect(await streamPay.accruedFees(tokenAddress)).to.equal(0n);
+    });
+  });
+
+  describe("cancelStream", function () {
+    it("splits the remaining tokens between both parties", async function () {
+      const { streamPay, token, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createTokenStream(streamPay, token, sender, recipient);
+      const senderBefore = await token.balanceOf(sender.address);
+
+      await time.increase(DURATION / 4n - 1n);
+      await streamPay.connect(sender).cancelStream(streamId);
+
+      const earned = RATE * (DURATION / 4n);
+      const fee = (earned * 10n) / 10000n;
+      expect(await token.balanceOf(recipient.address)).to.equal(earned - fee);
+      expect(await token.balanceOf(sender.address)).to.equal(senderBefore + DEPOSIT - earned);
+    });
+  });
+
+  describe("fee-on-transfer tokens", function () {
+    it("funds the stream with the amount actually received", async function () {
+      const { streamPay, feeToken, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createTokenStream(streamPay, feeToken, sender, recipient);
+
+      const received = DEPOSIT - DEPOSIT / 100n;
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.deposit).to.equal(received);
+      expect(await feeToken.balanceOf(await streamPay.getAddress())).to.equal(received);
+    });
+
+    it("caps accrual at the received deposit and stays solvent", async function () {
+      const { streamPay, feeToken, owner, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createTokenStream(streamPay, feeToken, sender, recipient);
+      const received = DEPOSIT - DEPOSIT / 100n;
+
+      await time.increase(DURATION);
+      const [recipientBalance, senderBalance] = await streamPay.balanceOf(streamId);
+      expect(recipientBalance).to.equal(received);
+      expect(senderBalance).to.equal(0n);
+
+      await streamPay.connect(recipient).withdrawFromStream(streamId);
+      await streamPay.connect(owner).sweepFees(await feeToken.getAddress());
+
+      expect(await feeToken.balanceOf(await streamPay.getAddress())).to.equal(0n);
+    });
+
+    it("refunds the sender on cancel without overdrawing", async function () {
+      const { streamPay, feeToken, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createTokenStream(streamPay, feeToken, sender, recipient);
+
+      await time.increase(DURATION / 2n);
+      await streamPay.connect(recipient).cancelStream(streamId);
+
+      const fee = await streamPay.accruedFees(await feeToken.getAddress());
+      expect(await feeToken.balanceOf(await streamPay.getAddress())).to.equal(fee);
+    });
+  });
+
+  describe("non-standard return tokens", function () {
+    it("supports deposits, withdrawals and cancels", async function () {
+      const { streamPay, usdt, owner, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createTokenStream(streamPay, usdt, sender, recipient);
+      const usdtAddress = await usdt.getAddress();
+
+      expect(await usdt.balanceOf(await streamPay.getAddress())).to.equal(DEPOSIT);
+
+      await time.increase(DURATION / 2n - 1n);
+      await streamPay.connect(recipient).withdrawFromStream(streamId);
+      await streamPay.connect(sender).cancelStream(streamId);
+      await streamPay.connect(owner).sweepFees(usdtAddress);
+
+      expect(await usdt.balanceOf(await streamPay.getAddress())).to.equal(0n);
+      expect(
+        (await usdt.balanceOf(recipient.address)) +
+          (await usdt.balanceOf(sender.address)) +
+          (await usdt.balanceOf(owner.address))
+      ).to.equal(DEPOSIT * 10n);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("StreamPay top-ups and rate changes", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    const streamId = 1n;
+
+    return { streamPay, streamId, owner, sender, recipient, other };
+  }
+
+  describe("topUpStream", function () {
+    it("extends stopTime at the current rate", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+      const { stopTime } = await streamPay.getStream(streamId);
+
+      await expect(streamPay.connect(sender).topUpStream(streamId, { value: RATE * 500n }))
+        .to.emit(streamPay, "StreamToppedUp")
+        .withArgs(streamId, sender.address, RATE * 500n, stopTime + 500n);
+
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.deposit).to.equal(DEPOSIT + RATE * 500n);
+      expect(stream.remainingBalance).to.equal(DEPOSIT + RATE * 500n);
+      expect(stream.stopTime).to.equal(stopTime + 500n);
+    });
+
+    it("refunds anything below one second of accrual", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+
+      await expect(
+        streamPay.connect(sender).topUpStream(streamId, { value: RATE * 10n + 123n })
+      ).to.changeEtherBalance(sender, -(RATE * 10n));
+    });
+
+    it("pays the recipient in full once the extended stream ends", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+
+      await streamPay.connect(sender).topUpStream(streamId, { value: RATE * 500n });
+      await time.increase(DURATION + 500n);
+
+      const [recipientBalance, senderBalance] = await streamPay.balanceOf(streamId);
+      expect(recipientBalance).to.equal(DEPOSIT + RATE * 500n);
+      expect(senderBalance).to.equal(0n);
+
+      await streamPay.connect(recipient).withdrawFromStream(streamId);
+      expect((await streamPay.getStream(streamId)).active).to.equal(false);
+    });
+
+    it("rejects top-ups from others, below the rate or after the stream finished", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+
+      await expect(
+        streamPay.connect(recipient).topUpStream(streamId, { value: RATE })
+      ).to.be.revertedWith("Not stream sender");
+      await expect(
+        streamPay.connect(sender).topUpStream(streamId, { value: RATE - 1n })
+      ).to.be.revertedWith("Top-up below rate");
+
+      await time.increase(DURATION);
+      await expect(
+        streamPay.connect(sender).topUpStream(streamId, { value: RATE })
+      ).to.be.revertedWith("Stream finished");
+    });
+
+    it("tops up ERC-20 streams through topUpTokenStream", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 6]);
+      await token.mint(sender.address, 10_000_000n);
+      await token.connect(sender).approve(await streamPay.getAddress(), 10_000_000n);
+
+      await streamPay.connect(sender).createTokenStream(await token.getAddress(), recipient.address, 1000n, 1000n);
+      const streamId = 2n;
+      const { stopTime } = await streamPay.getStream(streamId);
+
+      await expect(streamPay.connect(sender).topUpStream(streamId, { value: RATE })).to.be.revertedWith(
+        "Not an ETH stream"
+      );
+      await expect(streamPay.connect(sender).topUpTokenStream(streamId, 250_999n))
+        .to.emit(streamPay, "StreamToppedUp")
+        .withArgs(streamId, sender.address, 250_000n, stopTime + 250n);
+
+      expect(await token.balanceOf(sender.address)).to.equal(10_000_000n - 1_250_000n);
+      expect((await streamPay.getStream(streamId)).deposit).to.equal(1_250_000n);
+    });
+  });
+
+  describe("updateRate", function () {
+    it("settles accrued funds and continues at the new rate", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+      const { startTime } = await streamPay.getStream(streamId);
+
+      await time.increaseTo(startTime + 199n);
+      const accrued = RATE * 200n;
+      const fee = (accrued * 10n) / 10000n;
+
+      await expect(streamPay.connect(sender).updateRate(streamId, RATE * 2n))
+        .to.emit(streamPay, "StreamRateUpdated")
+        .withArgs(streamId, sender.address, RATE, RATE * 2n, startTime + 200n + 400n)
+        .and.to.emit(streamPay, "StreamWithdrawn")
+        .withArgs(streamId, recipient.address, accrued - fee);
+
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.ratePerSecond).to.equal(RATE * 2n);
+      expect(stream.startTime).to.equal(startTime + 200n);
+      expect(stream.deposit).to.equal(DEPOSIT - accrued);
+      expect(stream.remainingBalance).to.equal(DEPOSIT - accrued);
+
+      await time.increase(100);
+      const [recipientBalance, senderBalance] = await streamPay.balanceOf(streamId);
+      expect(recipientBalance).to.equal(RATE * 2n * 100n);
+      expect(senderBalance).to.equal(DEPOSIT - accrued - RATE * 2n * 100n);
+    });
+
+    it("refunds the sender what no longer fits a whole second", async function () {
+      const { streamPay, streamId, sender } = await loadFixture(deployFixture);
+      const { startTime } = await streamPay.getStream(streamId);
+
+      await time.increaseTo(startTime + 199n);
+      const newRate = RATE * 3n;
+      const unstreamed = DEPOSIT - RATE * 200n;
+      const dust = unstreamed % newRate;
+
+      await expect(streamPay.connect(sender).updateRate(streamId, newRate)).to.changeEtherBalance(sender, dust);
+      expect((await streamPay.getStream(streamId)).deposit).to.equal(unstreamed - dust);
+    });
+
+    it("restarts the steps of a stepped stream and keeps one step within the new duration", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const step = 100n;
+      await streamPay
+        .connect(sender)
+        .createVestingStream(recipient.address, DURATION, RATE, 0n, 0n, step, { value: DEPOSIT });
+      const streamId = 2n;
+      const { startTime } = await streamPay.getStream(streamId);
+
+      await time.increaseTo(startTime + 299n);
+      await streamPay.connect(sender).updateRate(streamId, RATE * 2n);
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.stopTime - stream.startTime).to.equal(350n);
+
+      await time.increaseTo(stream.startTime + step - 1n);
+      expect((await streamPay.balanceOf(streamId))[0]).to.equal(0n);
+      await time.increaseTo(stream.startTime + step);
+      expect((await streamPay.balanceOf(streamId))[0]).to.equal(RATE * 2n * step);
+
+      // 250 seconds are left: a rate that fits them into less than one step is refused
+      await expect(streamPay.connect(sender).updateRate(streamId, RATE * 6n)).to.be.revertedWith(
+        "Step longer than stream"
+      );
+    });
+
+    it("rejects rate changes from others, while paused or before the cliff", async function () {
+      const { streamPay, streamId, sender, recipient } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(recipient).updateRate(streamId, RATE)).to.be.revertedWith("Not stream sender");
+      await expect(streamPay.connect(sender).updateRate(streamId, 0n)).to.be.revertedWith("Rate must be > 0");
+      await expect(streamPay.connect(sender).updateRate(streamId, DEPOSIT * 2n)).to.be.revertedWith(
+        "Rate exceeds remaining"
+      );
+
+      await streamPay.connect(sender).pauseStream(streamId);
+      await expect(streamPay.connect(sender).updateRate(streamId, RATE)).to.be.revertedWith("Stream paused");
+
+      const now = BigInt(await time.latest());
+      await streamPay
+        .connect(sender)
+        .createVestingStream(recipient.address, DURATION, RATE, 0n, now + 500n, 0n, { value: DEPOSIT });
+      await expect(streamPay.connect(sender).updateRate(2n, RATE)).to.be.revertedWith("Cliff not reached");
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time, setStorageAt } from "@nomicfoundation/hardhat-network-helpers";
+import { backfillStreamStatus, deployStreamPay, upgradeStreamPay } from "../scripts/proxy.js";
+import { legacyCancellations } from "../scripts/migration.js";
+
+const { ethers, upgrades } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+// OpenZeppelin Initializable's ERC-7201 slot, holding the initialized version
+const INITIALIZABLE_SLOT = "0xf0c57e16840df040f15088dc2f81fe391c3923bec73e23a9662efc9c229c6a00";
+
+/**
+ * Turn a proxy back into one initialized before stream status was stored: version 1, no
+ * backfill range (slots 18 and 19), and status, withdrawn and refunded unset on every stream.
+ * `streams` is slot 0; status shares slot 8 with active and token, withdrawn and refunded
+ * are slots 13 and 14.
+ */
+async function forgetStreamStatus(proxy, streamCount) {
+  await setStorageAt(proxy, INITIALIZABLE_SLOT, 1n);
+  await setStorageAt(proxy, 18n, 0n);
+  await setStorageAt(proxy, 19n, 0n);
+  for (let id = 1n; id <= streamCount; id++) {
+    const base = BigInt(ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "uint256"], [id, 0n])));
+    const flags = BigInt(await ethers.provider.getStorage(proxy, base + 8n));
+    await setStorageAt(proxy, base + 8n, flags & ((1n << 168n) - 1n));
+    await setStorageAt(proxy, base + 13n, 0n);
+    await setStorageAt(proxy, base + 14n, 0n);
+  }
+}
+
+describe("StreamPay upgrades", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre, owner);
+    const proxy = await streamPay.getAddress();
+    return { streamPay, proxy, owner, sender, recipient, other };
+  }
+
+  describe("initialization", function () {
+    it("sets up the proxy in place of a constructor", async function () {
+      const { streamPay, proxy, owner } = await loadFixture(deployFixture);
+      const streamNFT = await ethers.getContractAt("StreamPayNFT", await streamPay.streamNFT());
+
+      expect(await streamPay.owner()).to.equal(owner.address);
+      expect(await streamPay.treasury()).to.equal(owner.address);
+      expect(await streamPay.platformFee()).to.equal(10n);
+      expect(await streamPay.nextStreamId()).to.equal(1n);
+      expect(await streamPay.nextSubscriptionId()).to.equal(1n);
+      expect(await streamNFT.streamPay()).to.equal(proxy);
+    });
+
+    it("can't be initialized twice, or on the implementation", async function () {
+      const { streamPay, proxy, other } = await loadFixture(deployFixture);
+      const implementation = await ethers.getContractAt(
+        "StreamPay",
+        await upgrades.erc1967.getImplementationAddress(proxy)
+      );
+
+      await expect(streamPay.initialize(other.address)).to.be.revertedWithCustomError(streamPay, "InvalidInitialization");
+      await expect(implementation.initialize(other.address))
+        .to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+    });
+
+    it("connects the stream NFT once, and only one bound to the proxy", async function () {
+      const { owner, recipient, other } = await loadFixture(deployFixture);
+      const StreamPay = await ethers.getContractFactory("StreamPay");
+      const streamPay = await upgrades.deployProxy(StreamPay, [owner.address], { kind: "uups" });
+      const proxy = await streamPay.getAddress();
+
+      await expect(
+        streamPay.createStream(recipient.address, DURATION, RATE, { value: DEPOSIT })
+      ).to.be.revertedWith("Stream NFT not set");
+
+      const foreign = await ethers.deployContract("StreamPayNFT", [other.address]);
+      await expect(streamPay.setStreamNFT(await foreign.getAddress())).to.be.revertedWith("NFT bound to another contract");
+
+      const streamNFT = await ethers.deployContract("StreamPayNFT", [proxy]);
+      await expect(streamPay.connect(other).setStreamNFT(await streamNFT.getAddress()))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount");
+      await expect(streamPay.setStreamNFT(await streamNFT.getAddress()))
+        .to.emit(streamPay, "StreamNFTSet")
+        .withArgs(await streamNFT.getAddress());
+      await expect(streamPay.setStreamNFT(await streamNFT.getAddress())).to.be.revertedWith("Stream NFT already set");
+    });
+  });
+
+  describe("upgradeStreamPay", function () {
+    it("keeps streams, subscriptions and balances across an upgrade", async function () {
+      const { streamPay, proxy, sender, recipient, other } = await loadFixture(deployFixture);
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      await streamPay.connect(sender).createSubscription(other.address, RATE, { value: DEPOSIT });
+      await time.increase(99);
+
+      const before = await upgrades.erc1967.getImplementationAddress(proxy);
+      const stream = await streamPay.getStream(1n);
+      const subscription = await streamPay.getSubscription(1n);
+
+      const upgraded = await upgradeStreamPay(hre, proxy, {
+        contractName: "StreamPayV3Mock",
+        call: { fn: "initializeV3", args: [42n] }
+      });
+      expect(await upgraded.getAddress()).to.equal(proxy);
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.not.equal(before);
+      expect(await upgraded.version()).to.equal("3");
+
+      expect(await upgraded.getStream(1n)).to.deep.equal(stream);
+      expect((await upgraded.getSubscription(1n)).balance).to.equal(subscription.balance);
+
+      expect(await upgraded.upgradeMarker()).to.equal(42n);
+      await expect(upgraded.initializeV3(7n)).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+      await expect(
+        upgraded.connect(recipient)["withdrawFromStream(uint256)"](1n)
+      ).to.emit(upgraded, "StreamWithdrawn");
+    });
+
+    it("backfills stream status and totals on proxies from before they were stored", async function () {
+      const { streamPay, proxy, sender, recipient } = await loadFixture(deployFixture);
+      for (let i = 0; i < 5; i++) {
+        await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      }
+      await time.increase(99);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n); // still active
+      await streamPay.connect(sender).pauseStream(2n);
+      await streamPay.connect(sender).cancelStream(3n);
+      await streamPay.connect(sender).pauseStream(5n);
+      await streamPay.connect(sender).cancelStream(5n);
+      await time.increase(DURATION);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](4n); // drained
+
+      const settled = async () => {
+        const streams = await Promise.all([1n, 2n, 3n, 4n, 5n].map((id) => streamPay.getStream(id)));
+        return streams.map(({ status, withdrawn, refunded }) => [status, withdrawn, refunded]);
+      };
+      const expected = await settled();
+      expect(expected.map(([status]) => status)).to.deep.equal([0n, 1n, 3n, 2n, 3n]);
+
+      await forgetStreamStatus(proxy, 5n);
+      expect((await settled()).map(([status]) => status)).to.deep.equal([0n, 0n, 0n, 0n, 0n]);
+      expect((await legacyCancellations({ provider: ethers.provider, address: proxy }))[0]).to.deep.equal([3n, 5n]);
+
+      await upgradeStreamPay(hre, proxy, { call: { fn: "initializeV2", args: [] } });
+      expect(await streamPay.statusBackfillEnd()).to.equal(6n);
+      await expect(streamPay.backfillStreams(7n, [], [])).to.be.revertedWith("Invalid backfill range");
+      await expect(streamPay.backfillStreams(3n, [3n], [0n])).to.be.revertedWith("Invalid backfill range");
+
+      // Batches of two: the cancelled streams fall in different transactions
+      expect(await backfillStreamStatus(streamPay, { batchSize: 2 })).to.equal(5);
+      expect(await settled()).to.deep.equal(expected);
+      expect(await backfillStreamStatus(streamPay)).to.equal(0);
+
+      await expect(streamPay.initializeV2()).to.be.revertedWithCustomError(streamPay, "InvalidInitialization");
+    });
+
+    it("doesn't let anyone else initialize or backfill an older proxy", async function () {
+      const { streamPay, proxy, sender, recipient, other } = await loadFixture(deployFixture);
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      await forgetStreamStatus(proxy, 1n);
+
+      await expect(streamPay.connect(other).initialize(other.address))
+        .to.be.revertedWithCustomError(streamPay, "InvalidInitialization");
+      await expect(streamPay.connect(other).initializeV2())
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount")
+        .withArgs(other.address);
+
+      await streamPay.initializeV2();
+      await expect(streamPay.connect(other).backfillStreams(2n, [], []))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount")
+        .withArgs(other.address);
+    });
+
+    it("doesn't run the status backfill on fresh proxies", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+      await expect(streamPay.initializeV2()).to.be.revertedWith("Status already stored");
+      await expect(streamPay.backfillStreams(2n, [], [])).to.be.revertedWith("Invalid backfill range");
+    });
+
+    it("only lets the owner upgrade", async function () {
+      const { streamPay, proxy, other } = await loadFixture(deployFixture);
+      const implementation = await upgrades.prepareUpgrade(proxy, await ethers.getContractFactory("StreamPayV3Mock"), {
+        kind: "uups"
+      });
+
+      await expect(streamPay.connect(other).upgradeToAndCall(implementation, "0x"))
+        .to.be.revertedWithCustomError(streamPay, "OwnableUnauthorizedAccount")
+        .withArgs(other.address);
+    });
+
+    it("rejects an incompatible storage layout before sending anything", async function () {
+      const { proxy } = await loadFixture(deployFixture);
+      const before = await upgrades.erc1967.getImplementationAddress(proxy);
+
+      await expect(upgradeStreamPay(hre, proxy, { contractName: "StreamPayIncompatibleMock" }))
+        .to.be.rejectedWith(/incompatible/i);
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(before);
+    });
+
+    it("only validates on a dry run", async function () {
+      const { proxy } = await loadFixture(deployFixture);
+      const before = await upgrades.erc1967.getImplementationAddress(proxy);
+
+      expect(await upgradeStreamPay(hre, proxy, { contractName: "StreamPayV3Mock", dryRun: true })).to.equal(null);
+      expect(await upgrades.erc1967.getImplementationAddress(proxy)).to.equal(before);
+    });
+  });
+});
@@ -0,0 +1,182 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1200n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("StreamPay vesting schedules", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 18]);
+    await token.mint(sender.address, DEPOSIT);
+    await token.connect(sender).approve(await streamPay.getAddress(), DEPOSIT);
+    return { streamPay, token, owner, sender, recipient };
+  }
+
+  async function createVesting(streamPay, sender, recipient, { startTime = 0n, cliffTime = 0n, stepDuration = 0n } = {}) {
+    await streamPay
+      .connect(sender)
+      .createVestingStream(recipient.address, DURATION, RATE, startTime, cliffTime, stepDuration, { value: DEPOSIT });
+    return (await streamPay.nextStreamId()) - 1n;
+  }
+
+  describe("future start", function () {
+    it("accrues nothing before startTime", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) + 500n;
+      const streamId = await createVesting(streamPay, sender, recipient, { startTime });
+
+      const schedule = await streamPay.getStreamSchedule(streamId);
+      expect(schedule.startTime).to.equal(startTime);
+      expect(schedule.stopTime).to.equal(startTime + DURATION);
+
+      await time.increaseTo(startTime - 1n);
+      const [before, senderBalance] = await streamPay.balanceOf(streamId);
+      expect(before).to.equal(0n);
+      expect(senderBalance).to.equal(DEPOSIT);
+
+      await time.increaseTo(startTime + 100n);
+      const [after] = await streamPay.balanceOf(streamId);
+      expect(after).to.equal(RATE * 100n);
+    });
+
+    it("rejects a start time in the past", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) - 1n;
+
+      await expect(createVesting(streamPay, sender, recipient, { startTime })).to.be.revertedWith(
+        "Start time in the past"
+      );
+    });
+
+    it("refunds the whole deposit when cancelled before starting", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) + 500n;
+      const streamId = await createVesting(streamPay, sender, recipient, { startTime });
+
+      await expect(streamPay.connect(sender).cancelStream(streamId)).to.changeEtherBalances(
+        [sender, recipient],
+        [DEPOSIT, 0n]
+      );
+    });
+  });
+
+  describe("cliff", function () {
+    it("unlocks everything accrued since start at the cliff", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) + 10n;
+      const cliffTime = startTime + 300n;
+      const streamId = await createVesting(streamPay, sender, recipient, { startTime, cliffTime });
+
+      await time.increaseTo(cliffTime - 2n);
+      const [beforeCliff] = await streamPay.balanceOf(streamId);
+      expect(beforeCliff).to.equal(0n);
+      await expect(streamPay.connect(recipient).withdrawFromStream(streamId)).to.be.revertedWith(
+        "Nothing to withdraw"
+      );
+
+      await time.increaseTo(cliffTime + 1n);
+      const [afterCliff] = await streamPay.balanceOf(streamId);
+      expect(afterCliff).to.equal(RATE * 301n);
+    });
+
+    it("rejects a cliff outside the stream", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) + 10n;
+
+      await expect(
+        createVesting(streamPay, sender, recipient, { startTime, cliffTime: startTime - 1n })
+      ).to.be.revertedWith("Invalid cliff");
+      await expect(
+        createVesting(streamPay, sender, recipient, { startTime, cliffTime: startTime + DURATION + 1n })
+      ).to.be.revertedWith("Invalid cliff");
+    });
+
+    it("moves a pending cliff out when the stream is paused", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) + 10n;
+      const cliffTime = startTime + 300n;
+      const streamId = await createVesting(streamPay, sender, recipient, { startTime, cliffTime });
+
+      await time.increaseTo(startTime + 100n);
+      await streamPay.connect(sender).pauseStream(streamId);
+      await time.increase(199);
+      await streamPay.connect(sender).resumeStream(streamId);
+
+      const schedule = await streamPay.getStreamSchedule(streamId);
+      expect(schedule.cliffTime).to.equal(cliffTime + 200n);
+    });
+  });
+
+  describe("stepped unlocks", function () {
+    it("unlocks in whole tranches", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+      const streamId = await createVesting(streamPay, sender, recipient, { stepDuration: 500n });
+      const { startTime, stopTime } = await streamPay.getStreamSchedule(streamId);
+
+      await time.increaseTo(startTime + 499n);
+      expect((await streamPay.balanceOf(streamId))[0]).to.equal(0n);
+
+      await time.increaseTo(startTime + 500n);
+      expect((await streamPay.balanceOf(streamId))[0]).to.equal(RATE * 500n);
+
+      await time.increaseTo(startTime + 1100n);
+      expect((await streamPay.balanceOf(streamId))[0]).to.equal(RATE * 1000n);
+
+      // The final partial tranche unlocks at stopTime
+      await time.increaseTo(stopTime);
+      expect((await streamPay.balanceOf(streamId))[0]).to.equal(DEPOSIT);
+    });
+
+    it("rejects a step longer than the stream", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      await expect(
+        createVesting(streamPay, sender, recipient, { stepDuration: DURATION + 1n })
+      ).to.be.revertedWith("Step longer than stream");
+    });
+
+    it("emits the schedule", async function () {
+      const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+      await expect(
+        streamPay.connect(sender).createVestingStream(recipient.address, DURATION, RATE, 0n, 0n, 100n, { value: DEPOSIT })
+      )
+        .to.emit(streamPay, "StreamScheduleSet")
+        .withArgs(1n, (cliffTime) => cliffTime > 0n, 100n);
+    });
+  });
+
+  describe("createTokenVestingStream", function () {
+    it("applies the schedule to token streams", async function () {
+      const { streamPay, token, sender, recipient } = await loadFixture(deployFixture);
+      const startTime = BigInt(await time.latest()) + 100n;
+
+      await streamPay
+        .connect(sender)
+        .createTokenVestingStream(await token.getAddress(), recipient.address, DURATION, RATE, startTime, startTime + 600n, 0n);
+
+      await time.increaseTo(startTime + 599n);
+      await streamPay.connect(recipient).withdrawFromStream(1n); // mined at the cliff
+
+      const fee = (RATE * 600n * 10n) / 10000n;
+      expect(await token.balanceOf(recipient.address)).to.equal(RATE * 600n - fee);
+    });
+  });
+
+  it("keeps plain streams linear from creation", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    const { startTime, cliffTime, stepDuration } = await streamPay.getStreamSchedule(1n);
+
+    expect(cliffTime).to.equal(startTime);
+    expect(stepDuration).to.equal(0n);
+  });
+});
@@ -0,0 +1,135 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+const withFee = (amount) => amount - (amount * 10n) / 10000n;
+
+describe("StreamPay partial withdrawals", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, coldWallet, operator, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    return { streamPay, streamId: 1n, owner, sender, recipient, coldWallet, operator, other };
+  }
+
+  const withdraw = (streamPay, signer, ...args) =>
+    streamPay.connect(signer)["withdrawFromStream(uint256,uint256,address)"](...args);
+
+  describe("withdrawFromStream(streamId, amount, to)", function () {
+    it("withdraws part of the accrued balance", async function () {
+      const { streamPay, streamId, recipient } = await loadFixture(deployFixture);
+      await time.increase(500);
+
+      const amount = RATE * 100n;
+      await expect(withdraw(streamPay, recipient, streamId, amount, recipient.address))
+        .to.emit(streamPay, "StreamWithdrawn")
+        .withArgs(streamId, recipient.address, withFee(amount));
+
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.remainingBalance).to.equal(DEPOSIT - amount);
+      expect(stream.active).to.equal(true);
+
+      const [available] = await streamPay.balanceOf(streamId);
+      expect(available).to.equal(RATE * 501n - amount);
+    });
+
+    it("sends the payout to another address", async function () {
+      const { streamPay, streamId, recipient, coldWallet } = await loadFixture(deployFixture);
+      await time.increase(500);
+
+      const amount = RATE * 100n;
+      await expect(withdraw(streamPay, recipient, streamId, amount, coldWallet.address)).to.changeEtherBalances(
+        [recipient, coldWallet],
+        [0n, withFee(amount)]
+      );
+    });
+
+    it("rejects more than the accrued balance", async function () {
+      const { streamPay, streamId, recipient } = await loadFixture(deployFixture);
+      await time.increase(99);
+
+      await expect(withdraw(streamPay, recipient, streamId, RATE * 101n, recipient.address)).to.be.revertedWith(
+        "Amount exceeds balance"
+      );
+      await expect(withdraw(streamPay, recipient, streamId, 0n, recipient.address)).to.be.revertedWith(
+        "Nothing to withdraw"
+      );
+      await expect(withdraw(streamPay, recipient, streamId, 1n, ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid destination"
+      );
+    });
+
+    it("keeps a stream past stopTime open until it is drained", async function () {
+      const { streamPay, streamId, recipient } = await loadFixture(deployFixture);
+      await time.increase(DURATION * 2n);
+
+      await withdraw(streamPay, recipient, streamId, DEPOSIT / 2n, recipient.address);
+      expect((await streamPay.getStream(streamId)).active).to.equal(true);
+
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](streamId);
+      const stream = await streamPay.getStream(streamId);
+      expect(stream.active).to.equal(false);
+      expect(stream.remainingBalance).to.equal(0n);
+    });
+  });
+
+  describe("operators", function () {
+    it("lets an approved operator withdraw to the recipient only", async function () {
+      const { streamPay, streamId, recipient, operator } = await loadFixture(deployFixture);
+
+      await expect(streamPay.connect(recipient).setStreamOperator(streamId, operator.address))
+        .to.emit(streamPay, "StreamOperatorSet")
+        .withArgs(streamId, recipient.address, operator.address);
+      await time.increase(500);
+
+      await expect(withdraw(streamPay, operator, streamId, RATE * 100n, operator.address)).to.be.revertedWith(
+        "Operator must pay recipient"
+      );
+      await expect(withdraw(streamPay, operator, streamId, RATE * 100n, recipient.address)).to.changeEtherBalance(
+        recipient,
+        withFee(RATE * 100n)
+      );
+    });
+
+    it("rejects everyone else", async function () {
+      const { streamPay, streamId, recipient, sender, other } = await loadFixture(deployFixture);
+      await time.increase(500);
+
+      await expect(withdraw(streamPay, other, streamId, 1n, recipient.address)).to.be.revertedWith(
+        "Not stream recipient"
+      );
+      await expect(streamPay.connect(sender).setStreamOperator(streamId, other.address)).to.be.revertedWith(
+        "Not stream recipient"
+      );
+    });
+
+    it("can be revoked", async function () {
+      const { streamPay, streamId, recipient, operator } = await loadFixture(deployFixture);
+
+      await streamPay.connect(recipient).setStreamOperator(streamId, operator.address);
+      await streamPay.connect(recipient).setStreamOperator(streamId, ethers.ZeroAddress);
+      await time.increase(500);
+
+      await expect(withdraw(streamPay, operator, streamId, 1n, recipient.address)).to.be.revertedWith(
+        "Not stream recipient"
+      );
+    });
+
+    it("is cleared when the stream NFT changes hands", async function () {
+      const { streamPay, streamId, recipient, operator, other } = await loadFixture(deployFixture);
+      const nft = await ethers.getContractAt("StreamPayNFT", await streamPay.streamNFT());
+
+      await streamPay.connect(recipient).setStreamOperator(streamId, operator.address);
+      await nft.connect(recipient).transferFrom(recipient.address, other.address, streamId);
+
+      expect(await streamPay.streamOperators(streamId)).to.equal(ethers.ZeroAddress);
+    });
+  });
+});
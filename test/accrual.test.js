@@ -0,0 +1,115 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { toAccrualStream, balanceOf, accrualAt, applyFee } from "../frontend/src/accrual.js";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n + 7n;
+const DEPOSIT = RATE * DURATION;
+
+describe("Client-side accrual", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    return { streamPay, owner, sender, recipient };
+  }
+
+  // Compare the JS mirror with balanceOf at the current block
+  async function expectMatches(streamPay, streamId) {
+    const [stream, schedule, onChain, now] = await Promise.all([
+      streamPay.getStream(streamId),
+      streamPay.getStreamSchedule(streamId),
+      streamPay.balanceOf(streamId),
+      time.latest()
+    ]);
+    const local = balanceOf(toAccrualStream(stream, schedule), BigInt(now));
+    expect(local).to.deep.equal([onChain[0], onChain[1]]);
+
+    // Millisecond interpolation lands on the same values at whole seconds
+    const smooth = accrualAt(toAccrualStream(stream, schedule), now * 1000, 10n);
+    expect(smooth.recipientBalance).to.equal(onChain[0]);
+  }
+
+  async function walk(streamPay, streamId, seconds) {
+    for (const step of seconds) {
+      if (step > 0) await time.increase(step);
+      await expectMatches(streamPay, streamId);
+    }
+  }
+
+  it("matches a linear stream over its whole life", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+    await expectMatches(streamPay, 1n);
+    await walk(streamPay, 1n, [1, 37, 250, 711, 1, 500]);
+  });
+
+  it("matches after partial withdrawals", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+    await time.increase(100);
+    await streamPay.connect(recipient)["withdrawFromStream(uint256,uint256,address)"](1n, RATE * 50n, recipient.address);
+    await walk(streamPay, 1n, [0, 120, 900]);
+  });
+
+  it("matches pauses, cliffs and stepped unlocks", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    const now = BigInt(await time.latest());
+    await streamPay
+      .connect(sender)
+      .createVestingStream(recipient.address, DURATION, RATE, now + 10n, now + 200n, 60n, { value: DEPOSIT });
+
+    await walk(streamPay, 1n, [5, 10, 190, 59, 1]);
+    await streamPay.connect(sender).pauseStream(1n);
+    await walk(streamPay, 1n, [0, 300]);
+    await streamPay.connect(sender).resumeStream(1n);
+    await walk(streamPay, 1n, [0, 61, 2000]);
+  });
+
+  it("matches top-ups and rate changes", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+    await time.increase(100);
+    await streamPay.connect(sender).topUpStream(1n, { value: RATE * 300n });
+    await walk(streamPay, 1n, [0, 400]);
+    await streamPay.connect(sender).updateRate(1n, RATE * 3n);
+    await walk(streamPay, 1n, [0, 17, 1000]);
+  });
+
+  it("matches cancelled streams and fee-on-transfer deposits", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    const token = await ethers.deployContract("MockFeeOnTransferERC20", [100n]);
+    await token.mint(sender.address, DEPOSIT);
+    await token.connect(sender).approve(await streamPay.getAddress(), DEPOSIT);
+
+    await streamPay.connect(sender).createTokenStream(await token.getAddress(), recipient.address, DURATION, RATE);
+    await walk(streamPay, 1n, [500, 480, 30]);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await time.increase(10);
+    await streamPay.connect(sender).cancelStream(2n);
+    await expectMatches(streamPay, 2n);
+  });
+
+  it("deducts the platform fee like a withdrawal", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await time.increase(333);
+
+    const before = await ethers.provider.getBalance(recipient.address);
+    const tx = await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n);
+    const receipt = await tx.wait();
+    const received = (await ethers.provider.getBalance(recipient.address)) - before + receipt.fee;
+
+    const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+    const { startTime } = await streamPay.getStream(1n);
+    const gross = (BigInt(timestamp) - startTime) * RATE;
+    expect(applyFee(gross, await streamPay.platformFee()).net).to.equal(received);
+  });
+});
@@ -0,0 +1,222 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { getEventListeners } from "events";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { deployStreamPay } from "../scripts/proxy.js";
+import { runCli } from "../cli/cli.js";
+import { loadSigner } from "../cli/wallet.js";
+import { parseDuration, SECONDS_PER_MONTH } from "../cli/commands.js";
+
+const { ethers } = hre;
+
+// Collects what the CLI writes to stdout / stderr
+function capture() {
+  const stream = { text: "", write(chunk) { stream.text += chunk; } };
+  return stream;
+}
+
+describe("streampay CLI", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, provider] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre, owner);
+    const contract = await streamPay.getAddress();
+    const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 6]);
+    await token.mint(sender.address, 10n ** 12n);
+    return { streamPay, contract, token, owner, sender, recipient, provider };
+  }
+
+  // Run as `signer` against the fixture's deployment; resolves to { code, out, err, json }
+  async function cli(contract, signer, ...argv) {
+    const out = capture();
+    const err = capture();
+    const code = await runCli([...argv, "--contract", contract], {
+      env: {},
+      provider: ethers.provider,
+      signer,
+      out,
+      err
+    });
+    const json = argv.includes("--json") && code === 0 && !argv.includes("watch") ? JSON.parse(out.text) : null;
+    return { code, out: out.text, err: err.text, json };
+  }
+
+  it("parses durations", function () {
+    expect(parseDuration("90")).to.equal(90n);
+    expect(parseDuration("45m")).to.equal(2700n);
+    expect(parseDuration("12h")).to.equal(43200n);
+    expect(parseDuration("30d")).to.equal(2592000n);
+    expect(() => parseDuration("soon")).to.throw(/Invalid duration/);
+    expect(() => parseDuration("0")).to.throw(/Duration must be > 0/);
+  });
+
+  describe("streams", function () {
+    it("creates, shows and lists a stream", async function () {
+      const { streamPay, contract, sender, recipient } = await loadFixture(deployFixture);
+
+      const created = await cli(contract, sender, "streams", "create", "--to", recipient.address, "--amount", "1", "--duration", "1000", "--json");
+      expect(created.code).to.equal(0);
+      expect(created.json).to.include({ id: 1, sender: sender.address, recipient: recipient.address, symbol: "ETH", active: true });
+      expect(created.json.deposit).to.equal(ethers.parseEther("1").toString());
+      expect(created.json.tx.hash).to.match(/^0x[0-9a-f]{64}$/);
+      expect((await streamPay.getStream(1n)).deposit).to.equal(ethers.parseEther("1"));
+
+      const shown = await cli(contract, null, "streams", "show", "1", "--json");
+      expect(shown.json.ratePerSecond).to.equal((ethers.parseEther("1") / 1000n).toString());
+
+      const listed = await cli(contract, null, "streams", "list", "--address", recipient.address, "--json");
+      expect(listed.json.map((stream) => [stream.id, stream.role])).to.deep.equal([[1, "recipient"]]);
+
+      const human = await cli(contract, null, "streams", "show", "1");
+      expect(human.out).to.match(/deposit\s+1\.0 ETH/);
+    });
+
+    it("approves and creates a token stream", async function () {
+      const { contract, token, sender, recipient } = await loadFixture(deployFixture);
+
+      const created = await cli(
+        contract, sender,
+        "streams", "create", "--to", recipient.address, "--amount", "500", "--duration", "1d",
+        "--token", await token.getAddress(), "--json"
+      );
+      expect(created.code).to.equal(0);
+      expect(created.json).to.include({ symbol: "mUSD", decimals: 6 });
+      expect(BigInt(created.json.deposit)).to.be.closeTo(500n * 10n ** 6n, 86400n);
+    });
+
+    it("withdraws all or part of a stream, then cancels it", async function () {
+      const { streamPay, contract, sender, recipient } = await loadFixture(deployFixture);
+      await cli(contract, sender, "streams", "create", "--to", recipient.address, "--amount", "1", "--duration", "1000");
+      await time.increase(99);
+
+      const partial = await cli(contract, recipient, "streams", "withdraw", "1", "--amount", "0.01", "--json");
+      expect(partial.code).to.equal(0);
+      expect(partial.json.amount).to.not.equal("0");
+
+      const rest = await cli(contract, recipient, "streams", "withdraw", "1", "--json");
+      expect(rest.code).to.equal(0);
+
+      const cancelled = await cli(contract, sender, "streams", "cancel", "1", "--json");
+      expect(cancelled.code).to.equal(0);
+      expect(BigInt(cancelled.json.senderAmount)).to.be.greaterThan(0n);
+      expect((await streamPay.getStream(1n)).active).to.equal(false);
+    });
+
+    it("refuses to send transactions without a key, and explains bad input", async function () {
+      const { contract, recipient } = await loadFixture(deployFixture);
+
+      const result = await cli(contract, null, "streams", "create", "--to", recipient.address, "--amount", "1", "--duration", "1h");
+      expect(result.code).to.equal(1);
+      expect(result.err).to.match(/pass --keystore or set PRIVATE_KEY/);
+
+      const missing = await cli(contract, null, "streams", "show", "9");
+      expect(missing.err).to.equal("Error: Stream #9 doesn't exist\n");
+      expect((await cli(contract, null, "balance")).err).to.match(/Pass --address/);
+    });
+
+    it("reports contract reverts as JSON errors", async function () {
+      const { contract, sender, recipient, provider } = await loadFixture(deployFixture);
+      await cli(contract, sender, "streams", "create", "--to", recipient.address, "--amount", "1", "--duration", "1000");
+
+      const result = await cli(contract, provider, "streams", "cancel", "1", "--json");
+      expect(result.code).to.equal(1);
+      expect(JSON.parse(result.err)).to.have.property("error").that.matches(/Not authorized/);
+    });
+  });
+
+  describe("subscriptions and balances", function () {
+    it("creates, tops up, settles and cancels a subscription, then claims the refund", async function () {
+      const { contract, sender, provider } = await loadFixture(deployFixture);
+
+      const created = await cli(contract, sender, "subs", "create", "--provider", provider.address, "--rate", "0.1", "--deposit", "0.3", "--json");
+      expect(created.code).to.equal(0);
+      expect(created.json.ratePerSecond).to.equal((ethers.parseEther("0.1") / SECONDS_PER_MONTH).toString());
+
+      const toppedUp = await cli(contract, sender, "subs", "top-up", "1", "--amount", "0.1", "--json");
+      expect(toppedUp.json.balance).to.equal(ethers.parseEther("0.4").toString());
+
+      await time.increase(3600);
+      const settled = await cli(contract, provider, "subs", "settle", "1", "--json");
+      expect(settled.json.paid).to.deep.equal([1]);
+
+      const listed = await cli(contract, null, "subs", "list", "--address", provider.address, "--json");
+      expect(listed.json.map((sub) => [sub.id, sub.role])).to.deep.equal([[1, "provider"]]);
+
+      const cancelled = await cli(contract, sender, "subs", "cancel", "1", "--json");
+      expect(cancelled.json.active).to.equal(false);
+
+      const balance = await cli(contract, sender, "balance", "--json");
+      expect(BigInt(balance.json.withdrawable)).to.be.greaterThan(0n);
+
+      const claimed = await cli(contract, sender, "claim", "--json");
+      expect(claimed.json.amount).to.equal(balance.json.withdrawable);
+      expect((await cli(contract, sender, "claim")).err).to.match(/No ETH balance to withdraw/);
+    });
+  });
+
+  describe("watch", function () {
+    it("prints one accrual line per stream per tick", async function () {
+      const { contract, sender, recipient } = await loadFixture(deployFixture);
+      await cli(contract, sender, "streams", "create", "--to", recipient.address, "--amount", "1", "--duration", "1000");
+      await cli(contract, sender, "streams", "create", "--to", recipient.address, "--amount", "2", "--duration", "1000");
+
+      const watched = await cli(contract, recipient, "watch", "--interval", "0", "--count", "2", "--json");
+      expect(watched.code).to.equal(0);
+      const lines = watched.out.trim().split("\n").map((line) => JSON.parse(line));
+      expect(lines.map((line) => line.id)).to.deep.equal([1, 2, 1, 2]);
+      expect(lines[0]).to.have.all.keys(
+        "id", "time", "symbol", "decimals", "recipientBalance", "net", "senderBalance", "withdrawable", "active", "paused", "status"
+      );
+
+      const human = await cli(contract, null, "watch", "2", "--interval", "0", "--count", "1");
+      expect(human.out).to.match(/#2 {2}accrued [\d.]+ ETH {2}net [\d.]+ ETH {2}left [\d.]+ ETH/);
+    });
+
+    it("leaves no listeners on the abort signal, and stops when it fires", async function () {
+      const { contract, sender, recipient } = await loadFixture(deployFixture);
+      await cli(contract, sender, "streams", "create", "--to", recipient.address, "--amount", "1", "--duration", "1000");
+
+      const controller = new AbortController();
+      const out = capture();
+      const watch = (count, interval) => runCli(
+        ["watch", "1", "--interval", interval, "--count", count, "--json", "--contract", contract],
+        { env: {}, provider: ethers.provider, out, err: capture(), signal: controller.signal }
+      );
+      expect(await watch("12", "0")).to.equal(0);
+      expect(getEventListeners(controller.signal, "abort")).to.have.length(0);
+
+      const running = watch("5", "60");
+      setTimeout(() => controller.abort(), 200);
+      expect(await running).to.equal(0);
+      expect(out.text.trim().split("\n")).to.have.length(13);
+    });
+  });
+
+  describe("usage and wallets", function () {
+    it("prints usage and rejects unknown commands", async function () {
+      const { contract } = await loadFixture(deployFixture);
+
+      expect((await cli(contract, null, "--help")).out).to.match(/^Usage: streampay/);
+      const unknown = await cli(contract, null, "streams", "explode");
+      expect(unknown.code).to.equal(1);
+      expect(unknown.err).to.match(/Unknown command "streams explode"/);
+    });
+
+    it("loads a signer from a keystore or a private key", async function () {
+      const wallet = ethers.Wallet.createRandom();
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "streampay-")), "key.json");
+      fs.writeFileSync(file, ethers.encryptKeystoreJsonSync(wallet, "hunter2", { scrypt: { N: 1 << 10 } }));
+
+      const fromKeystore = await loadSigner({ keystore: file, password: "hunter2", provider: ethers.provider });
+      expect(fromKeystore.address).to.equal(wallet.address);
+      await expect(loadSigner({ keystore: file, password: "wrong", provider: ethers.provider }))
+        .to.be.rejectedWith(/Couldn't decrypt keystore/);
+
+      const fromKey = await loadSigner({ privateKey: wallet.privateKey, provider: ethers.provider });
+      expect(fromKey.address).to.equal(wallet.address);
+      expect(await loadSigner({ provider: ethers.provider })).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,110 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { grossFromNet, loadHistory, historyToCsv, historyToJson, HISTORY_COLUMNS } from "../frontend/src/history.js";
+import { applyFee } from "../frontend/src/accrual.js";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n + 3n;
+const DEPOSIT = RATE * DURATION;
+const ETH = { address: ethers.ZeroAddress, symbol: "ETH", decimals: 18 };
+
+describe("Transaction history", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, provider] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createSubscription(provider.address, RATE, { value: DEPOSIT });
+
+    await time.increase(100);
+    const { remainingBalance: before } = await streamPay.getStream(1n);
+    await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n);
+    const { remainingBalance: after } = await streamPay.getStream(1n);
+    await streamPay.connect(sender).cancelStream(2n);
+    await streamPay.connect(provider).processSubscriptionPayment(1n);
+
+    return { streamPay, owner, sender, recipient, provider, withdrawnGross: before - after };
+  }
+
+  const history = (streamPay, account, outgoingStreamIds) =>
+    loadHistory({ contract: streamPay, account, outgoingStreamIds, getTokenInfo: async () => ETH });
+
+  it("recovers the gross amount of every net amount", async function () {
+    for (const fee of [0n, 10n, 30n, 1000n]) {
+      for (const gross of [0n, 1n, 999n, 10000n, 123456789n, DEPOSIT]) {
+        const { net } = applyFee(gross, fee);
+        expect(applyFee(grossFromNet(net, fee), fee).net).to.equal(net);
+      }
+    }
+  });
+
+  it("lists a recipient's withdrawals and cancel payouts with fees", async function () {
+    const { streamPay, sender, recipient, withdrawnGross } = await loadFixture(deployFixture);
+
+    const rows = await history(streamPay, recipient.address);
+    expect(rows.map((row) => row.type)).to.deep.equal(["cancelPayout", "withdrawal"]);
+
+    const withdrawal = rows[1];
+    expect(withdrawal.direction).to.equal("in");
+    expect(withdrawal.counterparty).to.equal(sender.address);
+    expect(withdrawal.gross).to.equal(withdrawnGross);
+    expect(withdrawal.fee).to.equal((withdrawnGross * 10n) / 10000n);
+    expect(withdrawal.net).to.equal(withdrawal.gross - withdrawal.fee);
+
+    const [cancelled] = await streamPay.queryFilter(streamPay.filters.StreamCancelled());
+    expect(rows[0].gross).to.equal(cancelled.args.recipientBalance);
+    expect(rows[0].txHash).to.equal(cancelled.transactionHash);
+  });
+
+  it("shows the sender outgoing withdrawals, payouts, refunds and subscription payments", async function () {
+    const { streamPay, sender } = await loadFixture(deployFixture);
+
+    const rows = await history(streamPay, sender.address, [1n, 2n]);
+    expect(rows.map((row) => `${row.type}:${row.direction}`)).to.deep.equal([
+      "subscriptionPayment:out",
+      "cancelPayout:out",
+      "cancelRefund:in",
+      "withdrawal:out"
+    ]);
+
+    const refund = rows[2];
+    expect(refund.fee).to.equal(0n);
+    expect(refund.gross).to.equal(refund.net);
+  });
+
+  it("uses the fee that applied to each pair of parties", async function () {
+    const { streamPay, owner, sender, recipient } = await loadFixture(deployFixture);
+    await streamPay.connect(owner).setSenderFeeTier(sender.address, 250n);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await time.increase(DURATION);
+    await streamPay.connect(recipient)["withdrawFromStream(uint256)"](3n);
+
+    const [latest] = await history(streamPay, recipient.address);
+    expect(latest.id).to.equal(3);
+    const fee = (DEPOSIT * 250n) / 10000n;
+    expect(latest.net).to.equal(DEPOSIT - fee);
+    // Net-only events leave a 1 wei ambiguity in the recovered gross
+    expect(latest.fee).to.be.closeTo(fee, 1n);
+  });
+
+  it("exports CSV and JSON with timestamps and tx hashes", async function () {
+    const { streamPay, provider } = await loadFixture(deployFixture);
+
+    const rows = await history(streamPay, provider.address);
+    const [header, line, end] = historyToCsv(rows).split("\n");
+    expect(header).to.equal(HISTORY_COLUMNS.join(","));
+    expect(line).to.include(rows[0].txHash);
+    expect(line).to.include(new Date(rows[0].timestamp * 1000).toISOString());
+    expect(end).to.equal("");
+
+    const [record] = JSON.parse(historyToJson(rows));
+    expect(record.type).to.equal("Subscription payment");
+    expect(record.direction).to.equal("in");
+    expect(ethers.parseEther(record.gross) - ethers.parseEther(record.fee)).to.equal(ethers.parseEther(record.net));
+  });
+});
@@ -0,0 +1,163 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { openDatabase } from "../indexer/db.js";
+import { createIndexer } from "../indexer/indexer.js";
+import { createApi } from "../indexer/api.js";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("Indexer", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, other] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(other.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createSubscription(other.address, RATE, { value: DEPOSIT });
+
+    return { streamPay, owner, sender, recipient, other };
+  }
+
+  async function indexerFixture() {
+    const fixture = await loadFixture(deployFixture);
+    const db = openDatabase();
+    const { abi } = await hre.artifacts.readArtifact("StreamPay");
+    const indexer = createIndexer({
+      provider: ethers.provider,
+      address: await fixture.streamPay.getAddress(),
+      abi,
+      db,
+      batchSize: 5
+    });
+    return { ...fixture, db, indexer };
+  }
+
+  async function get(server, path) {
+    const { port } = server.address();
+    const res = await fetch(`http://127.0.0.1:${port}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  let server;
+  afterEach(function () {
+    server?.close();
+    server = undefined;
+  });
+
+  it("replays stream creation, withdrawals and cancellation", async function () {
+    const { streamPay, db, indexer, sender, recipient, other } = await indexerFixture();
+
+    await time.increase(99);
+    const tx = await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n);
+    await streamPay.connect(other).cancelStream(2n);
+
+    await indexer.sync();
+
+    const streams = db.prepare("SELECT * FROM streams ORDER BY id").all();
+    expect(streams).to.have.length(2);
+    expect(streams[0].sender).to.equal(sender.address.toLowerCase());
+    expect(streams[0].recipient).to.equal(recipient.address.toLowerCase());
+    expect(streams[0].remaining_balance).to.equal((await streamPay.getStream(1n)).remainingBalance.toString());
+    expect(streams[1].active).to.equal(0);
+    expect(streams[1].status).to.equal(3);
+    expect(BigInt(streams[1].withdrawn) + BigInt(streams[1].refunded)).to.equal(BigInt(streams[1].deposit));
+    expect(streams[1].cancelled_tx).to.be.a("string");
+
+    const [withdrawal] = db.prepare("SELECT * FROM withdrawals").all();
+    const [event] = await streamPay.queryFilter(streamPay.filters.StreamWithdrawn());
+    expect(withdrawal.tx_hash).to.equal(tx.hash);
+    expect(withdrawal.amount).to.equal(event.args.amount.toString());
+    expect(withdrawal.timestamp).to.equal((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+  });
+
+  it("resumes from the last indexed block", async function () {
+    const { streamPay, db, indexer, recipient } = await indexerFixture();
+
+    expect(await indexer.sync()).to.be.greaterThan(0);
+    const lastBlock = indexer.lastBlock();
+    expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(await indexer.sync()).to.equal(0);
+
+    await time.increase(50);
+    await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n);
+    expect(await indexer.sync()).to.equal(1);
+    expect(db.prepare("SELECT COUNT(*) AS count FROM withdrawals").get().count).to.equal(1);
+  });
+
+  it("follows streams to their new owner", async function () {
+    const { streamPay, db, indexer, recipient, other } = await indexerFixture();
+    const streamNFT = await ethers.getContractAt("StreamPayNFT", await streamPay.streamNFT());
+
+    await streamNFT.connect(recipient).transferFrom(recipient.address, other.address, 1n);
+    await indexer.sync();
+
+    const row = db.prepare("SELECT recipient FROM streams WHERE id = 1").get();
+    expect(row.recipient).to.equal(other.address.toLowerCase());
+  });
+
+  it("indexes subscription payments", async function () {
+    const { streamPay, db, indexer, other } = await indexerFixture();
+
+    await time.increase(99);
+    await streamPay.connect(other).processSubscriptionPayment(1n);
+    await indexer.sync();
+
+    const sub = db.prepare("SELECT * FROM subscriptions WHERE id = 1").get();
+    expect(sub.provider).to.equal(other.address.toLowerCase());
+    expect(db.prepare("SELECT * FROM subscription_payments").all()).to.have.length(1);
+  });
+
+  describe("API", function () {
+    it("serves streams by party, withdrawals and totals", async function () {
+      const { streamPay, db, indexer, sender, recipient } = await indexerFixture();
+
+      await time.increase(99);
+      await streamPay.connect(recipient)["withdrawFromStream(uint256)"](1n);
+      // Neither rewrite of the deposit column changes what the sender paid in
+      await streamPay.connect(sender).topUpStream(1n, { value: RATE * 100n });
+      await streamPay.connect(sender).updateRate(2n, RATE * 3n);
+      await indexer.sync();
+
+      server = createApi(db, { chainId: 31337 }).listen(0);
+      await new Promise((resolve) => server.once("listening", resolve));
+
+      const outgoing = await get(server, `/streams?party=${sender.address}&role=sender`);
+      expect(outgoing.body.map((stream) => stream.id)).to.deep.equal([1, 2]);
+
+      const incoming = await get(server, `/streams?party=${recipient.address}`);
+      expect(incoming.body.map((stream) => stream.id)).to.deep.equal([1]);
+
+      const stream = await get(server, "/streams/1");
+      expect(stream.body.withdrawals).to.have.length(1);
+
+      const withdrawals = await get(server, `/withdrawals?address=${recipient.address}`);
+      expect(withdrawals.body[0].streamId).to.equal(1);
+
+      const totals = await get(server, `/totals/${sender.address}`);
+      expect(totals.body.streamDeposits[ethers.ZeroAddress]).to.equal((DEPOSIT * 2n + RATE * 100n).toString());
+
+      const received = await get(server, `/totals/${recipient.address}`);
+      expect(received.body.streamWithdrawals[ethers.ZeroAddress]).to.equal(withdrawals.body[0].amount);
+
+      const status = await get(server, "/status");
+      expect(status.body.lastBlock).to.equal(indexer.lastBlock());
+    });
+
+    it("rejects bad input", async function () {
+      const { db } = await indexerFixture();
+
+      server = createApi(db).listen(0);
+      await new Promise((resolve) => server.once("listening", resolve));
+
+      expect((await get(server, "/streams?party=nope")).status).to.equal(400);
+      expect((await get(server, "/streams/999")).status).to.equal(404);
+      expect((await get(server, "/unknown")).status).to.equal(404);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time, setBalance } from "@nomicfoundation/hardhat-network-helpers";
+import { createKeeper, formatReport } from "../scripts/settlement.js";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const RATE = 10n ** 12n;
+const DAY = 24 * 3600;
+
+describe("Subscription keeper", function () {
+  async function deployFixture() {
+    const [owner, subscriber, provider, keeperSigner] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const startBlock = await ethers.provider.getBlockNumber();
+
+    // #1 is funded for ten days, #2 for half a day
+    await streamPay.connect(subscriber).createSubscription(provider.address, RATE, { value: RATE * BigInt(10 * DAY) });
+    await streamPay.connect(subscriber).createSubscription(provider.address, RATE, { value: RATE * BigInt(DAY / 2) });
+
+    return { streamPay, owner, subscriber, provider, keeperSigner, startBlock };
+  }
+
+  function keeperFor(streamPay, signer, options) {
+    return createKeeper({ contract: streamPay.connect(signer), batchSize: 3, interval: DAY, ...options });
+  }
+
+  it("settles subscriptions once they have gone unpaid for the interval", async function () {
+    const { streamPay, provider, keeperSigner, startBlock } = await loadFixture(deployFixture);
+    const keeper = keeperFor(streamPay, keeperSigner, { startBlock });
+
+    let report = await keeper.run();
+    expect(report.settled).to.deep.equal([]);
+    expect(report.skipped.map((row) => row.id)).to.deep.equal([1, 2]);
+
+    await time.increase(DAY);
+    const before = await ethers.provider.getBalance(provider.address);
+    report = await keeper.run();
+
+    expect(report.settled.map((row) => row.id)).to.deep.equal([1]);
+    expect(report.settled[0].gasUsed).to.be.lessThanOrEqual((report.settled[0].gasEstimate * 120n) / 100n);
+    expect(report.skipped).to.deep.include({ id: 2, reason: "underfunded" });
+    expect(await ethers.provider.getBalance(provider.address)).to.be.greaterThan(before);
+
+    const sub = await streamPay.getSubscription(1n);
+    expect(sub.lastPaymentTime).to.equal((await ethers.provider.getBlock(report.blockNumber + 1)).timestamp);
+    expect(formatReport(report)[0]).to.equal(`Block ${report.blockNumber}: settled 1, skipped 1, failed 0`);
+  });
+
+  it("settles early once pending reaches the threshold", async function () {
+    const { streamPay, keeperSigner, startBlock } = await loadFixture(deployFixture);
+    const keeper = keeperFor(streamPay, keeperSigner, { startBlock, threshold: RATE * 3600n });
+    const { lastPaymentTime } = await streamPay.getSubscription(1n);
+
+    await time.increaseTo(lastPaymentTime + 3599n);
+    expect((await keeper.run()).settled).to.have.length(0);
+    // #2 started a block later, so it is still a second short
+    await time.increaseTo(lastPaymentTime + 3600n);
+    expect((await keeper.run()).settled.map((row) => row.id)).to.deep.equal([1]);
+  });
+
+  it("only estimates in dry-run mode", async function () {
+    const { streamPay, keeperSigner, startBlock } = await loadFixture(deployFixture);
+    const keeper = keeperFor(streamPay, keeperSigner, { startBlock, dryRun: true });
+    const { lastPaymentTime } = await streamPay.getSubscription(1n);
+
+    await time.increase(DAY);
+    const report = await keeper.run();
+
+    expect(report.settled).to.have.length(1);
+    expect(report.settled[0].gasEstimate).to.be.greaterThan(0n);
+    expect(report.settled[0]).to.not.have.property("hash");
+    expect((await streamPay.getSubscription(1n)).lastPaymentTime).to.equal(lastPaymentTime);
+    expect(formatReport(report)[1]).to.match(/^ {2}Would settle #1: [\d.]+ ETH to 0x[0-9a-fA-F]{40} \(~\d+ gas\)$/);
+  });
+
+  it("picks up new subscriptions and forgets cancelled ones", async function () {
+    const { streamPay, subscriber, provider, keeperSigner, startBlock } = await loadFixture(deployFixture);
+    const keeper = keeperFor(streamPay, keeperSigner, { startBlock });
+    await keeper.run();
+
+    await streamPay.connect(subscriber).cancelSubscription(1n);
+    await streamPay.connect(subscriber).createSubscription(provider.address, RATE, { value: RATE * BigInt(10 * DAY) });
+    await time.increase(DAY);
+
+    const report = await keeper.run();
+    expect(report.settled.map((row) => row.id)).to.deep.equal([3]);
+    expect(report.skipped).to.deep.include({ id: 1, reason: "cancelled" });
+    expect([...keeper.subscriptionIds]).to.deep.equal([2n, 3n]);
+  });
+
+  it("backs off after a failed settlement", async function () {
+    const { streamPay, startBlock } = await loadFixture(deployFixture);
+    // A keeper that can't pay for gas fails until it is funded
+    const broke = ethers.Wallet.createRandom().connect(ethers.provider);
+    const keeper = keeperFor(streamPay, broke, { startBlock, retryDelay: 600, maxRetryDelay: 1000 });
+
+    await time.increase(DAY);
+    let report = await keeper.run();
+    expect(report.failed).to.have.length(1);
+    const { retryAt } = report.failed[0];
+    expect(report.failed[0]).to.include({ id: 1, attempts: 1 });
+    expect(retryAt).to.equal(report.timestamp + 600);
+
+    await setBalance(broke.address, 10n ** 18n);
+    report = await keeper.run();
+    expect(report.settled).to.have.length(0);
+    expect(report.skipped).to.deep.include({ id: 1, reason: "backing off", retryAt });
+
+    await time.increase(600);
+    report = await keeper.run();
+    expect(report.settled.map((row) => row.id)).to.deep.equal([1]);
+    expect(report.failed).to.have.length(0);
+  });
+});
@@ -0,0 +1,104 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+import { snapshotDeployment } from "../scripts/migration.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("Migration snapshot", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, provider] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre, owner);
+    const token = await ethers.deployContract("MockERC20", ["Mock USD", "mUSD", 18]);
+    await token.mint(sender.address, DEPOSIT);
+    await token.connect(sender).approve(await streamPay.getAddress(), DEPOSIT);
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT }); // open
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT }); // cancelled
+    await streamPay.connect(sender).createTokenStream(await token.getAddress(), recipient.address, DURATION, RATE);
+    await streamPay.connect(sender).createSubscription(provider.address, RATE, { value: DEPOSIT }); // live
+    await streamPay.connect(sender).createSubscription(provider.address, RATE, { value: DEPOSIT }); // cancelled
+
+    await time.increase(100);
+    await streamPay.connect(sender).pauseStream(1n);
+    await streamPay.connect(sender).cancelStream(2n);
+    await streamPay.connect(sender).cancelSubscription(2n);
+    await streamPay.connect(recipient)["withdrawFromStream(uint256)"](3n);
+
+    return { streamPay, token, owner, sender, recipient, provider };
+  }
+
+  it("lists open streams and live subscriptions at one block", async function () {
+    const { streamPay, token } = await loadFixture(deployFixture);
+    const address = await streamPay.getAddress();
+
+    const snapshot = await snapshotDeployment({ provider: ethers.provider, address });
+    expect(snapshot.contract).to.equal(address);
+    expect(snapshot.chainId).to.equal(31337);
+    expect(snapshot.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+
+    expect(snapshot.streams.map((stream) => stream.id)).to.deep.equal([1, 3]);
+    const [paused, tokenStream] = snapshot.streams;
+    expect(paused.pausedAt).to.be.greaterThan(0);
+    expect(tokenStream.token).to.equal(await token.getAddress());
+
+    const [recipientBalance, senderBalance] = await streamPay.balanceOf(1n);
+    expect(paused.recipientBalance).to.equal(recipientBalance.toString());
+    expect(paused.senderBalance).to.equal(senderBalance.toString());
+
+    expect(snapshot.subscriptions.map((sub) => sub.id)).to.deep.equal([1]);
+    expect(snapshot.subscriptions[0].balance).to.equal(DEPOSIT.toString());
+  });
+
+  it("reconciles what the contract holds with what it owes", async function () {
+    const { streamPay, token, sender } = await loadFixture(deployFixture);
+    const address = await streamPay.getAddress();
+
+    const snapshot = await snapshotDeployment({ provider: ethers.provider, address });
+    const eth = snapshot.reconciliation.find((row) => row.token === ethers.ZeroAddress);
+    const tokenAddress = await token.getAddress();
+    const erc20 = snapshot.reconciliation.find((row) => row.token === tokenAddress);
+
+    expect(eth.held).to.equal((await ethers.provider.getBalance(address)).toString());
+    expect(eth.surplus).to.equal("0");
+    expect(erc20.surplus).to.equal("0");
+    expect(BigInt(erc20.fees)).to.be.greaterThan(0n);
+
+    // The cancelled subscription's escrow is withdrawable by the subscriber
+    const credit = snapshot.balances.find((row) => row.account === sender.address && row.token === ethers.ZeroAddress);
+    expect(credit.amount).to.equal((await streamPay.balances(sender.address)).toString());
+  });
+
+  it("includes payouts credited to withdrawal targets", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    const address = await streamPay.getAddress();
+    const wallet = await ethers.deployContract("MockReceiver");
+    await wallet.setMode(2); // Revert
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await time.increase(100);
+    await streamPay.connect(recipient)["withdrawFromStream(uint256,uint256,address)"](4n, RATE * 10n, wallet.target);
+
+    const snapshot = await snapshotDeployment({ provider: ethers.provider, address });
+    const credit = snapshot.balances.find((row) => row.account === wallet.target);
+    expect(credit.amount).to.equal((await streamPay.balances(wallet.target)).toString());
+    expect(snapshot.reconciliation.find((row) => row.token === ethers.ZeroAddress).surplus).to.equal("0");
+  });
+
+  it("reads a past block", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    const address = await streamPay.getAddress();
+    const blockNumber = await ethers.provider.getBlockNumber();
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+
+    const snapshot = await snapshotDeployment({ provider: ethers.provider, address, blockTag: blockNumber });
+    expect(snapshot.blockNumber).to.equal(blockNumber);
+    expect(snapshot.streams).to.have.lengthOf(2);
+  });
+});
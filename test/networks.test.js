@@ -0,0 +1,121 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  getNetwork,
+  supportedNetworks,
+  defaultChainId,
+  switchNetwork,
+  NetworkSwitchError
+} from "../frontend/src/networks.js";
+import { readRegistry, recordInRegistry, registryEntry } from "../scripts/deployments.js";
+
+const REGISTRY = {
+  31337: { contract: "StreamPay", address: "0x0000000000000000000000000000000000000001", network: "Hardhat Local", chainId: 31337 },
+  6342: { contract: "StreamPay", address: "0x0000000000000000000000000000000000000002", network: "MegaETH Testnet", chainId: 6342 },
+  4326: { contract: "StreamPay", address: "0x0000000000000000000000000000000000000003", network: "MegaETH Mainnet", chainId: 4326 }
+};
+
+// Minimal EIP-1193 wallet that fails the methods listed in `errors` with the given code
+function fakeWallet(errors = {}) {
+  const calls = [];
+  return {
+    calls,
+    async request({ method, params }) {
+      calls.push({ method, params });
+      if (errors[method]) {
+        throw Object.assign(new Error(`${method} failed`), { code: errors[method] });
+      }
+      return null;
+    }
+  };
+}
+
+describe("Deployment registry", function () {
+  describe("networks", function () {
+    it("only knows chains with a deployment", function () {
+      expect(getNetwork(REGISTRY, 6342).deployment.address).to.equal(REGISTRY[6342].address);
+      expect(getNetwork(REGISTRY, "31337").name).to.equal("Hardhat Local");
+      expect(getNetwork(REGISTRY, 1)).to.equal(null);
+      expect(getNetwork({}, 6342)).to.equal(null);
+    });
+
+    it("falls back to the recorded name for chains it has no metadata for", function () {
+      const network = getNetwork({ 777: { address: "0x01", network: "devnet", chainId: 777 } }, 777);
+      expect(network.name).to.equal("devnet");
+      expect(network.rpcUrl).to.equal(null);
+    });
+
+    it("lists mainnets first and picks a default", function () {
+      expect(supportedNetworks(REGISTRY).map((network) => network.chainId)).to.deep.equal([4326, 6342, 31337]);
+      expect(defaultChainId(REGISTRY, "6342")).to.equal(6342);
+      expect(defaultChainId(REGISTRY, "1")).to.equal(4326);
+      expect(defaultChainId({}, "6342")).to.equal(null);
+    });
+  });
+
+  describe("switchNetwork", function () {
+    const testnet = getNetwork(REGISTRY, 6342);
+
+    it("switches to a chain the wallet knows", async function () {
+      const wallet = fakeWallet();
+      await switchNetwork(wallet, testnet);
+      expect(wallet.calls).to.deep.equal([{ method: "wallet_switchEthereumChain", params: [{ chainId: "0x18c6" }] }]);
+    });
+
+    it("adds a chain the wallet doesn't know", async function () {
+      const wallet = fakeWallet({ wallet_switchEthereumChain: 4902 });
+      await switchNetwork(wallet, testnet);
+      const [, add] = wallet.calls;
+      expect(add.method).to.equal("wallet_addEthereumChain");
+      expect(add.params[0]).to.include({ chainId: "0x18c6", chainName: "MegaETH Testnet" });
+      expect(add.params[0].rpcUrls).to.deep.equal(["https://carrot.megaeth.com/rpc"]);
+    });
+
+    it("reports a rejected switch instead of swallowing it", async function () {
+      const wallet = fakeWallet({ wallet_switchEthereumChain: 4001 });
+      const error = await switchNetwork(wallet, testnet).catch((e) => e);
+      expect(error).to.be.instanceOf(NetworkSwitchError);
+      expect(error.rejected).to.equal(true);
+      expect(error.message).to.match(/rejected/);
+      expect(wallet.calls).to.have.lengthOf(1);
+    });
+
+    it("reports a rejected or failed add", async function () {
+      const rejected = await switchNetwork(
+        fakeWallet({ wallet_switchEthereumChain: 4902, wallet_addEthereumChain: 4001 }),
+        testnet
+      ).catch((e) => e);
+      expect(rejected.rejected).to.equal(true);
+
+      const failed = await switchNetwork(
+        fakeWallet({ wallet_switchEthereumChain: 4902, wallet_addEthereumChain: -32603 }),
+        testnet
+      ).catch((e) => e);
+      expect(failed).to.be.instanceOf(NetworkSwitchError);
+      expect(failed.rejected).to.equal(false);
+    });
+  });
+
+  describe("recordInRegistry", function () {
+    let file;
+
+    beforeEach(function () {
+      file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "streampay-")), "deployments.json");
+    });
+
+    it("adds and replaces entries per chain, keeping the others", function () {
+      expect(readRegistry(file)).to.deep.equal({});
+
+      recordInRegistry(REGISTRY[6342], file);
+      recordInRegistry(REGISTRY[31337], file);
+      recordInRegistry({ ...REGISTRY[6342], address: "0x0000000000000000000000000000000000000009" }, file);
+
+      const registry = readRegistry(file);
+      expect(Object.keys(registry)).to.deep.equal(["6342", "31337"]);
+      expect(registryEntry(6342n, file).address).to.equal("0x0000000000000000000000000000000000000009");
+      expect(() => registryEntry(1, file)).to.throw(/isn't deployed on chain 1 \(registry has: 6342, 31337\)/);
+    });
+  });
+});
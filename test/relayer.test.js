@@ -0,0 +1,85 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { deployStreamPay } from "../scripts/proxy.js";
+import { signIntent } from "../frontend/src/intents.js";
+import { createRelayer, createRelayerServer } from "../relayer/relayer.js";
+
+const { ethers } = hre;
+
+const DURATION = 1000n;
+const RATE = 10n ** 15n;
+const DEPOSIT = RATE * DURATION;
+
+describe("Relayer", function () {
+  let server;
+  let relayed;
+
+  afterEach(function () {
+    server?.close();
+    server = null;
+  });
+
+  async function deployFixture() {
+    const [owner, sender, recipient, relayer] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    return { streamPay, sender, recipient, relayer };
+  }
+
+  async function listen(streamPay, relayer) {
+    relayed = [];
+    server = createRelayerServer(createRelayer(streamPay.connect(relayer)), {
+      chainId: 31337,
+      relayerAddress: relayer.address,
+      onRelayed: (intent, result) => relayed.push([intent.type, result.hash])
+    });
+    server.listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+  }
+
+  async function post(body) {
+    const res = await fetch(`http://127.0.0.1:${server.address().port}/relay`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: typeof body === "string" ? body : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("submits a signed withdrawal from its own account", async function () {
+    const { streamPay, recipient, relayer } = await loadFixture(deployFixture);
+    await listen(streamPay, relayer);
+    await time.increase(99);
+
+    const before = await ethers.provider.getBalance(recipient.address);
+    const intent = await signIntent(recipient, streamPay, "withdraw", { streamId: 1n, amount: RATE * 10n, to: recipient.address });
+    const { status, body } = await post(intent);
+
+    expect(status).to.equal(200);
+    const receipt = await ethers.provider.getTransactionReceipt(body.hash);
+    expect(receipt.from).to.equal(relayer.address);
+    expect(await ethers.provider.getBalance(recipient.address)).to.be.greaterThan(before);
+    expect(relayed).to.deep.equal([["withdraw", body.hash]]);
+  });
+
+  it("refuses bad signatures and intents that would revert, without sending anything", async function () {
+    const { streamPay, sender, recipient, relayer } = await loadFixture(deployFixture);
+    await listen(streamPay, relayer);
+    await time.increase(99);
+    const nonce = await ethers.provider.getTransactionCount(relayer.address);
+
+    const intent = await signIntent(recipient, streamPay, "withdraw", { streamId: 1n, amount: RATE * 10n, to: recipient.address });
+    const claimed = await post({ ...intent, signer: sender.address });
+    expect(claimed).to.deep.equal({ status: 400, body: { error: "Invalid signature" } });
+
+    const tooMuch = await signIntent(recipient, streamPay, "withdraw", { streamId: 1n, amount: DEPOSIT, to: recipient.address });
+    expect(await post(tooMuch)).to.deep.equal({ status: 422, body: { error: "Amount exceeds balance" } });
+
+    expect((await post({ ...intent, type: "drain" })).status).to.equal(400);
+    expect((await post("{not json")).status).to.equal(400);
+    expect(await post(" ".repeat(20 * 1024))).to.deep.equal({ status: 413, body: { error: "Request too large" } });
+    expect(relayed).to.deep.equal([]);
+    expect(await ethers.provider.getTransactionCount(relayer.address)).to.equal(nonce);
+  });
+});
@@ -0,0 +1,52 @@
+import { expect } from "chai";
+import { parseRoute, routeChainId, payPrefill, streamLink } from "../frontend/src/routes.js";
+
+const RECIPIENT = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("Hash routes", function () {
+  describe("parseRoute", function () {
+    it("reads payment links with their query", function () {
+      const route = parseRoute(`#/pay?to=${RECIPIENT}&amount=1.5&duration=30&unit=days`);
+      expect(route.name).to.equal("pay");
+      expect(route.params).to.deep.equal({ to: RECIPIENT, amount: "1.5", duration: "30", unit: "days" });
+    });
+
+    it("reads stream ids", function () {
+      expect(parseRoute("#/stream/42")).to.deep.equal({ name: "stream", id: 42, params: {} });
+      expect(routeChainId(parseRoute("#/stream/42?chain=6342"))).to.equal(6342);
+      expect(parseRoute(streamLink(7, 31337))).to.deep.equal({ name: "stream", id: 7, params: { chain: "31337" } });
+    });
+
+    it("falls back to home for anything else", function () {
+      for (const hash of ["", "#", "#/", "#/stream/0", "#/stream/abc", "#/stream/1/2", "#/unknown"]) {
+        expect(parseRoute(hash).name, hash).to.equal("home");
+      }
+      expect(routeChainId(parseRoute("#/stream/1?chain=mainnet"))).to.equal(null);
+    });
+  });
+
+  describe("payPrefill", function () {
+    it("fills the Create Stream form", function () {
+      const { params } = parseRoute(`#/pay?to=${RECIPIENT}&amount=100&duration=2&unit=months&token=0x0000000000000000000000000000000000000001`);
+      expect(payPrefill(params)).to.deep.equal({
+        recipient: RECIPIENT,
+        amount: "100",
+        duration: "2",
+        durationType: "months",
+        tokenType: "erc20",
+        tokenAddress: "0x0000000000000000000000000000000000000001"
+      });
+    });
+
+    it("defaults to an ETH stream counted in hours", function () {
+      expect(payPrefill({ to: RECIPIENT, unit: "fortnights" })).to.deep.equal({
+        recipient: RECIPIENT,
+        amount: "",
+        duration: "",
+        durationType: "hours",
+        tokenType: "native",
+        tokenAddress: ""
+      });
+    });
+  });
+});
@@ -0,0 +1,283 @@
+import { expect } from "chai";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { enqueue, openQueue, queueStats } from "../watcher/queue.js";
+import { createWatcher } from "../watcher/watcher.js";
+import { createDeliverer, signWebhook, verifyWebhook, SIGNATURE_HEADER } from "../watcher/webhooks.js";
+import { eventNotification, notifies } from "../frontend/src/notifications.js";
+import { deployStreamPay } from "../scripts/proxy.js";
+
+const { ethers } = hre;
+
+const DURATION = 10000n;
+const RATE = 10n ** 14n;
+const DEPOSIT = RATE * DURATION;
+const HOUR = 3600;
+const SECRET = "test-secret";
+
+describe("Watcher", function () {
+  async function deployFixture() {
+    const [owner, sender, recipient, provider] = await ethers.getSigners();
+    const streamPay = await deployStreamPay(hre);
+    const { chainId } = await ethers.provider.getNetwork();
+    const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+    return { streamPay, owner, sender, recipient, provider, chainId: Number(chainId), startBlock };
+  }
+
+  async function watcherFixture(db = openQueue()) {
+    const fixture = await loadFixture(deployFixture);
+    const { abi } = await hre.artifacts.readArtifact("StreamPay");
+    const watcher = createWatcher({
+      provider: ethers.provider,
+      address: await fixture.streamPay.getAddress(),
+      abi,
+      db,
+      chainId: fixture.chainId,
+      startBlock: fixture.startBlock,
+      batchSize: 5,
+      endingWithin: HOUR
+    });
+    return { ...fixture, db, watcher };
+  }
+
+  // Stub receiver: records every request and answers with the next queued status (200 once empty)
+  async function startReceiver(statuses = []) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        requests.push({ headers: req.headers, body, json: JSON.parse(body) });
+        res.writeHead(statuses.shift() ?? 200).end();
+      });
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    receiver = server;
+    return { url: `http://127.0.0.1:${server.address().port}/hooks`, requests };
+  }
+
+  let receiver;
+  afterEach(function () {
+    receiver?.close();
+    receiver = undefined;
+  });
+
+  it("delivers signed webhooks for stream and subscription events", async function () {
+    const { streamPay, db, watcher, sender, recipient, provider, chainId } = await watcherFixture();
+    const { url, requests } = await startReceiver();
+
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createSubscription(provider.address, RATE, { value: DEPOSIT });
+    await time.increase(100);
+    await streamPay.connect(recipient).cancelStream(1n);
+    await streamPay.connect(provider).processSubscriptionPayment(1n);
+    await streamPay.connect(sender).cancelSubscription(1n);
+
+    expect(await watcher.poll()).to.equal(5);
+    const result = await createDeliverer({ db, url, secret: SECRET }).flush();
+    expect(result).to.deep.equal({ delivered: 5, failed: 0 });
+
+    // Cancelling settles the subscription one last time
+    expect(requests.map((req) => req.json.type)).to.deep.equal([
+      "stream.created",
+      "stream.cancelled",
+      "subscription.payment",
+      "subscription.payment",
+      "subscription.cancelled"
+    ]);
+    for (const req of requests) {
+      expect(verifyWebhook(SECRET, req.body, req.headers[SIGNATURE_HEADER])).to.equal(true);
+      expect(verifyWebhook("wrong-secret", req.body, req.headers[SIGNATURE_HEADER])).to.equal(false);
+      expect(req.headers["x-streampay-event"]).to.equal(req.json.type);
+      expect(req.headers["x-streampay-delivery"]).to.equal(req.json.id);
+      expect(req.json).to.include({ chainId, contract: await streamPay.getAddress() });
+    }
+
+    const [created, cancelled, , , subscriptionCancelled] = requests.map((req) => req.json);
+    expect(created.data).to.include({ streamId: 1, sender: sender.address, recipient: recipient.address });
+    expect(BigInt(cancelled.data.senderBalance) + BigInt(cancelled.data.recipientBalance)).to.equal(DEPOSIT);
+    // The event only names the subscriber; the watcher looks the provider up
+    expect(subscriptionCancelled.data).to.include({ subscriber: sender.address, provider: provider.address });
+    expect(queueStats(db)).to.deep.equal({ pending: 0, delivered: 5, failed: 0 });
+  });
+
+  it("raises stream.ending once per stop time", async function () {
+    const { streamPay, db, watcher, sender, recipient } = await watcherFixture();
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await watcher.poll();
+
+    const ending = () => db.prepare("SELECT * FROM deliveries WHERE type = 'stream.ending' ORDER BY created_at").all();
+    await time.increase(Number(DURATION) - 2 * HOUR);
+    await watcher.poll();
+    expect(ending()).to.have.length(0);
+
+    await time.increase(HOUR + 60);
+    await watcher.poll();
+    await watcher.poll();
+    expect(ending()).to.have.length(1);
+    const { stopTime } = await streamPay.getStream(1n);
+    expect(JSON.parse(ending()[0].payload).data).to.include({ streamId: 1, stopTime: Number(stopTime) });
+
+    // A top-up moves stopTime out of the window; nearing the new one raises it again
+    await streamPay.connect(sender).topUpStream(1n, { value: RATE * BigInt(2 * HOUR) });
+    await watcher.poll();
+    expect(ending()).to.have.length(1);
+    await time.increase(2 * HOUR);
+    await watcher.poll();
+    expect(ending()).to.have.length(2);
+  });
+
+  it("raises stream.ending for streams created before the watcher's first run", async function () {
+    const { streamPay, sender, recipient } = await loadFixture(deployFixture);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).cancelStream(2n);
+
+    const db = openQueue();
+    const { abi } = await hre.artifacts.readArtifact("StreamPay");
+    const watcher = createWatcher({
+      provider: ethers.provider,
+      address: await streamPay.getAddress(),
+      abi,
+      db,
+      startBlock: (await ethers.provider.getBlockNumber()) + 1,
+      endingWithin: HOUR
+    });
+    expect(await watcher.poll()).to.equal(0);
+    expect(db.prepare("SELECT id FROM streams").all()).to.deep.equal([{ id: 1 }]);
+
+    await time.increase(Number(DURATION) - HOUR / 2);
+    expect(await watcher.poll()).to.equal(1);
+    const [ending] = db.prepare("SELECT * FROM deliveries").all();
+    expect(ending.type).to.equal("stream.ending");
+    expect(JSON.parse(ending.payload).data).to.include({ streamId: 1 });
+  });
+
+  it("skips cancelled and paused streams", async function () {
+    const { streamPay, db, watcher, sender, recipient } = await watcherFixture();
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).pauseStream(1n);
+    await streamPay.connect(sender).cancelStream(2n);
+
+    await time.increase(Number(DURATION) - HOUR / 2);
+    await watcher.poll();
+    expect(db.prepare("SELECT COUNT(*) AS count FROM deliveries WHERE type = 'stream.ending'").get().count).to.equal(0);
+  });
+
+  it("retries failed deliveries with backoff, then gives up", async function () {
+    const { streamPay, db, watcher, sender, recipient } = await watcherFixture();
+    const { url, requests } = await startReceiver([500, 503, 200, 500, 500]);
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+    await watcher.poll();
+
+    let clock = Date.now();
+    const deliverer = createDeliverer({ db, url, secret: SECRET, maxAttempts: 3, retryDelay: 1000, now: () => clock });
+    expect(await deliverer.flush()).to.deep.equal({ delivered: 0, failed: 2 });
+
+    // Nothing is due until the first backoff has passed
+    expect(await deliverer.flush()).to.deep.equal({ delivered: 0, failed: 0 });
+    clock += 1000;
+    expect(await deliverer.flush()).to.deep.equal({ delivered: 1, failed: 1 });
+    clock += 1999;
+    expect(await deliverer.flush()).to.deep.equal({ delivered: 0, failed: 0 });
+    clock += 1;
+    expect(await deliverer.flush()).to.deep.equal({ delivered: 0, failed: 1 });
+
+    expect(requests).to.have.length(5);
+    expect(queueStats(db)).to.deep.equal({ pending: 0, delivered: 1, failed: 1 });
+    const failed = db.prepare("SELECT * FROM deliveries WHERE failed_at IS NOT NULL").get();
+    expect(failed).to.include({ attempts: 3, last_error: "Receiver responded 500" });
+  });
+
+  it("keeps ticking while polls fail, so queued webhooks are still delivered", async function () {
+    const { streamPay, db, chainId } = await watcherFixture();
+    const { url, requests } = await startReceiver();
+    enqueue(db, { id: "queued", type: "stream.created", payload: { id: "queued" } });
+
+    const { abi } = await hre.artifacts.readArtifact("StreamPay");
+    const rpcDown = { getBlockNumber: () => Promise.reject(new Error("RPC down")) };
+    const watcher = createWatcher({ provider: rpcDown, address: await streamPay.getAddress(), abi, db, chainId });
+    const deliverer = createDeliverer({ db, url, secret: SECRET });
+
+    const ticks = [];
+    await new Promise((resolve) => {
+      watcher.start(10, async (queued, error) => {
+        ticks.push([queued, error?.message]);
+        await deliverer.flush();
+        if (requests.length > 0) resolve();
+      });
+    });
+    watcher.stop();
+
+    expect(ticks[0]).to.deep.equal([0, "RPC down"]);
+    expect(requests[0].json).to.deep.equal({ id: "queued" });
+    expect(queueStats(db)).to.include({ pending: 0, delivered: 1 });
+  });
+
+  it("keeps its queue and position across restarts", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "streampay-watcher-"));
+    const file = path.join(dir, "watcher.db");
+    try {
+      const { streamPay, db, watcher, sender, recipient, startBlock } = await watcherFixture(openQueue(file));
+      await streamPay.connect(sender).createStream(recipient.address, DURATION, RATE, { value: DEPOSIT });
+      expect(await watcher.poll()).to.equal(1);
+      db.close();
+
+      const reopened = openQueue(file);
+      const { abi } = await hre.artifacts.readArtifact("StreamPay");
+      const restarted = createWatcher({
+        provider: ethers.provider,
+        address: await streamPay.getAddress(),
+        abi,
+        db: reopened,
+        startBlock,
+        endingWithin: HOUR
+      });
+      expect(restarted.lastBlock()).to.equal(await ethers.provider.getBlockNumber());
+      expect(queueStats(reopened).pending).to.equal(1);
+
+      // Replaying blocks that were already scanned queues nothing new
+      reopened.prepare("DELETE FROM meta").run();
+      expect(await restarted.poll()).to.equal(0);
+
+      const { url, requests } = await startReceiver();
+      await createDeliverer({ db: reopened, url, secret: SECRET }).flush();
+      expect(requests).to.have.length(1);
+      reopened.close();
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  describe("signatures", function () {
+    it("reject stale timestamps and tampered bodies", function () {
+      const body = JSON.stringify({ type: "stream.created" });
+      const header = signWebhook(SECRET, body, 1000);
+
+      expect(verifyWebhook(SECRET, body, header, { now: 1100 })).to.equal(true);
+      expect(verifyWebhook(SECRET, body, header, { now: 2000 })).to.equal(false);
+      expect(verifyWebhook(SECRET, `${body} `, header, { now: 1100 })).to.equal(false);
+      expect(verifyWebhook(SECRET, body, "garbage", { now: 1100 })).to.equal(false);
+    });
+  });
+
+  describe("browser notifications", function () {
+    it("notify the other parties", function () {
+      const [sender, recipient, other] = [1, 2, 3].map(() => ethers.Wallet.createRandom().address);
+      const created = eventNotification("StreamCreated", [1n, sender, recipient, DEPOSIT, RATE, 0n, DURATION]);
+      expect(notifies(created, recipient.toLowerCase())).to.equal(true);
+      expect(notifies(created, sender)).to.equal(false);
+
+      const cancelled = eventNotification("StreamCancelled", [1n, sender, recipient, 1n, 2n]);
+      expect(notifies(cancelled, sender)).to.equal(true);
+      expect(notifies(cancelled, other)).to.equal(false);
+      expect(eventNotification("StreamWithdrawn", [1n, recipient, 1n])).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { ethers } from "ethers";
+import { registryEntry } from "../scripts/deployments.js";
+import { openQueue, queueStats } from "./queue.js";
+import { createWatcher } from "./watcher.js";
+import { createDeliverer } from "./webhooks.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Defaults target a local `npx hardhat node`; WEBHOOK_URL and WEBHOOK_SECRET are required
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const DB_PATH = process.env.WATCHER_DB || path.join(__dirname, "watcher.db");
+const CONFIRMATIONS = Number(process.env.CONFIRMATIONS || 0);
+const POLL_INTERVAL = Number(process.env.POLL_INTERVAL || 5000);
+const ENDING_WITHIN_HOURS = Number(process.env.ENDING_WITHIN_HOURS || 24);
+const MAX_ATTEMPTS = Number(process.env.MAX_ATTEMPTS || 8);
+
+async function main() {
+  if (!process.env.WEBHOOK_URL || !process.env.WEBHOOK_SECRET) {
+    throw new Error("Set WEBHOOK_URL to the receiver and WEBHOOK_SECRET to the key webhooks are signed with");
+  }
+
+  const abi = JSON.parse(fs.readFileSync(path.join(__dirname, "../frontend/src/contract-abi.json"), "utf8"));
+  const provider = new ethers.JsonRpcProvider(RPC_URL);
+  const { chainId } = await provider.getNetwork();
+  const deployment = process.env.CONTRACT_ADDRESS ? null : registryEntry(chainId);
+  const address = process.env.CONTRACT_ADDRESS || deployment.address;
+  const db = openQueue(DB_PATH);
+
+  // Without history, start from the current block rather than replaying every past event;
+  // the first poll still picks up streams that are already active
+  const startBlock = Number(process.env.START_BLOCK ?? (await provider.getBlockNumber()) + 1);
+  const watcher = createWatcher({
+    provider,
+    address,
+    abi,
+    db,
+    chainId: Number(chainId),
+    startBlock,
+    confirmations: CONFIRMATIONS,
+    endingWithin: ENDING_WITHIN_HOURS * 3600
+  });
+  const deliverer = createDeliverer({ db, url: process.env.WEBHOOK_URL, secret: process.env.WEBHOOK_SECRET, maxAttempts: MAX_ATTEMPTS });
+
+  console.log(`Watching StreamPay ${address} on chain ${chainId} from block ${watcher.lastBlock() + 1}`);
+  console.log(`Delivering to ${process.env.WEBHOOK_URL}; ${queueStats(db).pending} webhooks pending`);
+  // Deliveries are retried even while polling fails, since the RPC has nothing to do with them
+  watcher.start(POLL_INTERVAL, async (queued, error) => {
+    if (error) console.error("Watcher poll failed:", error);
+    const { delivered, failed } = await deliverer.flush();
+    if (queued || delivered || failed) {
+      console.log(`Queued ${queued}, delivered ${delivered}, failed ${failed} (${queueStats(db).pending} pending)`);
+    }
+  });
+
+  const shutdown = () => {
+    watcher.stop();
+    db.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
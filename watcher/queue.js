@@ -0,0 +1,102 @@
+import Database from "better-sqlite3";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS streams (
+    id INTEGER PRIMARY KEY,
+    sender TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    stop_time INTEGER NOT NULL,
+    active INTEGER NOT NULL,
+    paused INTEGER NOT NULL,
+    ending_notified INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS streams_stop_time ON streams (active, stop_time);
+
+  CREATE TABLE IF NOT EXISTS deliveries (
+    id TEXT PRIMARY KEY,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER NOT NULL,
+    delivered_at INTEGER,
+    failed_at INTEGER,
+    last_error TEXT
+  );
+  CREATE INDEX IF NOT EXISTS deliveries_due ON deliveries (delivered_at, failed_at, next_attempt_at);
+`;
+
+/**
+ * Open (or create) the watcher's database: the webhook queue, the last scanned block and
+ * the stop times of active streams. Deliveries survive restarts until they are sent or
+ * given up on. Times are milliseconds, except stream stop times, which are block seconds.
+ */
+export function openQueue(path = ":memory:") {
+  const db = new Database(path);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Queue a webhook. Ids are derived from the log or condition that raised it, so replaying
+ * blocks after a restart doesn't queue the same notification twice. Returns true if queued.
+ */
+export function enqueue(db, { id, type, payload }, now = Date.now()) {
+  const result = db
+    .prepare(
+      `INSERT OR IGNORE INTO deliveries (id, type, payload, created_at, next_attempt_at)
+       VALUES (?, ?, ?, ?, ?)`
+    )
+    .run(id, type, JSON.stringify(payload), now, now);
+  return result.changes > 0;
+}
+
+/**
+ * Deliveries waiting for an attempt at `now`, oldest first
+ */
+export function dueDeliveries(db, now = Date.now(), limit = 50) {
+  return db
+    .prepare(
+      `SELECT * FROM deliveries
+       WHERE delivered_at IS NULL AND failed_at IS NULL AND next_attempt_at <= ?
+       ORDER BY created_at, rowid LIMIT ?`
+    )
+    .all(now, limit)
+    .map((row) => ({ ...row, payload: JSON.parse(row.payload) }));
+}
+
+export function markDelivered(db, id, now = Date.now()) {
+  db.prepare("UPDATE deliveries SET attempts = attempts + 1, delivered_at = ?, last_error = NULL WHERE id = ?").run(now, id);
+}
+
+/**
+ * Record a failed attempt: retry at `nextAttemptAt`, or give up when that is null
+ */
+export function markAttemptFailed(db, id, error, nextAttemptAt, now = Date.now()) {
+  db.prepare(
+    `UPDATE deliveries SET attempts = attempts + 1, last_error = ?,
+       next_attempt_at = COALESCE(?, next_attempt_at), failed_at = CASE WHEN ? IS NULL THEN ? END
+     WHERE id = ?`
+  ).run(error, nextAttemptAt, nextAttemptAt, now, id);
+}
+
+/**
+ * Counts of pending, delivered and failed deliveries
+ */
+export function queueStats(db) {
+  return db
+    .prepare(
+      `SELECT
+         COUNT(*) FILTER (WHERE delivered_at IS NULL AND failed_at IS NULL) AS pending,
+         COUNT(delivered_at) AS delivered,
+         COUNT(failed_at) AS failed
+       FROM deliveries`
+    )
+    .get();
+}
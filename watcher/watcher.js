@@ -0,0 +1,196 @@
+import { ethers } from "ethers";
+import { getMeta, setMeta } from "../indexer/db.js";
+import { enqueue } from "./queue.js";
+import { eventNotification, endingNotification, describeNotification } from "../frontend/src/notifications.js";
+
+// Events that can change a stream's recipient, stop time or state
+const STREAM_EVENTS = new Set([
+  "StreamCreated",
+  "StreamTransferred",
+  "StreamPaused",
+  "StreamResumed",
+  "StreamToppedUp",
+  "StreamRateUpdated",
+  "StreamWithdrawn",
+  "StreamCancelled"
+]);
+
+// getStream calls in flight at once while backfilling
+const BACKFILL_BATCH = 25;
+
+/**
+ * Turns StreamPay events, and active streams nearing their stopTime, into queued webhooks.
+ * Scanned blocks and stream stop times are kept in `db` (see queue.js), so a restarted
+ * watcher carries on from where it stopped without raising anything twice. On first run,
+ * streams still active at `startBlock` are read from the contract, so stream.ending also
+ * covers streams created before the watcher was.
+ */
+export function createWatcher({
+  provider,
+  address,
+  abi,
+  db,
+  chainId,
+  startBlock = 0,
+  batchSize = 2000,
+  confirmations = 0,
+  endingWithin = 24 * 3600 // seconds before stopTime to raise stream.ending
+}) {
+  const contract = new ethers.Contract(address, abi, provider);
+  let timer = null;
+  let polling = null;
+
+  const upsertStream = db.prepare(`
+    INSERT INTO streams (id, sender, recipient, stop_time, active, paused)
+    VALUES (@id, @sender, @recipient, @stopTime, @active, @paused)
+    ON CONFLICT (id) DO UPDATE SET
+      recipient = excluded.recipient,
+      stop_time = excluded.stop_time,
+      active = excluded.active,
+      paused = excluded.paused
+  `);
+  const endingStreams = db.prepare(`
+    SELECT * FROM streams
+    WHERE active = 1 AND paused = 0 AND stop_time > ? AND stop_time <= ?
+      AND (ending_notified IS NULL OR ending_notified != stop_time)
+  `);
+  const markEndingNotified = db.prepare("UPDATE streams SET ending_notified = stop_time WHERE id = ?");
+
+  const lastBlock = () => {
+    const value = getMeta(db, "lastBlock");
+    return value === null ? startBlock - 1 : Number(value);
+  };
+
+  const queue = (id, notification, context) => {
+    const { title, message } = describeNotification(notification);
+    return enqueue(db, {
+      id,
+      type: notification.type,
+      payload: { id, type: notification.type, chainId, contract: address, ...context, title, message, data: notification }
+    });
+  };
+
+  const loadStream = async (id, blockTag) => {
+    const stream = await contract.getStream(id, { blockTag });
+    return {
+      id,
+      sender: stream.sender,
+      recipient: stream.recipient,
+      stopTime: Number(stream.stopTime),
+      active: stream.active ? 1 : 0,
+      paused: stream.pausedAt !== 0n ? 1 : 0
+    };
+  };
+
+  // First run only: track the streams already active before startBlock, whose events are
+  // never scanned, so they still get stream.ending
+  const backfill = async (blockTag) => {
+    if ((await provider.getCode(address, blockTag)) === "0x") return;
+    const nextStreamId = Number(await contract.nextStreamId({ blockTag }));
+    const streams = [];
+    for (let from = 1; from < nextStreamId; from += BACKFILL_BATCH) {
+      const ids = Array.from({ length: Math.min(BACKFILL_BATCH, nextStreamId - from) }, (_, i) => from + i);
+      const batch = await Promise.all(ids.map((id) => loadStream(id, blockTag)));
+      streams.push(...batch.filter((stream) => stream.active));
+    }
+    db.transaction(() => {
+      for (const stream of streams) upsertStream.run(stream);
+      setMeta(db, "lastBlock", blockTag);
+    })();
+  };
+
+  const scanRange = async (fromBlock, toBlock) => {
+    const events = (await contract.queryFilter("*", fromBlock, toBlock)).filter((event) => event.eventName);
+
+    const streamIds = new Set(
+      events.filter((event) => STREAM_EVENTS.has(event.eventName)).map((event) => Number(event.args[0]))
+    );
+    const streams = await Promise.all([...streamIds].map((id) => loadStream(id, toBlock)));
+
+    const notifications = [];
+    for (const event of events) {
+      const notification = eventNotification(event.eventName, event.args);
+      if (!notification) continue;
+      if (notification.provider === null) {
+        const sub = await contract.getSubscription(notification.subscriptionId, { blockTag: event.blockNumber });
+        notification.provider = sub.provider;
+      }
+      notifications.push([event, notification]);
+    }
+
+    let queued = 0;
+    db.transaction(() => {
+      for (const stream of streams) upsertStream.run(stream);
+      for (const [event, notification] of notifications) {
+        const context = { blockNumber: event.blockNumber, txHash: event.transactionHash };
+        if (queue(`${event.transactionHash}:${event.index}`, notification, context)) queued++;
+      }
+      setMeta(db, "lastBlock", toBlock);
+    })();
+    return queued;
+  };
+
+  // stream.ending for every tracked stream that stops within endingWithin of `block`
+  const checkEnding = (block) => {
+    let queued = 0;
+    db.transaction(() => {
+      for (const row of endingStreams.all(block.timestamp, block.timestamp + endingWithin)) {
+        const stream = { ...row, stopTime: row.stop_time, pausedAt: 0 };
+        const notification = endingNotification(stream, block.timestamp, endingWithin);
+        if (queue(`stream.ending:${row.id}:${row.stop_time}`, notification, { blockNumber: block.number, txHash: null })) {
+          queued++;
+        }
+        markEndingNotified.run(row.id);
+      }
+    })();
+    return queued;
+  };
+
+  /**
+   * Scan every confirmed block since the last run, then check stop times against the
+   * latest one. Returns the number of webhooks queued.
+   */
+  const poll = async () => {
+    // Overlapping calls (e.g. from the polling loop) share one run
+    if (!polling) {
+      polling = (async () => {
+        const head = (await provider.getBlockNumber()) - confirmations;
+        if (getMeta(db, "lastBlock") === null && startBlock > 0 && startBlock - 1 <= head) {
+          await backfill(startBlock - 1);
+        }
+        let queued = 0;
+        for (let from = lastBlock() + 1; from <= head; from += batchSize) {
+          queued += await scanRange(from, Math.min(from + batchSize - 1, head));
+        }
+        if (head >= 0) queued += checkEnding(await provider.getBlock(head));
+        return queued;
+      })().finally(() => {
+        polling = null;
+      });
+    }
+    return polling;
+  };
+
+  /**
+   * Poll every `intervalMs` until stop(). `onTick(queued, error)` runs after every poll,
+   * including failed ones (queued 0), so work that doesn't need the RPC carries on without it.
+   */
+  const start = (intervalMs = 5000, onTick = () => {}) => {
+    const tick = () => {
+      poll()
+        .then((queued) => onTick(queued, null), (error) => onTick(0, error))
+        .catch((error) => console.error("Watcher tick failed:", error))
+        .finally(() => {
+          if (timer) timer = setTimeout(tick, intervalMs);
+        });
+    };
+    timer = setTimeout(tick, 0);
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return { poll, start, stop, lastBlock, contract };
+}
@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import { dueDeliveries, markDelivered, markAttemptFailed } from "./queue.js";
+
+export const SIGNATURE_HEADER = "x-streampay-signature";
+
+// Longest wait between attempts, however many have failed
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+
+/**
+ * Signature header for a webhook body: `t=<unix seconds>,v1=<hex HMAC-SHA256 of "t.body">`.
+ * Signing the timestamp with the body lets receivers reject replayed requests.
+ */
+export function signWebhook(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header from signWebhook against the raw request body. Signatures older
+ * than `tolerance` seconds are rejected.
+ */
+export function verifyWebhook(secret, body, header, { tolerance = 300, now = Math.floor(Date.now() / 1000) } = {}) {
+  const parts = Object.fromEntries(String(header || "").split(",").map((part) => part.split("=")));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1 || Math.abs(now - timestamp) > tolerance) return false;
+
+  const expected = Buffer.from(signWebhook(secret, body, timestamp).split("v1=")[1], "hex");
+  const actual = Buffer.from(parts.v1, "hex");
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Sends queued webhooks to `url`. A delivery succeeds on any 2xx response; anything else is
+ * retried with exponential backoff from `retryDelay` until `maxAttempts` have failed.
+ */
+export function createDeliverer({
+  db,
+  url,
+  secret,
+  maxAttempts = 8,
+  retryDelay = 5000,
+  timeout = 10000,
+  fetch = globalThis.fetch,
+  now = Date.now
+}) {
+  let flushing = null;
+
+  const send = async (delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "content-type": "application/json",
+        "x-streampay-event": delivery.type,
+        "x-streampay-delivery": delivery.id,
+        [SIGNATURE_HEADER]: signWebhook(secret, body, Math.floor(now() / 1000))
+      },
+      body,
+      signal: AbortSignal.timeout(timeout)
+    });
+    if (!res.ok) throw new Error(`Receiver responded ${res.status}`);
+  };
+
+  /**
+   * Attempt every delivery that is due. Returns how many were delivered and how many failed.
+   */
+  const flush = () => {
+    // Overlapping calls share one run, so a delivery is never sent twice at once
+    if (!flushing) {
+      flushing = (async () => {
+        let delivered = 0;
+        let failed = 0;
+        for (const delivery of dueDeliveries(db, now())) {
+          try {
+            await send(delivery);
+            markDelivered(db, delivery.id, now());
+            delivered++;
+          } catch (error) {
+            const attempts = delivery.attempts + 1;
+            const nextAttemptAt =
+              attempts < maxAttempts ? now() + Math.min(retryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY) : null;
+            markAttemptFailed(db, delivery.id, error.message, nextAttemptAt, now());
+            failed++;
+          }
+        }
+        return { delivered, failed };
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  };
+
+  return { flush };
+}